@@ -0,0 +1,207 @@
+/**
+ * atmosphere.js
+ * 与 DOM 无关的大气环境场计算 (湿度场、噪声)，供模型、预报与绘图共用。
+ */
+import { getPressureAt } from './utils.js';
+import { getWindVectorAt } from './cyclone-model.js';
+import { getElevationAt } from './terrain-data.js';
+import { getClimateHumidityAnomaly } from './climate-modes.js';
+
+// [新增] 简单的伪随机噪声函数 (用于模拟大尺度湿度波动)
+function pseudoNoise(x, y) {
+    const n = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453;
+    return n - Math.floor(n);
+}
+
+// [新增] 更加平滑的噪声 (双线性插值)
+export function smoothNoise(x, y) {
+    const i = Math.floor(x);
+    const j = Math.floor(y);
+    const u = x - i;
+    const v = y - j;
+    
+    // 平滑插值公式
+    const smooth = t => t * t * (3 - 2 * t);
+    const uSm = smooth(u);
+    const vSm = smooth(v);
+
+    const n00 = pseudoNoise(i, j);
+    const n10 = pseudoNoise(i + 1, j);
+    const n01 = pseudoNoise(i, j + 1);
+    const n11 = pseudoNoise(i + 1, j + 1);
+
+    const x1 = n00 + (n10 - n00) * uSm;
+    const x2 = n01 + (n11 - n01) * uSm;
+    
+    return x1 + (x2 - x1) * vSm;
+}
+
+// [新增/核心] 计算某一点的背景湿度 (不含气旋核心水汽)
+// 这就是你以后用于物理计算“干空气入侵”的接口
+export function calculateBackgroundHumidity(lon, lat, pressureSystems, currentMonth, cyclone = null, globalTemp = 289) {
+    const bgTemp = globalTemp;
+    // 1. 基础反比逻辑：气压越低，湿度越高
+    const p = getPressureAt(lon, lat, pressureSystems);
+    let hum = 83 + (1010 - p) * 1.3 + 3 * (bgTemp - 289);
+    // [新增] MJO / ENSO / IOD 造成的大尺度干湿距平
+    hum += getClimateHumidityAnomaly(lon, lat);
+
+    // 2. 柏林噪声叠加 (大尺度水汽输送)
+    const timeFactor = (cyclone && cyclone.age) ? cyclone.age * 0.02 : 0;
+    const scale = 0.06; 
+    const noise = smoothNoise(lon * scale + timeFactor, lat * scale);
+    hum += (noise - 0.5) * 35;
+
+    // 3. 纬度修正 (赤道湿，两极干)
+    const latRad = lat * Math.PI / 180;
+    hum *= (0.6 + 0.4 * Math.cos(latRad));
+
+    const isNorth = lat > 0;
+    let baseDryLat = isNorth ? 46 : -46;
+    const systemsList = Array.isArray(pressureSystems) ? pressureSystems : (pressureSystems?.lower || []);
+    if (systemsList.length > 0) {
+        const subpolarLow = systemsList.find(s => 
+            s.baseSigmaX > 200 && 
+            s.strength < -15 &&   
+            (isNorth ? s.y > 30 : s.y < -30)
+        );
+
+        if (subpolarLow) {
+            const offset = isNorth ? 5 : -8;
+            baseDryLat = subpolarLow.y + offset;
+        }
+    }
+
+    // B. [新增] 计算罗斯贝波 (Rossby Wave) 偏移
+    // 引入经度(lon)作为变量，使急流产生弯曲
+    
+    // 波数：环绕地球一圈有几个波 (通常 3-6 个)
+    const waveNumber = 5.0;
+    const phaseSpeed = (cyclone ? cyclone.age : 0) * 0.02;
+    
+    // 振幅：波动的南北幅度 (度)
+    const waveAmplitude = 6.0; 
+
+    // 计算正弦波偏移
+    const rossbyOffset = Math.sin((lon * Math.PI / 180) * waveNumber + phaseSpeed) * waveAmplitude;
+
+    // C. [新增] 叠加急流噪声 (Jet Stream Turbulence)
+    // 让线条不那么平滑，增加随机扰动
+    // timeFactor 已经在函数前面定义了
+    const jetNoise = (smoothNoise(lon * 0.08, timeFactor) - 0.5) * 8.0;
+
+    // D. 合成最终的目标干燥纬度
+    // Target = 基础位置 + 长波摆动 + 短波噪声
+    const targetDryLat = baseDryLat + rossbyOffset + jetNoise;
+
+    // E. 应用高斯分布扣减
+    // 在 targetDryLat 附近形成干燥区
+    const dryBandWidth = 200; // 影响宽度 (sigma^2)
+    const westerliesDryFactor = Math.exp(-Math.pow(lat - targetDryLat, 2) / dryBandWidth);
+    hum -= westerliesDryFactor * 100;
+
+    // 4. 地形与焚风效应 (Foehn Effect)
+    const elevation = getElevationAt(lon, lat);
+    
+    if (elevation > 0) {
+        hum -= (elevation / 200) * 15;
+    }
+
+    // B. 焚风效应 (升级版：逆风回溯拖尾)
+    if (cyclone) {
+        const vec = getWindVectorAt(lon, lat, currentMonth, cyclone, pressureSystems);
+        const len = Math.sqrt(vec.u * vec.u + vec.v * vec.v);
+        // 只有风速足够大才产生显著拖尾 (>10kt)
+        let windWeight = (len - 15.0) / (30.0 - 15.0);
+        windWeight = Math.max(0, Math.min(1, windWeight)); // Clamp 到 0~1
+
+        // 只有当有权重时才计算，节省性能
+        if (windWeight > 0.01) {
+            const dirU = vec.u / len;
+            const dirV = vec.v / len;
+
+            // --- 配置参数 ---
+            const traceSteps = 30;      // 回溯步数 (步数越多拖尾越精细，但性能开销大)
+            const stepSize = 0.1;      // 每步步长 (度)，0.1度 ≈ 10km
+            const decayFactor = 0.2;   // 距离衰减系数 (越小拖尾越长)
+            
+            let maxDryImpact = 0;      // 记录路径上最大的干燥影响
+
+            // 开始回溯循环
+            for (let i = 1; i <= traceSteps; i++) {
+                // 当前回溯距离
+                const dist = i * stepSize;
+                
+                // 计算上风点坐标
+                const upLon = lon - (dirU * dist);
+                const upLat = lat - (dirV * dist);
+                
+                // 获取上风点海拔
+                const upElevation = getElevationAt(upLon, upLat);
+                const elevationDiff = upElevation - elevation;
+
+                // 只有当上风处比当前处高出一定阈值 (500m) 才视为阻挡
+                if (elevationDiff > 30) {
+                    // 1. 基础强度：落差越大，越干
+                    let impact = elevationDiff / 30;
+                    
+                    // 2. 风速加成：风越大，焚风穿透力越强
+                    // 限制最大加成倍数，防止数值爆炸
+                    const windFactor = (vec.magnitude - 22);
+                    impact *= windFactor;
+
+                    // 3. [关键] 距离衰减：距离越远，影响越小
+                    // 使用指数衰减公式：Impact * e^(-dist * decay)
+                    // 当 dist=0.4时 衰减很少，当 dist=2.0时 衰减很多
+                    impact *= Math.exp(-dist * decayFactor);
+
+                    // 保留路径上发现的最强阻挡效果
+                    if (impact > maxDryImpact) {
+                        maxDryImpact = impact;
+                    }
+                }
+            }
+
+            // [安全钳制] 焚风最强让湿度下降 80%
+            maxDryImpact = Math.min(maxDryImpact, 80);
+            hum -= maxDryImpact;
+        }
+    }
+
+    // 钳制背景湿度 (0% - 100%)
+    return Math.max(5, Math.min(100, hum));
+}
+
+export function calculateTotalHumidity(lon, lat, pressureSystems, cyclone, globalTemp) {
+    const currentMonth = (cyclone && cyclone.currentMonth) ? cyclone.currentMonth : 8;
+    
+    // 1. 获取基础背景湿度
+    let hum = calculateBackgroundHumidity(lon, lat, pressureSystems, currentMonth, cyclone, globalTemp);
+
+    // 2. 叠加气旋水汽 (核心 CDO + 螺旋雨带)
+    // 逻辑复用自之前的 drawHumidityField
+    if (cyclone && cyclone.status === 'active') {
+        const dx = lon - cyclone.lon;
+        const dy = lat - cyclone.lat;
+        const dist = Math.sqrt(dx*dx + dy*dy);
+        
+        // A. 气旋核心强制加湿 (CDO)
+        // 核心范围约为 环流大小 * 0.01 (度)
+        if (dist < cyclone.circulationSize * 0.01) { 
+            const stormHumBoost = 50 * (1 - dist/(cyclone.circulationSize * 0.01)); 
+            hum += Math.max(0, stormHumBoost);
+        }
+
+        // B. 螺旋雨带 (简单的正弦波模拟)
+        if (dist < cyclone.circulationSize * 0.02) {
+            const angle = Math.atan2(dy, dx);
+            const age = cyclone.age || 0;
+            // 简单的螺旋纹理
+            const spiral = Math.sin(angle * 3 + dist * 2 - age * 0.1);
+            if (spiral > 0.5) hum += 10;
+        }
+    }
+
+    // 钳制在 0-99 之间
+    return Math.max(10, Math.min(99, hum));
+}
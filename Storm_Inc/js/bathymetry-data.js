@@ -0,0 +1,58 @@
+/**
+ * bathymetry-data.js
+ * 粗分辨率陆架数据：各海岸区段的陆架宽度 (岸线到 200 m 等深线的距离) 与陆架平均水深，
+ * 供风暴潮模型估算风应力增水。区段按顺序匹配 (经度 0-360)，未收录的岸段使用默认窄陆架。
+ */
+
+export const DEFAULT_SHELF = Object.freeze({ widthKm: 40, depthM: 80 });
+
+export const SHELF_REGIONS = [
+    // 西北太平洋 / 南海
+    { name: 'Taiwan (East)',          lon: [121.3, 122.5], lat: [21.5, 25.5], widthKm: 10,  depthM: 300 },
+    { name: 'Taiwan Strait',          lon: [117, 121.3],   lat: [22, 27],     widthKm: 150, depthM: 60 },
+    { name: 'East China Sea',         lon: [119, 127],     lat: [27, 35],     widthKm: 350, depthM: 60 },
+    { name: 'Yellow Sea / Bohai',     lon: [117, 127],     lat: [35, 41],     widthKm: 300, depthM: 40 },
+    { name: 'Korea Strait',           lon: [127, 130],     lat: [33, 36],     widthKm: 100, depthM: 90 },
+    { name: 'Japan (Pacific)',        lon: [129, 146],     lat: [30, 46],     widthKm: 25,  depthM: 150 },
+    { name: 'Philippines (East)',     lon: [122, 127],     lat: [6, 19],      widthKm: 15,  depthM: 250 },
+    { name: 'Philippines (West)',     lon: [117, 122],     lat: [5, 19],      widthKm: 40,  depthM: 100 },
+    { name: 'Gulf of Tonkin',         lon: [105, 110],     lat: [17, 22.5],   widthKm: 200, depthM: 45 },
+    { name: 'South China',            lon: [110, 117],     lat: [19, 24],     widthKm: 150, depthM: 55 },
+    { name: 'Vietnam (Central)',      lon: [105, 110],     lat: [10, 17],     widthKm: 40,  depthM: 90 },
+    { name: 'Gulf of Thailand',       lon: [99, 107],      lat: [5, 14],      widthKm: 250, depthM: 45 },
+    // 北印度洋
+    { name: 'Bay of Bengal (Head)',   lon: [86, 95],       lat: [19, 24],     widthKm: 200, depthM: 25 },
+    { name: 'Myanmar (Rakhine)',      lon: [92, 99],       lat: [15, 19],     widthKm: 120, depthM: 40 },
+    { name: 'Sri Lanka / Tamil Nadu', lon: [78, 82.5],     lat: [6, 12],      widthKm: 30,  depthM: 90 },
+    { name: 'India (East)',           lon: [78, 86],       lat: [12, 21],     widthKm: 50,  depthM: 70 },
+    { name: 'Gujarat',                lon: [66, 74],       lat: [19, 25],     widthKm: 150, depthM: 50 },
+    { name: 'India (West)',           lon: [72, 78],       lat: [8, 19],      widthKm: 80,  depthM: 60 },
+    { name: 'Arabian Peninsula',      lon: [50, 66],       lat: [12, 26],     widthKm: 30,  depthM: 100 },
+    // 北大西洋 / 东太平洋
+    { name: 'US Gulf Coast',          lon: [262, 278],     lat: [25, 31],     widthKm: 150, depthM: 30 },
+    { name: 'Yucatan / Campeche',     lon: [266, 273],     lat: [18, 25],     widthKm: 200, depthM: 40 },
+    { name: 'Florida (East) / Carolinas', lon: [278, 284], lat: [25, 36],     widthKm: 60,  depthM: 40 },
+    { name: 'US Northeast',           lon: [284, 292],     lat: [36, 45],     widthKm: 120, depthM: 60 },
+    { name: 'Central America (Caribbean)', lon: [275, 285], lat: [8, 18],     widthKm: 60,  depthM: 60 },
+    { name: 'Caribbean Islands',      lon: [285, 300],     lat: [10, 23],     widthKm: 10,  depthM: 300 },
+    { name: 'Mexico (Pacific)',       lon: [240, 268],     lat: [14, 32],     widthKm: 20,  depthM: 150 },
+    // 南半球
+    { name: 'Gulf of Carpentaria',    lon: [135, 142],     lat: [-18, -10],   widthKm: 300, depthM: 40 },
+    { name: 'Australia (NW)',         lon: [112, 135],     lat: [-24, -10],   widthKm: 250, depthM: 50 },
+    { name: 'Queensland',             lon: [142, 155],     lat: [-30, -10],   widthKm: 100, depthM: 40 },
+    { name: 'Mozambique Channel',     lon: [32, 47],       lat: [-27, -10],   widthKm: 80,  depthM: 50 },
+    { name: 'South Pacific Islands',  lon: [160, 200],     lat: [-25, -10],   widthKm: 5,   depthM: 400 },
+    { name: 'Brazil',                 lon: [310, 325],     lat: [-33, -5],    widthKm: 100, depthM: 60 }
+];
+
+const toLon360 = (lon) => ((lon % 360) + 360) % 360;
+
+/**
+ * 岸线点的陆架宽度与平均水深
+ * @returns {{widthKm:number, depthM:number}}
+ */
+export function getShelfProperties(lon, lat) {
+    const lon360 = toLon360(lon);
+    const region = SHELF_REGIONS.find(r => lon360 >= r.lon[0] && lon360 <= r.lon[1] && lat >= r.lat[0] && lat <= r.lat[1]);
+    return region ? { widthKm: region.widthKm, depthM: region.depthM } : DEFAULT_SHELF;
+}
@@ -0,0 +1,163 @@
+/**
+ * climate-modes.js
+ * 年际 / 季节内气候模态：ENSO (厄尔尼诺 / 拉尼娜)、MJO (位相 1-8 与振幅)、IOD (印度洋偶极子)。
+ * 当前气候态保存在模块内 (与 rng.js 的随机流类似)，由模拟引擎在创建与每步推进时设定；
+ * 海温距平、背景湿度、生成区偏移、生成率与副高位置都从这里读取。
+ */
+
+export const NEUTRAL_CLIMATE = Object.freeze({ enso: 0, mjoPhase: 1, mjoAmplitude: 0, iod: 0 });
+
+const MJO_PHASE_HOURS = 144; // 每个位相约 6 天，完整周期约 48 天
+// MJO 对流增强区中心经度 (位相 1-8：非洲/西印度洋 -> 印度洋 -> 海洋性大陆 -> 西太平洋 -> 西半球)
+const MJO_CENTER_LON = [20, 70, 90, 110, 130, 150, 175, 250];
+
+// 各海域的 ENSO 生成率敏感度 (每单位指数的相对变化)
+const ENSO_GENESIS_SENSITIVITY = { WPAC: 0.03, EPAC: 0.12, NATL: -0.15, NIO: -0.03, SHEM: 0.08, SIO: -0.03, SATL: 0 };
+// El Niño 时生成区的偏移 (度/单位指数)：西太向东南、南太平洋向东
+const ENSO_GENESIS_SHIFT = { WPAC: { lon: 8, lat: -1.5 }, SHEM: { lon: 8, lat: 0 }, EPAC: { lon: -4, lat: 0 } };
+// 正 IOD 时的生成区经度偏移 (度/单位指数)
+const IOD_GENESIS_SHIFT = { NIO: -4, SIO: -6 };
+
+let climate = NEUTRAL_CLIMATE;
+let climateHour = 0;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const gauss = (d, sigma) => Math.exp(-(d * d) / (2 * sigma * sigma));
+// 经度差 (-180 ~ 180]
+const lonDiff = (lon, center) => ((((lon - center) % 360) + 540) % 360) - 180;
+
+/**
+ * 规范化气候态参数 (缺省为中性)
+ * @returns {{enso:number, mjoPhase:number, mjoAmplitude:number, iod:number}}
+ */
+export function normalizeClimate(state = {}) {
+    const num = (value, fallback) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+    return Object.freeze({
+        enso: clamp(num(state.enso, 0), -3, 3),
+        mjoPhase: clamp(Math.round(num(state.mjoPhase, 1)), 1, 8),
+        mjoAmplitude: clamp(num(state.mjoAmplitude, 0), 0, 3),
+        iod: clamp(num(state.iod, 0), -2, 2)
+    });
+}
+
+export function setClimateState(state) {
+    climate = normalizeClimate(state);
+}
+
+/**
+ * 当前气候态 (只读对象)
+ */
+export function getClimateState() {
+    return climate;
+}
+
+/**
+ * 设定模拟时钟 (小时)：MJO 以约 6 天一个位相的速度东传
+ */
+export function setClimateClock(hour) {
+    climateHour = Number.isFinite(hour) ? hour : 0;
+}
+
+export function getClimateClock() {
+    return climateHour;
+}
+
+export function isNeutralClimate(c = climate) {
+    return c.enso === 0 && c.iod === 0 && c.mjoAmplitude === 0;
+}
+
+/**
+ * 当前 (随时间推进后的) MJO 位相，1.0 ~ 8.999
+ */
+export function getMjoPhase(c = climate, hour = climateHour) {
+    return ((c.mjoPhase - 1 + hour / MJO_PHASE_HOURS) % 8 + 8) % 8 + 1;
+}
+
+// MJO 对流增强区中心经度 (在相邻位相之间插值)
+function getMjoCenterLon(c, hour) {
+    const phase = getMjoPhase(c, hour) - 1;
+    const i = Math.floor(phase);
+    const from = MJO_CENTER_LON[i];
+    let to = MJO_CENTER_LON[(i + 1) % 8];
+    if (to < from) to += 360;
+    return (from + (to - from) * (phase - i)) % 360;
+}
+
+// MJO 增强 (+) / 抑制 (-) 对流指数，约 -1 ~ 1 (乘以振幅前)
+function getMjoConvection(lon, lat, c, hour) {
+    if (c.mjoAmplitude === 0) return 0;
+    const center = getMjoCenterLon(c, hour);
+    const latFactor = gauss(lat, 15);
+    return (gauss(lonDiff(lon, center), 30) - 0.8 * gauss(lonDiff(lon, center + 180), 40)) * latFactor;
+}
+
+/**
+ * 海温距平 (°C)
+ * El Niño：赤道中东太平洋暖舌并向中太平洋延伸，西太暖池两侧呈马蹄形冷距平 (La Niña 相反)
+ * 正 IOD：西印度洋偏暖、东印度洋 (苏门答腊以西) 偏冷
+ */
+export function getClimateSstAnomaly(lat, lon, c = climate) {
+    let anomaly = 0;
+    if (c.enso !== 0) {
+        anomaly += c.enso * 1.0 * gauss(lat, 8) * gauss(lonDiff(lon, 220), 35);
+        anomaly += c.enso * 0.35 * gauss(lat - 8, 6) * gauss(lonDiff(lon, 170), 18);
+        anomaly -= c.enso * 0.4 * gauss(Math.abs(lat) - 15, 6) * gauss(lonDiff(lon, 140), 20);
+    }
+    if (c.iod !== 0) {
+        anomaly += c.iod * 0.5 * gauss(lat, 10) * gauss(lonDiff(lon, 60), 15);
+        anomaly -= c.iod * 0.6 * gauss(lat + 5, 8) * gauss(lonDiff(lon, 100), 12);
+    }
+    return anomaly;
+}
+
+/**
+ * 背景相对湿度距平 (%)
+ */
+export function getClimateHumidityAnomaly(lon, lat, c = climate, hour = climateHour) {
+    let anomaly = c.mjoAmplitude * 8 * getMjoConvection(lon, lat, c, hour);
+    if (c.enso !== 0) {
+        anomaly += c.enso * 6 * gauss(lat, 12) * gauss(lonDiff(lon, 190), 40);
+        anomaly -= c.enso * 5 * gauss(lat, 15) * gauss(lonDiff(lon, 120), 20);
+    }
+    if (c.iod !== 0) {
+        anomaly += c.iod * 6 * gauss(lat, 12) * gauss(lonDiff(lon, 60), 15);
+        anomaly -= c.iod * 6 * gauss(lat + 5, 10) * gauss(lonDiff(lon, 100), 12);
+    }
+    return anomaly;
+}
+
+/**
+ * 生成区偏移 (度)：作用于海域的经纬度范围
+ */
+export function getGenesisShift(basin, c = climate) {
+    const enso = ENSO_GENESIS_SHIFT[basin] || { lon: 0, lat: 0 };
+    return {
+        lon: enso.lon * c.enso + (IOD_GENESIS_SHIFT[basin] || 0) * c.iod,
+        lat: enso.lat * c.enso
+    };
+}
+
+/**
+ * 候选生成点的接受概率 (0.2 ~ 1)：MJO 抑制位相下生成点更少，使生成集中在对流增强区
+ */
+export function getGenesisAcceptance(lon, lat, c = climate, hour = climateHour) {
+    if (c.mjoAmplitude === 0) return 1;
+    const convection = getMjoConvection(lon, lat, c, hour);
+    return clamp(1 - 0.25 * c.mjoAmplitude * (1 - convection), 0.2, 1);
+}
+
+/**
+ * 生成率倍数：ENSO 的海域敏感度 × MJO 在海域中心的对流状态
+ */
+export function getGenesisRateFactor(basin, center, c = climate, hour = climateHour) {
+    const ensoFactor = 1 + (ENSO_GENESIS_SENSITIVITY[basin] || 0) * c.enso;
+    const mjoFactor = 1 + 0.3 * c.mjoAmplitude * getMjoConvection(center.lon, center.lat, c, hour);
+    return Math.max(0.1, ensoFactor * mjoFactor);
+}
+
+/**
+ * 西太副高的东西向偏移 (度)：El Niño 时东退，La Niña 时西伸
+ */
+export function getSubtropicalHighShift(c = climate) {
+    return 10 * c.enso;
+}
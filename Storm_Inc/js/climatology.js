@@ -0,0 +1,212 @@
+/**
+ * climatology.js
+ * 蒙特卡洛气候态统计：在不绘制任何画面的情况下批量运行气旋，
+ * 汇总生成密度、路径密度、峰值强度分布、生命期分布、各海岸登陆频率与平均 ACE。
+ * 只依赖无界面模拟引擎，可在浏览器主线程 (分批让出) 或 Node 中运行。
+ */
+import { createSimulation } from './simulation-engine.js';
+import { getLandStatus } from './terrain-data.js';
+import { normalizeSeed, generateSeed, deriveSeed, getRandomState, setRandomState } from './rng.js';
+import { normalizeClimate, getClimateState, setClimateState, getClimateClock, setClimateClock } from './climate-modes.js';
+import { getActiveOceanWake, setActiveOceanWake } from './ocean-wake.js';
+
+const GENESIS_CELL_DEG = 5;
+const TRACK_CELL_DEG = 2.5;
+const PEAK_BIN_KT = 10;
+const PEAK_MAX_KT = 180;
+const LIFETIME_BIN_DAYS = 1;
+const LIFETIME_MAX_DAYS = 20;
+const BATCH_SIZE = 5; // 每批运行的气旋数，批间让出主线程以刷新进度
+
+// 海岸段 (经度 0-360)，按顺序匹配，第一个包含登陆点的区段生效
+export const COASTLINES = [
+    { id: 'TWN',   name: 'Taiwan',              lon: [119.5, 122.5], lat: [21.5, 25.5] },
+    { id: 'PHL',   name: 'Philippines',         lon: [117, 127],     lat: [5, 19] },
+    { id: 'SCN',   name: 'South China',         lon: [105, 119.5],   lat: [18, 25] },
+    { id: 'ECN',   name: 'East China',          lon: [117, 123],     lat: [25, 35] },
+    { id: 'VNM',   name: 'Vietnam / Indochina', lon: [100, 110],     lat: [8, 18] },
+    { id: 'KOR',   name: 'Korea',               lon: [124, 130],     lat: [33, 39] },
+    { id: 'JPN',   name: 'Japan',               lon: [128, 146],     lat: [30, 46] },
+    { id: 'MEXP',  name: 'Mexico (Pacific)',    lon: [240, 268],     lat: [14, 32] },
+    { id: 'USGC',  name: 'US Gulf Coast',       lon: [262, 278],     lat: [25, 31] },
+    { id: 'USEC',  name: 'US East Coast',       lon: [278, 292],     lat: [24.5, 45] },
+    { id: 'MEXG',  name: 'Mexico (Gulf)',       lon: [262, 272],     lat: [17, 25] },
+    { id: 'CAM',   name: 'Central America',     lon: [270, 285],     lat: [8, 21] },
+    { id: 'CARIB', name: 'Caribbean Islands',   lon: [285, 300],     lat: [10, 23] },
+    { id: 'INDW',  name: 'Arabian Sea Coast',   lon: [55, 77],       lat: [8, 26] },
+    { id: 'INDE',  name: 'India (East)',        lon: [77, 87],       lat: [8, 22] },
+    { id: 'BGD',   name: 'Bangladesh / Myanmar', lon: [87, 98],      lat: [15, 24] },
+    { id: 'AUSW',  name: 'Australia (NW)',      lon: [112, 135],     lat: [-26, -10] },
+    { id: 'AUSE',  name: 'Australia (NE)',      lon: [135, 155],     lat: [-30, -10] },
+    { id: 'MDG',   name: 'Madagascar',          lon: [43, 51],       lat: [-26, -12] },
+    { id: 'MOZ',   name: 'Mozambique',          lon: [32, 43],       lat: [-27, -10] },
+    { id: 'SPAC',  name: 'South Pacific Islands', lon: [160, 200],   lat: [-25, -10] },
+    { id: 'BRA',   name: 'Brazil',              lon: [310, 325],     lat: [-33, -5] }
+];
+
+const toLon360 = (lon) => ((lon % 360) + 360) % 360;
+
+// 创建全球规则格点 (经度 0-360，纬度 -90~90)
+function createGrid(cellDeg) {
+    const cols = Math.round(360 / cellDeg);
+    const rows = Math.round(180 / cellDeg);
+    return { cellDeg, cols, rows, values: new Array(cols * rows).fill(0) };
+}
+
+function gridIndex(grid, lon, lat) {
+    const col = Math.min(grid.cols - 1, Math.floor(toLon360(lon) / grid.cellDeg));
+    const row = Math.min(grid.rows - 1, Math.max(0, Math.floor((lat + 90) / grid.cellDeg)));
+    return row * grid.cols + col;
+}
+
+/**
+ * 判断登陆点所属海岸段
+ * @returns {string} 海岸段 id，不在任何已定义区段内时为 'OTHER'
+ */
+export function findCoastline(lon, lat) {
+    const lon360 = toLon360(lon);
+    const coast = COASTLINES.find(c => lon360 >= c.lon[0] && lon360 <= c.lon[1] && lat >= c.lat[0] && lat <= c.lat[1]);
+    return coast ? coast.id : 'OTHER';
+}
+
+/**
+ * 找出一条路径的所有登陆点 (海 -> 陆 的转换)
+ * @returns {{lon:number, lat:number, intensity:number, index:number}[]}
+ */
+export function findLandfalls(track, checkLand) {
+    const landfalls = [];
+    let wasLand = track.length > 0 ? checkLand(track[0][0], track[0][1]) : false;
+    for (let i = 1; i < track.length; i++) {
+        const isLand = checkLand(track[i][0], track[i][1]);
+        if (isLand && !wasLand) {
+            landfalls.push({ lon: track[i][0], lat: track[i][1], intensity: track[i][2], index: i });
+        }
+        wasLand = isLand;
+    }
+    return landfalls;
+}
+
+/**
+ * 批量运行气旋并汇总气候统计
+ * @param {Object} config
+ * @param {string} config.basin
+ * @param {number} config.month
+ * @param {number} [config.globalTemp=289]
+ * @param {number} [config.globalShear=100]
+ * @param {number} [config.count=100] - 运行的气旋数量
+ * @param {Object} [config.climate] - ENSO / MJO / IOD 气候态 (见 climate-modes.js)
+ * @param {number|string} [config.seed] - 基准种子，第 i 个气旋使用 deriveSeed(seed, 'climatology', i)
+ * @param {function} [config.checkLand] - 陆地判定 (lon, lat) => boolean
+ * @param {Object} [options]
+ * @param {function} [options.onProgress] - (done, total) 进度回调
+ * @param {function} [options.isCancelled] - 返回 true 时提前结束 (已完成部分仍会汇总)
+ * @returns {Promise<Object>} 统计报告
+ */
+export async function runClimatology(config = {}, options = {}) {
+    // 批量运行会重设全局随机流、气候态与冷尾流，结束后恢复，避免影响已暂停的界面模拟
+    const savedRandom = getRandomState();
+    const savedClimate = getClimateState();
+    const savedClock = getClimateClock();
+    const savedWake = getActiveOceanWake();
+    try {
+        return await runBatch(config, options);
+    } finally {
+        setRandomState(savedRandom);
+        setClimateState(savedClimate);
+        setClimateClock(savedClock);
+        setActiveOceanWake(savedWake);
+    }
+}
+
+async function runBatch(config, options) {
+    const basin = config.basin || 'WPAC';
+    const month = config.month || 8;
+    const globalTemp = config.globalTemp ?? 289;
+    const globalShear = config.globalShear ?? 100;
+    const count = Math.max(1, Math.floor(config.count || 100));
+    const climate = { ...normalizeClimate(config.climate) };
+    const seed = normalizeSeed(config.seed ?? generateSeed());
+    const checkLand = config.checkLand || ((lon, lat) => getLandStatus(lon, lat).isLand);
+
+    const genesisDensity = createGrid(GENESIS_CELL_DEG);
+    const trackDensity = createGrid(TRACK_CELL_DEG);
+    const peakHistogram = new Array(Math.ceil(PEAK_MAX_KT / PEAK_BIN_KT)).fill(0);
+    const lifetimeHistogram = new Array(Math.ceil(LIFETIME_MAX_DAYS / LIFETIME_BIN_DAYS)).fill(0);
+    const landfallCounts = {};
+    let stormsWithLandfall = 0;
+    let totalAce = 0, totalPeak = 0, totalLifetime = 0, namedCount = 0;
+    let genesisLonSum = 0, genesisLatSum = 0;
+    let completed = 0;
+
+    for (let i = 0; i < count; i++) {
+        if (options.isCancelled && options.isCancelled()) break;
+
+        const sim = createSimulation({
+            basin, month, globalTemp, globalShear, climate,
+            seed: deriveSeed(seed, 'climatology', i),
+            checkLand,
+            forecasts: false,
+            recordPressureHistory: false,
+            checkpoints: false
+        });
+        const cyclone = sim.run();
+        const track = cyclone.track;
+
+        // 生成密度 (生成点所在格点)
+        genesisDensity.values[gridIndex(genesisDensity, track[0][0], track[0][1])]++;
+        genesisLonSum += toLon360(track[0][0]);
+        genesisLatSum += track[0][1];
+
+        // 路径密度 (每个气旋在每个格点最多计一次，即"经过次数")
+        const visited = new Set();
+        track.forEach(p => visited.add(gridIndex(trackDensity, p[0], p[1])));
+        visited.forEach(idx => trackDensity.values[idx]++);
+
+        const peak = track.reduce((max, p) => Math.max(max, p[2]), 0);
+        peakHistogram[Math.min(peakHistogram.length - 1, Math.floor(peak / PEAK_BIN_KT))]++;
+        const lifetimeDays = cyclone.age / 24;
+        lifetimeHistogram[Math.min(lifetimeHistogram.length - 1, Math.floor(lifetimeDays / LIFETIME_BIN_DAYS))]++;
+
+        // 登陆：同一气旋在同一海岸段多次登陆只计一次
+        const coasts = new Set(findLandfalls(track, checkLand).map(l => findCoastline(l.lon, l.lat)));
+        coasts.forEach(id => { landfallCounts[id] = (landfallCounts[id] || 0) + 1; });
+        if (coasts.size > 0) stormsWithLandfall++;
+
+        totalAce += cyclone.ace || 0;
+        totalPeak += peak;
+        totalLifetime += lifetimeDays;
+        if (cyclone.named) namedCount++;
+        completed++;
+
+        if (completed % BATCH_SIZE === 0) {
+            if (options.onProgress) options.onProgress(completed, count);
+            await new Promise(r => setTimeout(r, 0));
+        }
+    }
+    if (options.onProgress) options.onProgress(completed, count);
+
+    const n = Math.max(1, completed);
+    const landfalls = Object.entries(landfallCounts)
+        .map(([id, stormCount]) => {
+            const coast = COASTLINES.find(c => c.id === id);
+            return { id, name: coast ? coast.name : 'Other', count: stormCount, frequency: stormCount / n };
+        })
+        .sort((a, b) => b.count - a.count);
+
+    return {
+        config: { basin, month, globalTemp, globalShear, climate, seed, count },
+        completed,
+        genesisDensity,
+        trackDensity,
+        peakHistogram: peakHistogram.map((value, i) => ({ x0: i * PEAK_BIN_KT, x1: (i + 1) * PEAK_BIN_KT, value })),
+        lifetimeHistogram: lifetimeHistogram.map((value, i) => ({ x0: i * LIFETIME_BIN_DAYS, x1: (i + 1) * LIFETIME_BIN_DAYS, value })),
+        landfalls,
+        landfallRate: stormsWithLandfall / n,
+        namedRate: namedCount / n,
+        meanAce: totalAce / n,
+        meanPeak: totalPeak / n,
+        meanLifetimeDays: totalLifetime / n,
+        meanGenesisLon: genesisLonSum / n, // 生成点平均位置 (经度 0-360)，用于对比 ENSO 等气候态下生成区的偏移
+        meanGenesisLat: genesisLatSum / n
+    };
+}
@@ -4,19 +4,81 @@
  */
 import { NAME_LISTS, getSST, getPressureAt, normalizeLongitude, calculateDistance, windToPressure } from './utils.js';
 import { getElevationAt, getLandStatus } from './terrain-data.js';
-import { calculateBackgroundHumidity } from './visualization.js';
+import { random } from './rng.js';
+import { calculateBackgroundHumidity } from './atmosphere.js';
+import { NEUTRAL_CLIMATE, getGenesisShift, getGenesisAcceptance, getGenesisRateFactor, getSubtropicalHighShift } from './climate-modes.js';
+import { initializeRossbyWaves, updateRossbyWaves, getWavePressureAt, getTroughForcing } from './rossby-waves.js';
+import { getVortexParameters, getVortexWindSpeed, updateVortexStructure } from './vortex-model.js';
 
+// genesis: 气候态年均生成数 (annual) 与季节峰值月份 (peaks)，供赛季模式调度生成
 const basinConfig = {
-    'WPAC': { lon: { min: 100, max: 180 }, lat: { min: 5, max: 25 } },  // 西北太平洋
-    'EPAC': { lon: { min: 180, max: 260 }, lat: { min: 5, max: 20 } },  // 东北太平洋 (140W to 80W)
-    'NATL': { lon: { min: 260, max: 350 }, lat: { min: 6, max: 32 } },  // 北大西洋 (75W to 10W)
-    'NIO':  { lon: { min: 60,  max: 100 }, lat: { min: 5, max: 25 } },   // 北印度洋
-    'SHEM':  { lon: { min: 140,  max: 200 }, lat: { min: -15, max: -5 } },   // 南太平洋
-    'SIO':  { lon: { min: 30,  max: 140 }, lat: { min: -15, max: -5 } },
-    'SATL':  { lon: { min: -50,  max: 15 }, lat: { min: -25, max: -10 } }
+    'WPAC': { lon: { min: 100, max: 180 }, lat: { min: 5, max: 25 }, genesis: { annual: 26, peaks: [8.5] } },  // 西北太平洋
+    'EPAC': { lon: { min: 180, max: 260 }, lat: { min: 5, max: 20 }, genesis: { annual: 16, peaks: [8] } },  // 东北太平洋 (140W to 80W)
+    'NATL': { lon: { min: 260, max: 350 }, lat: { min: 6, max: 32 }, genesis: { annual: 14, peaks: [9] } },  // 北大西洋 (75W to 10W)
+    'NIO':  { lon: { min: 60,  max: 100 }, lat: { min: 5, max: 25 }, genesis: { annual: 5, peaks: [5, 11] } },   // 北印度洋 (双峰)
+    'SHEM':  { lon: { min: 140,  max: 200 }, lat: { min: -15, max: -5 }, genesis: { annual: 9, peaks: [2] } },   // 南太平洋
+    'SIO':  { lon: { min: 30,  max: 140 }, lat: { min: -15, max: -5 }, genesis: { annual: 12, peaks: [1.5] } },
+    'SATL':  { lon: { min: -50,  max: 15 }, lat: { min: -25, max: -10 }, genesis: { annual: 0.5, peaks: [3] } }
 };
 
-function calculateLayerWind(lon, lat, systems) {
+export const HOURS_PER_MONTH = 730; // 平均每月小时数 (赛季模式的月份推进)
+const GENESIS_SST_THRESHOLD = 26.5;
+const genesisSstCache = new Map();
+
+// 季节形状：距离最近峰值月份越近越大 (0 ~ 1)
+function genesisSeasonShape(peaks, month) {
+    return Math.max(...peaks.map(peak => ((Math.cos((month - peak) * (Math.PI / 6)) + 1) / 2) ** 2));
+}
+
+// 海域内海洋格点的平均暖水距平 (SST 超过 26.5°C 的部分)
+function getBasinWarmWaterExcess(basin, month, globalTemp) {
+    const key = `${basin}|${month}|${globalTemp}`;
+    if (genesisSstCache.has(key)) return genesisSstCache.get(key);
+
+    const cfg = basinConfig[basin] || basinConfig['WPAC'];
+    let sum = 0;
+    let count = 0;
+    for (let lat = cfg.lat.min; lat <= cfg.lat.max; lat += 2.5) {
+        for (let lon = cfg.lon.min; lon <= cfg.lon.max; lon += 2.5) {
+            if (getLandStatus(lon, lat).isLand) continue;
+            sum += Math.max(0, getSST(lat, lon, month, globalTemp, NEUTRAL_CLIMATE) - GENESIS_SST_THRESHOLD);
+            count++;
+        }
+    }
+    const excess = count > 0 ? sum / count : 0;
+    genesisSstCache.set(key, excess);
+    return excess;
+}
+
+/**
+ * [新增] 气候态生成率：每 3 小时时间步内预期生成的气旋个数
+ * 由 basinConfig 的年均生成数与季节峰值给出基准，再按当月海域暖水 (getSST + GlobalTemp) 相对基准温度 289K 的比例缩放，
+ * 最后乘以 ENSO / MJO 的调制倍数 (暖水比例按中性气候态计算，避免重复计入)
+ */
+export function getGenesisRate(basin, month, globalTemp = 289) {
+    const cfg = basinConfig[basin] || basinConfig['WPAC'];
+    const { annual, peaks } = cfg.genesis;
+
+    let shapeTotal = 0;
+    for (let m = 1; m <= 12; m++) shapeTotal += genesisSeasonShape(peaks, m);
+    const monthlyCount = annual * genesisSeasonShape(peaks, month) / shapeTotal;
+
+    const eps = 0.1;
+    const sstFactor = (getBasinWarmWaterExcess(basin, month, globalTemp) + eps) / (getBasinWarmWaterExcess(basin, month, 289) + eps);
+
+    const climateFactor = getGenesisRateFactor(basin, getBasinCenter(basin));
+
+    return monthlyCount * Math.max(0, Math.min(3, sstFactor)) * climateFactor / (HOURS_PER_MONTH / 3);
+}
+
+// [新增] 海域中心点 (赛季模式开始时尚无气旋，用于初始化气压系统)
+export function getBasinCenter(basin) {
+    const cfg = basinConfig[basin] || basinConfig['WPAC'];
+    return { lon: (cfg.lon.min + cfg.lon.max) / 2, lat: (cfg.lat.min + cfg.lat.max) / 2 };
+}
+
+// [修改] waves: 高层罗斯贝波 (可选)，叠加到该层气压场后再求地转风
+function calculateLayerWind(lon, lat, systems, waves = null) {
     const dDeg = 0.5;
     const RE = 6371000;
     const latRad = lat * (Math.PI / 180);
@@ -24,10 +86,11 @@ function calculateLayerWind(lon, lat, systems) {
     
     const effectiveF = Math.abs(f) < 5e-5 ? (f >= 0 ? 5e-5 : -5e-5) : f; 
 
-    const p_x_plus = getPressureAt(lon + dDeg, lat, systems, false);
-    const p_x_minus = getPressureAt(lon - dDeg, lat, systems, false);
-    const p_y_plus = getPressureAt(lon, lat + dDeg, systems, false);
-    const p_y_minus = getPressureAt(lon, lat - dDeg, systems, false);
+    const pressureAt = (x, y) => getPressureAt(x, y, systems, false) + getWavePressureAt(x, y, waves);
+    const p_x_plus = pressureAt(lon + dDeg, lat);
+    const p_x_minus = pressureAt(lon - dDeg, lat);
+    const p_y_plus = pressureAt(lon, lat + dDeg);
+    const p_y_minus = pressureAt(lon, lat - dDeg);
 
     const gradX = (p_x_plus - p_x_minus);
     const gradY = (p_y_plus - p_y_minus);
@@ -38,6 +101,52 @@ function calculateLayerWind(lon, lat, systems) {
     return { u, v };
 }
 
+// 单个气旋的涡旋风场 (切向风 + 移动不对称)，供多气旋叠加
+function calculateVortexWind(lon, lat, cyclone, inflowAngle) {
+    const result = { u_vortex: 0, v_vortex: 0, u_trans: 0, v_trans: 0 };
+    if (!cyclone || cyclone.status !== 'active') return result;
+
+    const dist = calculateDistance(lat, lon, cyclone.lat, cyclone.lon);
+    // [修改] 使用共享的 Holland 参数化剖面 (vortex-model.js)
+    const vortex = getVortexParameters(cyclone);
+    const RMW = vortex.rmw;
+    const outerRadius = vortex.outerRadius;
+
+    if (dist < outerRadius) {
+        const vortexSpeed = getVortexWindSpeed(dist, cyclone.intensity, vortex);
+
+        const dx = lon - cyclone.lon;
+        const dy = lat - cyclone.lat;
+        const angleToCenter = Math.atan2(dy, dx);
+        
+        // Inflow Angle
+        const rotationOffset = (cyclone.lat >= 0) ? (Math.PI / 2 + inflowAngle) : (-Math.PI / 2 - inflowAngle);
+        const windAngle = angleToCenter + rotationOffset;
+
+        const speedMs = vortexSpeed; 
+
+        result.u_vortex = Math.cos(windAngle) * speedMs;
+        result.v_vortex = Math.sin(windAngle) * speedMs;
+        const moveSpeed = cyclone.speed;
+        const moveAngleMath = (450 - cyclone.direction) % 360 * (Math.PI / 180);
+        const asymmetryFactor = 0.6;
+        let u_trans = Math.cos(moveAngleMath) * moveSpeed * asymmetryFactor;
+        let v_trans = Math.sin(moveAngleMath) * moveSpeed * asymmetryFactor;
+        let transDecay = 1.0;
+        if (dist > RMW) {
+            transDecay = Math.max(0, 1 - (dist - RMW) / (outerRadius - RMW));
+        }
+        
+        result.u_trans = u_trans * transDecay;
+        result.v_trans = v_trans * transDecay;
+    }
+    return result;
+}
+
+/**
+ * 某点的地面风矢量 = 环境风 + 所有活跃气旋的涡旋风
+ * @param {Object|Object[]} cyclone - 单个气旋对象，或多气旋数组
+ */
 export function getWindVectorAt(lon, lat, month, cyclone, pressureSystems) {
     let k = 1.0;
     let alphaDeg = 15;
@@ -54,63 +163,20 @@ export function getWindVectorAt(lon, lat, month, cyclone, pressureSystems) {
     // 1. Environmental Flow
     const envWind = calculateLayerWind(lon, lat, pressureSystems.lower);
     
-    // 2. Vortex Flow
+    // 2. Vortex Flow (多气旋线性叠加)
     let u_vortex = 0;
     let v_vortex = 0;
     let u_trans = 0;
     let v_trans = 0;
 
-    if (cyclone.status === 'active') {
-        const dist = calculateDistance(lat, lon, cyclone.lat, cyclone.lon);
-        const RMW = 5 + cyclone.circulationSize * 0.125;
-        const outerRadius = cyclone.circulationSize * 4.0; 
-
-        if (dist < outerRadius) {
-            let vortexSpeed = 0;
-            const maxWind = cyclone.intensity;
-
-            if (dist < RMW) {
-                vortexSpeed = maxWind * (dist / RMW);
-            } else {
-                const decayExponent = 0.80 - cyclone.circulationSize * 0.0002;
-                const rawSpeed = maxWind * Math.pow(RMW / dist, decayExponent);
-                
-                // Decay
-                let fade = 1;
-                const fadeStart = outerRadius * 0.35;
-                if (dist > fadeStart) {
-                    const t = (dist - fadeStart) / (outerRadius - fadeStart);
-                    fade = (Math.exp(-2*t) - Math.exp(-2)) / (1 - Math.exp(-2));
-                }
-                vortexSpeed = rawSpeed * fade;
-            }
-
-            const dx = lon - cyclone.lon;
-            const dy = lat - cyclone.lat;
-            const angleToCenter = Math.atan2(dy, dx);
-            
-            // Inflow Angle
-            const rotationOffset = (cyclone.lat >= 0) ? (Math.PI / 2 + inflowAngle) : (-Math.PI / 2 - inflowAngle);
-            const windAngle = angleToCenter + rotationOffset;
-
-            const speedMs = vortexSpeed; 
-
-            u_vortex = Math.cos(windAngle) * speedMs;
-            v_vortex = Math.sin(windAngle) * speedMs;
-            const moveSpeed = cyclone.speed;
-            const moveAngleMath = (450 - cyclone.direction) % 360 * (Math.PI / 180);
-            const asymmetryFactor = 0.6;
-            u_trans = Math.cos(moveAngleMath) * moveSpeed * asymmetryFactor;
-            v_trans = Math.sin(moveAngleMath) * moveSpeed * asymmetryFactor;
-            let transDecay = 1.0;
-            if (dist > RMW) {
-                transDecay = Math.max(0, 1 - (dist - RMW) / (outerRadius - RMW));
-            }
-            
-            u_trans *= transDecay;
-            v_trans *= transDecay;
-        }
-    }
+    const storms = Array.isArray(cyclone) ? cyclone : [cyclone];
+    storms.forEach(storm => {
+        const w = calculateVortexWind(lon, lat, storm, inflowAngle);
+        u_vortex += w.u_vortex;
+        v_vortex += w.v_vortex;
+        u_trans += w.u_trans;
+        v_trans += w.v_trans;
+    });
 
     return { 
         u: envWind.u + u_vortex * k + u_trans, 
@@ -119,13 +185,25 @@ export function getWindVectorAt(lon, lat, month, cyclone, pressureSystems) {
     };
 }
 
-export function initializeCyclone(world, month, basin = 'WPAC', globalTemp, globalShear, customLon = null, customLat = null) {
+// [新增] MJO 抑制位相下按概率拒绝候选生成点 (中性气候态不消耗随机数)
+function acceptGenesisPoint(lon, lat) {
+    const acceptance = getGenesisAcceptance(lon, lat);
+    return acceptance >= 1 || random() < acceptance;
+}
+
+/**
+ * @param {Object} [genesis] - [新增] 情景指定的初始强度 / 尺度 / 移动 ({intensity, circulationSize, direction, speed}，
+ *        省略的字段仍随机生成；生成点通过 customLon / customLat 传入)
+ */
+export function initializeCyclone(world, month, basin = 'WPAC', globalTemp, globalShear, customLon = null, customLat = null, genesis = null) {
     let lat, lon, isOverLand;
+    const scripted = genesis || {};
 
     let useCustomCoords = (customLon !== null && customLat !== null);
     
     if (useCustomCoords) {
-        isOverLand = world.features.some(feature => d3.geoContains(feature, [customLon, customLat]));
+        // 使用栅格陆地遮罩判定 (不依赖 d3，可在无界面引擎中运行)
+        isOverLand = getLandStatus(customLon, customLat).isLand;
         if (isOverLand) {
             console.warn(`Custom coordinates (${customLon}, ${customLat}) are on land. Falling back to random generation.`);
             useCustomCoords = false;
@@ -138,8 +216,10 @@ export function initializeCyclone(world, month, basin = 'WPAC', globalTemp, glob
     
     if (!useCustomCoords) {
         const selectedBasin = basinConfig[basin] || basinConfig['WPAC']; // WPAC default
-        const lonRange = selectedBasin.lon;
-        const latBaseRange = selectedBasin.lat;
+        // [新增] ENSO / IOD 使生成区整体偏移 (El Niño 时西太生成区东移南压)
+        const climateShift = getGenesisShift(basin);
+        const lonRange = { min: selectedBasin.lon.min + climateShift.lon, max: selectedBasin.lon.max + climateShift.lon };
+        const latBaseRange = { min: selectedBasin.lat.min + climateShift.lat, max: selectedBasin.lat.max + climateShift.lat };
 
         const seasonalFactor = (Math.cos((month - 8) * (Math.PI / 6)) + 1) / 2; // 0 ~ 1
 
@@ -154,40 +234,40 @@ export function initializeCyclone(world, month, basin = 'WPAC', globalTemp, glob
         // 4. Don't spawn on land
         let sst;
         do {
-            lat = currentMinLat + Math.random() * latSpan;
-            lon = lonRange.min + Math.random() * (lonRange.max - lonRange.min);
+            lat = currentMinLat + random() * latSpan;
+            lon = lonRange.min + random() * (lonRange.max - lonRange.min);
             const status = getLandStatus(lon, lat);
             isOverLand = status.isLand;
 
             sst = getSST(lat, lon, month, globalTemp);
 
-        } while (isOverLand || sst < 25.4); // 如果在陆地上或者海温过低，重试
+        } while (isOverLand || sst < 25.4 || !acceptGenesisPoint(lon, lat)); // 如果在陆地上、海温过低或处于 MJO 抑制区 (按概率)，重试
     }
 
     // --- Subtropical ---
     const initialSST = getSST(lat, lon, month, globalTemp);
     let isSubtropical = false;
     let subtropicalTransitionTime = 0;
-    if (initialSST < 27.5 && Math.random() < 0.75 && (lon > 122 || lon < 40)) {
+    if (initialSST < 27.5 && random() < 0.75 && (lon > 122 || lon < 40)) {
         isSubtropical = true;
-        const durationSteps = 0 + Math.floor(Math.random() * 25);
+        const durationSteps = 0 + Math.floor(random() * 25);
         subtropicalTransitionTime = durationSteps * 3;
     }
 
     let isMonsoonDepression = false;
     let monsoonDepressionEndTime = 0;
-    if (Math.random() < (0.2 + globalTemp / 72.25 - 4) && (lat > 0)) {
+    if (random() < (0.2 + globalTemp / 72.25 - 4) && (lat > 0)) {
         isMonsoonDepression = true;
-        const durationSteps = Math.floor(Math.random() * 50);
+        const durationSteps = Math.floor(random() * 50);
         monsoonDepressionEndTime = durationSteps * 3;
     }
 
     return {
         lat: lat,
         lon: lon,
-        intensity: 23 + Math.random() * 2,
-        direction: Math.random() * 360,
-        speed: 10 + Math.random() * 5,
+        intensity: scripted.intensity ?? 23 + random() * 2,
+        direction: scripted.direction ?? random() * 360,
+        speed: scripted.speed ?? 10 + random() * 5,
         basin: basin,
         age: 0,
         shearEventActive: false,
@@ -205,13 +285,12 @@ export function initializeCyclone(world, month, basin = 'WPAC', globalTemp, glob
         extratropicalStage: 'none',
         extratropicalDevelopmentEndTime: 0,
         extratropicalMaxIntensity: 0,
-        upwellingCoolingEffect: 0,
         isERCActive: false,
         ercState: 'none',
         ercEndTime: 0,
         ercMpiReduction: 0,
         ercSizeFactor: 1.0,
-        circulationSize: 150 + Math.random() * 350,
+        circulationSize: scripted.circulationSize ?? 150 + random() * 350,
         r34: 0, r50: 0, r64: 0,
         forecastLogs: {},
         ace: 0
@@ -219,8 +298,16 @@ export function initializeCyclone(world, month, basin = 'WPAC', globalTemp, glob
 
 }
 
-export function initializePressureSystems(cyclone, month) {
+/**
+ * @param {Object} [scripted] - [新增] 情景给出的双层气压系统 ({upper, lower, waves?})，提供时原样使用而不随机生成
+ */
+export function initializePressureSystems(cyclone, month, scripted = null) {
     if (typeof month !== 'number' || !Number.isFinite(month)) month = 8;
+    if (scripted) {
+        const systems = JSON.parse(JSON.stringify(scripted));
+        if (!Array.isArray(systems.waves)) systems.waves = initializeRossbyWaves(month);
+        return systems;
+    }
     
     const tempAllSystems = [];
     
@@ -231,152 +318,152 @@ export function initializePressureSystems(cyclone, month) {
     // 1. Tropical Low
     tempAllSystems.push({
         type: 'high',
-        x: 140, y: 1 + (Math.random() - 0.5) * 5, 
-        baseSigmaX: 300, sigmaX: 300, sigmaY: 10 + Math.random() * 4, 
-        strength: -(10 + Math.random() * 3), baseStrength: -(10 + Math.random() * 3),
-        velocityX: (Math.random() - 0.5) * 0.1, velocityY: (Math.random() - 0.5) * 0.1,
-        oscillationPhase: Math.random() * Math.PI * 2, oscillationSpeed: 0.01 + Math.random() * 0.01, oscillationAmount: 0.1,
+        x: 140, y: 1 + (random() - 0.5) * 5, 
+        baseSigmaX: 300, sigmaX: 300, sigmaY: 10 + random() * 4, 
+        strength: -(10 + random() * 3), baseStrength: -(10 + random() * 3),
+        velocityX: (random() - 0.5) * 0.1, velocityY: (random() - 0.5) * 0.1,
+        oscillationPhase: random() * Math.PI * 2, oscillationSpeed: 0.01 + random() * 0.01, oscillationAmount: 0.1,
         noiseLayers: []
     });
 
     tempAllSystems.push({
         type: 'low',
-        x: 120, y: 10 + (Math.random() - 0.5) * 5, 
-        baseSigmaX: 70, sigmaX: 70, sigmaY: 20 + Math.random() * 4, 
-        strength: -(5 + Math.random() * 3) * (0.5+0.5*seasonalFactor), baseStrength: -(5 + Math.random() * 3) * (0.5+0.5*seasonalFactor),
-        velocityX: (Math.random() - 0.5) * 0.01, velocityY: (Math.random() - 0.5) * 0.01,
-        oscillationPhase: Math.random() * Math.PI * 2, oscillationSpeed: 0.01 + Math.random() * 0.01, oscillationAmount: 0.01,
+        x: 120, y: 10 + (random() - 0.5) * 5, 
+        baseSigmaX: 70, sigmaX: 70, sigmaY: 20 + random() * 4, 
+        strength: -(5 + random() * 3) * (0.5+0.5*seasonalFactor), baseStrength: -(5 + random() * 3) * (0.5+0.5*seasonalFactor),
+        velocityX: (random() - 0.5) * 0.01, velocityY: (random() - 0.5) * 0.01,
+        oscillationPhase: random() * Math.PI * 2, oscillationSpeed: 0.01 + random() * 0.01, oscillationAmount: 0.01,
         noiseLayers: []
     });
 
     // 2. Subtropical High
-    // (A) WPAC
+    // (A) WPAC ([新增] El Niño 时东退、La Niña 时西伸)
     tempAllSystems.push({
         type: 'high',
-        x: 150 + (Math.random() - 0.5) * 50, 
-        y: 26 + (Math.random() - 0.5) * 8 + 14 * seasonalFactor,
-        baseSigmaX: 25 + Math.random() * 30, sigmaX: 0, sigmaY: 10 + Math.random() * 15,
-        strength: 15 + Math.random() * 6, baseStrength: 15 + Math.random() * 6,
-        velocityX: (Math.random() - 0.5) * 0.9, velocityY: (Math.random() - 0.5) * 0.3,
-        oscillationPhase: Math.random() * Math.PI * 2, oscillationSpeed: 0.02 + Math.random() * 0.01, oscillationAmount: 0.2 + Math.random() * 0.5,
+        x: 150 + getSubtropicalHighShift() + (random() - 0.5) * 50, 
+        y: 26 + (random() - 0.5) * 8 + 14 * seasonalFactor,
+        baseSigmaX: 25 + random() * 30, sigmaX: 0, sigmaY: 10 + random() * 15,
+        strength: 15 + random() * 6, baseStrength: 15 + random() * 6,
+        velocityX: (random() - 0.5) * 0.9, velocityY: (random() - 0.5) * 0.3,
+        oscillationPhase: random() * Math.PI * 2, oscillationSpeed: 0.02 + random() * 0.01, oscillationAmount: 0.2 + random() * 0.5,
         noiseLayers: []
     });
     // (B) WPAC Land
     tempAllSystems.push({
         type: 'high',
-        x: 115 + (Math.random() - 0.5) * 50, 
-        y: 23 + (Math.random() - 0.5) * 10 + 14 * seasonalFactor,
-        baseSigmaX: 30 + Math.random() * 25, sigmaX: 0, sigmaY: 5 + Math.random() * 25,
-        strength: 8 + Math.random() * 11, baseStrength: 8 + Math.random() * 11,
-        velocityX: (Math.random() - 0.5) * 1.5, velocityY: (Math.random() - 0.5) * 1.6,
-        oscillationPhase: Math.random() * Math.PI * 2, oscillationSpeed: 0.025 + Math.random() * 0.05, oscillationAmount: 0.25 + Math.random() * 0.3,
+        x: 115 + (random() - 0.5) * 50, 
+        y: 23 + (random() - 0.5) * 10 + 14 * seasonalFactor,
+        baseSigmaX: 30 + random() * 25, sigmaX: 0, sigmaY: 5 + random() * 25,
+        strength: 8 + random() * 11, baseStrength: 8 + random() * 11,
+        velocityX: (random() - 0.5) * 1.5, velocityY: (random() - 0.5) * 1.6,
+        oscillationPhase: random() * Math.PI * 2, oscillationSpeed: 0.025 + random() * 0.05, oscillationAmount: 0.25 + random() * 0.3,
         noiseLayers: []
     });
     // (B2) WPAC Land 2
     tempAllSystems.push({
         type: 'high',
-        x: 50 + (Math.random() - 0.5) * 15, 
-        y: 24 + (Math.random() - 0.5) * 10 + 12 * seasonalFactor,
-        baseSigmaX: 30 + Math.random() * 10, sigmaX: 0, sigmaY: 10 + Math.random() * 8,
-        strength: 10 + Math.random() * 8, baseStrength: 10 + Math.random() * 8,
-        velocityX: (Math.random() - 0.5) * 0.5, velocityY: (Math.random() - 0.5) * 0.4,
-        oscillationPhase: Math.random() * Math.PI * 2, oscillationSpeed: 0.025 + Math.random() * 0.01, oscillationAmount: 0.25 + Math.random() * 0.2,
+        x: 50 + (random() - 0.5) * 15, 
+        y: 24 + (random() - 0.5) * 10 + 12 * seasonalFactor,
+        baseSigmaX: 30 + random() * 10, sigmaX: 0, sigmaY: 10 + random() * 8,
+        strength: 10 + random() * 8, baseStrength: 10 + random() * 8,
+        velocityX: (random() - 0.5) * 0.5, velocityY: (random() - 0.5) * 0.4,
+        oscillationPhase: random() * Math.PI * 2, oscillationSpeed: 0.025 + random() * 0.01, oscillationAmount: 0.25 + random() * 0.2,
         noiseLayers: []
     });
     // (C) Hawaii High
     tempAllSystems.push({
         type: 'high',
-        x: -140 + (Math.random() - 0.5) * 40, 
-        y: 20 + (Math.random() - 0.5) * 20 + 6 * seasonalFactor,
-        baseSigmaX: 40 + Math.random() * 25, sigmaX: 0, sigmaY: 13 + Math.random() * 13,
-        strength: 20 + Math.random() * 12, baseStrength: 20 + Math.random() * 12,
-        velocityX: (Math.random() - 0.5) * 0.5, velocityY: (Math.random() - 0.5) * 0.4,
-        oscillationPhase: Math.random() * Math.PI * 2, oscillationSpeed: 0.005 + Math.random() * 0.01, oscillationAmount: 0.25 + Math.random() * 0.2,
+        x: -140 + (random() - 0.5) * 40, 
+        y: 20 + (random() - 0.5) * 20 + 6 * seasonalFactor,
+        baseSigmaX: 40 + random() * 25, sigmaX: 0, sigmaY: 13 + random() * 13,
+        strength: 20 + random() * 12, baseStrength: 20 + random() * 12,
+        velocityX: (random() - 0.5) * 0.5, velocityY: (random() - 0.5) * 0.4,
+        oscillationPhase: random() * Math.PI * 2, oscillationSpeed: 0.005 + random() * 0.01, oscillationAmount: 0.25 + random() * 0.2,
         noiseLayers: []
     });
     // (D) Atlantic High
     tempAllSystems.push({
         type: 'high',
-        x: -30 + (Math.random() - 0.5) * 15, 
-        y: 30 + (Math.random() - 0.5) * 10 + 6 * seasonalFactor,
-        baseSigmaX: 50 + Math.random() * 10, sigmaX: 0, sigmaY: 10 + Math.random() * 10,
-        strength: 22 + Math.random() * 6, baseStrength: 22 + Math.random() * 6,
-        velocityX: (Math.random() - 0.5) * 0.5, velocityY: (Math.random() - 0.5) * 0.4,
-        oscillationPhase: Math.random() * Math.PI * 2, oscillationSpeed: 0.025 + Math.random() * 0.01, oscillationAmount: 0.25 + Math.random() * 0.2,
+        x: -30 + (random() - 0.5) * 15, 
+        y: 30 + (random() - 0.5) * 10 + 6 * seasonalFactor,
+        baseSigmaX: 50 + random() * 10, sigmaX: 0, sigmaY: 10 + random() * 10,
+        strength: 22 + random() * 6, baseStrength: 22 + random() * 6,
+        velocityX: (random() - 0.5) * 0.5, velocityY: (random() - 0.5) * 0.4,
+        oscillationPhase: random() * Math.PI * 2, oscillationSpeed: 0.025 + random() * 0.01, oscillationAmount: 0.25 + random() * 0.2,
         noiseLayers: []
     });
     // South Hemisphere Highs
     tempAllSystems.push({
-        type: 'high', x: 75 + (Math.random() - 0.5) * 50, y: -22 + (Math.random() - 0.5) * 10 + 6 * seasonalFactor,
-        baseSigmaX: 40 + Math.random() * 60, sigmaX: 0, sigmaY: 5 + Math.random() * 10,
-        strength: 20 + Math.random() * 6, baseStrength: 20 + Math.random() * 6,
-        velocityX: (Math.random() - 0.5) * 0.5, velocityY: (Math.random() - 0.5) * 0.4,
-        oscillationPhase: Math.random() * Math.PI * 2, oscillationSpeed: 0.025 + Math.random() * 0.01, oscillationAmount: 0.25 + Math.random() * 0.2,
+        type: 'high', x: 75 + (random() - 0.5) * 50, y: -22 + (random() - 0.5) * 10 + 6 * seasonalFactor,
+        baseSigmaX: 40 + random() * 60, sigmaX: 0, sigmaY: 5 + random() * 10,
+        strength: 20 + random() * 6, baseStrength: 20 + random() * 6,
+        velocityX: (random() - 0.5) * 0.5, velocityY: (random() - 0.5) * 0.4,
+        oscillationPhase: random() * Math.PI * 2, oscillationSpeed: 0.025 + random() * 0.01, oscillationAmount: 0.25 + random() * 0.2,
         noiseLayers: []
     });
     tempAllSystems.push({
-        type: 'high', x: 150 + (Math.random() - 0.5) * 50, y: -22 + (Math.random() - 0.5) * 10 + 6 * seasonalFactor,
-        baseSigmaX: 15 + Math.random() * 35, sigmaX: 0, sigmaY: 5 + Math.random() * 10,
-        strength: 18 + Math.random() * 6, baseStrength: 18 + Math.random() * 6,
-        velocityX: (Math.random() - 0.5) * 0.5, velocityY: (Math.random() - 0.5) * 0.4,
-        oscillationPhase: Math.random() * Math.PI * 2, oscillationSpeed: 0.025 + Math.random() * 0.01, oscillationAmount: 0.25 + Math.random() * 0.2,
+        type: 'high', x: 150 + (random() - 0.5) * 50, y: -22 + (random() - 0.5) * 10 + 6 * seasonalFactor,
+        baseSigmaX: 15 + random() * 35, sigmaX: 0, sigmaY: 5 + random() * 10,
+        strength: 18 + random() * 6, baseStrength: 18 + random() * 6,
+        velocityX: (random() - 0.5) * 0.5, velocityY: (random() - 0.5) * 0.4,
+        oscillationPhase: random() * Math.PI * 2, oscillationSpeed: 0.025 + random() * 0.01, oscillationAmount: 0.25 + random() * 0.2,
         noiseLayers: []
     });
     tempAllSystems.push({
-        type: 'high', x: -30 + (Math.random() - 0.5) * 50, y: -22 + (Math.random() - 0.5) * 10 + 6 * seasonalFactor,
-        baseSigmaX: 15 + Math.random() * 20, sigmaX: 0, sigmaY: 5 + Math.random() * 10,
-        strength: 15 + Math.random() * 6, baseStrength: 15 + Math.random() * 6,
-        velocityX: (Math.random() - 0.5) * 0.5, velocityY: (Math.random() - 0.5) * 0.4,
-        oscillationPhase: Math.random() * Math.PI * 2, oscillationSpeed: 0.025 + Math.random() * 0.01, oscillationAmount: 0.25 + Math.random() * 0.2,
+        type: 'high', x: -30 + (random() - 0.5) * 50, y: -22 + (random() - 0.5) * 10 + 6 * seasonalFactor,
+        baseSigmaX: 15 + random() * 20, sigmaX: 0, sigmaY: 5 + random() * 10,
+        strength: 15 + random() * 6, baseStrength: 15 + random() * 6,
+        velocityX: (random() - 0.5) * 0.5, velocityY: (random() - 0.5) * 0.4,
+        oscillationPhase: random() * Math.PI * 2, oscillationSpeed: 0.025 + random() * 0.01, oscillationAmount: 0.25 + random() * 0.2,
         noiseLayers: []
     });
 
     // (E) Polar Low
     tempAllSystems.push({
         type: 'high',
-        x: -60 + (Math.random() - 0.5) * 15, 
-        y: 72 + (Math.random() - 0.5) * 10,
-        baseSigmaX: 250, sigmaX: 250, sigmaY: 10 + Math.random() * 5,
-        strength: 25 + Math.random() * 6, baseStrength: 25 + Math.random() * 6,
-        velocityX: (Math.random() - 0.5) * 0.5, velocityY: (Math.random() - 0.5) * 0.4,
-        oscillationPhase: Math.random() * Math.PI * 2, oscillationSpeed: 0.025 + Math.random() * 0.01, oscillationAmount: 0.25 + Math.random() * 0.2,
+        x: -60 + (random() - 0.5) * 15, 
+        y: 72 + (random() - 0.5) * 10,
+        baseSigmaX: 250, sigmaX: 250, sigmaY: 10 + random() * 5,
+        strength: 25 + random() * 6, baseStrength: 25 + random() * 6,
+        velocityX: (random() - 0.5) * 0.5, velocityY: (random() - 0.5) * 0.4,
+        oscillationPhase: random() * Math.PI * 2, oscillationSpeed: 0.025 + random() * 0.01, oscillationAmount: 0.25 + random() * 0.2,
         noiseLayers: []
     });
 
     // (U) Local Low
     tempAllSystems.push({
         type: 'high',
-        x: 100 + (Math.random() - 0.5) * 5, y: 20 + (Math.random() - 0.5) * 5,
-        sigmaX: 5, sigmaY: 3 + Math.random() * 2,
-        strength: 6 + Math.random() * 6,
-        velocityX: (Math.random() - 0.5) * 0.5, velocityY: (Math.random() - 0.5) * 0.4,
+        x: 100 + (random() - 0.5) * 5, y: 20 + (random() - 0.5) * 5,
+        sigmaX: 5, sigmaY: 3 + random() * 2,
+        strength: 6 + random() * 6,
+        velocityX: (random() - 0.5) * 0.5, velocityY: (random() - 0.5) * 0.4,
         noiseLayers: []
     });
 
     // (F1) Random Low
-    const numberOfSystems = 2 + Math.floor(Math.random() * 11);
+    const numberOfSystems = 2 + Math.floor(random() * 11);
     for (let i = 0; i < numberOfSystems; i++) {
         tempAllSystems.push({
             type: 'low',
-            x: (Math.random() - 0.5) * 60 + baseLon,
-            y: baseLat > 0 ? Math.max(10, (Math.random() - 0.2) * 25 + baseLat) : Math.min(-10, (Math.random() - 0.7) * 20 + baseLat),
-            sigmaX: 1 + Math.random() * 3, sigmaY: 1 + Math.random() * 4,
-            strength: -4 + (Math.random()) * 2,
-            velocityX: 0.5 - Math.random() * 1, velocityY: (Math.random() - 0.5) * 0.1,
-            noiseLayers: [ { offsetX: 0, offsetY: 0, freqX: 5, freqY: 5, amplitude: 0.1 }, { offsetX: 0, offsetY: 0, freqX: 1, freqY: 1, amplitude: Math.random() * 0.1 } ]
+            x: (random() - 0.5) * 60 + baseLon,
+            y: baseLat > 0 ? Math.max(10, (random() - 0.2) * 25 + baseLat) : Math.min(-10, (random() - 0.7) * 20 + baseLat),
+            sigmaX: 1 + random() * 3, sigmaY: 1 + random() * 4,
+            strength: -4 + (random()) * 2,
+            velocityX: 0.5 - random() * 1, velocityY: (random() - 0.5) * 0.1,
+            noiseLayers: [ { offsetX: 0, offsetY: 0, freqX: 5, freqY: 5, amplitude: 0.1 }, { offsetX: 0, offsetY: 0, freqX: 1, freqY: 1, amplitude: random() * 0.1 } ]
         });
     }
 
     // (F0) Random High
-    const numberOfSystemsH = 0 + Math.floor(Math.random() * 2);
+    const numberOfSystemsH = 0 + Math.floor(random() * 2);
     for (let i = 0; i < numberOfSystemsH; i++) {
         tempAllSystems.push({
             type: 'high',
-            x: (Math.random() - 0.5) * 60 + baseLon,
-            y: baseLat > 0 ? Math.max(15, (Math.random() - 1) * 5 + baseLat) : Math.min(-15, (Math.random() + 1) * 5 + baseLat),
-            sigmaX: 2 + Math.random() * 4, sigmaY: 2 + Math.random() * 1,
-            strength: 1 + (Math.random()) * 10,
-            velocityX: 0.5 - Math.random() * 1, velocityY: (Math.random() - 0.5) * 0.1,
+            x: (random() - 0.5) * 60 + baseLon,
+            y: baseLat > 0 ? Math.max(15, (random() - 1) * 5 + baseLat) : Math.min(-15, (random() + 1) * 5 + baseLat),
+            sigmaX: 2 + random() * 4, sigmaY: 2 + random() * 1,
+            strength: 1 + (random()) * 10,
+            velocityX: 0.5 - random() * 1, velocityY: (random() - 0.5) * 0.1,
             noiseLayers: []
         });
     }
@@ -384,40 +471,40 @@ export function initializePressureSystems(cyclone, month) {
     // (F2) Random System
     const isWinterSeason = (month >= 10 || month <= 3);
 
-    if (!isWinterSeason && Math.random() < 0.95) {
+    if (!isWinterSeason && random() < 0.95) {
         tempAllSystems.push({
             type: 'low',
-            x: 85  + (Math.random() - 0.5) * 15, y: 25  + (Math.random() - 0.5) * 5,
-            sigmaX: 30 + Math.random() * 3, sigmaY: 10, strength: -10 - (Math.random()) * 5,
-            velocityX: (Math.random()-0.5) * 0.2, velocityY: Math.random() * -1.0, noiseLayers: []
+            x: 85  + (random() - 0.5) * 15, y: 25  + (random() - 0.5) * 5,
+            sigmaX: 30 + random() * 3, sigmaY: 10, strength: -10 - (random()) * 5,
+            velocityX: (random()-0.5) * 0.2, velocityY: random() * -1.0, noiseLayers: []
         });
     }
 
     // 3. Subtropical Low(North)
     const subtropicalHighs = tempAllSystems.filter(p => p.strength > 0 && p.y > 10 && p.y < 45);
     const meanSubtropicalLat = subtropicalHighs.length > 0 ? subtropicalHighs.reduce((sum, p) => sum + p.y, 0) / subtropicalHighs.length : 45;
-    const subpolarLat = meanSubtropicalLat + 18 + (Math.random() - 0.5) * 4;
+    const subpolarLat = meanSubtropicalLat + 18 + (random() - 0.5) * 4;
 
     tempAllSystems.push({
         type: 'high',
-        x: 150, y: subpolarLat, baseSigmaX: 250, sigmaX: 250, sigmaY: 8 + Math.random() * 5,
-        strength: -(65 + Math.random() * 10), baseStrength: -(65 + Math.random() * 10),
-        velocityX: (Math.random() - 0.5) * 0.2, velocityY: (Math.random() - 0.5) * 0.1,
-        oscillationPhase: Math.random() * Math.PI * 2, oscillationSpeed: 0.015 + Math.random() * 0.01, oscillationAmount: 0.15,
+        x: 150, y: subpolarLat, baseSigmaX: 250, sigmaX: 250, sigmaY: 8 + random() * 5,
+        strength: -(65 + random() * 10), baseStrength: -(65 + random() * 10),
+        velocityX: (random() - 0.5) * 0.2, velocityY: (random() - 0.5) * 0.1,
+        oscillationPhase: random() * Math.PI * 2, oscillationSpeed: 0.015 + random() * 0.01, oscillationAmount: 0.15,
         noiseLayers: []
     });
 
     // 4. Subtropical Low(South)
     const subtropicalHighsS = tempAllSystems.filter(p => p.strength > 0 && p.y < -10 && p.y > -40);
     const meanSubtropicalLatS = subtropicalHighsS.length > 0 ? subtropicalHighsS.reduce((sum, p) => sum + p.y, 0) / subtropicalHighsS.length : -40;
-    const subpolarLatS = meanSubtropicalLatS - 18 - (Math.random() - 0.5) * 4;
+    const subpolarLatS = meanSubtropicalLatS - 18 - (random() - 0.5) * 4;
 
     tempAllSystems.push({
         type: 'high',
-        x: 150, y: -35 - Math.random() * 5, baseSigmaX: 250, sigmaX: 250, sigmaY: 5 + Math.random() * 5,
-        strength: -(40 + Math.random() * 10), baseStrength: -(40 + Math.random() * 10),
-        velocityX: (Math.random() - 0.5) * 0.2, velocityY: (Math.random() - 0.5) * 0.1,
-        oscillationPhase: Math.random() * Math.PI * 2, oscillationSpeed: 0.015 + Math.random() * 0.01, oscillationAmount: 0.15,
+        x: 150, y: -35 - random() * 5, baseSigmaX: 250, sigmaX: 250, sigmaY: 5 + random() * 5,
+        strength: -(40 + random() * 10), baseStrength: -(40 + random() * 10),
+        velocityX: (random() - 0.5) * 0.2, velocityY: (random() - 0.5) * 0.1,
+        oscillationPhase: random() * Math.PI * 2, oscillationSpeed: 0.015 + random() * 0.01, oscillationAmount: 0.15,
         noiseLayers: []
     });
 
@@ -439,19 +526,23 @@ export function initializePressureSystems(cyclone, month) {
         }
 
         // Random tilt
-        upperSys.x += (Math.random() - 0.5) * 2;
-        lowerSys.x += (Math.random() - 0.5) * 2;
+        upperSys.x += (random() - 0.5) * 2;
+        lowerSys.x += (random() - 0.5) * 2;
 
         upperSystems.push(upperSys);
         lowerSystems.push(lowerSys);
     });
 
-    const systemsObj = { upper: upperSystems, lower: lowerSystems };
+    // [新增] 高层西风带中的显式槽脊波列
+    const systemsObj = { upper: upperSystems, lower: lowerSystems, waves: initializeRossbyWaves(month) };
     updatePressureSystems(systemsObj);
     return systemsObj;
 }
 
-export function updatePressureSystems(systemsObj, month) {
+/**
+ * @param {function} rand - 随机源，默认使用全局模拟流；预报模型传入独立子流以免干扰主模拟
+ */
+export function updatePressureSystems(systemsObj, month, rand = random) {
     const updateList = (list) => {
         for (let i = list.length - 1; i >= 0; i--) {
             const cell = list[i];
@@ -491,6 +582,7 @@ export function updatePressureSystems(systemsObj, month) {
     };
 
     if (systemsObj.upper) updateList(systemsObj.upper);
+    if (systemsObj.waves) updateRossbyWaves(systemsObj.waves, month, rand);
     
     if (systemsObj.lower) {
         updateList(systemsObj.lower);
@@ -500,22 +592,22 @@ export function updatePressureSystems(systemsObj, month) {
         
         const activeSurges = systemsObj.lower.filter(s => s.isColdSurge).length;
 
-        if (isWinter && activeSurges < 1 && Math.random() < 0.1) {
+        if (isWinter && activeSurges < 1 && rand() < 0.1) {
             console.log("cold high.");
             systemsObj.lower.push({
                 type: 'high',
                 isColdSurge: true, // 标记为冷涌
                 
-                x: 100 + Math.random() * 15, 
-                y: 42 + Math.random() * 5,
+                x: 100 + rand() * 15, 
+                y: 42 + rand() * 5,
                 
                 baseSigmaX: 6, sigmaX: 6, 
-                sigmaY: 8 + Math.random() * 5,
+                sigmaY: 8 + rand() * 5,
                 
-                strength: 30 + Math.random() * 15,
+                strength: 30 + rand() * 15,
                 
-                velocityX: 0.15 + Math.random() * 0.1,
-                velocityY: -0.2 - Math.random() * 0.2, 
+                velocityX: 0.15 + rand() * 0.1,
+                velocityY: -0.2 - rand() * 0.2, 
                 
                 oscillationSpeed: 0,
                 noiseLayers: []
@@ -526,6 +618,10 @@ export function updatePressureSystems(systemsObj, month) {
     return systemsObj;
 }
 
+/**
+ * 背景锋区纬度 (由副高位置与季节决定)
+ * [修改] 不再叠加随机扰动：局地的锋区南压由上游槽的强迫 (getTroughForcing) 提供
+ */
 export function updateFrontalZone(pressureSystemsObj, month) {
     const list = Array.isArray(pressureSystemsObj) ? pressureSystemsObj : pressureSystemsObj.upper;
     
@@ -533,11 +629,60 @@ export function updateFrontalZone(pressureSystemsObj, month) {
     if (highs.length === 0) return { latitude: 35 };
     
     const avgLat = highs.reduce((sum, p) => sum + p.y, 0) / highs.length;
-    return { latitude: avgLat + 8 * Math.cos((month - 8) * (Math.PI / 6)) + 3 * Math.random() - 11 };
+    return { latitude: avgLat + 8 * Math.cos((month - 8) * (Math.PI / 6)) - 9.5 };
 }
 
-export function calculateSteering(lon, lat, pressureSystemsObj, bias = { u: 0, v: 0 }) {
-    const windUpper = calculateLayerWind(lon, lat, pressureSystemsObj.upper);
+// [新增] 双台风效应 (Fujiwhara) 参数
+const FUJIWHARA_COUPLING = 0.8;   // 其它气旋环流对本气旋引导气流的贡献系数
+const MERGE_DISTANCE_KM = 180;    // 中心距离小于该值时发生合并
+
+/**
+ * 计算其它气旋的涡旋环流在 (lon, lat) 处产生的引导气流 (m/s)
+ * 两个气旋相互绕转、靠近后被吸收/合并均由此项驱动
+ */
+export function calculateVortexSteering(lon, lat, otherCyclones = []) {
+    let u = 0;
+    let v = 0;
+    otherCyclones.forEach(other => {
+        if (!other || other.status !== 'active') return;
+        // 引导层取纯切向风 (无入流角、无移动不对称)
+        const w = calculateVortexWind(lon, lat, { ...other, speed: 0 }, 0);
+        u += w.u_vortex * 0.514 * FUJIWHARA_COUPLING;
+        v += w.v_vortex * 0.514 * FUJIWHARA_COUPLING;
+    });
+    return { u, v };
+}
+
+/**
+ * [新增] 处理多气旋之间的合并：距离过近时较弱者被较强者吸收
+ * @returns {Array<{absorbed:Object, survivor:Object}>} 本步发生的合并事件
+ */
+export function resolveCycloneMergers(cyclones) {
+    const events = [];
+    const active = cyclones.filter(c => c.status === 'active');
+    for (let i = 0; i < active.length; i++) {
+        for (let j = i + 1; j < active.length; j++) {
+            const a = active[i];
+            const b = active[j];
+            if (a.status !== 'active' || b.status !== 'active') continue;
+            const dist = calculateDistance(a.lat, a.lon, b.lat, b.lon);
+            if (dist >= MERGE_DISTANCE_KM) continue;
+
+            const [survivor, absorbed] = a.intensity >= b.intensity ? [a, b] : [b, a];
+            // 吸收对方的部分环流与能量
+            survivor.circulationSize = Math.min(700, survivor.circulationSize + absorbed.circulationSize * 0.3);
+            survivor.intensity += Math.min(5, absorbed.intensity * 0.05);
+            absorbed.status = 'dissipated';
+            absorbed.mergedInto = survivor.name || `#${survivor.stormId ?? 0}`;
+            console.log(`Fujiwhara merger: ${absorbed.name || 'TD'} absorbed by ${survivor.name || 'TD'} (${Math.round(dist)} km)`);
+            events.push({ absorbed, survivor });
+        }
+    }
+    return events;
+}
+
+export function calculateSteering(lon, lat, pressureSystemsObj, bias = { u: 0, v: 0 }, otherCyclones = []) {
+    const windUpper = calculateLayerWind(lon, lat, pressureSystemsObj.upper, pressureSystemsObj.waves);
     const windLower = calculateLayerWind(lon, lat, pressureSystemsObj.lower);
 
     // 3. Deep Layer Mean
@@ -557,15 +702,48 @@ export function calculateSteering(lon, lat, pressureSystemsObj, bias = { u: 0, v
     const shearU = windUpper.u - windLower.u;
     const shearV = windUpper.v - windLower.v;
 
+    // Binary Interaction (Fujiwhara)
+    const vortexSteer = calculateVortexSteering(lon, lat, otherCyclones);
+
     return { 
-        steerU: steerU + betaU, 
-        steerV: steerV + betaV,
+        steerU: steerU + betaU + vortexSteer.u, 
+        steerV: steerV + betaV + vortexSteer.v,
         shearU,
         shearV
     };
 }
 
-export function updateCycloneState(cyclone, pressureSystems, frontalZone, world, month, globalTemp, globalShearSetting, nameIndex) {
+/**
+ * [新增] 温带变性判据 (主模拟与路径预报共用)：海温低于 23°C，或低于 25.5°C 且已越过锋区
+ * 上游槽逼近时锋区局地南压；槽前变性的再增强程度由槽的强迫决定 (不再随机抽取)
+ * 满足时就地标记 isExtratropical 并确定变性后的阶段 (developing 再增强 / decaying 减弱)
+ * @param {Object} cyclone - 需要 lon / lat / age / isExtratropical / isSubtropical / extratropicalStage
+ * @param {number} sst - 当前位置海温 (°C)
+ * @param {{latitude:number}} frontalZone - updateFrontalZone() 的返回值
+ * @param {Object[]} waves - pressureSystems.waves
+ * @returns {boolean} 本步是否满足变性条件
+ */
+export function applyExtratropicalTransition(cyclone, sst, frontalZone, waves) {
+    const troughForcing = getTroughForcing(cyclone.lon, cyclone.lat, waves);
+    const frontalLatitude = frontalZone.latitude - troughForcing * 8;
+    if (!((!cyclone.isExtratropical && sst < 25.5 && (Math.abs(cyclone.lat) > frontalLatitude) || sst < 23.0) || (cyclone.isSubtropical && sst < 25.5))) {
+        return false;
+    }
+    cyclone.isExtratropical = true;
+    if (cyclone.extratropicalStage === 'none') { 
+        if (troughForcing > 0.35 && Math.abs(cyclone.lat) > 25) { 
+            cyclone.extratropicalStage = 'developing';
+            const developmentDurationSteps = 4 + Math.round(troughForcing * 24);
+            cyclone.extratropicalDevelopmentEndTime = cyclone.age + (developmentDurationSteps * 3);
+            cyclone.extratropicalMaxIntensity = 45 + troughForcing * 45;
+        } else {
+            cyclone.extratropicalStage = 'decaying';
+        }
+    }
+    return true;
+}
+
+export function updateCycloneState(cyclone, pressureSystems, frontalZone, world, month, globalTemp, globalShearSetting, nameIndex, otherCyclones = []) {
     let updatedCyclone = { ...cyclone };
     updatedCyclone.age += 3;
 
@@ -580,7 +758,7 @@ export function updateCycloneState(cyclone, pressureSystems, frontalZone, world,
     }
 
     // --- Steering ---
-    const { steerU, steerV, shearU, shearV } = calculateSteering(updatedCyclone.lon, updatedCyclone.lat, pressureSystems);
+    const { steerU, steerV, shearU, shearV } = calculateSteering(updatedCyclone.lon, updatedCyclone.lat, pressureSystems, undefined, otherCyclones);
     const physicalShear = Math.hypot(shearU, shearV) * 2.0; 
     
     // Wind Shear
@@ -595,10 +773,10 @@ export function updateCycloneState(cyclone, pressureSystems, frontalZone, world,
         } else {
             totalShear += Math.max(0, updatedCyclone.shearEventMagnitude);
         }
-    } else if (Math.random() < shearEventProb && !updatedCyclone.isTransitioning) {
+    } else if (random() < shearEventProb && !updatedCyclone.isTransitioning) {
         updatedCyclone.shearEventActive = true;
-        updatedCyclone.shearEventEndTime = updatedCyclone.age + (1 + Math.random()*48);
-        updatedCyclone.shearEventMagnitude = -3 + Math.random() * 6 + 1.8 * Math.abs(month - 8) ** 0.5 + Math.max(0,(globalShearSetting / 10 - 10));
+        updatedCyclone.shearEventEndTime = updatedCyclone.age + (1 + random()*48);
+        updatedCyclone.shearEventMagnitude = -3 + random() * 6 + 1.8 * Math.abs(month - 8) ** 0.5 + Math.max(0,(globalShearSetting / 10 - 10));
     }
 
     // Movement
@@ -611,16 +789,8 @@ export function updateCycloneState(cyclone, pressureSystems, frontalZone, world,
     const steeringSpeedKnots = Math.hypot(steerU, steerV) * 1.94384; 
     updatedCyclone.speed += (steeringSpeedKnots - updatedCyclone.speed) * (0.3 + Math.max(0, updatedCyclone.lat / 100));
 
-    // Cold welling
-    if (updatedCyclone.speed < 6) {
-        const coolingRate = (6 - updatedCyclone.speed) / 6 * 0.25; 
-        updatedCyclone.upwellingCoolingEffect = Math.min(updatedCyclone.upwellingCoolingEffect + coolingRate, 5.0); 
-    } else {
-        updatedCyclone.upwellingCoolingEffect = Math.max(updatedCyclone.upwellingCoolingEffect - 0.2, 0); 
-    }
-
+    // [修改] 冷涌升由格点化的海洋冷尾流表示 (ocean-wake.js)，getSST 已包含尾流距平
     let sst = getSST(updatedCyclone.lat, updatedCyclone.lon, month, globalTemp);
-    sst -= updatedCyclone.upwellingCoolingEffect;
     
     // Transition
     if (!updatedCyclone.isTransitioning && sst < -8.0) {
@@ -657,15 +827,15 @@ export function updateCycloneState(cyclone, pressureSystems, frontalZone, world,
         if (updatedCyclone.extratropicalStage === 'developing') {
             if (updatedCyclone.age >= updatedCyclone.extratropicalDevelopmentEndTime) {
                 updatedCyclone.extratropicalStage = 'decaying';
-                const decayRate = -6 + Math.random() * 6; 
+                const decayRate = -6 + random() * 6; 
                 updatedCyclone.intensity += decayRate;
             } else {
-                const divisor = 9 + Math.random() * 5; 
+                const divisor = 9 + random() * 5; 
                 const intensification = (updatedCyclone.extratropicalMaxIntensity - updatedCyclone.intensity) / divisor;
                 updatedCyclone.intensity += intensification;
             }
         } else { 
-            const decayRate = -1 - Math.random() * 2; 
+            const decayRate = -1 - random() * 2; 
             updatedCyclone.intensity += decayRate;
         }
 
@@ -677,13 +847,13 @@ export function updateCycloneState(cyclone, pressureSystems, frontalZone, world,
         switch (updatedCyclone.ercState) {
             case 'weakening':
                 if (updatedCyclone.age < updatedCyclone.ercEndTime) {
-                    updatedCyclone.ercMpiReduction = Math.random() * 7 * Math.max(0,(updatedCyclone.intensity / 90)); 
+                    updatedCyclone.ercMpiReduction = random() * 7 * Math.max(0,(updatedCyclone.intensity / 90)); 
                     updatedCyclone.intensity -= updatedCyclone.ercMpiReduction;
                 }
                 updatedCyclone.circulationSize *= 1.015; 
                 if (updatedCyclone.age >= updatedCyclone.ercEndTime) {
                     updatedCyclone.ercState = 'recovering';
-                    const recoveryDuration = 2 + Math.floor(Math.random() * 8);
+                    const recoveryDuration = 2 + Math.floor(random() * 8);
                     updatedCyclone.ercEndTime = updatedCyclone.age + recoveryDuration * 3;
                 }
                 break;
@@ -695,9 +865,9 @@ export function updateCycloneState(cyclone, pressureSystems, frontalZone, world,
                 }
                 break;
             default:
-                if (updatedCyclone.intensity > 96 && !isOverLand && !updatedCyclone.isTransitioning && Math.random() < 0.12) {
+                if (updatedCyclone.intensity > 96 && !isOverLand && !updatedCyclone.isTransitioning && random() < 0.12) {
                     updatedCyclone.ercState = 'weakening';
-                    const weakeningDuration = 4 + Math.floor(Math.random() * 10);
+                    const weakeningDuration = 4 + Math.floor(random() * 10);
                     updatedCyclone.ercEndTime = updatedCyclone.age + weakeningDuration * 3;
                 }
                 break;
@@ -705,11 +875,11 @@ export function updateCycloneState(cyclone, pressureSystems, frontalZone, world,
 
         // Growth Rate Logic
         let latF = (0.4 / Math.abs(updatedCyclone.lat) ** 2) * (updatedCyclone.intensity / 50);
-        let ri = Math.random() > 0.97 ? Math.random() * 0.35 - 0.05 : 0;
-        let intensificationRate = Math.random() * (0.14 + ri) * Math.min(1, ((updatedCyclone.intensity - 13) / 65)) - latF; // [保留]
+        let ri = random() > 0.97 ? random() * 0.35 - 0.05 : 0;
+        let intensificationRate = random() * (0.14 + ri) * Math.min(1, ((updatedCyclone.intensity - 13) / 65)) - latF; // [保留]
 
         if (updatedCyclone.isMonsoonDepression) {
-            intensificationRate *= (Math.random() + 0.10) * 0.70; 
+            intensificationRate *= (random() + 0.10) * 0.70; 
         }
         
         const potentialChange = (mpi - updatedCyclone.intensity) * intensificationRate;
@@ -757,19 +927,7 @@ export function updateCycloneState(cyclone, pressureSystems, frontalZone, world,
     }
 
     // Extratropical Transition Trigger
-    if ((!updatedCyclone.isExtratropical && sst < 25.5 && (Math.abs(updatedCyclone.lat) > frontalZone.latitude) || sst < 23.0) || (updatedCyclone.isSubtropical && sst < 25.5)) {
-        updatedCyclone.isExtratropical = true;
-        if (updatedCyclone.extratropicalStage === 'none') { 
-            if (Math.random() < 0.33 && Math.abs(updatedCyclone.lat) > 25) { 
-                updatedCyclone.extratropicalStage = 'developing';
-                const developmentDurationSteps = 4 + Math.floor(Math.random() * 25);
-                updatedCyclone.extratropicalDevelopmentEndTime = updatedCyclone.age + (developmentDurationSteps * 3);
-                updatedCyclone.extratropicalMaxIntensity = 45 + Math.random() * 45;
-            } else {
-                updatedCyclone.extratropicalStage = 'decaying';
-            }
-        }
-    }
+    applyExtratropicalTransition(updatedCyclone, sst, frontalZone, pressureSystems.waves);
 
     if (updatedCyclone.isSubtropical && (updatedCyclone.age >= updatedCyclone.subtropicalTransitionTime || updatedCyclone.isExtratropical)) {
         updatedCyclone.isSubtropical = false;
@@ -787,7 +945,7 @@ export function updateCycloneState(cyclone, pressureSystems, frontalZone, world,
     updatedCyclone.intensity = Math.max(10, updatedCyclone.intensity);
     
     const currentSpeed = Math.max(2, updatedCyclone.speed);
-    const finalStepDirection = updatedCyclone.direction + (Math.random() - 0.5) * 30;
+    const finalStepDirection = updatedCyclone.direction + (random() - 0.5) * 30;
     const angleRad = (90 - finalStepDirection) * (Math.PI / 180);
     const distanceDeg = currentSpeed * 3 * 1.852 / 111;
 
@@ -799,8 +957,11 @@ export function updateCycloneState(cyclone, pressureSystems, frontalZone, world,
         currentEnvPressure
     );
 
+    // [新增] 涡旋结构 (RMW / ROCI / Holland B) 随气旋演变
+    updateVortexStructure(updatedCyclone, currentCentralPressure, currentEnvPressure);
+
     // --- Wind Radii Calculation (Preserved) ---
-    const RMW_KM = 5 + updatedCyclone.circulationSize * 0.15; 
+    const RMW_KM = updatedCyclone.rmw;
     const MAX_SEARCH_KM = 900; 
     const STEP_KM = 15;        
     const SCAN_ANGLE_STEP = 10; 
@@ -853,7 +1014,7 @@ export function updateCycloneState(cyclone, pressureSystems, frontalZone, world,
     let newLon = updatedCyclone.lon + distanceDeg * Math.cos(angleRad) / Math.cos(updatedCyclone.lat * Math.PI / 180);
     updatedCyclone.lon = normalizeLongitude(newLon); 
     updatedCyclone.lat = newLat;
-    updatedCyclone.track.push([updatedCyclone.lon, updatedCyclone.lat, updatedCyclone.intensity, updatedCyclone.isTransitioning, updatedCyclone.isExtratropical, updatedCyclone.circulationSize, updatedCyclone.isSubtropical, radii34, radii50, radii64, Math.round(currentCentralPressure)]);
+    updatedCyclone.track.push([updatedCyclone.lon, updatedCyclone.lat, updatedCyclone.intensity, updatedCyclone.isTransitioning, updatedCyclone.isExtratropical, updatedCyclone.circulationSize, updatedCyclone.isSubtropical, radii34, radii50, radii64, Math.round(currentCentralPressure), Math.round(updatedCyclone.rmw * 10) / 10, Math.round(updatedCyclone.hollandB * 100) / 100]);
 
     if (updatedCyclone.intensity < 17 || (updatedCyclone.isExtratropical && updatedCyclone.intensity < 24) || updatedCyclone.lat > 70 || updatedCyclone.lat < -70) {
         updatedCyclone.status = 'dissipated';
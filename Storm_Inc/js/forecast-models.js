@@ -3,9 +3,10 @@
  * 负责生成各种数值模型的预报数据。
  * [修正版] 修复陆地检测逻辑，检测"预报点"而非"初始点"
  */
-import { getSST, normalizeLongitude } from './utils.js';
-import { calculateSteering, updatePressureSystems } from './cyclone-model.js';
-import { calculateBackgroundHumidity } from './visualization.js';
+import { getSST, normalizeLongitude, unwrapLongitude, calculateDistance } from './utils.js';
+import { calculateSteering, updatePressureSystems, updateFrontalZone, applyExtratropicalTransition } from './cyclone-model.js';
+import { calculateBackgroundHumidity } from './atmosphere.js';
+import { createRandom, deriveSeed, getSeed } from './rng.js';
 
 // [辅助] 坐标清洗
 function wrap180(lon) {
@@ -13,28 +14,198 @@ function wrap180(lon) {
     return (lon > 180) ? lon - 360 : (lon < -180 ? lon + 360 : lon);
 }
 
-export function generatePathForecasts(cyclone, pressureSystems, checkLandFunc = null, globalTemp = 289, globalShearSetting = 100) {
-    if (cyclone.isExtratropical) {
-        return [];
+const PATH_STEP_HOURS = 3;
+
+// [新增] 可选的预报时效 (小时)：3 / 5 / 7 天
+export const FORECAST_HORIZONS = [72, 120, 168];
+export const DEFAULT_FORECAST_HOURS = 72;
+const POST_TROPICAL_DISSIPATION_KT = 24; // 与主模拟一致：温带气旋低于该强度即消散，预报到此为止
+
+// [新增] 集合预报：ENAI 为不加扰动的控制预报，其后为扰动成员 (E01, E02 ...)；成员数 0 表示只做确定性预报
+export const ENSEMBLE_SIZES = [0, 20, 30, 50];
+const MEMBER_SPREAD = {
+    positionDeg: 0.25,     // 初始位置
+    intensityKt: 4,        // 初始强度
+    biasMs: 0.6,           // 引导气流偏差
+    systemDeg: 1.5,        // 初始气压系统位置
+    systemStrength: 0.1    // 初始气压系统强度 (相对值)
+};
+export const STRIKE_RADIUS_KM = 120; // 侵袭概率的判定半径 (约 65 nm)
+
+// [新增] 统计基准预报 (检验 ENAI 技巧的参照)：CLP5 为气候-持续性路径 (CLIPER)，DSF5 为带登陆衰减的 Decay-SHIFOR 强度
+// aid 标明该基准只提供路径还是只提供强度，两者共用 CLIPER 的位置
+export const BASELINE_AIDS = ['CLP5', 'DSF5'];
+// 各海域的气候平均移动：副高脊线纬度 (绝对值)、脊线以南的西行速度、以北的东行速度、向极分量 (kt)
+const CLIPER_CLIMATOLOGY = {
+    WPAC: { ridgeLat: 26, westKt: 11, eastKt: 16, polewardKt: 3 },
+    EPAC: { ridgeLat: 22, westKt: 10, eastKt: 6, polewardKt: 2 },
+    NATL: { ridgeLat: 28, westKt: 12, eastKt: 18, polewardKt: 3 },
+    NIO: { ridgeLat: 20, westKt: 5, eastKt: 8, polewardKt: 4 },
+    SHEM: { ridgeLat: 22, westKt: 9, eastKt: 14, polewardKt: 3 },
+    SIO: { ridgeLat: 22, westKt: 9, eastKt: 12, polewardKt: 3 },
+    SATL: { ridgeLat: 25, westKt: 8, eastKt: 14, polewardKt: 3 }
+};
+const PERSISTENCE_HOURS = 12;       // 持续性移动与强度趋势取最近 12 小时
+const PERSISTENCE_DECAY_HOURS = 30; // 路径：持续性权重的 e 折时间
+const TREND_DECAY_HOURS = 24;       // 强度：12 小时趋势的 e 折时间
+const SHIFOR_RELAX = 0.03;          // 强度每 3 小时向气候潜在强度回归的比例
+// DeMaria-Kaplan 内陆衰减：V(t) = Vb + (R·V0 - Vb)·e^(-αt)
+const INLAND_DECAY = { alpha: 0.095, backgroundKt: 26.7, landfallFactor: 0.9 };
+
+// 气候平均移动 (kt，u 向东、v 向北)：脊线以南西行，越过脊线后转向东北 (南半球镜像)
+function getClimatologicalMotion(basin, lat) {
+    const climo = CLIPER_CLIMATOLOGY[basin] || CLIPER_CLIMATOLOGY.WPAC;
+    const t = Math.min(1, Math.max(0, (Math.abs(lat) - (climo.ridgeLat - 6)) / 12));
+    return {
+        u: -climo.westKt * (1 - t) + climo.eastKt * t,
+        v: Math.sign(lat || 1) * (climo.polewardKt + 3 * t)
+    };
+}
+
+// 气候潜在强度 (kt)：20° 以内不受限，向高纬线性降低到 40° 的 40 kt
+function getClimatologicalPotential(lat) {
+    return 140 - 100 * Math.min(1, Math.max(0, (Math.abs(lat) - 20) / 20));
+}
+
+/**
+ * [新增] CLIPER / Decay-SHIFOR 基准预报：最近 12 小时的移动与强度趋势 (持续性) 随时效衰减，
+ * 逐渐让位给海域气候平均移动与气候潜在强度；DSF5 的 CLIPER 位置在陆地上时改用内陆衰减
+ * @returns {{name:string, track:Array[], baseline:true, aid:'track'|'intensity'}[]}
+ */
+export function generateBaselineForecasts(cyclone, checkLandFunc, totalHours = 72) {
+    const track = cyclone.track || [];
+    const last = track.length - 1;
+    const back = Math.min(last, PERSISTENCE_HOURS / PATH_STEP_HOURS);
+    let persistU, persistV;
+    if (back > 0) {
+        const from = track[last - back];
+        const dLon = unwrapLongitude(cyclone.lon, from[0]) - from[0];
+        const hours = back * PATH_STEP_HOURS;
+        persistU = dLon * 111 * Math.cos(cyclone.lat * Math.PI / 180) / 1.852 / hours;
+        persistV = (cyclone.lat - from[1]) * 111 / 1.852 / hours;
+    } else {
+        const angleRad = (90 - (cyclone.direction || 0)) * Math.PI / 180;
+        persistU = (cyclone.speed || 0) * Math.cos(angleRad);
+        persistV = (cyclone.speed || 0) * Math.sin(angleRad);
+    }
+    // 每 3 小时的强度趋势，限制在 ±30 kt / 12 h 以内
+    const trend = back > 0 ? Math.max(-7.5, Math.min(7.5, (cyclone.intensity - track[last - back][2]) / back)) : 0;
+
+    let lon = cyclone.lon;
+    let lat = cyclone.lat;
+    let shifor = cyclone.intensity;
+    let wasLand = checkLandFunc ? checkLandFunc(lon, lat) : false;
+    const clip = [[lon, lat, cyclone.intensity, false, false]];
+    const dsf = [[lon, lat, cyclone.intensity, false, false]];
+    for (let t = 1; t <= totalHours / PATH_STEP_HOURS; t++) {
+        const tau = (t - 1) * PATH_STEP_HOURS;
+        const w = Math.exp(-tau / PERSISTENCE_DECAY_HOURS);
+        const climo = getClimatologicalMotion(cyclone.basin, lat);
+        const u = w * persistU + (1 - w) * climo.u;
+        const v = w * persistV + (1 - w) * climo.v;
+        lat += v * PATH_STEP_HOURS * 1.852 / 111;
+        lon = normalizeLongitude(lon + u * PATH_STEP_HOURS * 1.852 / 111 / Math.cos(lat * Math.PI / 180));
+
+        const isLand = checkLandFunc ? checkLandFunc(lon, lat) : false;
+        if (isLand) {
+            if (!wasLand) shifor *= INLAND_DECAY.landfallFactor;
+            if (shifor > INLAND_DECAY.backgroundKt) {
+                shifor = INLAND_DECAY.backgroundKt + (shifor - INLAND_DECAY.backgroundKt) * Math.exp(-INLAND_DECAY.alpha * PATH_STEP_HOURS);
+            }
+        } else {
+            shifor += trend * Math.exp(-tau / TREND_DECAY_HOURS) + SHIFOR_RELAX * (getClimatologicalPotential(lat) - shifor);
+        }
+        shifor = Math.max(15, shifor);
+        wasLand = isLand;
+
+        const plon = Math.round(lon * 100) / 100;
+        const plat = Math.round(lat * 100) / 100;
+        clip.push([plon, plat, cyclone.intensity, false, false]); // 只提供路径，强度为持续性
+        dsf.push([plon, plat, Math.round(shifor * 10) / 10, false, false]);
+    }
+    return [
+        { name: 'CLP5', track: clip, baseline: true, aid: 'track' },
+        { name: 'DSF5', track: dsf, baseline: true, aid: 'intensity' }
+    ];
+}
+
+// 标准正态分布随机数 (Box-Muller)
+function gaussian(rand) {
+    const u = Math.max(rand(), 1e-12);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+}
+
+// 扰动成员的初始条件：气旋位置 / 强度与高低层气压系统的位置、强度
+function perturbMember(cyclone, pressureSystems, rand) {
+    cyclone.lat += gaussian(rand) * MEMBER_SPREAD.positionDeg;
+    cyclone.lon = normalizeLongitude(cyclone.lon + gaussian(rand) * MEMBER_SPREAD.positionDeg / Math.cos(cyclone.lat * Math.PI / 180));
+    cyclone.intensity = Math.max(15, cyclone.intensity + gaussian(rand) * MEMBER_SPREAD.intensityKt);
+    ['upper', 'lower'].forEach(layer => (pressureSystems[layer] || []).forEach(cell => {
+        cell.x += gaussian(rand) * MEMBER_SPREAD.systemDeg;
+        cell.y += gaussian(rand) * MEMBER_SPREAD.systemDeg;
+        cell.strength *= Math.max(0.5, 1 + gaussian(rand) * MEMBER_SPREAD.systemStrength);
+    }));
+}
+
+// [新增] 温带气旋在海上的强度变化 (每 3 小时一次)，与 updateCycloneState 的温带阶段一致
+function stepPostTropicalIntensity(c, age, rand) {
+    if (c.extratropicalStage === 'developing') {
+        if (age >= c.extratropicalDevelopmentEndTime) {
+            c.extratropicalStage = 'decaying';
+            c.intensity += -6 + rand() * 6;
+        } else {
+            c.intensity += (c.extratropicalMaxIntensity - c.intensity) / (9 + rand() * 5);
+        }
+    } else {
+        c.intensity += -1 - rand() * 2;
     }
+}
+
+/**
+ * @param {Object[]} otherCyclones - 同时存在的其它气旋 (双台风效应)，预报期间按当前位置保持不动
+ * @param {number} [ensembleSize=0] - 集合成员数，成员带 member: true 标记
+ * @param {number} [forecastHours=72] - 预报时效 (FORECAST_HORIZONS 之一)
+ * @returns {Object[]} ENAI、集合成员，以及 CLP5 / DSF5 统计基准 (带 baseline: true 标记)
+ *          [修改] 路径点的 isTransitioning / isExtratropical 为逐时次预报值 (温带变性判据同 updateCycloneState)；
+ *          温带气旋继续预报，减弱到消散强度时该模式的路径提前结束
+ */
+export function generatePathForecasts(cyclone, pressureSystems, checkLandFunc = null, globalTemp = 289, globalShearSetting = 100, otherCyclones = [], ensembleSize = 0, forecastHours = DEFAULT_FORECAST_HOURS) {
     const forecasts = [];
     
     // 模型定义
     const models = [
         { name: "ENAI", bias: { u: 0.5, v: 0.6 } },
     ];
+    for (let i = 1; i <= ensembleSize; i++) {
+        models.push({ name: `E${String(i).padStart(2, '0')}`, bias: models[0].bias, member: true });
+    }
 
     // 参数配置
-    const PATH_STEP_HOURS = 3;
     const INTENSITY_STEP_HOURS = 6;
-    const TOTAL_HOURS = 72; // 预测时长
+    const TOTAL_HOURS = forecastHours; // 预测时长
+    const month = cyclone.currentMonth || 8;
     
     const STEPS_PER_INTENSITY_UPDATE = INTENSITY_STEP_HOURS / PATH_STEP_HOURS; 
     const TOTAL_STEPS = TOTAL_HOURS / PATH_STEP_HOURS; 
 
-    models.forEach(model => {
-        let tempCyclone = JSON.parse(JSON.stringify(cyclone));
-        let tempPressureSystems = JSON.parse(JSON.stringify(pressureSystems));
+    // [修改] 预报只用到气旋的标量状态，复制时跳过路径与预报存档 (集合成员较多时逐成员深拷贝代价很高)
+    const { track: _track, forecastLogs: _logs, pathForecasts: _forecasts, satelliteCache: _cache, ...cycloneState } = cyclone;
+    const cycloneJson = JSON.stringify(cycloneState);
+    const pressureJson = JSON.stringify(pressureSystems);
+
+    models.forEach((model, modelIndex) => {
+        // 每个预报时次使用由主种子派生的独立随机流：
+        // 同一种子同一时次结果一致，且 (拖动气压系统等) 重复调用不会扰动主模拟流
+        const seedKeys = [cyclone.age || 0, modelIndex];
+        if (cyclone.stormId) seedKeys.push(cyclone.stormId); // 多气旋时各自独立
+        const rand = createRandom(deriveSeed(getSeed(), ...seedKeys));
+        let tempCyclone = JSON.parse(cycloneJson);
+        let tempPressureSystems = JSON.parse(pressureJson);
+        let bias = model.bias;
+        if (model.member) {
+            bias = { u: bias.u + gaussian(rand) * MEMBER_SPREAD.biasMs, v: bias.v + gaussian(rand) * MEMBER_SPREAD.biasMs };
+            perturbMember(tempCyclone, tempPressureSystems, rand);
+        }
         
         let track = [[tempCyclone.lon, tempCyclone.lat, tempCyclone.intensity, tempCyclone.isTransitioning, tempCyclone.isExtratropical]];
 
@@ -42,8 +213,8 @@ export function generatePathForecasts(cyclone, pressureSystems, checkLandFunc =
         const startAge = tempCyclone.age || 0;
         for(let t = 1; t <= TOTAL_STEPS; t++) { 
             // 1. 路径计算 (3小时/步)
-            updatePressureSystems(tempPressureSystems, cyclone.currentMonth);
-            const { steerU, steerV, shearU, shearV } = calculateSteering(tempCyclone.lon, tempCyclone.lat, tempPressureSystems, model.bias);
+            updatePressureSystems(tempPressureSystems, cyclone.currentMonth, rand);
+            const { steerU, steerV, shearU, shearV } = calculateSteering(tempCyclone.lon, tempCyclone.lat, tempPressureSystems, bias, otherCyclones);
             
             let steeringDirection = (Math.atan2(steerU, steerV) * 180 / Math.PI + 360) % 360;
             let angleDiff = steeringDirection - tempCyclone.direction;
@@ -60,6 +231,16 @@ export function generatePathForecasts(cyclone, pressureSystems, checkLandFunc =
             
             tempCyclone.lat += distanceDeg * Math.sin(angleRad);
             tempCyclone.lon = normalizeLongitude(tempCyclone.lon + (distanceDeg * Math.cos(angleRad)) / Math.cos(tempCyclone.lat * Math.PI / 180));
+            tempCyclone.age = startAge + t * PATH_STEP_HOURS;
+
+            // [新增] 温带变性：与主模拟相同的海温 / 锋区 (含上游槽南压) 判据，锋区随预报中的副高演变
+            if (!tempCyclone.isExtratropical) {
+                const etSst = getSST(tempCyclone.lat, tempCyclone.lon, month, globalTemp);
+                if (!tempCyclone.isTransitioning && etSst < -8.0) tempCyclone.isTransitioning = true;
+                if (applyExtratropicalTransition(tempCyclone, etSst, updateFrontalZone(tempPressureSystems, month), tempPressureSystems.waves)) {
+                    tempCyclone.isSubtropical = false;
+                }
+            }
 
             // 2. 强度计算 (12小时/步)
             if (t % STEPS_PER_INTENSITY_UPDATE === 0) {
@@ -101,6 +282,13 @@ export function generatePathForecasts(cyclone, pressureSystems, checkLandFunc =
                     const hardCap = lastCalculatedIntensity - 10;
                     
                     nextIntensity = Math.min(naturalDecayResult, hardCap);
+                } else if (tempCyclone.isExtratropical) {
+                    // --- [新增] 温带气旋 (海上)：逐 3 小时的再增强 / 减弱，并随西风带加速 ---
+                    for (let k = STEPS_PER_INTENSITY_UPDATE - 1; k >= 0; k--) {
+                        stepPostTropicalIntensity(tempCyclone, startAge + (t - k) * PATH_STEP_HOURS, rand);
+                        tempCyclone.speed += 1.5;
+                    }
+                    nextIntensity = tempCyclone.intensity;
                 } else {
                     // --- 海洋逻辑 (增强/维持) ---
                     let mpi = 0;
@@ -113,12 +301,12 @@ export function generatePathForecasts(cyclone, pressureSystems, checkLandFunc =
                     const physicalShear = Math.hypot(safeShearU, safeShearV) * 2.5;
                     const totalShear = physicalShear * (globalShearSetting / 100.0);
                     const gap = mpi - lastCalculatedIntensity;
-                    const changeRate = gap > 0 ? Math.random()*0.04 + 0.07 - 0.9/lastCalculatedIntensity - (totalShear * 0.005) : 0.11 + (totalShear * 0.003); 
+                    const changeRate = gap > 0 ? rand()*0.04 + 0.07 - 0.9/lastCalculatedIntensity - (totalShear * 0.005) : 0.11 + (totalShear * 0.003); 
                     nextIntensity += gap * changeRate;
                     const currentForecastAge = startAge + (t * PATH_STEP_HOURS);
                     
                     if (tempCyclone.shearEventActive && currentForecastAge < tempCyclone.shearEventEndTime) {
-                        const shearPenalty = tempCyclone.shearEventMagnitude * (Math.random() + 0.5);
+                        const shearPenalty = tempCyclone.shearEventMagnitude * (rand() + 0.5);
                         nextIntensity -= shearPenalty;
                     }
                 }
@@ -135,8 +323,103 @@ export function generatePathForecasts(cyclone, pressureSystems, checkLandFunc =
                 tempCyclone.isTransitioning || false, 
                 tempCyclone.isExtratropical || false
             ]);
+            if (tempCyclone.isExtratropical && tempCyclone.intensity < POST_TROPICAL_DISSIPATION_KT) break;
+        }
+        if (model.member) {
+            // 成员只保留两位小数，减小预报存档体积
+            track.forEach(p => { p[0] = Math.round(p[0] * 100) / 100; p[1] = Math.round(p[1] * 100) / 100; p[2] = Math.round(p[2] * 10) / 10; });
+            forecasts.push({ name: model.name, track: track, member: true });
+        } else {
+            forecasts.push({ name: model.name, track: track });
         }
-        forecasts.push({ name: model.name, track: track });
     });
+    // [新增] 统计基准排在最后 (forecasts[0] 仍为 ENAI)，带 baseline 标记，不参与扇面与共识
+    forecasts.push(...generateBaselineForecasts(cyclone, checkLandFunc, TOTAL_HOURS));
     return forecasts;
-}
\ No newline at end of file
+}
+
+/**
+ * [新增] 预报的温带变性时次：路径中第一个温带气旋点的索引 (步长 3 小时)
+ * @returns {number|null} 起报时已是温带气旋，或预报期内不变性时为 null
+ */
+export function getForecastTransitionStep(forecast) {
+    const track = (forecast && forecast.track) || [];
+    if (track.length === 0 || track[0][4]) return null;
+    const index = track.findIndex(p => p[4]);
+    return index > 0 ? index : null;
+}
+
+/**
+ * [新增] 观测站点的侵袭概率：集合成员中心在预报期内经过站点 radiusKm 以内的比例
+ * 相邻预报点之间再内插，避免快速移动时从两点之间漏过
+ * @returns {{probability:number, hits:number, members:number, medianHour:number|null}|null} 没有集合成员时返回 null
+ */
+export function getStrikeProbability(forecasts, lon, lat, radiusKm = STRIKE_RADIUS_KM) {
+    const members = (forecasts || []).filter(f => f.member);
+    if (members.length === 0) return null;
+    const SUBSTEPS = 3;
+    const hours = [];
+    members.forEach(member => {
+        const track = member.track;
+        for (let k = 0; k < track.length; k++) {
+            const [lon0, lat0] = track[k];
+            const next = track[Math.min(k + 1, track.length - 1)];
+            const lon1 = unwrapLongitude(next[0], lon0);
+            for (let s = 0; s < SUBSTEPS; s++) {
+                const f = s / SUBSTEPS;
+                if (calculateDistance(lat0 + (next[1] - lat0) * f, lon0 + (lon1 - lon0) * f, lat, lon) <= radiusKm) {
+                    hours.push((k + f) * PATH_STEP_HOURS);
+                    return;
+                }
+            }
+        }
+    });
+    hours.sort((a, b) => a - b);
+    return {
+        probability: hours.length / members.length,
+        hits: hours.length,
+        members: members.length,
+        medianHour: hours.length > 0 ? Math.round(hours[Math.floor(hours.length / 2)]) : null
+    };
+}
+/**
+ * [新增] 集合平均：ENAI 与各成员逐时次的平均位置 / 强度，以及成员到平均位置距离的 2/3 分位数 (spreadDeg，纬距度)
+ * 已是概要 (预报存档中的 EMN) 时直接返回
+ * @returns {{name:string, track:number[][], spreadDeg:number[], ensembleMean:true}|null} 没有集合成员时返回 null
+ */
+export function getEnsembleMean(forecasts) {
+    const list = forecasts || [];
+    const stored = list.find(f => f.ensembleMean);
+    if (stored) return stored;
+    if (!list.some(f => f.member)) return null;
+    const tracks = list.filter(f => !f.baseline && f.track && f.track.length > 0).map(f => f.track);
+    const steps = Math.max(...tracks.map(t => t.length));
+    const track = [];
+    const spreadDeg = [];
+    let refLon = tracks[0][0][0];
+    for (let i = 0; i < steps; i++) {
+        const points = tracks.filter(t => t[i]).map(t => [unwrapLongitude(t[i][0], refLon), t[i][1], t[i][2]]);
+        const lon = points.reduce((s, p) => s + p[0], 0) / points.length;
+        const lat = points.reduce((s, p) => s + p[1], 0) / points.length;
+        const kt = points.reduce((s, p) => s + p[2], 0) / points.length;
+        refLon = lon;
+        const cosL = Math.cos(lat * Math.PI / 180);
+        const dist = points.map(p => Math.hypot((p[0] - lon) * cosL, p[1] - lat)).sort((a, b) => a - b);
+        const pos = (dist.length - 1) * 2 / 3;
+        const lo = Math.floor(pos);
+        const hi = Math.min(dist.length - 1, lo + 1);
+        track.push([Math.round(normalizeLongitude(lon) * 100) / 100, Math.round(lat * 100) / 100, Math.round(kt * 10) / 10]);
+        spreadDeg.push(Math.round((dist[lo] + (dist[hi] - dist[lo]) * (pos - lo)) * 1000) / 1000);
+    }
+    return { name: 'EMN', track, spreadDeg, ensembleMean: true };
+}
+
+/**
+ * [新增] 写入预报存档的版本：集合成员只保留集合平均与离散度 (紧跟 ENAI 之后)，避免存档随成员数膨胀
+ */
+export function compactForecastLog(forecasts) {
+    const ensemble = getEnsembleMean(forecasts);
+    if (!ensemble || forecasts.includes(ensemble)) return forecasts;
+    const kept = forecasts.filter(f => !f.member);
+    return [kept[0], ensemble, ...kept.slice(1)];
+}
@@ -0,0 +1,307 @@
+/**
+ * gis-export.js
+ * GIS 矢量导出：最佳路径 (点 + 线，逐点附带等级、气压、风圈)、预报扇面与 34/50/64 kt 风圈多边形，
+ * 输出 GeoJSON、按等级配色的 KML (Google Earth) 以及扁平 CSV。
+ * 只负责格式化文本，不接触 DOM；扇面几何由 visualization.js 的 buildForecastCone 提供。
+ */
+import { getCategory, createGeoCircle, normalizeLongitude, unwrapLongitude } from './utils.js';
+import { getAtcfTypeCode, getExportStartTime, getRadiiNm, getPointPressure } from './track-export.js';
+
+const STEP_HOURS = 3;
+const HOUR_MS = 3600 * 1000;
+const NM_TO_KM = 1.852;
+const KM_PER_DEG = 111.32;
+const RADII_THRESHOLDS = [34, 50, 64];
+const QUADRANTS = ['ne', 'se', 'sw', 'nw'];
+const ARC_POINTS = 64;        // createGeoCircle 的分段数 (方位角从正北顺时针)，每个象限 16 段
+const RADII_STEP_HOURS = 6;   // 风圈多边形只输出 00/06/12/18 UTC，避免文件过大
+const RADII_COLORS = { 34: '#f1c40f', 50: '#e67e22', 64: '#c0392b' }; // 与地图上的风圈一致
+const CONE_COLOR = '#5569a0';
+const TRACK_COLOR = '#ffffff';
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// 经度逐点连续展开 (跨日界线时不折返)，起点规范到 -180~180
+function unwrapCoordinates(coords) {
+    const out = [];
+    coords.forEach(([lon, lat], i) => {
+        out.push([i === 0 ? normalizeLongitude(lon) : unwrapLongitude(lon, out[i - 1][0]), lat]);
+    });
+    return out.map(([lon, lat]) => [round(lon, 3), round(lat, 3)]);
+}
+
+// 线在 ±180° 处切断为多段 (RFC 7946)，切点按纬度线性内插
+function splitAtAntimeridian(coords) {
+    const parts = [[]];
+    coords.forEach(([lon, lat], i) => {
+        const value = normalizeLongitude(lon);
+        if (i > 0) {
+            const current = parts[parts.length - 1];
+            const [prevLon, prevLat] = current[current.length - 1];
+            const next = unwrapLongitude(value, prevLon);
+            if (Math.abs(next) > 180) {
+                const edge = next > 0 ? 180 : -180;
+                const crossLat = round(prevLat + (lat - prevLat) * (edge - prevLon) / (next - prevLon), 3);
+                current.push([edge, crossLat]);
+                parts.push([[-edge, crossLat]]);
+            }
+        }
+        parts[parts.length - 1].push([round(value, 3), round(lat, 3)]);
+    });
+    return parts;
+}
+
+function lineGeometry(coords) {
+    const parts = splitAtAntimeridian(coords);
+    return parts.length === 1 ? { type: 'LineString', coordinates: parts[0] } : { type: 'MultiLineString', coordinates: parts };
+}
+
+// GeoJSON (RFC 7946) 外环为逆时针
+function ensureCounterClockwise(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return area < 0 ? ring.slice().reverse() : ring;
+}
+
+// 多边形保持连续 (跨日界线的小范围溢出 ±180°)，整体平移使其中心落在 -180~180
+function closeRing(ring) {
+    const coords = unwrapCoordinates([...ring, ring[0]]);
+    const meanLon = coords.reduce((sum, c) => sum + c[0], 0) / coords.length;
+    const shift = meanLon > 180 ? -360 : (meanLon < -180 ? 360 : 0);
+    return ensureCounterClockwise(coords.map(([lon, lat]) => [round(lon + shift, 3), lat]));
+}
+
+/**
+ * 路径点 -> 带属性的记录 (时间、强度、气压、等级与风圈)
+ */
+function describeTrack(track, info) {
+    const start = getExportStartTime(info);
+    return track.map((point, index) => {
+        const vmax = Math.round(point[2]);
+        const category = getCategory(vmax, point[3], point[4], point[6]);
+        const radii = {};
+        RADII_THRESHOLDS.forEach(threshold => { radii[threshold] = getRadiiNm(point, threshold); });
+        return {
+            time: start + index * STEP_HOURS * HOUR_MS,
+            hour: index * STEP_HOURS,
+            lon: round(normalizeLongitude(point[0]), 2),
+            lat: round(point[1], 2),
+            vmax,
+            mslp: getPointPressure(point, info),
+            category: category.shortName,
+            color: category.color,
+            type: getAtcfTypeCode(vmax, point[4], point[6], info.basin),
+            radii,
+            rmw: point[11] ? Math.round(point[11] / NM_TO_KM) : null,
+            roci: point[5] ? Math.round(point[5] * 2 / NM_TO_KM) : null // ROCI = 2 × circulationSize
+        };
+    });
+}
+
+const formatTime = (time) => new Date(time).toISOString().replace('.000Z', 'Z');
+
+function getFixProperties(fix) {
+    const properties = {
+        time: formatTime(fix.time),
+        hour: fix.hour,
+        vmax_kt: fix.vmax,
+        mslp_hpa: fix.mslp,
+        category: fix.category,
+        category_color: fix.color,
+        atcf_type: fix.type
+    };
+    RADII_THRESHOLDS.forEach(threshold => QUADRANTS.forEach((q, i) => {
+        properties[`r${threshold}_${q}`] = fix.radii[threshold][i];
+    }));
+    properties.rmw_nm = fix.rmw;
+    properties.roci_nm = fix.roci;
+    return properties;
+}
+
+// 逐象限风圈多边形：每个象限取对应半径圆的 1/4 段弧，半径为 0 的象限退化为中心点
+function buildRadiiRing(lon, lat, radiiNm) {
+    const ring = [];
+    radiiNm.forEach((nm, q) => {
+        if (nm <= 0) {
+            ring.push([lon, lat]);
+            return;
+        }
+        const arc = createGeoCircle(lon, lat, nm * NM_TO_KM, ARC_POINTS).coordinates;
+        ring.push(...arc.slice(q * ARC_POINTS / 4, (q + 1) * ARC_POINTS / 4 + 1));
+    });
+    return closeRing(ring);
+}
+
+function getRadiiFeatures(fixes) {
+    const features = [];
+    fixes.forEach(fix => {
+        if (new Date(fix.time).getUTCHours() % RADII_STEP_HOURS !== 0) return;
+        RADII_THRESHOLDS.forEach(threshold => {
+            const radii = fix.radii[threshold];
+            if (radii.every(r => r <= 0)) return;
+            features.push({
+                type: 'Feature',
+                properties: {
+                    kind: 'wind_radii', time: formatTime(fix.time), hour: fix.hour, threshold_kt: threshold,
+                    ne_nm: radii[0], se_nm: radii[1], sw_nm: radii[2], nw_nm: radii[3]
+                },
+                geometry: { type: 'Polygon', coordinates: [buildRadiiRing(fix.lon, fix.lat, radii)] }
+            });
+        });
+    });
+    return features;
+}
+
+// 扇面由相邻时次之间的梯形与各时次的圆拼成 (各切片互相重叠，需要时可在 GIS 中融合)
+function getConeFeatures(cone, info) {
+    if (!cone || !cone.steps || cone.steps.length < 2) return [];
+    const polygons = [];
+    cone.steps.forEach((step, i) => {
+        if (i > 0) {
+            const last = cone.steps[i - 1];
+            polygons.push([closeRing([last.rawLeft, step.rawLeft, step.rawRight, last.rawRight])]);
+        }
+        const circle = createGeoCircle(step.rawCenter[0], step.rawCenter[1], step.radiusDeg * KM_PER_DEG, 32).coordinates;
+        polygons.push([closeRing(circle.slice(0, -1))]);
+    });
+    const properties = {
+        init_time: formatTime(getExportStartTime(info) + (cone.initHour || 0) * HOUR_MS),
+        tau_hours: cone.steps[cone.steps.length - 1].index * STEP_HOURS
+    };
+    return [
+        { type: 'Feature', properties: { kind: 'cone', ...properties }, geometry: { type: 'MultiPolygon', coordinates: polygons } },
+        { type: 'Feature', properties: { kind: 'cone_center', ...properties }, geometry: lineGeometry(cone.steps.map(s => s.rawCenter)) }
+    ];
+}
+
+/**
+ * GeoJSON FeatureCollection：路径线、逐点 (含等级 / 气压 / 风圈属性)、风圈多边形与预报扇面
+ * @param {{track:Array[], info:Object}} storm - info 同 track-export.js 的 formatAtcfBdeck
+ * @param {Object|null} [cone] - buildForecastCone 的返回值，可附带 initHour (预报起报时的气旋年龄)
+ * @returns {string}
+ */
+export function formatTrackGeoJson(storm, cone = null) {
+    const { track, info } = storm;
+    const fixes = describeTrack(track, info);
+    const peak = Math.max(...fixes.map(f => f.vmax));
+    const features = [
+        {
+            type: 'Feature',
+            properties: {
+                kind: 'track', name: info.name || '', basin: info.basin, number: info.number,
+                start_time: formatTime(fixes[0].time), end_time: formatTime(fixes[fixes.length - 1].time), peak_kt: peak,
+                min_mslp_hpa: Math.min(...fixes.map(f => f.mslp))
+            },
+            geometry: lineGeometry(fixes.map(f => [f.lon, f.lat]))
+        },
+        ...fixes.map(fix => ({
+            type: 'Feature',
+            properties: { kind: 'fix', ...getFixProperties(fix) },
+            geometry: { type: 'Point', coordinates: [fix.lon, fix.lat] }
+        })),
+        ...getRadiiFeatures(fixes),
+        ...getConeFeatures(cone, info)
+    ];
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 1);
+}
+
+const escapeXml = (text) => String(text).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+
+// '#rrggbb' -> KML 的 aabbggrr
+function kmlColor(hex, alpha = 'ff') {
+    const rgb = hex.replace('#', '');
+    return `${alpha}${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`;
+}
+
+const kmlStyleId = (category) => `cat-${category.replace(/\s+/g, '')}`;
+const kmlCoordinates = (coords) => coords.map(([lon, lat]) => `${lon},${lat},0`).join(' ');
+const kmlLine = (geometry) => {
+    const parts = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+    const lines = parts.map(part => `<LineString><tessellate>1</tessellate><coordinates>${kmlCoordinates(part)}</coordinates></LineString>`);
+    return lines.length === 1 ? lines[0] : `<MultiGeometry>${lines.join('')}</MultiGeometry>`;
+};
+const kmlPolygon = (rings) => `<Polygon><outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(rings[0])}</coordinates></LinearRing></outerBoundaryIs></Polygon>`;
+
+/**
+ * KML (Google Earth)：路径点按等级配色并带时间戳，风圈与扇面分文件夹
+ * @param {{track:Array[], info:Object}} storm
+ * @param {Object|null} [cone]
+ * @returns {string}
+ */
+export function formatTrackKml(storm, cone = null) {
+    const { track, info } = storm;
+    const fixes = describeTrack(track, info);
+    const title = `${(info.name || 'UNNAMED').toUpperCase()} (${info.basin} ${String(info.number).padStart(2, '0')})`;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '<Document>',
+        `<name>${escapeXml(title)}</name>`
+    ];
+
+    const categories = new Map(fixes.map(f => [f.category, f.color]));
+    categories.forEach((color, category) => {
+        lines.push(`<Style id="${kmlStyleId(category)}"><IconStyle><color>${kmlColor(color)}</color><scale>0.7</scale>`
+            + '<Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle>'
+            + '<LabelStyle><scale>0</scale></LabelStyle></Style>');
+    });
+    lines.push(`<Style id="track"><LineStyle><color>${kmlColor(TRACK_COLOR)}</color><width>2</width></LineStyle></Style>`);
+    RADII_THRESHOLDS.forEach(threshold => {
+        const color = RADII_COLORS[threshold];
+        lines.push(`<Style id="radii-${threshold}"><LineStyle><color>${kmlColor(color)}</color><width>1</width></LineStyle>`
+            + `<PolyStyle><color>${kmlColor(color, '55')}</color></PolyStyle></Style>`);
+    });
+    lines.push(`<Style id="cone"><LineStyle><color>${kmlColor(CONE_COLOR, '00')}</color></LineStyle><PolyStyle><color>${kmlColor(CONE_COLOR, '55')}</color></PolyStyle></Style>`);
+
+    lines.push('<Folder><name>Best Track</name>');
+    lines.push(`<Placemark><name>${escapeXml(title)}</name><styleUrl>#track</styleUrl>`
+        + `${kmlLine(lineGeometry(fixes.map(f => [f.lon, f.lat])))}</Placemark>`);
+    fixes.forEach(fix => {
+        const data = Object.entries(getFixProperties(fix))
+            .map(([key, value]) => `<Data name="${key}"><value>${escapeXml(value ?? '')}</value></Data>`).join('');
+        lines.push(`<Placemark><name>${escapeXml(`${formatTime(fix.time)} ${fix.category} ${fix.vmax}kt`)}</name>`
+            + `<TimeStamp><when>${formatTime(fix.time)}</when></TimeStamp><styleUrl>#${kmlStyleId(fix.category)}</styleUrl>`
+            + `<ExtendedData>${data}</ExtendedData><Point><coordinates>${fix.lon},${fix.lat},0</coordinates></Point></Placemark>`);
+    });
+    lines.push('</Folder>');
+
+    lines.push('<Folder><name>Wind Radii</name>');
+    getRadiiFeatures(fixes).forEach(feature => {
+        const p = feature.properties;
+        lines.push(`<Placemark><name>${p.threshold_kt} kt ${p.time}</name><TimeStamp><when>${p.time}</when></TimeStamp>`
+            + `<styleUrl>#radii-${p.threshold_kt}</styleUrl>${kmlPolygon(feature.geometry.coordinates)}</Placemark>`);
+    });
+    lines.push('</Folder>');
+
+    const coneFeatures = getConeFeatures(cone, info);
+    if (coneFeatures.length > 0) {
+        const [area, center] = coneFeatures;
+        lines.push('<Folder><name>Forecast Cone</name>');
+        lines.push(`<Placemark><name>Cone +${area.properties.tau_hours}h (${area.properties.init_time})</name><styleUrl>#cone</styleUrl>`
+            + `<MultiGeometry>${area.geometry.coordinates.map(kmlPolygon).join('')}</MultiGeometry></Placemark>`);
+        lines.push(`<Placemark><name>Forecast Track</name><styleUrl>#track</styleUrl>${kmlLine(center.geometry)}</Placemark>`);
+        lines.push('</Folder>');
+    }
+
+    lines.push('</Document>', '</kml>');
+    return lines.join('\n');
+}
+
+/**
+ * 扁平 CSV：每个路径点一行 (经度 -180~180，风圈单位海里)
+ * @param {{track:Array[], info:Object}} storm
+ * @returns {string}
+ */
+export function formatTrackCsv(storm) {
+    const { track, info } = storm;
+    const name = (info.name || 'UNNAMED').toUpperCase();
+    const radiiColumns = RADII_THRESHOLDS.flatMap(threshold => QUADRANTS.map(q => `r${threshold}_${q}_nm`));
+    const header = ['storm', 'basin', 'time', 'hour', 'lon', 'lat', 'vmax_kt', 'mslp_hpa', 'category', 'atcf_type', ...radiiColumns, 'rmw_nm', 'roci_nm'];
+    const rows = describeTrack(track, info).map(fix => [
+        name, info.basin, formatTime(fix.time), fix.hour, fix.lon.toFixed(2), fix.lat.toFixed(2), fix.vmax, fix.mslp,
+        fix.category, fix.type, ...RADII_THRESHOLDS.flatMap(threshold => fix.radii[threshold]), fix.rmw ?? '', fix.roci ?? ''
+    ].join(','));
+    return [header.join(','), ...rows].join('\n');
+}
@@ -8,12 +8,27 @@ import { getCategory, knotsToKph, knotsToMph, windToPressure, directionToCompass
 import { RadarRenderer, calculateRadarDbz, getShaderWindVector } from './radar-system.js';
 import { DopplerRenderer } from './radar-doppler.js';
 // [新增] 导入卫星云图模块
-import { initSatelliteView, updateSatelliteView, resetSatelliteParams, setSatelliteGrayscale, getSatelliteSnapshot } from './satellite-view.js';
+import { initSatelliteView, updateSatelliteView, resetSatelliteParams, setSatelliteGrayscale, getSatelliteSnapshot, getSatelliteParams, setSatelliteParams } from './satellite-view.js';
 import { initTerrainSystem, getElevationAt, getLandStatus } from './terrain-data.js';
-import { initializeCyclone, initializePressureSystems, updatePressureSystems, updateFrontalZone, updateCycloneState, getWindVectorAt } from './cyclone-model.js';
-import { generatePathForecasts } from './forecast-models.js';
+import { getWindVectorAt } from './cyclone-model.js';
+import { getVortexParameters, getVortexPressure } from './vortex-model.js';
+import { setSeed, getSeed, generateSeed, normalizeSeed, createRandom, deriveSeed } from './rng.js';
+import { createSimulation, restoreSimulation, summarizeSeason } from './simulation-engine.js';
+import { ENSEMBLE_SIZES, FORECAST_HORIZONS, DEFAULT_FORECAST_HOURS, STRIKE_RADIUS_KM, BASELINE_AIDS, getStrikeProbability } from './forecast-models.js';
+import { runClimatology } from './climatology.js';
+import { addArchiveEntry, getAllArchiveEntries, deleteArchiveEntry, exportArchive, importArchive, getArchiveMeta } from './storm-archive.js';
+import { HOURS_PER_MONTH } from './cyclone-model.js';
+import { createSurgeRecord, updateSurgeRecord, getSurgeBand, getSegmentPeaks, getSiteSurge } from './storm-surge.js';
+import { RAIN_CELL_DEG, createRainSwath, accumulateRainSwath, rebuildRainSwath, restoreRainSwath, getRainCells, dbzToStepRain } from './rainfall.js';
+import { createWindSwath, accumulateWindSwath, rebuildWindSwath, restoreWindSwath, getWindSwathCells, formatWindSwathCsv } from './wind-swath.js';
+import { SCENARIO_GALLERY, normalizeScenario, getGalleryScenario, createScenarioFromSimulation } from './scenarios.js';
+import { encodeShareLink, decodeShareLink } from './share-link.js';
+import { parseTrackFile, buildImportedCyclone } from './track-import.js';
+import { ATCF_BASIN_CODES, getExportStartTime, formatAtcfBdeck, formatAtcfAdeck, formatHurdat2 } from './track-export.js';
+import { formatTrackGeoJson, formatTrackKml, formatTrackCsv } from './gis-export.js';
+import { verifyStorm, summarizeVerification, getSkill, calibrateConeRadii, getConeCalibration, VERIFY_LEAD_HOURS } from './verification.js';
 // [修改] 引入新的历史强度图绘制函数
-import { drawMap, drawFinalPath, drawHistoricalIntensityChart, drawHumidityField, calculateBackgroundHumidity, calculateTotalHumidity, drawAllHistoryTracks, renderJTWCStyle, renderProbabilitiesStyle, drawStationGraph, renderPhaseSpace, startNewsAnimation, renderStationSynopticChart } from './visualization.js';
+import { drawMap, drawFinalPath, drawHistoricalIntensityChart, drawSeasonTimeline, drawDensityMap, drawDistributionChart, drawHumidityField, calculateBackgroundHumidity, calculateTotalHumidity, drawAllHistoryTracks, renderJTWCStyle, renderProbabilitiesStyle, drawStationGraph, renderPhaseSpace, startNewsAnimation, renderStationSynopticChart, renderStormTotalRain, buildForecastCone } from './visualization.js';
 import { playClick, playToggleOn, playToggleOff, playStart, playError, playAlert, playUpgradeSound, playCat5Sound, toggleSFX } from './audio.js';
 
 const checkLandWrapper = (lon, lat) => {
@@ -60,6 +75,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const togglePathButton = document.getElementById('togglePathButton');
     const copyTrackButton = document.getElementById('copy-track-button');
     const downloadTrackButton = document.getElementById('download-track-button');
+    const downloadSwathButton = document.getElementById('download-swath-button');
     const historyButton = document.getElementById('toggleHistoryButton'); 
     const historyModal = document.getElementById('historyModal');
     const historyHeader = historyModal.querySelector('.border-b');
@@ -87,11 +103,60 @@ document.addEventListener('DOMContentLoaded', () => {
     const globalTempValue = document.getElementById('globalTempValue');
     const globalShearSlider = document.getElementById('globalShearSlider');
     const globalShearValue = document.getElementById('globalShearValue');
+    // [新增] 气候模态控件
+    const ensoSlider = document.getElementById('ensoSlider');
+    const ensoValue = document.getElementById('ensoValue');
+    const mjoPhaseSelector = document.getElementById('mjoPhaseSelector');
+    const mjoAmplitudeSlider = document.getElementById('mjoAmplitudeSlider');
+    const mjoAmplitudeValue = document.getElementById('mjoAmplitudeValue');
+    const iodSlider = document.getElementById('iodSlider');
+    const iodValue = document.getElementById('iodValue');
     const siteNameInput = document.getElementById('siteNameInput');
     const siteLonInput = document.getElementById('siteLonInput');
     const siteLatInput = document.getElementById('siteLatInput');
     const customLonInput = document.getElementById('customLonInput');
     const customLatInput = document.getElementById('customLatInput');
+    const seedInput = document.getElementById('seedInput');
+    const seedValue = document.getElementById('seedValue');
+    const stormCountSlider = document.getElementById('stormCountSlider');
+    const stormCountValue = document.getElementById('stormCountValue');
+    const seasonModeCheckbox = document.getElementById('seasonModeCheckbox');
+    const seasonEndMonthSelector = document.getElementById('seasonEndMonthSelector');
+    const ensembleSizeSelector = document.getElementById('ensembleSizeSelector');
+    const forecastHorizonSelector = document.getElementById('forecastHorizonSelector');
+    const forecastAidSelector = document.getElementById('forecastAidSelector');
+    const seasonModal = document.getElementById('seasonModal');
+    const closeSeasonModal = document.getElementById('closeSeasonModal');
+    const climatologyButton = document.getElementById('climatologyButton');
+    const climatologyModal = document.getElementById('climatologyModal');
+    const closeClimatologyModal = document.getElementById('closeClimatologyModal');
+    const runClimatologyButton = document.getElementById('runClimatologyButton');
+    const climCountInput = document.getElementById('climCountInput');
+    const saveRunButton = document.getElementById('saveRunButton');
+    const loadRunButton = document.getElementById('loadRunButton');
+    const loadRunInput = document.getElementById('loadRunInput');
+    const scenarioSelector = document.getElementById('scenarioSelector');
+    const scenarioInfo = document.getElementById('scenarioInfo');
+    const scenarioSiteSelector = document.getElementById('scenarioSiteSelector');
+    const loadScenarioButton = document.getElementById('loadScenarioButton');
+    const saveScenarioButton = document.getElementById('saveScenarioButton');
+    const loadScenarioInput = document.getElementById('loadScenarioInput');
+    const copyLinkButton = document.getElementById('copyLinkButton');
+    const rewindPanel = document.getElementById('rewind-panel');
+    const rewindSlider = document.getElementById('rewindSlider');
+    const rewindHourLabel = document.getElementById('rewindHourLabel');
+    const rewindButton = document.getElementById('rewindButton');
+    const branchButton = document.getElementById('branchButton');
+    const clearGhostsButton = document.getElementById('clearGhostsButton');
+    const historySearchInput = document.getElementById('historySearchInput');
+    const historyBasinFilter = document.getElementById('historyBasinFilter');
+    const historyYearFilter = document.getElementById('historyYearFilter');
+    const historyPeakFilter = document.getElementById('historyPeakFilter');
+    const exportArchiveButton = document.getElementById('exportArchiveButton');
+    const importArchiveButton = document.getElementById('importArchiveButton');
+    const importArchiveInput = document.getElementById('importArchiveInput');
+    const importTrackButton = document.getElementById('importTrackButton');
+    const importTrackInput = document.getElementById('importTrackInput');
     const showPathPointsCheckbox = document.getElementById('showPathPointsCheckbox');
     const savedSiteName = localStorage.getItem('tcs_site_name');
     const savedSiteLon = localStorage.getItem('tcs_site_lon');
@@ -139,7 +204,8 @@ document.addEventListener('DOMContentLoaded', () => {
         showAllBtn.className = "text-[10px] font-bold bg-cyan-900/50 hover:bg-cyan-700 text-cyan-300 border border-cyan-500/30 px-3 py-1 rounded transition-colors uppercase tracking-wider";
         
         showAllBtn.addEventListener('click', () => {
-            if (state.history.length === 0) {
+            const visibleHistory = getFilteredHistory();
+            if (visibleHistory.length === 0) {
                     alert("No historical track to display :(");
                     return;
                 }
@@ -172,7 +238,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 // 由于 info-panel 隐藏了，原本的 'status' 元素也看不见了。
     
                 // 4. 调用批量绘图
-                drawAllHistoryTracks(mapSvg, mapProjection, state.history, state.world);
+                drawAllHistoryTracks(mapSvg, mapProjection, visibleHistory, state.world);
             });
 
         const closeBtn = document.getElementById('closeHistoryModal');
@@ -221,10 +287,34 @@ document.addEventListener('DOMContentLoaded', () => {
         world: null,
         showPressureField: false,
         showHumidityField: false,
+        showOceanWake: false, // [新增] 海洋冷尾流图层
+        showSurge: false, // [新增] 岸线风暴潮色带
+        surgeRecord: createSurgeRecord(), // [新增] 本次模拟各岸线点的峰值增水
+        showRainfall: false, // [新增] 累积雨量图层
+        rainSwaths: new Map(), // [新增] 各气旋的累积雨量场 (stormId -> rainfall.js swath)
+        showWindSwath: false, // [新增] 最大风速包络图层
+        windSwaths: new Map(), // [新增] 各气旋的最大风速包络 (stormId -> wind-swath.js swath)
         showPathForecast: false,
         showWindRadii: false,
         GlobalShear: 100,
         GlobalTemp: 289, // [新增] 全局温度状态，默认 289K (16°C)
+        climate: { enso: 0, mjoPhase: 1, mjoAmplitude: 0, iod: 0 }, // [新增] ENSO / MJO / IOD 气候态
+        seed: null, // [新增] 本次模拟使用的随机种子
+        engine: null, // [新增] 无界面模拟引擎实例
+        stormCount: 1, // [新增] 同时生成的气旋数量
+        ensembleSize: 20, // [新增] 路径预报的集合成员数 (0 = 只做确定性预报)
+        forecastHours: DEFAULT_FORECAST_HOURS, // [新增] 路径预报时效 (72 / 120 / 168 h)
+        forecastAids: [...BASELINE_AIDS], // [新增] 与 ENAI 一同显示的统计基准 (CLP5 / DSF5)
+        cyclones: [], // [新增] 引擎中的全部气旋 (state.cyclone 为当前关注的那一个)
+        seasonMode: false, // [新增] 赛季模式
+        seasonEndMonth: 11, // [新增] 赛季结束月份
+        newsFlags: {}, // [新增] 各气旋的新闻/警报触发标志 (按 stormId 保存)
+        climatologyRunning: false, // [新增] 蒙特卡洛统计是否正在运行
+        climatologyCancelled: false,
+        climatologyReport: null, // [新增] 最近一次统计结果
+        previousClimatologyReport: null, // [新增] 上一次统计结果 (用于对比气候变化实验)
+        ghostTracks: [], // [新增] 回溯分支前的原始路径 [{ stormId, label, track }]
+        branchPending: false, // [新增] 已回溯、等待修改参数后分支
         siteName: savedSiteName || '',
         siteLon: savedSiteLon ? parseFloat(savedSiteLon) : null,
         siteLat: savedSiteLat ? parseFloat(savedSiteLat) : null,
@@ -232,6 +322,7 @@ document.addEventListener('DOMContentLoaded', () => {
         dopplerMode: false,
         customLon: null,
         customLat: null,
+        scenario: null, // [新增] 当前选用的情景 (normalizeScenario 的结果)
         showPathPoints: false,
         showWindField: false,
         history: [],
@@ -389,6 +480,7 @@ document.addEventListener('DOMContentLoaded', () => {
             initTerrainSystem(img.src, state.world).then(() => {
                 console.log("Terrain Logic Ready.");
                 generateButton.disabled = false;
+                startPendingSharedRun(); // [新增] 分享链接带种子时自动开始
             });
             
             // B. WebGL 渲染用的地形纹理 (同步上传)
@@ -467,7 +559,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const basinCode = basinMap[currentBasin] || 'XX';
         
         // 气旋编号 (如果没有 finalStats，使用当前计数)
-        const cycloneNum = state.lastFinalStats ? state.lastFinalStats.number.split(' ')[1] : String(state.simulationCount).padStart(2, '0');
+        const cycloneNum = state.lastFinalStats ? state.lastFinalStats.number.split(' ')[1] : String(getCycloneNumber(state.cyclone)).padStart(2, '0');
         const stormName = `${basinCode} ${cycloneNum}`;
 
         // B. 遍历轨迹获取极值
@@ -490,7 +582,8 @@ document.addEventListener('DOMContentLoaded', () => {
         // C. 计算日期范围 (MM/DD)
         const currentYear = new Date().getFullYear();
         // 模拟开始日期 (当月1号)
-        const startDate = new Date(Date.UTC(currentYear, state.currentMonth - 1, 1));
+        const clock = getCycloneClock(state.cyclone);
+        const startDate = new Date(Date.UTC(currentYear, clock.month - 1, 1) + clock.startHour * 3600 * 1000);
         
         // 模拟结束日期 = 开始日期 + 气旋总寿命(小时)
         const totalHours = state.cyclone.age || 0;
@@ -645,7 +738,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const speedText = speedMap[newInterval] || `${newInterval}ms`;
         
         // 如果当前正在运行（非暂停，且已启动），立即应用新速度
-        if (state.simulationInterval && !state.isPaused && state.cyclone.status === 'active') {
+        if (state.simulationInterval && !state.isPaused && state.engine && state.engine.isActive()) {
             clearInterval(state.simulationInterval);
             state.simulationInterval = setInterval(updateSimulation, state.simulationSpeed);
             // 临时显示速度提示
@@ -658,55 +751,85 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    function getAtcfTypeCode(windKts, isExtratropical, isSubtropical) {
-        if (isSubtropical) {
-            if (windKts < 34) return 'SD';
-            return 'SS';
-        }
-        if (isExtratropical) return 'EX';
-        if (windKts >= 130) return 'ST';
-        if (windKts >= 64) return 'TY';
-        if (windKts >= 34) return 'TS';
-        if (windKts >= 24) return 'TD';
-        if (windKts > 0) return 'DB';
-        return 'LO';
-    }
+    // [修改] 最佳路径输出为完整的 ATCF b-deck (逐象限风圈、RMW、ROCI)，格式化见 track-export.js
+    function getExportInfo(cyclone, cycloneInfo = getCycloneInfo(cyclone)) {
+        return {
+            ...cycloneInfo,
+            number: getCycloneNumber(cyclone),
+            name: cyclone.named ? cyclone.name : '',
+            // 兼容旧路径：缺少中心气压时按当前环境气压反算
+            estimatePressure: (point) => windToPressure(point[2], point[5] || 300, cycloneInfo.basin, getPressureAt(point[0], point[1], state.pressureSystems))
+        };
+    }
 
-    function formatBestTrack(track, cycloneInfo, simulationCount) {
-        const basinMap = { 'WPAC': 'WP', 'EPAC': 'EP', 'NATL': 'AL', 'NIO': 'IO', 'SHEM': 'SH', 'SIO': 'SH', 'SATL': 'SL' };
-        const basin = basinMap[cycloneInfo.basin] || 'WP';
-        const cycloneNum = String(simulationCount).padStart(2, '0');
-        const startDate = new Date(Date.UTC(cycloneInfo.year, cycloneInfo.month - 1, 1));
-
-        return track.map((point, index) => {
-            const currentDate = new Date(startDate);
-            currentDate.setUTCHours(currentDate.getUTCHours() + index * 3);
-
-            const dateString = `${currentDate.getUTCFullYear()}${String(currentDate.getUTCMonth() + 1).padStart(2, '0')}${String(currentDate.getUTCDate()).padStart(2, '0')}${String(currentDate.getUTCHours()).padStart(2, '0')}`;
-            const lat = `${Math.round(point[1] * 10)}N`;
-            let lonValue = point[0] > 180 ? 360 - point[0] : point[0];
-            let lonHemi = point[0] > 180 ? 'W' : 'E';
-            const lon = `${Math.round(lonValue * 10)}${lonHemi}`;
-            const vmax = Math.round(point[2]);
-            const circulationSize = point[5]; 
-            let mslp;
-            if (point[10] !== undefined) {
-                mslp = point[10];
-            } else {
-                const circulationSize = point[5] || 300;
-                const envP = getPressureAt(point[0], point[1], state.pressureSystems);
-                mslp = Math.round(windToPressure(vmax, circulationSize, cycloneInfo.basin, envP));
+    function formatBestTrack(cyclone, cycloneInfo) {
+        return formatAtcfBdeck(cyclone.track, getExportInfo(cyclone, cycloneInfo));
+    }
+
+    // [新增] 下载纯文本文件
+    function downloadTextFile(text, filename, type = 'text/plain') {
+        const blob = new Blob([text], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // [新增] 导出 ATCF b-deck / a-deck (当前关注的气旋) 与 HURDAT2 (本次运行的全部气旋)
+    function downloadTrackExport(format) {
+        const cyclone = state.cyclone;
+        if (!cyclone || !cyclone.track || cyclone.track.length === 0) {
+            alert("没有可导出的路径数据。");
+            return;
+        }
+        const info = getExportInfo(cyclone);
+        const code = `${ATCF_BASIN_CODES[info.basin] || 'WP'}${String(info.number).padStart(2, '0')}${new Date(getExportStartTime(info)).getUTCFullYear()}`;
+        if (format === 'bdeck') {
+            downloadTextFile(formatAtcfBdeck(cyclone.track, info), `b${code.toLowerCase()}.dat`);
+        } else if (format === 'adeck') {
+            const text = formatAtcfAdeck(cyclone.forecastLogs, info);
+            if (!text) {
+                alert("该气旋没有记录到路径预报。");
+                return;
             }
-            
-            const type = getAtcfTypeCode(vmax, point[4], point[6]);
-
-            return [
-                basin.padEnd(2, ' '), cycloneNum.padStart(3, ' '), ` ${dateString}`, ' 00', ' BEST', '   0',
-                lat.padStart(6, ' '), lon.padStart(7, ' '), String(vmax).padStart(4, ' '),
-                String(mslp).padStart(5, ' '), ` ${type}`,
-            ].join(',');
-        }).join('\n');
-    }
+            downloadTextFile(text, `a${code.toLowerCase()}.dat`);
+        } else {
+            const cyclones = (state.cyclones.length ? state.cyclones : [cyclone]).filter(c => c.track && c.track.length > 0);
+            downloadTextFile(formatHurdat2(cyclones.map(c => ({ track: c.track, info: getExportInfo(c) }))), `hurdat2_${code}.txt`);
+        }
+    }
+
+    // [新增] 最近一次记录的路径预报对应的扇面 (与地图上的扇面几何一致)
+    function getLatestForecastCone(cyclone) {
+        const ages = Object.keys(cyclone.forecastLogs || {}).map(Number);
+        if (ages.length === 0) return null;
+        const initHour = Math.max(...ages);
+        const cone = buildForecastCone(cyclone.forecastLogs[initHour], cyclone.basin);
+        if (cone) cone.initHour = initHour;
+        return cone;
+    }
+
+    // [新增] GIS 矢量导出 (当前关注的气旋)：GeoJSON / KML 含路径、风圈与扇面，CSV 为逐点表格
+    function downloadGisExport(format) {
+        const cyclone = state.cyclone;
+        if (!cyclone || !cyclone.track || cyclone.track.length === 0) {
+            alert("没有可导出的路径数据。");
+            return;
+        }
+        const storm = { track: cyclone.track, info: getExportInfo(cyclone) };
+        const baseName = `${(cyclone.name || 'RUN').toUpperCase()}_${storm.info.basin}_TRACK`;
+        if (format === 'geojson') {
+            downloadTextFile(formatTrackGeoJson(storm, getLatestForecastCone(cyclone)), `${baseName}.geojson`, 'application/geo+json');
+        } else if (format === 'kml') {
+            downloadTextFile(formatTrackKml(storm, getLatestForecastCone(cyclone)), `${baseName}.kml`, 'application/vnd.google-earth.kml+xml');
+        } else {
+            downloadTextFile(formatTrackCsv(storm), `${baseName}.csv`, 'text/csv');
+        }
+    }
 
     function drawRadarScope() {
         // 1. 基础检查
@@ -889,7 +1012,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const isLand = state.cyclone.isLand || false;
         const currentSST = getSST(state.cyclone.lat, state.cyclone.lon, state.currentMonth, state.GlobalTemp);
         const basin = basinSelector.value || 'WPAC'; // 默认西太
-        const cycloneNum = String(state.simulationCount).padStart(2, '0');
+        const cycloneNum = String(getCycloneNumber(state.cyclone)).padStart(2, '0');
         const intensity = state.cyclone.intensity;
         const isExtra = state.cyclone.isExtratropical;
         const isSub = state.cyclone.isSubtropical;
@@ -1011,7 +1134,7 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // 1. 获取原始风场
             // 注意：即使气旋未生成，这里也能算出背景风场
-            let vec = getWindVectorAt(state.siteLon, state.siteLat, state.currentMonth, state.cyclone, state.pressureSystems);
+            let vec = getWindVectorAt(state.siteLon, state.siteLat, state.currentMonth, getActiveCyclones(), state.pressureSystems);
             
             // ... (中间的陆地摩擦逻辑保持不变) ...
             if (state.world) {
@@ -1042,7 +1165,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             }
             
-            const speedKt = Math.round(vec.magnitude + Math.random());
+            // [修改] 观测的随机扰动取自由种子、模拟时刻与站点派生的独立随机流：同一时刻同一站点可复现，也不消耗模拟随机流
+            const obsRandom = createRandom(deriveSeed(state.seed, 'site-obs', state.engine ? state.engine.hour : 0, `${state.siteLon},${state.siteLat}`));
+            const speedKt = Math.round(vec.magnitude + obsRandom());
 
             // 3. 计算风向字符串
             const flowAngleMath = Math.atan2(-vec.v, vec.u) * (180 / Math.PI);
@@ -1094,16 +1219,19 @@ document.addEventListener('DOMContentLoaded', () => {
             const diurnalBias = tideAmplitude * Math.cos(((localHour - 10) / 12) * 2 * Math.PI);
 
             // 4. 叠加微小随机噪声 (模拟测量误差/微湍流)
-            const microNoise = (Math.random() - 0.5) * 0.2;
+            const microNoise = (obsRandom() - 0.5) * 0.2;
             const Pn = getPressureAt(state.siteLon, state.siteLat, state.pressureSystems);
-            if (state.cyclone && state.cyclone.status === 'active') {
-                const distKm = calculateDistance(state.cyclone.lat, state.cyclone.lon, state.siteLat, state.siteLon);
-                const Rm = 10 + state.cyclone.circulationSize * 0.25;
-                const centerEnvP = getPressureAt(state.cyclone.lon, state.cyclone.lat, state.pressureSystems);
-                const Pc = windToPressure(state.cyclone.intensity, state.cyclone.circulationSize, basinSelector.value, centerEnvP);
-    
-                // 基础气压 (Holland 模型)
-                const baseP = Pc + (Pn - Pc) * Math.exp(-Rm / Math.max(1, distKm));
+            const activeCyclones = getActiveCyclones();
+            if (activeCyclones.length > 0) {
+                // 基础气压 (Holland 模型)，多个气旋时各自的气压亏损线性叠加
+                let baseP = Pn;
+                activeCyclones.forEach(c => {
+                    const distKm = calculateDistance(c.lat, c.lon, state.siteLat, state.siteLon);
+                    const centerEnvP = getPressureAt(c.lon, c.lat, state.pressureSystems);
+                    const Pc = windToPressure(c.intensity, c.circulationSize, basinSelector.value, centerEnvP);
+                    // [修改] 与风场、风圈共用的 Holland 剖面 (RMW / B 随气旋演变)
+                    baseP -= Pn - getVortexPressure(Math.max(1, distKm), Pc, Pn, getVortexParameters(c, centerEnvP));
+                });
                 
                 // 叠加潮汐修正
                 localPressure = baseP + diurnalBias + microNoise;
@@ -1111,6 +1239,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 localPressure = Pn + diurnalBias + microNoise;
             }
 
+            // [新增] 岸边站点的风暴潮增水 (m)，不在岸边时为 null
+            const surge = getSiteSurge(state.siteLon, state.siteLat, activeCyclones.map(c => c.track));
+
             // 4. 更新 State
             state.currentSiteData = {
                 u: vec.u,
@@ -1120,6 +1251,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 label: label, // 现在这是 HTML 字符串
                 dbz: dbz,     // 保存 dBZ 数值备用
                 pressure: localPressure,
+                surge: surge,
                 isSelected: state.isSiteSelected
             };
         } else {
@@ -1127,72 +1259,600 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // [新增] 将引擎状态同步到界面 state (引擎是唯一的模拟数据源)
+    function syncEngineState() {
+        const engine = state.engine;
+        if (!engine) return;
+        const previous = state.cyclone;
+        // 赛季开始时可能尚无气旋，用空对象占位 (与初始 state.cyclone 一致)
+        state.cyclone = engine.cyclone || { status: null, track: [] };
+        state.cyclones = engine.cyclones;
+        state.currentMonth = engine.month;
+        state.pressureSystems = engine.pressureSystems;
+        state.frontalZone = engine.frontalZone;
+        state.pathForecasts = engine.pathForecasts;
+        state.pressureHistory = engine.getPressureHistoryFor(engine.cyclone);
+        // [新增] 把新增的路径点计入各岸线点的峰值增水
+        updateSurgeRecord(state.surgeRecord, engine.cyclones.map(c => c.track));
+        updateSurgeSummary(state.surgeRecord);
+        updateStrikeProbability();
+        if (previous !== state.cyclone && (!previous || previous.stormId !== state.cyclone.stormId)) {
+            swapNewsFlags(previous, state.cyclone);
+        }
+        if (engine.nameIndex !== state.nextNameIndex) {
+            state.nextNameIndex = engine.nameIndex;
+            console.log("Name assigned. Next name index:", state.nextNameIndex);
+        }
+        renderStormTabs();
+        renderSeasonStatus();
+        updateRewindControls();
+    }
+
+    // [新增] 信息面板显示增水最高的海岸段，悬停显示前五个
+    function updateSurgeSummary(record) {
+        const peaks = getSegmentPeaks(record);
+        const label = document.getElementById('peak-surge');
+        label.textContent = peaks.length > 0 ? `${peaks[0].value.toFixed(1)} m (${peaks[0].name})` : '--';
+        label.title = peaks.slice(0, 5).map(p => `${p.name}: ${p.value.toFixed(1)} m`).join('\n');
+    }
+
+    // [新增] 观测站点的侵袭概率：由关注气旋当前集合预报的成员统计
+    function updateStrikeProbability() {
+        const label = document.getElementById('site-strike');
+        const hasSite = state.siteLon != null && state.siteLat != null;
+        const strike = hasSite && state.cyclone && state.cyclone.status === 'active'
+            ? getStrikeProbability(state.pathForecasts, state.siteLon, state.siteLat)
+            : null;
+        if (!strike) {
+            label.textContent = '--';
+            label.title = '';
+            return;
+        }
+        label.textContent = `${Math.round(strike.probability * 100)}%${strike.medianHour !== null ? ` (T+${strike.medianHour}h)` : ''}`;
+        label.title = `${strike.hits}/${strike.members} members pass within ${STRIKE_RADIUS_KM} km of ${state.siteName || 'the site'} in the next ${state.forecastHours} h`;
+    }
+
+    // [新增] 关注的气旋改变时，保存旧气旋的新闻/警报标志并恢复新气旋的 (避免重复播报或漏报)
+    function swapNewsFlags(previous, next) {
+        if (previous && previous.stormId !== undefined) {
+            state.newsFlags[previous.stormId] = {
+                hasAlerted: state.hasAlerted,
+                hasTriggeredCat1News: state.hasTriggeredCat1News,
+                hasTriggeredCat5News: state.hasTriggeredCat5News
+            };
+        }
+        const saved = (next && state.newsFlags[next.stormId]) || {};
+        state.hasAlerted = saved.hasAlerted || false;
+        state.hasTriggeredCat1News = saved.hasTriggeredCat1News || false;
+        state.hasTriggeredCat5News = saved.hasTriggeredCat5News || false;
+    }
+
+    // [新增] 气旋的日期基准：赛季模式下为赛季起始月 + 该气旋的生成时刻
+    function getCycloneClock(cyclone) {
+        const season = state.engine && state.engine.season;
+        if (!season) return { month: state.currentMonth, startHour: 0 };
+        return { month: season.startMonth, startHour: (cyclone && cyclone.genesisHour) || 0 };
+    }
+
+    // [新增] 赛季模式下信息面板顶部的赛季进度 (当前月份、已生成气旋数、累计 ACE)
+    function renderSeasonStatus() {
+        const el = document.getElementById('season-status');
+        if (!el) return;
+        const season = state.engine && state.engine.season;
+        if (!season) {
+            el.classList.add('hidden');
+            return;
+        }
+        const monthNames = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+        const summary = state.engine.getSeasonSummary();
+        el.classList.remove('hidden');
+        el.textContent = `SEASON ${monthNames[state.engine.month - 1]} · ${summary.storms} SYSTEMS · ${summary.named} NAMED · ACE ${summary.ace.toFixed(1)}`;
+    }
+
+    // [新增] 气旋编号：同一次模拟中的多个气旋按 stormId 顺延编号
+    function getCycloneNumber(cyclone) {
+        return state.simulationCount + ((cyclone && cyclone.stormId) || 0);
+    }
+
+    // [新增] 当前所有活跃气旋 (站点观测需叠加全部气旋的影响)
+    function getActiveCyclones() {
+        const list = (state.cyclones && state.cyclones.length) ? state.cyclones : [state.cyclone];
+        return list.filter(c => c && c.status === 'active');
+    }
+
+    // [新增] 其他同时存在的气旋 (用于地图伴随层)
+    function getOtherCyclones() {
+        return (state.cyclones || []).filter(c => c !== state.cyclone);
+    }
+
+    // [新增] 切换关注的气旋 (仅可切换到仍活跃的气旋)
+    function focusCyclone(stormId) {
+        if (!state.engine) return;
+        const index = state.engine.cyclones.findIndex(c => c.stormId === stormId);
+        if (index < 0 || state.engine.cyclones[index].status !== 'active') return;
+        playClick();
+        state.engine.setFocus(index);
+        syncEngineState();
+        updateInfoPanel();
+        updateMapInfoBox();
+        requestRedraw();
+    }
+
+    // [新增] 信息面板顶部的气旋切换标签 (单气旋时隐藏)
+    function renderStormTabs() {
+        const container = document.getElementById('storm-tabs');
+        if (!container) return;
+        const cyclones = state.cyclones || [];
+        if (cyclones.length < 2) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+        container.classList.remove('hidden');
+        container.innerHTML = '';
+        cyclones.forEach(c => {
+            const isFocused = c === state.cyclone;
+            const isActive = c.status === 'active';
+            const btn = document.createElement('button');
+            btn.className = `px-2 py-0.5 text-[10px] font-mono font-bold uppercase border ${isFocused ? 'bg-slate-700 text-cyan-400 border-cyan-500' : 'bg-slate-900 text-slate-300 border-slate-600 hover:text-cyan-400'} ${isActive ? '' : 'opacity-40 line-through'}`;
+            btn.textContent = c.name ? c.name.toUpperCase() : `TD ${String(getCycloneNumber(c)).padStart(2, '0')}`;
+            if (c.mergedInto) btn.title = `Merged into ${c.mergedInto}`;
+            btn.disabled = !isActive;
+            btn.addEventListener('click', () => focusCyclone(c.stormId));
+            container.appendChild(btn);
+        });
+    }
+
+    // [新增] 计算单个气旋的最佳路径文本、极值与显示名称 (结束时展示与存档共用)
+    function summarizeCyclone(cyclone, cycloneInfo) {
+        // 生成最佳路径文本
+        const bestTrackText = formatBestTrack(cyclone, cycloneInfo);
+        
+        // 解析简写代码 (用于显示编号), 例如 "WP"
+        const firstLine = bestTrackText.split('\n')[0];
+        const basinCode = firstLine.split(',')[0].trim(); 
+        const cycloneNumStr = String(getCycloneNumber(cyclone)).padStart(2, '0');
+        
+        // -------------------------------------
+
+        // 1. 遍历轨迹计算极值 (Peak Wind & Min Pressure)
+        let peakWind = 0;
+        let minPressure = 9999;
+        cyclone.track.forEach(point => {
+            const intensity = point[2];
+            let pressure;
+            if (point[10] !== undefined && point[10] !== null) {
+                pressure = point[10];
+            } else {
+                // 兼容旧存档的回退逻辑 (只有读取旧版存档时才会执行这里)
+                const circulationSize = point[5] || 300;
+                // 注意：事后反算无法获取当时的环境气压，只能用默认值，这是造成不一致的根源
+                // 但对于新模拟，point[10] 一定存在，所以不会进这里
+                pressure = Math.round(windToPressure(intensity, circulationSize, cycloneInfo.basin)); 
+            }
+
+            if (intensity > peakWind) peakWind = intensity;
+            if (pressure < minPressure) minPressure = pressure;
+        });
+
+        // 2. 获取名字 (使用 basinId 查表)
+        const cycloneNum = String(getCycloneNumber(cyclone)).padStart(2, '0');
+        const stormName = cyclone.name ? cyclone.name.toUpperCase() : "UNKNOWN";
+        let statusText = "";
+
+        // 逻辑与 updateInfoPanel 完全一致
+        if (peakWind >= 34 || cyclone.named) {
+            if (cyclone.intensity >= 34) {
+                if (cyclone.isExtratropical) statusText = `EX-${stormName}`;
+                else statusText = stormName;
+            } else {
+                if (cyclone.isExtratropical) statusText = `EX-${stormName}`;
+                else if (cyclone.isSubtropical) statusText = `SD ${stormName}`;
+                else statusText = `TD ${stormName}`;
+            }
+        } else {
+            if (cyclone.isExtratropical) statusText = `EX ${cycloneNum}`;
+            else if (cyclone.isSubtropical) statusText = `SD ${cycloneNum}`;
+            else statusText = `TD ${cycloneNum}`;
+        }
+        return { bestTrackText, basinCode, cycloneNumStr, peakWind, minPressure, statusText };
+    }
+
+    // [新增] 最佳路径的日期信息 (赛季模式下以赛季起始月 + 生成时刻为起点)
+    function getCycloneInfo(cyclone) {
+        const clock = getCycloneClock(cyclone);
+        return {
+            basin: basinSelector.value || 'WPAC',
+            month: clock.month,
+            startHour: clock.startHour,
+            year: new Date().getFullYear()
+        };
+    }
+
+    // [新增] 将单个气旋存入历史记录 (多气旋模式下每个气旋各占一条)
+    function archiveCyclone(cyclone, summary) {
+        const { bestTrackText, basinCode, cycloneNumStr, peakWind, statusText } = summary;
+        try {
+            const totalHours = cyclone.age;
+            const peakIntensityKt = Math.round(peakWind);
+            
+            // 历史列表显示的名称
+            const historyName = `${statusText} (${basinCode} ${cycloneNumStr}) - T+${totalHours}h, Peak ${peakIntensityKt}kt`;
+            const cycloneClone = { ...cyclone };
+            const satCacheRef = cycloneClone.satelliteCache;
+            delete cycloneClone.satelliteCache;
+            const cycloneDataDeep = JSON.parse(JSON.stringify(cycloneClone));
+            if (satCacheRef) {
+                cycloneDataDeep.satelliteCache = satCacheRef;
+            }
+            const entry = { 
+                name: historyName, 
+                cycloneData: cycloneDataDeep,
+                atcfData: bestTrackText,
+                pressureHistory: JSON.parse(JSON.stringify(state.engine ? state.engine.getPressureHistoryFor(cyclone) : (state.pressureHistory || []))),
+                siteHistory: JSON.parse(JSON.stringify(getSiteHistoryFor(cyclone))),
+                rainfall: getRainfallFor(cyclone), // [新增] 累积雨量
+                seed: state.seed,
+                // [新增] 检索字段 (历史记录筛选与 IndexedDB 存档)
+                basin: cyclone.basin || basinSelector.value,
+                year: new Date().getFullYear(),
+                peak: peakIntensityKt,
+                savedAt: Date.now()
+            };
+            state.history.push(entry);
+            persistHistoryEntry(entry);
+            refreshConeCalibration();
+        } catch (e) {
+            console.error("无法保存历史记录:", e);
+        }
+    }
+
+    // [新增] 检验统计表：行为模式 × 指标，列为预报时效
+    function formatVerificationTable(title, summary) {
+        const fmt = (value, digits = 0) => (value === null || value === undefined ? '--' : value.toFixed(digits));
+        const head = summary.leads.map(lead => `<th class="px-2 py-1 text-right">${lead}h</th>`).join('');
+        const row = (label, cells, className = '') => `
+            <tr class="${className}"><td class="px-2 py-1 text-gray-500">${label}</td>${cells.map(c => `<td class="px-2 py-1 text-right">${c}</td>`).join('')}</tr>`;
+        const metric = (model, field, digits = 0) => summary.leads.map(lead => {
+            const cell = summary.stats[model][lead];
+            return cell ? fmt(cell[field], digits) : '--';
+        });
+        const body = summary.models.map(model => {
+            const isTrackOnly = summary.leads.every(lead => !summary.stats[model][lead] || summary.stats[model][lead].intensityBias === null);
+            const isIntensityOnly = summary.leads.every(lead => !summary.stats[model][lead] || summary.stats[model][lead].trackKm === null);
+            const rows = [`<tr class="border-t border-gray-200"><td class="px-2 pt-2 font-black text-cyan-700" colspan="${summary.leads.length + 1}">${model}</td></tr>`];
+            rows.push(row('N', metric(model, 'count')));
+            if (!isIntensityOnly) {
+                rows.push(row('TRACK km', metric(model, 'trackKm'), 'font-bold'));
+                rows.push(row('ALONG km', metric(model, 'alongKm')));
+                rows.push(row('CROSS km', metric(model, 'crossKm')));
+            }
+            if (!isTrackOnly) {
+                rows.push(row('INT BIAS kt', metric(model, 'intensityBias', 1)));
+                rows.push(row('INT MAE kt', metric(model, 'intensityMae', 1), 'font-bold'));
+            }
+            if (!summary.stats.CLP5 || !summary.stats.DSF5 || BASELINE_AIDS.includes(model)) return rows.join('');
+            const trackSkill = getSkill(summary, model, 'CLP5', 'trackKm');
+            const intensitySkill = getSkill(summary, model, 'DSF5', 'intensityMae');
+            rows.push(row('TRACK SKILL %', summary.leads.map(lead => fmt(trackSkill[lead])), 'text-emerald-700'));
+            rows.push(row('INT SKILL %', summary.leads.map(lead => fmt(intensitySkill[lead])), 'text-emerald-700'));
+            return rows.join('');
+        }).join('');
+        return `
+            <div class="text-[10px] text-gray-400 font-bold mb-1">FORECAST VERIFICATION</div>
+            <div class="text-lg font-black mb-2">${title}</div>
+            ${summary.models.length === 0
+                ? '<div class="text-sm text-gray-400">No verifiable forecasts yet (forecasts are verified once the storm reaches each lead time).</div>'
+                : `<table class="w-full text-xs"><thead><tr class="text-gray-400"><th></th>${head}</tr></thead><tbody>${body}</tbody></table>`}
+        `;
+    }
+
+    // [新增] 当前海域的扇面半径 (同时用于风速概率产品)，注明是历史统计还是默认值
+    function formatConeCalibration(basin) {
+        const { radiiKm, counts, calibrated } = getConeCalibration(basin);
+        const cells = VERIFY_LEAD_HOURS.map((lead, i) => `<td class="px-2 py-1 text-right">${Math.round(radiiKm[i])}</td>`).join('');
+        const samples = VERIFY_LEAD_HOURS.map((lead, i) => `<td class="px-2 py-1 text-right">${counts[i]}</td>`).join('');
+        return `
+            <div class="h-6"></div>
+            <div class="text-[10px] text-gray-400 font-bold mb-1">FORECAST CONE · ${basin}</div>
+            <div class="text-sm font-bold mb-2 ${calibrated ? 'text-emerald-700' : 'text-gray-500'}">
+                ${calibrated ? '67% ENAI track error from archived storms' : 'Default radii (not enough archived forecasts in this basin)'}
+            </div>
+            <table class="w-full text-xs">
+                <thead><tr class="text-gray-400"><th></th>${VERIFY_LEAD_HOURS.map(lead => `<th class="px-2 py-1 text-right">${lead}h</th>`).join('')}</tr></thead>
+                <tbody>
+                    <tr><td class="px-2 py-1 text-gray-500">RADIUS km</td>${cells}</tr>
+                    <tr><td class="px-2 py-1 text-gray-500">N</td>${samples}</tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    // [新增] 历史记录变化后按海域重算预报扇面半径 (ENAI 路径误差的 67% 分位数)
+    function refreshConeCalibration() {
+        calibrateConeRadii(state.history
+            .filter(entry => entry.cycloneData)
+            .map(entry => ({ ...entry.cycloneData, basin: getArchiveMeta(entry).basin })));
+    }
+
+    // [新增] 写入 IndexedDB 存档 (失败时仍保留在内存中的历史记录)
+    function persistHistoryEntry(entry) {
+        addArchiveEntry(entry)
+            .then(id => { entry.id = id; })
+            .catch(e => console.warn("历史记录未能写入 IndexedDB:", e));
+    }
+
+    // [新增] 截取某个气旋生命期内的站点观测，hour 换算为该气旋自身的 age
+    // 累积雨量 rain 同样改为从该气旋生成时刻起算
+    function getSiteHistoryFor(cyclone) {
+        const start = cyclone.genesisHour || 0;
+        const end = start + cyclone.age;
+        const before = (state.siteHistory || []).filter(h => h.hour < start).pop();
+        const baseRain = before && before.rain ? before.rain : 0;
+        return (state.siteHistory || [])
+            .filter(h => h.hour >= start && h.hour <= end)
+            .map(h => ({ ...h, hour: h.hour - start, rain: Math.round(((h.rain || 0) - baseRain) * 10) / 10 }));
+    }
+
+    // [新增] 地图叠加图层 (drawMap 与 drawFinalPath 共用)
+    function getMapOverlays() {
+        return {
+            oceanWake: state.engine ? state.engine.oceanWake : null,
+            showOceanWake: state.showOceanWake,
+            surgeBand: getSurgeBand(state.surgeRecord),
+            showSurge: state.showSurge,
+            rainCells: state.showRainfall ? getRainCells([...state.rainSwaths.values()]) : null,
+            showRainfall: state.showRainfall,
+            windSwathCells: state.showWindSwath ? getWindSwathCells([...state.windSwaths.values()]) : null,
+            showWindSwath: state.showWindSwath,
+            forecastAids: state.forecastAids
+        };
+    }
+
+    // [新增] 强度图悬停时叠加的预报：该气旋的预报存档与选中的统计基准
+    function getChartForecast(cyclone) {
+        return { forecastLogs: cyclone ? cyclone.forecastLogs : null, aids: state.forecastAids };
+    }
+
+    // [新增] 每个活跃气旋在本步的降水：在其环流范围内采样模拟雷达回波，按 Z-R 关系累加
+    function accumulateStormRainfall() {
+        const engine = state.engine;
+        if (!engine) return;
+        engine.cyclones.forEach(c => {
+            if (c.status !== 'active') return;
+            if (!state.rainSwaths.has(c.stormId)) state.rainSwaths.set(c.stormId, createRainSwath());
+            // calculateRadarDbz 读取的状态：只包含这一个气旋，环境湿度取气旋中心处的背景值
+            const radarState = {
+                cyclone: c,
+                cyclones: [c],
+                pressureSystems: engine.pressureSystems,
+                currentMonth: engine.month,
+                GlobalTemp: state.GlobalTemp,
+                u_env_humidity: calculateBackgroundHumidity(c.lon, c.lat, engine.pressureSystems, engine.month, c, state.GlobalTemp) / 100
+            };
+            accumulateRainSwath(state.rainSwaths.get(c.stormId), engine.hour,
+                { lon: c.lon, lat: c.lat, radiusKm: (c.circulationSize || 300) * 2 },
+                (lon, lat) => calculateRadarDbz(lon, lat, radarState));
+        });
+    }
+
+    // [新增] 每个活跃气旋在本步经过区域的最大风速 (getWindVectorAt，含陆面摩擦) 与阵风
+    function accumulateWindSwaths() {
+        const engine = state.engine;
+        if (!engine) return;
+        engine.cyclones.forEach(c => {
+            if (c.status !== 'active') return;
+            if (!state.windSwaths.has(c.stormId)) state.windSwaths.set(c.stormId, createWindSwath());
+            accumulateWindSwath(state.windSwaths.get(c.stormId), engine.hour, c, engine.pressureSystems, engine.month);
+        });
+    }
+
+    // [新增] 导出最大风速包络 (CSV，每个达到 34 kt 的格点一行)
+    function downloadWindSwath() {
+        if (state.windSwaths.size === 0) {
+            alert("没有可导出的风速包络数据。");
+            return;
+        }
+        const blob = new Blob([formatWindSwathCsv([...state.windSwaths.values()])], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        const name = (state.cyclone && state.cyclone.name ? state.cyclone.name : 'RUN').toUpperCase();
+        a.download = `${name}_${state.engine ? state.engine.basin : basinSelector.value}_WIND_SWATH.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // [新增] 历史记录中保存的累积雨量 ([lon, lat, mm]，格点西南角)
+    function getRainfallFor(cyclone) {
+        const swath = state.rainSwaths.get(cyclone.stormId);
+        return swath ? getRainCells(swath).map(c => [c.lon, c.lat, Math.round(c.value)]) : [];
+    }
+
+    // [新增] 统一启用/禁用模拟参数输入 (模拟运行期间锁定)
+    function setSimulationInputsDisabled(disabled) {
+        [monthSelector, basinSelector, globalTempSlider, globalShearSlider, siteNameInput,
+            customLonInput, customLatInput, seedInput, stormCountSlider, seasonModeCheckbox,
+            seasonEndMonthSelector, ensembleSizeSelector, forecastHorizonSelector, siteLonInput, siteLatInput, scenarioSelector, scenarioSiteSelector, loadScenarioButton,
+            ensoSlider, mjoPhaseSelector, mjoAmplitudeSlider, iodSlider].forEach(input => {
+            if (input) input.disabled = disabled;
+        });
+    }
+
+    // [新增] 赛季结束：统计并展示赛季总结与时间轴
+    function finishSeason() {
+        clearInterval(state.simulationInterval);
+        state.simulationInterval = null;
+        state.isPaused = false;
+        pauseButton.disabled = true;
+        pauseButton.innerHTML = '<i class="fa-solid fa-pause text-xs"></i>';
+        setSimulationInputsDisabled(false);
+        updateRewindControls(); // [新增] 结束后仍可回溯分支
+
+        const season = state.engine.season;
+        const summary = summarizeSeason(state.engine.cyclones);
+        state.simulationCount += summary.storms;
+
+        document.getElementById('status').textContent = 'SEASON COMPLETE';
+        document.getElementById('map-info-box').classList.add('hidden');
+        renderSeasonStatus();
+
+        // 地图上显示本赛季全部路径
+        drawAllHistoryTracks(mapSvg, mapProjection, state.history.slice(-summary.storms), state.world);
+
+        const monthNames = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+        document.getElementById('season-title').textContent = `${basinSelector.value} ${monthNames[season.startMonth - 1]}–${monthNames[season.endMonth - 1]}`;
+        document.getElementById('season-storms').textContent = summary.storms;
+        document.getElementById('season-named').textContent = summary.named;
+        document.getElementById('season-hurricanes').textContent = summary.hurricanes;
+        document.getElementById('season-majors').textContent = summary.majors;
+        document.getElementById('season-ace').textContent = summary.ace.toFixed(1);
+        seasonModal.classList.remove('hidden');
+        setTimeout(() => {
+            drawSeasonTimeline(d3.select('#season-timeline-chart'), summary, season.startMonth, HOURS_PER_MONTH, tooltip);
+        }, 0);
+    }
+
+
+    // [新增] 时间轴滑块：范围为引擎最早的回退点到当前时刻
+    function updateRewindControls() {
+        const engine = state.engine;
+        const hasCheckpoints = !!engine && engine.checkpoints.length > 0;
+        rewindPanel.classList.toggle('hidden', !hasCheckpoints);
+        if (!hasCheckpoints) return;
+        rewindSlider.min = engine.checkpoints[0].hour;
+        rewindSlider.max = engine.hour;
+        rewindSlider.value = engine.hour;
+        rewindSlider.disabled = !!state.simulationInterval;
+        branchButton.disabled = !state.branchPending;
+        clearGhostsButton.disabled = state.ghostTracks.length === 0;
+        updateRewindLabel();
+    }
+
+    function updateRewindLabel() {
+        const target = parseInt(rewindSlider.value, 10);
+        const back = parseInt(rewindSlider.max, 10) - target;
+        rewindHourLabel.textContent = back > 0 ? `T+${target}h (-${back}h)` : `T+${target}h`;
+        rewindButton.disabled = back <= 0 || rewindSlider.disabled;
+    }
+
+    // [新增] 按回溯时刻的路径重算新闻/警报标志 (之后再次达到阈值时会重新播报)
+    function getNewsFlagsAt(cyclone) {
+        const peak = cyclone.track.reduce((max, p) => p[4] ? max : Math.max(max, p[2]), 0);
+        let hasAlerted = false;
+        if (state.siteLat !== null && state.siteLon !== null && cyclone.status === 'active') {
+            hasAlerted = calculateDistance(cyclone.lat, cyclone.lon, state.siteLat, state.siteLon) <= 400 && cyclone.intensity >= 34;
+        }
+        return { hasAlerted, hasTriggeredCat1News: peak >= 64, hasTriggeredCat5News: peak >= 137 };
+    }
+
+    // [新增] 回溯到指定时刻：当前路径保留为幽灵路径，暂停等待修改参数后分支
+    function rewindSimulation(hour) {
+        const engine = state.engine;
+        if (!engine || hour >= engine.hour) return;
+        playClick();
+        clearInterval(state.simulationInterval);
+        state.simulationInterval = null;
+
+        // 1. 保存幽灵路径与各气旋的云图缓存 (引擎回退点不含截图)
+        const generation = new Set(state.ghostTracks.map(g => g.generation)).size;
+        engine.cyclones.forEach(c => {
+            if (c.track.length < 2) return;
+            const name = c.name ? c.name.toUpperCase() : 'TD';
+            state.ghostTracks.push({
+                stormId: c.stormId,
+                generation,
+                label: generation === 0 ? `${name} ORIGINAL` : `${name} BRANCH ${generation}`,
+                track: c.track.slice()
+            });
+        });
+        const caches = new Map(engine.cyclones.map(c => [c.stormId, c.satelliteCache || []]));
+
+        if (!engine.rewindTo(hour)) {
+            console.warn(`No checkpoint at or before T+${hour}h`);
+            return;
+        }
+        engine.cyclones.forEach(c => {
+            c.satelliteCache = (caches.get(c.stormId) || []).filter(s => s.age <= c.age);
+        });
+
+        // 2. 站点观测与新闻标志回到同一时刻
+        state.siteHistory = (state.siteHistory || []).filter(h => h.hour <= engine.hour);
+        state.surgeRecord = createSurgeRecord(); // 峰值增水按回退后的路径重算
+        state.rainSwaths.forEach((swath, stormId) => {
+            if (engine.cyclones.some(c => c.stormId === stormId)) rebuildRainSwath(swath, engine.hour);
+            else state.rainSwaths.delete(stormId);
+        });
+        state.windSwaths.forEach((swath, stormId) => {
+            if (engine.cyclones.some(c => c.stormId === stormId)) rebuildWindSwath(swath, engine.hour);
+            else state.windSwaths.delete(stormId);
+        });
+        state.newsFlags = {};
+        engine.cyclones.forEach(c => { state.newsFlags[c.stormId] = getNewsFlagsAt(c); });
+        state.cyclone = {};
+        state.isPaused = true;
+        state.branchPending = true;
+        syncEngineState();
+
+        // 3. 界面回到运行中的暂停状态 (模拟已结束时同样可以回溯)
+        pauseButton.disabled = false;
+        pauseButton.innerHTML = '<i class="fa-solid fa-play text-xs"></i>';
+        bestTrackContainer.classList.add('hidden');
+        forecastContainer.classList.add('hidden');
+        setSimulationInputsDisabled(true);
+        [globalTempSlider, globalShearSlider, seedInput].forEach(input => { input.disabled = false; });
+        seedInput.value = `${engine.seed}`;
+        if (state.cyclone.status === 'active') {
+            document.getElementById('map-info-box').classList.remove('hidden');
+            updateInfoPanel();
+            updateMapInfoBox();
+        }
+        document.getElementById('status').textContent = 'REWOUND - ADJUST & BRANCH';
+        requestRedraw();
+    }
+
+    // [新增] 以修改后的全局温度 / 切变 / 种子从回溯点继续
+    function applyBranch() {
+        const engine = state.engine;
+        state.branchPending = false;
+        engine.setEnvironment({ globalTemp: state.GlobalTemp, globalShear: state.GlobalShear });
+        const seedText = seedInput.value.trim();
+        if (seedText !== '') {
+            const seed = normalizeSeed(/^\d+$/.test(seedText) ? Number(seedText) : seedText);
+            if (seed !== engine.seed) {
+                engine.reseed(seed);
+                state.seed = engine.seed;
+                seedValue.textContent = `${engine.seed}`;
+            }
+        }
+        seedInput.value = `${engine.seed}`;
+        setSimulationInputsDisabled(true);
+        syncEngineState();
+    }
+
+
     // --- 核心模拟循环 ---
 
-    function updateSimulation() {
-        if (state.cyclone.status !== 'active') {
+    function updateSimulation() {
+        if (!state.engine.isActive()) {
+            if (state.engine.season) {
+                finishSeason();
+                return;
+            }
             clearInterval(state.simulationInterval);
             state.simulationInterval = null;
             state.isPaused = false;
             
             // --- 变量统一区域 (彻底解决命名混乱) ---
             const basinId = basinSelector.value || 'WPAC'; // 下拉菜单的值 (用于查名字表), 例如 "WPAC"
-            const cycloneInfo = {
-                basin: basinId,
-                month: state.currentMonth,
-                year: new Date().getFullYear()
-            };
-            
-            // 生成最佳路径文本
-            const bestTrackText = formatBestTrack(state.cyclone.track, cycloneInfo, state.simulationCount);
+            const cycloneInfo = getCycloneInfo(state.cyclone);
             
-            // 解析简写代码 (用于显示编号), 例如 "WP"
-            const firstLine = bestTrackText.split('\n')[0];
-            const basinCode = firstLine.split(',')[0].trim(); 
-            const cycloneNumStr = String(state.simulationCount).padStart(2, '0');
-            
-            // -------------------------------------
-
-            // 1. 遍历轨迹计算极值 (Peak Wind & Min Pressure)
-            let peakWind = 0;
-            let minPressure = 9999;
-            state.cyclone.track.forEach(point => {
-                const intensity = point[2];
-                let pressure;
-                if (point[10] !== undefined && point[10] !== null) {
-                    pressure = point[10];
-                } else {
-                    // 兼容旧存档的回退逻辑 (只有读取旧版存档时才会执行这里)
-                    const circulationSize = point[5] || 300;
-                    // 注意：事后反算无法获取当时的环境气压，只能用默认值，这是造成不一致的根源
-                    // 但对于新模拟，point[10] 一定存在，所以不会进这里
-                    pressure = Math.round(windToPressure(intensity, circulationSize, basinId)); 
-                }
+            // 生成最佳路径文本、极值与显示名称
+            const summary = summarizeCyclone(state.cyclone, cycloneInfo);
+            const { bestTrackText, basinCode, cycloneNumStr, peakWind, minPressure, statusText } = summary;
 
-                if (intensity > peakWind) peakWind = intensity;
-                if (pressure < minPressure) minPressure = pressure;
-            });
-
-            // 2. 获取名字 (使用 basinId 查表)
-            const cycloneNum = String(state.simulationCount).padStart(2, '0');
-            const stormName = state.cyclone.name ? state.cyclone.name.toUpperCase() : "UNKNOWN";
-            let statusText = "";
-
-            // 逻辑与 updateInfoPanel 完全一致
-            if (peakWind >= 34 || state.cyclone.named) {
-                if (state.cyclone.intensity >= 34) {
-                    if (state.cyclone.isExtratropical) statusText = `EX-${stormName}`;
-                    else statusText = stormName;
-                } else {
-                    if (state.cyclone.isExtratropical) statusText = `EX-${stormName}`;
-                    else if (state.cyclone.isSubtropical) statusText = `SD ${stormName}`;
-                    else statusText = `TD ${stormName}`;
-                }
-            } else {
-                if (state.cyclone.isExtratropical) statusText = `EX ${cycloneNum}`;
-                else if (state.cyclone.isSubtropical) statusText = `SD ${cycloneNum}`;
-                else statusText = `TD ${cycloneNum}`;
-            }
             // 更新 UI
             document.getElementById('status').textContent = statusText;
             document.getElementById('map-info-box').classList.add('hidden');
@@ -1200,15 +1860,8 @@ document.addEventListener('DOMContentLoaded', () => {
             // 重置按钮状态
             pauseButton.disabled = true;
             pauseButton.innerHTML = '<i class="fa-solid fa-pause text-xs"></i>';
-            monthSelector.disabled = false;
-            basinSelector.disabled = false;
-            globalTempSlider.disabled = false;
-            globalShearSlider.disabled = false;
-            siteNameInput.disabled = false;
-            customLonInput.disabled = false;
-            customLatInput.disabled = false;
-            siteLonInput.disabled = false;
-            siteLatInput.disabled = false;
+            setSimulationInputsDisabled(false);
+            updateRewindControls(); // [新增] 结束后仍可回溯分支
 
             // 4. 创建最终统计对象 (使用 basinCode 组合编号, 如 "WP 01")
             const finalStats = {
@@ -1228,71 +1881,43 @@ document.addEventListener('DOMContentLoaded', () => {
                 forecastContainer.classList.remove('hidden');
             }
             setTimeout(() => {
-                drawHistoricalIntensityChart(chartContainer, state.cyclone.track, tooltip);
+                drawHistoricalIntensityChart(chartContainer, state.cyclone.track, tooltip, 'kt', basinSelector.value, getChartForecast(state.cyclone));
             }, 0);
 
             bestTrackData.value = bestTrackText;
             bestTrackContainer.classList.remove('hidden');
             copyTrackButton.textContent = "复制数据";
 
-            // 6. 保存历史记录
-            try {
-                const totalHours = state.cyclone.age;
-                const peakIntensityKt = Math.round(peakWind);
-                
-                // 历史列表显示的名称
-                const historyName = `${statusText} (${basinCode} ${cycloneNumStr}) - T+${totalHours}h, Peak ${peakIntensityKt}kt`;
-                const cycloneClone = { ...state.cyclone };
-                const satCacheRef = cycloneClone.satelliteCache;
-                delete cycloneClone.satelliteCache;
-                const cycloneDataDeep = JSON.parse(JSON.stringify(cycloneClone));
-                if (satCacheRef) {
-                    cycloneDataDeep.satelliteCache = satCacheRef;
-                }
-                state.history.push({ 
-                    name: historyName, 
-                    cycloneData: cycloneDataDeep,
-                    atcfData: bestTrackText,
-                    pressureHistory: JSON.parse(JSON.stringify(state.pressureHistory || [])),
-                    siteHistory: JSON.parse(JSON.stringify(state.siteHistory || []))
-                });
-                state.simulationCount++;
-            } catch (e) {
-                console.error("无法保存历史记录:", e);
-            }
+            // 6. 保存历史记录 (多气旋模式下每个气旋单独存档，编号顺延)
+            const finishedCyclones = state.cyclones.length ? state.cyclones : [state.cyclone];
+            finishedCyclones.forEach(c => {
+                archiveCyclone(c, c === state.cyclone ? summary : summarizeCyclone(c, getCycloneInfo(c)));
+            });
+            state.simulationCount += finishedCyclones.length;
             return;
-        }        // [修改] 传递 GlobalTemp 到模型
-        const wasNamed = state.cyclone.named;
-        state.pressureSystems = updatePressureSystems(state.pressureSystems, state.cyclone.currentMonth, state.GlobalTemp, state.GlobalShear);
-        state.frontalZone = updateFrontalZone(state.pressureSystems, state.currentMonth, state.GlobalTemp, state.GlobalShear);
-        state.cyclone = updateCycloneState(state.cyclone, state.pressureSystems, state.frontalZone, state.world, state.currentMonth, state.GlobalTemp, state.GlobalShear, state.nextNameIndex);
-        state.cyclone.currentMonth = state.currentMonth;
-        if (state.cyclone.status === 'active') {
-            // 为了节省内存，我们只存 keyframe (比如对应 track 的每一个点)
-            // 假设 updateTimer 触发 track 更新时刻：
-            
-            // 深拷贝当前的气压系统状态 (非常关键！必须切断引用)
-            const snapshot = {
-                age: state.cyclone.age, // 时间戳，用于对齐
-                month: state.cyclone.currentMonth, // 记录当时的月份(影响SST等)
-                // 只存 lower 层即可，因为天气图主要画地面场
-                lower: JSON.parse(JSON.stringify(state.pressureSystems.lower || [])),
-                upper: JSON.parse(JSON.stringify(state.pressureSystems.upper || [])) // 如果以后要画高空图也可以存
-            };
-            
-            // 存入历史数组
-            state.pressureHistory.push(snapshot);
         }
-        if (!wasNamed && state.cyclone.named) {
-            state.nextNameIndex++;
-            console.log("Name assigned. Next name index:", state.nextNameIndex);
+        // [修改] 模拟推进交给无界面引擎 (气压场、锋区、气旋状态、命名与预报)
+        const result = state.engine.step();
+        syncEngineState();
+        if (result.scenarioEvents.length > 0) announceScenarioEvents(result.scenarioEvents);
+
+        // [新增] 赛季模式：气旋消散/合并后立即存档；海域内暂无气旋时只推进时钟
+        if (state.engine.season) {
+            result.finished.forEach(c => archiveCyclone(c, summarizeCyclone(c, getCycloneInfo(c))));
+            if (state.cyclone.status !== 'active') {
+                document.getElementById('status').textContent = 'NO ACTIVE SYSTEMS';
+                document.getElementById('map-info-box').classList.add('hidden');
+                requestRedraw();
+                return;
+            }
+            document.getElementById('map-info-box').classList.remove('hidden');
         }
 
         if (!state.hasTriggeredCat1News && state.cyclone.intensity >= 64 && !state.cyclone.isExtratropical) {
             state.hasTriggeredCat1News = true; // 锁定，防止重复触发
             
             // 获取名字 (如果没有名字显示编号)
-            const cycloneNum = String(state.simulationCount).padStart(2, '0');
+            const cycloneNum = String(getCycloneNumber(state.cyclone)).padStart(2, '0');
             const displayName = state.cyclone.name ? state.cyclone.name.toUpperCase() : `SYSTEM ${cycloneNum}`;
             const currentBasinId = basinSelector.value; 
 
@@ -1304,13 +1929,13 @@ document.addEventListener('DOMContentLoaded', () => {
             const headlineHTML = `${displayName} <span class="text-black/50 text-base align-middle not-italic ml-2 font-bold">HAS BECOME A ${stormTerm}</span>`;
 
             // [修改] 调用新函数，类型为 ORANGE
-            triggerNewsBanner(headlineHTML, "BREAKING NEWSLETTER", state.cyclone.age, state.currentMonth, 'ORANGE');
+            triggerNewsBanner(headlineHTML, "BREAKING NEWSLETTER", getCycloneClock(state.cyclone).startHour + state.cyclone.age, getCycloneClock(state.cyclone).month, 'ORANGE');
         }
         
         if (!state.hasTriggeredCat5News && state.cyclone.intensity >= 137 && !state.cyclone.isExtratropical) {
             state.hasTriggeredCat5News = true;
             
-            const cycloneNum = String(state.simulationCount).padStart(2, '0');
+            const cycloneNum = String(getCycloneNumber(state.cyclone)).padStart(2, '0');
             const displayName = state.cyclone.name ? state.cyclone.name.toUpperCase() : `SYSTEM ${cycloneNum}`;
             const currentBasinId = basinSelector.value;
 
@@ -1325,7 +1950,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const headlineHTML = `${displayName} <span class="text-black/60 text-base align-middle not-italic ml-2 font-black">ACHIEVED ${statusTerm} STATUS</span>`;
 
             // 调用新闻条 (类型为 PURPLE)
-            triggerNewsBanner(headlineHTML, "EXTREME INTENSITY ALERT", state.cyclone.age, state.currentMonth, 'PURPLE');
+            triggerNewsBanner(headlineHTML, "EXTREME INTENSITY ALERT", getCycloneClock(state.cyclone).startHour + state.cyclone.age, getCycloneClock(state.cyclone).month, 'PURPLE');
         }
 
         if (state.siteLon != null && state.siteLat != null) {
@@ -1340,7 +1965,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     
                     // 可选：在控制台或界面给出一个小的视觉提示
                     console.log(`Alert: Cyclone entered 400km radius (${Math.round(dist)}km)`);
-const cycloneNum = String(state.simulationCount).padStart(2, '0');
+const cycloneNum = String(getCycloneNumber(state.cyclone)).padStart(2, '0');
                     const displayName = state.cyclone.name ? state.cyclone.name.toUpperCase() : `SYSTEM ${cycloneNum}`;
                     const siteName = state.siteName ? state.siteName.toUpperCase() : "OBSERVATION POST";
 
@@ -1348,7 +1973,7 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
                     const headlineHTML = `ALERT: <span class="text-white text-base align-middle not-italic ml-2 font-bold">${displayName} ENTERED 400KM WARNING RANGE</span>`;
                     
                     // 调用函数，类型为 RED
-                    triggerNewsBanner(headlineHTML, `THREAT TO ${siteName}`, state.cyclone.age, state.currentMonth, 'RED');
+                    triggerNewsBanner(headlineHTML, `THREAT TO ${siteName}`, getCycloneClock(state.cyclone).startHour + state.cyclone.age, getCycloneClock(state.cyclone).month, 'RED');
                 }
             } else {
                 // 如果气旋离开了 800km 范围，重置标志
@@ -1361,16 +1986,23 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
         updateMapInfoBox();
         updateStateSiteData();
 
+        accumulateStormRainfall(); // [新增] 累积雨量
+        accumulateWindSwaths(); // [新增] 最大风速包络
+
         // 存入历史 (保持原有逻辑，因为这里是随时间推进的)
         if (state.currentSiteData) {
-            const currentHour = state.cyclone.age;
+            const currentHour = state.engine.hour; // 全局时钟 (单气旋时与 cyclone.age 相同)
             const lastEntry = state.siteHistory[state.siteHistory.length - 1];
             if (!lastEntry || lastEntry.hour !== currentHour) {
+                 // [新增] 站点累积雨量：上一时次的累积值加上本步 (3 小时) 按 Z-R 关系换算的降水
+                 const rain = (lastEntry && lastEntry.rain ? lastEntry.rain : 0) + dbzToStepRain(state.currentSiteData.dbz);
                  state.siteHistory.push({
                     hour: currentHour,
                     // 核心数据
                     wind: state.currentSiteData.displaySpeed,
                     pressure: state.currentSiteData.pressure,
+                    surge: state.currentSiteData.surge,
+                    rain: Math.round(rain * 10) / 10,
                     // 矢量分量 (用于反推风向)
                     u: state.currentSiteData.u,
                     v: state.currentSiteData.v,
@@ -1398,39 +2030,23 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
             month: state.currentMonth,
             siteHistory: state.siteHistory,
             siteData: state.currentSiteData,
+            otherCyclones: getOtherCyclones(),
+            onCycloneSelect: focusCyclone,
+            ghostTracks: state.ghostTracks,
+            ...getMapOverlays(), // [修改] 冷尾流、风暴潮、累积雨量图层
             onSiteClick: () => { 
                 state.isSiteSelected = !state.isSiteSelected;
                 requestRedraw();
             }
         });
         
-        if (state.cyclone.age % 3 === 0 && state.cyclone.age > 0) {
-             const forecasts = generatePathForecasts(state.cyclone, state.pressureSystems, checkLandWrapper, state.GlobalTemp, state.GlobalShear);
-             state.pathForecasts = forecasts;
-             if (state.cyclone.age % 6 === 0 && state.cyclone.age > 0) {
-                 if (!state.cyclone.forecastLogs) state.cyclone.forecastLogs = {};
-                 state.cyclone.forecastLogs[state.cyclone.age] = JSON.parse(JSON.stringify(forecasts));
-             }
-        }
         if (state.cyclone.track.length > 3) {
             generateJTWCButton.classList.remove('hidden');
         }
     }
 
-    function startSimulation() {
-        playStart();
-        selectedHistoryPointIndex = -1;
-        if (state.simulationInterval) clearInterval(state.simulationInterval);
-        state.isPaused = false;
-        state.hasAlerted = false;
-        state.hasTriggeredCat1News = false;
-        state.hasTriggeredCat5News = false;
-        state.siteHistory = []; 
-        state.pressureHistory = [];
-        state.isSiteSelected = false;
-        state.selectedHistoryCyclone = null;
-        if (!state.world) return;
-        resetSatelliteParams();
+    // [新增] 切换到运行中的界面布局 (新模拟与读取存档共用)
+    function showRunDisplay() {
         setupCanvases();
         document.getElementById('initial-message').classList.add('hidden');
         document.getElementById('simulation-output').classList.remove('hidden');
@@ -1451,41 +2067,238 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
         pauseButton.disabled = false;
         // [UI修复] 设置为暂停图标
         pauseButton.innerHTML = '<i class="fa-solid fa-pause text-xs"></i>';
+        saveRunButton.disabled = false;
+    }
+
+    function startSimulation() {
+        playStart();
+        selectedHistoryPointIndex = -1;
+        if (state.simulationInterval) clearInterval(state.simulationInterval);
+        state.isPaused = false;
+        state.hasAlerted = false;
+        state.hasTriggeredCat1News = false;
+        state.hasTriggeredCat5News = false;
+        state.newsFlags = {};
+        state.ghostTracks = [];
+        state.branchPending = false;
+        state.siteHistory = []; 
+        state.surgeRecord = createSurgeRecord();
+        state.rainSwaths = new Map();
+        state.windSwaths = new Map();
+        state.pressureHistory = [];
+        state.isSiteSelected = false;
+        state.selectedHistoryCyclone = null;
+        if (!state.world) return;
+        // [新增] 设定随机种子：留空则随机生成，并显示本次使用的种子以便复现
+        const seedText = seedInput.value.trim();
+        state.seed = seedText !== '' ? normalizeSeed(/^\d+$/.test(seedText) ? Number(seedText) : seedText) : generateSeed();
+        setSeed(state.seed);
+        seedValue.textContent = `${getSeed()}`;
+        resetSatelliteParams();
+        showRunDisplay();
         
         const selectedBasin = basinSelector.value;
         if (!state.lastBasin || state.lastBasin !== selectedBasin) {
             const list = NAME_LISTS[selectedBasin] || NAME_LISTS['WPAC'];
-            state.nextNameIndex = Math.floor(Math.random() * list.length);
+            state.nextNameIndex = Math.floor(createRandom(deriveSeed(state.seed, 'names'))() * list.length);
         }
         state.lastBasin = selectedBasin;
         state.currentMonth = parseInt(monthSelector.value, 10);
-        monthSelector.disabled = true;
-        basinSelector.disabled = true;
         // [修改] 禁用设置滑块
-        globalTempSlider.disabled = true;
-        globalShearSlider.disabled = true;
-        siteNameInput.disabled = true;
-        customLonInput.disabled = true;
-        customLatInput.disabled = true;
-        siteLonInput.disabled = true;
-        siteLatInput.disabled = true;
+        setSimulationInputsDisabled(true);
         settingsMenu.classList.add('hidden'); // [修改] 开始模拟时隐藏菜单
 
-        // [修改] 传递 GlobalTemp 到模型
-        state.cyclone = initializeCyclone(state.world, state.currentMonth, selectedBasin, state.GlobalTemp, state.GlobalShear, state.customLon, state.customLat); 
-        state.cyclone.track.push([state.cyclone.lon, state.cyclone.lat, state.cyclone.intensity, false, false, state.cyclone.circulationSize, state.cyclone.isSubtropical]);
-        state.pressureSystems = initializePressureSystems(state.cyclone, state.currentMonth, state.GlobalTemp, state.GlobalShear);
-        state.frontalZone = updateFrontalZone(state.pressureSystems, state.currentMonth, state.GlobalTemp, state.GlobalShear);
-        
-        state.pathForecasts = generatePathForecasts(state.cyclone, state.pressureSystems, checkLandWrapper, state.GlobalTemp, state.GlobalShear);
+        // [新增] 情景：设置面板已由情景预填，此处以面板上的当前值为准 (生成点未填写时使用情景生成点)
+        const scenario = state.scenario && !state.seasonMode ? {
+            ...state.scenario,
+            basin: selectedBasin,
+            month: state.currentMonth,
+            globalTemp: state.GlobalTemp,
+            globalShear: state.GlobalShear,
+            climate: state.climate,
+            seed: state.seed,
+            genesis: { ...state.scenario.genesis, lon: state.customLon ?? state.scenario.genesis.lon, lat: state.customLat ?? state.scenario.genesis.lat }
+        } : undefined;
+
+        // [修改] 由无界面引擎负责初始化气旋、气压系统与首次预报
+        state.engine = createSimulation({
+            basin: selectedBasin,
+            month: state.currentMonth,
+            globalTemp: state.GlobalTemp,
+            globalShear: state.GlobalShear,
+            climate: state.climate,
+            seed: state.seed,
+            customLon: state.customLon,
+            customLat: state.customLat,
+            nameIndex: state.nextNameIndex,
+            stormCount: state.stormCount,
+            season: state.seasonMode ? { startMonth: state.currentMonth, endMonth: state.seasonEndMonth } : undefined,
+            scenario,
+            ensembleSize: state.ensembleSize,
+            forecastHours: state.forecastHours,
+            checkLand: checkLandWrapper
+        });
+        syncEngineState();
+        saveScenarioButton.disabled = false;
+
         updateToggleButtonVisual(togglePressureButton, state.showPressureField);
         updateToggleButtonVisual(toggleWindRadiiButton, state.showWindRadii);
         updateToggleButtonVisual(togglePathButton, state.showPathForecast);
         state.simulationInterval = setInterval(updateSimulation, state.simulationSpeed);
     }
     
-    function togglePause() {
-        if (!state.cyclone.status || state.cyclone.status !== 'active') {
+    // [新增] 运行存档：引擎完整快照 + 界面状态 + 云图参数，写入带版本号的 JSON 文件
+    const RUN_FILE_FORMAT = 'storm-inc-run';
+    const RUN_FILE_VERSION = 1;
+
+    function saveRun() {
+        if (!state.engine) {
+            playError();
+            return;
+        }
+        playClick();
+        const snapshot = state.engine.snapshot();
+        // 卫星云图截图缓存只用于回放，体积大且可重新生成，不写入存档
+        snapshot.cyclones.forEach(c => { delete c.satelliteCache; });
+        // 当前关注气旋的新闻标志也按 stormId 保存，读取时由 syncEngineState 恢复
+        const newsFlags = { ...state.newsFlags };
+        if (state.cyclone && state.cyclone.stormId !== undefined) {
+            newsFlags[state.cyclone.stormId] = {
+                hasAlerted: state.hasAlerted,
+                hasTriggeredCat1News: state.hasTriggeredCat1News,
+                hasTriggeredCat5News: state.hasTriggeredCat5News
+            };
+        }
+        const data = {
+            format: RUN_FILE_FORMAT,
+            version: RUN_FILE_VERSION,
+            savedAt: new Date().toISOString(),
+            engine: snapshot,
+            satellite: getSatelliteParams(),
+            ui: {
+                simulationCount: state.simulationCount,
+                siteName: state.siteName,
+                siteLon: state.siteLon,
+                siteLat: state.siteLat,
+                siteHistory: state.siteHistory,
+                rainfall: [...state.rainSwaths].map(([stormId, swath]) => ({ stormId, log: swath.log })), // [新增] 累积雨量日志
+                windSwath: [...state.windSwaths].map(([stormId, swath]) => ({ stormId, log: swath.log })), // [新增] 最大风速包络日志
+                newsFlags
+            }
+        };
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        const name = (state.cyclone && state.cyclone.name ? state.cyclone.name : 'RUN').toUpperCase();
+        a.download = `${name}_${state.engine.basin}_T${state.engine.hour}h.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    function loadRun(file) {
+        file.text().then(text => {
+            const data = JSON.parse(text);
+            if (data.format !== RUN_FILE_FORMAT) throw new Error('Not a saved run file');
+            if (data.version !== RUN_FILE_VERSION) throw new Error(`Unsupported run file version ${data.version}`);
+            restoreRun(data);
+        }).catch(e => {
+            console.error("读取存档失败:", e);
+            playError();
+            alert(`Failed to load run: ${e.message}`);
+        });
+    }
+
+    function restoreRun(data) {
+        if (!state.world) return;
+        const engine = restoreSimulation(data.engine, { checkLand: checkLandWrapper });
+        const config = engine.config;
+        const ui = data.ui || {};
+
+        if (state.simulationInterval) clearInterval(state.simulationInterval);
+        state.simulationInterval = null;
+        state.isPaused = false;
+        selectedHistoryPointIndex = -1;
+        state.isSiteSelected = false;
+        state.selectedHistoryCyclone = null;
+        state.lastFinalStats = null;
+
+        // 1. 设置面板回到存档时的参数
+        basinSelector.value = engine.basin;
+        monthSelector.value = String(config.season ? config.season.startMonth : config.month);
+        state.GlobalTemp = engine.globalTemp;
+        globalTempSlider.value = engine.globalTemp;
+        globalTempValue.textContent = `${state.GlobalTemp}K`;
+        state.GlobalShear = engine.globalShear;
+        globalShearSlider.value = engine.globalShear;
+        globalShearValue.textContent = `${state.GlobalShear}`;
+        state.climate = { ...config.climate };
+        updateClimateControls();
+        state.stormCount = config.stormCount;
+        stormCountSlider.value = config.stormCount;
+        stormCountValue.textContent = `${state.stormCount}`;
+        state.ensembleSize = config.ensembleSize || 0;
+        ensembleSizeSelector.value = String(state.ensembleSize);
+        state.forecastHours = config.forecastHours || DEFAULT_FORECAST_HOURS;
+        forecastHorizonSelector.value = String(state.forecastHours);
+        state.seasonMode = !!config.season;
+        seasonModeCheckbox.checked = state.seasonMode;
+        if (config.season) {
+            state.seasonEndMonth = config.season.endMonth;
+            seasonEndMonthSelector.value = String(config.season.endMonth);
+        }
+        state.customLon = config.customLon;
+        state.customLat = config.customLat;
+        customLonInput.value = config.customLon ?? '';
+        customLatInput.value = config.customLat ?? '';
+        state.seed = engine.seed;
+        seedInput.value = `${engine.seed}`;
+        seedValue.textContent = `${engine.seed}`;
+        state.scenario = config.scenario || null;
+        updateScenarioControls();
+
+        // 2. 站点与界面状态 (站点观测记录依赖存档时的站点位置)
+        state.siteName = ui.siteName || '';
+        state.siteLon = ui.siteLon ?? null;
+        state.siteLat = ui.siteLat ?? null;
+        siteNameInput.value = state.siteName;
+        siteLonInput.value = state.siteLon ?? '';
+        siteLatInput.value = state.siteLat ?? '';
+        state.siteHistory = ui.siteHistory || [];
+        state.surgeRecord = createSurgeRecord();
+        state.rainSwaths = new Map((ui.rainfall || []).map(r => [r.stormId, restoreRainSwath(r.log)]));
+        state.windSwaths = new Map((ui.windSwath || []).map(r => [r.stormId, restoreWindSwath(r.log)]));
+        state.simulationCount = ui.simulationCount || state.simulationCount;
+        state.newsFlags = ui.newsFlags || {};
+        state.ghostTracks = [];
+        state.branchPending = false;
+        state.lastBasin = engine.basin;
+
+        // 3. 接管引擎并恢复云图参数
+        state.engine = engine;
+        state.cyclone = {};
+        syncEngineState();
+        setSatelliteParams(data.satellite);
+
+        showRunDisplay();
+        setSimulationInputsDisabled(true);
+        settingsMenu.classList.add('hidden');
+        updateToggleButtonVisual(togglePressureButton, state.showPressureField);
+        updateToggleButtonVisual(toggleWindRadiiButton, state.showWindRadii);
+        updateToggleButtonVisual(togglePathButton, state.showPathForecast);
+        if (state.cyclone.status === 'active') {
+            updateInfoPanel();
+            updateMapInfoBox();
+        }
+        saveScenarioButton.disabled = false;
+        requestRedraw();
+        state.simulationInterval = setInterval(updateSimulation, state.simulationSpeed);
+    }
+
+    function togglePause() {
+        if (!state.engine || !state.engine.isActive()) { // [修改] 赛季模式下暂无气旋时也可暂停
             playError(); // [新增] 如果无法暂停（未激活），播放错误音
             return;
         }
@@ -1499,11 +2312,13 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
             document.getElementById('status').textContent = "模拟已暂停";
             requestRedraw();
         } else {
+            if (state.branchPending) applyBranch(); // [新增] 回溯后继续即按当前参数分支
             state.simulationInterval = setInterval(updateSimulation, state.simulationSpeed);
             // [UI修复] 运行状态显示暂停图标
             pauseButton.innerHTML = '<i class="fa-solid fa-pause text-xs"></i>';
-            updateInfoPanel();
+            if (state.cyclone.status === 'active') updateInfoPanel();
         }
+        updateRewindControls(); // [新增] 运行中锁定时间轴滑块
     }
 
     function requestRedraw() {
@@ -1543,6 +2358,12 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
                     siteData: siteDataToPass,
                     onSiteClick: onSiteClickCallback,
                     isPaused: state.isPaused,
+                    otherCyclones: isCycloneActive ? getOtherCyclones() : [],
+                    onCycloneSelect: focusCyclone,
+                    ghostTracks: state.ghostTracks,
+                    ...getMapOverlays(), // [修改] 冷尾流、风暴潮、累积雨量图层
+                    // [新增] 拖动气压系统后的预报预览 (由引擎按当前设置计算)
+                    onForecastPreview: (c) => (state.engine ? state.engine.previewForecasts(c) : []),
                     // [新增] 删除回调
                     onSystemRemove: (systemData) => {
                         // 1. 确认是手动系统
@@ -1573,7 +2394,8 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
                     state.showPathPoints, state.lastFinalStats, basinSelector.value, 
                     state.pressureSystems, state.showWindField,
                     // [新增] 传入站点相关参数
-                    state.currentMonth, state.siteHistory, siteDataToPass, onSiteClickCallback
+                    state.currentMonth, state.siteHistory, siteDataToPass, onSiteClickCallback,
+                    getMapOverlays() // [新增] 运行结束后仍可查看冷尾流、风暴潮与累积雨量
                 );
             }
         }
@@ -1690,6 +2512,13 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
     });
 
     downloadHistoryTrackButton.addEventListener('click', downloadHistoryTrack);
+    downloadSwathButton.addEventListener('click', downloadWindSwath);
+    document.getElementById('export-bdeck-button').addEventListener('click', () => downloadTrackExport('bdeck'));
+    document.getElementById('export-adeck-button').addEventListener('click', () => downloadTrackExport('adeck'));
+    document.getElementById('export-hurdat-button').addEventListener('click', () => downloadTrackExport('hurdat2'));
+    document.getElementById('export-geojson-button').addEventListener('click', () => downloadGisExport('geojson'));
+    document.getElementById('export-kml-button').addEventListener('click', () => downloadGisExport('kml'));
+    document.getElementById('export-csv-button').addEventListener('click', () => downloadGisExport('csv'));
 
     // [新增] 设置菜单事件监听器
     settingsButton.addEventListener('click', () => {
@@ -1707,20 +2536,569 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
         globalShearValue.textContent = `${state.GlobalShear}`;
     });
 
-    historyButton.addEventListener('click', () => {
+    // [新增] 气候模态：ENSO / MJO / IOD
+    function formatEnso(enso) {
+        if (enso >= 0.5) return `EL NIÑO +${enso.toFixed(1)}`;
+        if (enso <= -0.5) return `LA NIÑA ${enso.toFixed(1)}`;
+        return 'NEUTRAL';
+    }
+
+    function updateClimateControls() {
+        const climate = state.climate;
+        ensoSlider.value = climate.enso;
+        ensoValue.textContent = formatEnso(climate.enso);
+        mjoPhaseSelector.value = String(climate.mjoPhase);
+        mjoAmplitudeSlider.value = climate.mjoAmplitude;
+        mjoAmplitudeValue.textContent = climate.mjoAmplitude.toFixed(1);
+        iodSlider.value = climate.iod;
+        iodValue.textContent = `${climate.iod > 0 ? '+' : ''}${climate.iod.toFixed(1)}`;
+    }
+
+    ensoSlider.addEventListener('input', (e) => {
+        state.climate = { ...state.climate, enso: parseFloat(e.target.value) };
+        updateClimateControls();
+    });
+    mjoPhaseSelector.addEventListener('change', (e) => {
+        state.climate = { ...state.climate, mjoPhase: parseInt(e.target.value, 10) };
+        updateClimateControls();
+    });
+    mjoAmplitudeSlider.addEventListener('input', (e) => {
+        state.climate = { ...state.climate, mjoAmplitude: parseFloat(e.target.value) };
+        updateClimateControls();
+    });
+    iodSlider.addEventListener('input', (e) => {
+        state.climate = { ...state.climate, iod: parseFloat(e.target.value) };
+        updateClimateControls();
+    });
+
+    // [新增] 同时生成的气旋数量
+    stormCountSlider.addEventListener('input', (e) => {
+        state.stormCount = parseInt(e.target.value, 10);
+        stormCountValue.textContent = `${state.stormCount}`;
+    });
+
+    // [新增] 赛季模式开关与结束月份
+    seasonModeCheckbox.addEventListener('change', (e) => {
+        state.seasonMode = e.target.checked;
+        playClick();
+        updateScenarioControls();
+    });
+    seasonEndMonthSelector.addEventListener('change', (e) => {
+        state.seasonEndMonth = parseInt(e.target.value, 10);
+    });
+    // [新增] 集合成员数选项 (0 = 只做确定性 ENAI 预报)
+    ENSEMBLE_SIZES.forEach(size => {
+        const option = document.createElement('option');
+        option.value = String(size);
+        option.textContent = size ? `${size}` : 'OFF';
+        ensembleSizeSelector.appendChild(option);
+    });
+    ensembleSizeSelector.value = String(state.ensembleSize);
+    ensembleSizeSelector.addEventListener('change', (e) => {
+        state.ensembleSize = parseInt(e.target.value, 10);
+    });
+    // [新增] 预报时效选项 (3 / 5 / 7 天)
+    FORECAST_HORIZONS.forEach(hours => {
+        const option = document.createElement('option');
+        option.value = String(hours);
+        option.textContent = `${hours}H`;
+        forecastHorizonSelector.appendChild(option);
+    });
+    forecastHorizonSelector.value = String(state.forecastHours);
+    forecastHorizonSelector.addEventListener('change', (e) => {
+        state.forecastHours = parseInt(e.target.value, 10);
+    });
+    // [新增] 统计基准：不显示 / 单独显示 CLP5 或 DSF5 / 全部显示 (只影响显示，运行中也可切换)
+    ['', ...BASELINE_AIDS, BASELINE_AIDS.join(',')].forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value ? value.replace(',', ' + ') : 'OFF';
+        forecastAidSelector.appendChild(option);
+    });
+    forecastAidSelector.value = state.forecastAids.join(',');
+    forecastAidSelector.addEventListener('change', (e) => {
+        state.forecastAids = e.target.value ? e.target.value.split(',') : [];
+        if (state.cyclone) requestRedraw();
+    });
+    closeSeasonModal.addEventListener('click', () => {
+        seasonModal.classList.add('hidden');
+    });
+
+    // [新增] 蒙特卡洛气候统计：使用当前海域/月份/GlobalTemp/GlobalShear 批量运行
+    const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+    function getClimatologyConfig() {
+        return {
+            basin: basinSelector.value || 'WPAC',
+            month: parseInt(monthSelector.value, 10),
+            globalTemp: state.GlobalTemp,
+            globalShear: state.GlobalShear,
+            climate: state.climate
+        };
+    }
+
+    function formatClimatologyConfig(config) {
+        const climate = config.climate || {};
+        const modes = [];
+        if (climate.enso) modes.push(formatEnso(climate.enso));
+        if (climate.mjoAmplitude) modes.push(`MJO P${climate.mjoPhase} ×${climate.mjoAmplitude}`);
+        if (climate.iod) modes.push(`IOD ${climate.iod > 0 ? '+' : ''}${climate.iod}`);
+        return `${config.basin} ${MONTH_NAMES[config.month - 1]} · ${config.globalTemp}K · SHEAR ${config.globalShear}%`
+            + (modes.length > 0 ? ` · ${modes.join(' · ')}` : '');
+    }
+
+    // 与上一次结果的差值 (气候变化实验对比)
+    function formatDelta(value, previous, digits) {
+        if (previous === null || previous === undefined) return '';
+        const delta = value - previous;
+        const color = delta >= 0 ? 'text-rose-400' : 'text-cyan-400';
+        return ` <span class="text-[9px] ${color}">${delta >= 0 ? '+' : ''}${delta.toFixed(digits)}</span>`;
+    }
+
+    function renderClimatologyReport(report, previous) {
+        document.getElementById('clim-results').classList.remove('hidden');
+        document.getElementById('clim-config').textContent = formatClimatologyConfig(report.config) + (previous ? ` · VS ${formatClimatologyConfig(previous.config)}` : '');
+        document.getElementById('clim-mean-ace').innerHTML = report.meanAce.toFixed(1) + formatDelta(report.meanAce, previous && previous.meanAce, 1);
+        document.getElementById('clim-mean-peak').innerHTML = `${Math.round(report.meanPeak)}kt` + formatDelta(report.meanPeak, previous && previous.meanPeak, 0);
+        document.getElementById('clim-mean-life').innerHTML = `${report.meanLifetimeDays.toFixed(1)}d` + formatDelta(report.meanLifetimeDays, previous && previous.meanLifetimeDays, 1);
+        document.getElementById('clim-named').innerHTML = `${Math.round(report.namedRate * 100)}%` + formatDelta(report.namedRate * 100, previous && previous.namedRate * 100, 0);
+        document.getElementById('clim-landfall-rate').innerHTML = `${Math.round(report.landfallRate * 100)}%` + formatDelta(report.landfallRate * 100, previous && previous.landfallRate * 100, 0);
+        // [新增] 平均生成位置 (经度差用于观察 ENSO 下生成区的东西向偏移)
+        document.getElementById('clim-genesis-center').innerHTML = `${report.meanGenesisLon.toFixed(0)}°E ${Math.abs(report.meanGenesisLat).toFixed(0)}°${report.meanGenesisLat >= 0 ? 'N' : 'S'}`
+            + formatDelta(report.meanGenesisLon, previous && previous.meanGenesisLon, 1);
+
+        const landfallList = document.getElementById('clim-landfall-list');
+        landfallList.innerHTML = '';
+        if (report.landfalls.length === 0) {
+            landfallList.innerHTML = '<li class="text-slate-500">NO LANDFALLS</li>';
+        }
+        report.landfalls.forEach(l => {
+            const li = document.createElement('li');
+            li.className = 'flex items-center gap-2';
+            li.innerHTML = `
+                <span class="w-40 text-slate-300 truncate">${l.name.toUpperCase()}</span>
+                <span class="flex-1 h-2 bg-white/5"><span class="block h-full bg-rose-500/70" style="width:${(l.frequency * 100).toFixed(1)}%"></span></span>
+                <span class="w-20 text-right text-white">${(l.frequency * 100).toFixed(1)}% (${l.count})</span>
+            `;
+            landfallList.appendChild(li);
+        });
+
+        // 图表需要容器可见后才能取得宽度
+        setTimeout(() => {
+            drawDensityMap(d3.select('#clim-genesis-map'), state.world, report.genesisDensity, ['#164e63', '#22d3ee', '#fde047'], tooltip, 'geneses');
+            drawDensityMap(d3.select('#clim-track-map'), state.world, report.trackDensity, ['#1e3a8a', '#a855f7', '#f43f5e', '#fde047'], tooltip, 'storms');
+            drawDistributionChart(d3.select('#clim-peak-hist'), report.peakHistogram, tooltip, {
+                unit: 'kt',
+                colorFor: b => getCategory(b.x0).color,
+                compareBins: previous ? previous.peakHistogram : null
+            });
+            drawDistributionChart(d3.select('#clim-life-hist'), report.lifetimeHistogram, tooltip, {
+                unit: 'd',
+                compareBins: previous ? previous.lifetimeHistogram : null
+            });
+        }, 0);
+    }
+
+    async function startClimatologyRun() {
+        if (state.climatologyRunning) {
+            state.climatologyCancelled = true;
+            return;
+        }
+        // 批量运行共用全局随机流，界面模拟运行中时不允许启动
+        if (state.simulationInterval) {
+            playError();
+            alert("Pause or finish the running simulation before starting a Monte Carlo run.");
+            return;
+        }
+        playClick();
+        const config = getClimatologyConfig();
+        config.count = Math.max(10, Math.min(2000, parseInt(climCountInput.value, 10) || 100));
+        config.checkLand = checkLandWrapper;
+        const progressBar = document.getElementById('clim-progress');
+        const progressText = document.getElementById('clim-progress-text');
+
+        state.climatologyRunning = true;
+        state.climatologyCancelled = false;
+        runClimatologyButton.textContent = 'STOP';
+        generateButton.disabled = true;
+        try {
+            const report = await runClimatology(config, {
+                onProgress: (done, total) => {
+                    progressBar.style.width = `${(done / total * 100).toFixed(1)}%`;
+                    progressText.textContent = `${done} / ${total}`;
+                },
+                isCancelled: () => state.climatologyCancelled
+            });
+            if (report.completed > 0) {
+                state.previousClimatologyReport = state.climatologyReport;
+                state.climatologyReport = report;
+                renderClimatologyReport(report, state.previousClimatologyReport);
+            }
+        } catch (e) {
+            console.error("蒙特卡洛统计失败:", e);
+        } finally {
+            state.climatologyRunning = false;
+            runClimatologyButton.textContent = 'RUN';
+            generateButton.disabled = false;
+        }
+    }
+
+    climatologyButton.addEventListener('click', () => {
+        playClick();
+        document.getElementById('clim-config').textContent = formatClimatologyConfig(getClimatologyConfig());
+        climatologyModal.classList.remove('hidden');
+        if (state.climatologyReport) renderClimatologyReport(state.climatologyReport, state.previousClimatologyReport);
+    });
+    closeClimatologyModal.addEventListener('click', () => {
+        climatologyModal.classList.add('hidden');
+    });
+    runClimatologyButton.addEventListener('click', startClimatologyRun);
+
+    // [新增] 时间轴回溯与分支
+    rewindSlider.addEventListener('input', updateRewindLabel);
+    rewindButton.addEventListener('click', () => {
+        rewindSimulation(parseInt(rewindSlider.value, 10));
+    });
+    branchButton.addEventListener('click', () => {
+        if (!state.branchPending || !state.isPaused) return;
+        togglePause();
+    });
+    clearGhostsButton.addEventListener('click', () => {
+        playClick();
+        state.ghostTracks = [];
+        clearGhostsButton.disabled = true;
+        requestRedraw();
+    });
+
+    // [新增] 保存 / 读取运行存档
+    saveRunButton.addEventListener('click', saveRun);
+    loadRunButton.addEventListener('click', () => {
+        playClick();
+        loadRunInput.click();
+    });
+    loadRunInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) loadRun(file);
+        e.target.value = ''; // 允许再次选择同一文件
+    });
+
+    // [新增] 情景：内置图库 / 读取情景文件 / 把当前运行的初始时刻保存为情景
+    SCENARIO_GALLERY.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = entry.name.toUpperCase();
+        scenarioSelector.appendChild(option);
+    });
+
+    function setObservationSite(site) {
+        state.siteName = site.name;
+        state.siteLon = site.lon;
+        state.siteLat = site.lat;
+        siteNameInput.value = site.name;
+        siteLonInput.value = site.lon;
+        siteLatInput.value = site.lat;
+        localStorage.setItem('tcs_site_name', site.name);
+        localStorage.setItem('tcs_site_lon', `${site.lon}`);
+        localStorage.setItem('tcs_site_lat', `${site.lat}`);
+    }
+
+    // 选择框、说明文字与站点列表跟随 state.scenario
+    function updateScenarioControls() {
+        const scenario = state.scenario;
+        let fileOption = scenarioSelector.querySelector('option[value="file"]');
+        if (scenario && !getGalleryScenario(scenario.id)) {
+            if (!fileOption) {
+                fileOption = document.createElement('option');
+                fileOption.value = 'file';
+                scenarioSelector.appendChild(fileOption);
+            }
+            fileOption.textContent = `FILE: ${scenario.name.toUpperCase()}`;
+            scenarioSelector.value = 'file';
+        } else {
+            if (fileOption) fileOption.remove();
+            scenarioSelector.value = scenario ? scenario.id : '';
+        }
+
+        scenarioInfo.classList.toggle('hidden', !scenario);
+        scenarioInfo.textContent = scenario
+            ? `${scenario.description || scenario.name} · ${scenario.events.length} EVENT(S)${state.seasonMode ? ' · IGNORED IN SEASON MODE' : ''}`
+            : '';
+
+        scenarioSiteSelector.innerHTML = '';
+        const sites = scenario ? scenario.sites : [];
+        scenarioSiteSelector.classList.toggle('hidden', sites.length < 2);
+        sites.forEach((site, i) => {
+            const option = document.createElement('option');
+            option.value = `${i}`;
+            option.textContent = site.name;
+            scenarioSiteSelector.appendChild(option);
+        });
+    }
+
+    // 把情景的初始条件填入设置面板 (开始模拟前仍可修改)
+    function applyScenario(scenario) {
+        state.scenario = scenario;
+        if (scenario) {
+            basinSelector.value = scenario.basin;
+            monthSelector.value = String(scenario.month);
+            state.GlobalTemp = scenario.globalTemp;
+            globalTempSlider.value = scenario.globalTemp;
+            globalTempValue.textContent = `${state.GlobalTemp}K`;
+            state.GlobalShear = scenario.globalShear;
+            globalShearSlider.value = scenario.globalShear;
+            globalShearValue.textContent = `${state.GlobalShear}`;
+            state.climate = { ...scenario.climate };
+            updateClimateControls();
+            if (scenario.seed !== null && scenario.seed !== undefined) seedInput.value = `${scenario.seed}`;
+            state.customLon = scenario.genesis.lon;
+            state.customLat = scenario.genesis.lat;
+            customLonInput.value = scenario.genesis.lon;
+            customLatInput.value = scenario.genesis.lat;
+            state.stormCount = 1;
+            stormCountSlider.value = 1;
+            stormCountValue.textContent = '1';
+            state.seasonMode = false;
+            seasonModeCheckbox.checked = false;
+            if (scenario.sites.length > 0) setObservationSite(scenario.sites[0]);
+        } else {
+            state.customLon = null;
+            state.customLat = null;
+            customLonInput.value = '';
+            customLatInput.value = '';
+        }
+        updateScenarioControls();
+        requestRedraw();
+    }
+
+    function loadScenario(file) {
+        file.text().then(text => {
+            applyScenario(normalizeScenario(JSON.parse(text)));
+        }).catch(e => {
+            console.error("读取情景失败:", e);
+            playError();
+            alert(`Failed to load scenario: ${e.message}`);
+        });
+    }
+
+    function saveScenario() {
+        if (!state.engine) {
+            playError();
+            return;
+        }
+        playClick();
+        let scenario;
+        try {
+            const sites = state.siteName && state.siteLon !== null && state.siteLat !== null
+                ? [{ name: state.siteName.toUpperCase(), lon: state.siteLon, lat: state.siteLat }] : [];
+            scenario = createScenarioFromSimulation(state.engine, { sites });
+        } catch (e) {
+            console.error("导出情景失败:", e);
+            alert(e.message);
+            return;
+        }
+        const blob = new Blob([JSON.stringify(scenario, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `SCENARIO_${state.engine.basin}_${state.engine.seed}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // 情景事件触发时刷新环境参数显示并发布快讯
+    const SCENARIO_EVENT_HEADLINES = {
+        shearBurst: (e) => `SHEAR BURST <span class="text-black/50 text-base align-middle not-italic ml-2 font-bold">+${e.magnitude} FOR ${e.duration}H</span>`,
+        coldSurge: () => `COLD SURGE <span class="text-black/50 text-base align-middle not-italic ml-2 font-bold">NORTHEAST MONSOON SURGES SOUTH</span>`,
+        erc: () => `EYEWALL REPLACEMENT <span class="text-black/50 text-base align-middle not-italic ml-2 font-bold">CYCLE UNDERWAY</span>`,
+        environment: () => `ENVIRONMENT CHANGE <span class="text-black/50 text-base align-middle not-italic ml-2 font-bold">${state.engine.globalTemp}K / SHEAR ${state.engine.globalShear}</span>`
+    };
+
+    function announceScenarioEvents(events) {
+        state.GlobalTemp = state.engine.globalTemp;
+        globalTempSlider.value = state.GlobalTemp;
+        globalTempValue.textContent = `${state.GlobalTemp}K`;
+        state.GlobalShear = state.engine.globalShear;
+        globalShearSlider.value = state.GlobalShear;
+        globalShearValue.textContent = `${state.GlobalShear}`;
+        const clock = getCycloneClock(state.cyclone);
+        events.forEach(event => {
+            triggerNewsBanner(SCENARIO_EVENT_HEADLINES[event.type](event), `SCENARIO · ${state.scenario ? state.scenario.name.toUpperCase() : ''}`, clock.startHour + state.cyclone.age, clock.month, 'SCENARIO');
+        });
+    }
+
+    scenarioSelector.addEventListener('change', (e) => {
         playClick();
+        if (e.target.value === 'file') return;
+        applyScenario(e.target.value ? getGalleryScenario(e.target.value) : null);
+    });
+    scenarioSiteSelector.addEventListener('change', (e) => {
+        const site = state.scenario && state.scenario.sites[parseInt(e.target.value, 10)];
+        if (site) {
+            setObservationSite(site);
+            requestRedraw();
+        }
+    });
+    loadScenarioButton.addEventListener('click', () => {
+        playClick();
+        loadScenarioInput.click();
+    });
+    loadScenarioInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) loadScenario(file);
+        e.target.value = '';
+    });
+    saveScenarioButton.addEventListener('click', saveScenario);
+
+    // [新增] 按关键字 / 海域 / 年份 / 峰值筛选历史记录
+    function getFilteredHistory() {
+        const keyword = historySearchInput.value.trim().toUpperCase();
+        const basin = historyBasinFilter.value;
+        const year = historyYearFilter.value;
+        const minPeak = parseInt(historyPeakFilter.value, 10) || 0;
+        return state.history.filter(item => {
+            const meta = getArchiveMeta(item);
+            if (keyword && !(item.name || '').toUpperCase().includes(keyword)) return false;
+            if (basin && meta.basin !== basin) return false;
+            if (year && String(meta.year) !== year) return false;
+            return meta.peak >= minPeak;
+        });
+    }
+
+    // [新增] 年份下拉框随存档内容更新
+    function refreshHistoryYearFilter() {
+        const current = historyYearFilter.value;
+        const years = [...new Set(state.history.map(item => getArchiveMeta(item).year))].sort((a, b) => b - a);
+        historyYearFilter.innerHTML = '<option value="">ALL</option>' + years.map(y => `<option value="${y}">${y}</option>`).join('');
+        if (years.map(String).includes(current)) historyYearFilter.value = current;
+    }
+
+    function renderHistoryList() {
         historyList.innerHTML = '';
+        const visible = getFilteredHistory();
         if (state.history.length === 0) {
             historyList.innerHTML = '<li class="text-gray-400 p-2">尚无历史模拟记录。</li>';
-        } else {
-            [...state.history].reverse().forEach((item, index) => {
-                const li = document.createElement('li');
-                li.textContent = item.name; 
-                li.className = 'text-white font-medium py-2 px-3 rounded-md cursor-pointer hover:bg-gray-700 transition-colors';
-                li.dataset.historyIndex = state.history.length - 1 - index; 
-                historyList.appendChild(li);
-            });
+            return;
         }
+        if (visible.length === 0) {
+            historyList.innerHTML = '<li class="text-gray-400 p-2">没有符合条件的记录。</li>';
+            return;
+        }
+        [...visible].reverse().forEach(item => {
+            const meta = getArchiveMeta(item);
+            const li = document.createElement('li');
+            li.className = 'group flex items-center gap-2 text-white font-medium py-2 px-3 rounded-md cursor-pointer hover:bg-gray-700 transition-colors';
+            li.dataset.historyIndex = state.history.indexOf(item);
+            li.innerHTML = `
+                <span class="flex-1 pointer-events-none">${item.name}</span>
+                <span class="text-[9px] text-slate-500 pointer-events-none">${meta.basin} ${meta.year}</span>
+                <button class="text-slate-600 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity" data-delete-index="${state.history.indexOf(item)}" title="Delete"><i class="fa-solid fa-trash-can pointer-events-none"></i></button>
+            `;
+            historyList.appendChild(li);
+        });
+    }
+
+    function deleteHistoryEntry(index) {
+        const item = state.history[index];
+        if (!item || !confirm(`Delete "${item.name}" from the archive?`)) return;
+        state.history.splice(index, 1);
+        if (item.id !== undefined) {
+            deleteArchiveEntry(item.id).catch(e => console.warn("无法从 IndexedDB 删除历史记录:", e));
+        }
+        refreshConeCalibration();
+        refreshHistoryYearFilter();
+        renderHistoryList();
+    }
+
+    function downloadArchive() {
+        playClick();
+        exportArchive().then(data => {
+            const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `storm_archive_${new Date().toISOString().slice(0, 10)}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }).catch(e => {
+            console.error("导出存档失败:", e);
+            alert(`Failed to export archive: ${e.message}`);
+        });
+    }
+
+    function uploadArchive(file) {
+        file.text()
+            .then(text => importArchive(JSON.parse(text)))
+            .then(entries => {
+                state.history.push(...entries);
+                state.history.sort((a, b) => (a.savedAt || 0) - (b.savedAt || 0));
+                refreshConeCalibration();
+                refreshHistoryYearFilter();
+                renderHistoryList();
+                console.log(`Imported ${entries.length} storms into the archive.`);
+            })
+            .catch(e => {
+                console.error("导入存档失败:", e);
+                playError();
+                alert(`Failed to import archive: ${e.message}`);
+            });
+    }
+
+    // [新增] 导入真实气旋路径 (ATCF b-deck / HURDAT2 / IBTrACS CSV)，每个气旋作为一条历史记录
+    const IMPORT_FORMAT_LABELS = { atcf: 'ATCF', hurdat2: 'HURDAT2', ibtracs: 'IBTRACS' };
+
+    function importTrackFiles(files) {
+        Promise.all(files.map(file => file.text().then(text => parseTrackFile(text))))
+            .then(results => {
+                const storms = results.flat();
+                if (storms.length === 0) throw new Error('No storm with at least two fixes was found');
+                storms.forEach((storm, i) => {
+                    const cycloneData = buildImportedCyclone(storm);
+                    const peak = cycloneData.track.reduce((max, p) => Math.max(max, p[2]), 0);
+                    const label = cycloneData.name || storm.id;
+                    const entry = {
+                        name: `${label} (${storm.id}) - ${cycloneData.imported.year}, Peak ${peak}kt [${IMPORT_FORMAT_LABELS[storm.format]}]`,
+                        cycloneData,
+                        atcfData: storm.source, // 原始记录
+                        pressureHistory: [],
+                        siteHistory: [],
+                        rainfall: [],
+                        seed: null,
+                        basin: cycloneData.basin,
+                        year: cycloneData.imported.year,
+                        peak,
+                        savedAt: Date.now() + i
+                    };
+                    state.history.push(entry);
+                    persistHistoryEntry(entry);
+                });
+                refreshHistoryYearFilter();
+                renderHistoryList();
+                console.log(`Imported ${storms.length} best tracks.`);
+            })
+            .catch(e => {
+                console.error("导入路径失败:", e);
+                playError();
+                alert(`Failed to import track: ${e.message}`);
+            });
+    }
+
+    // [新增] 启动时从 IndexedDB 读回历史记录
+    getAllArchiveEntries()
+        .then(entries => {
+            state.history.unshift(...entries);
+            refreshConeCalibration();
+            refreshHistoryYearFilter();
+        })
+        .catch(e => console.warn("无法读取 IndexedDB 历史存档:", e));
+
+    historyButton.addEventListener('click', () => {
+        playClick();
+        refreshHistoryYearFilter();
+        renderHistoryList();
         historyModal.classList.remove('hidden');
         historyBestTrackContainer.classList.add('hidden'); // [新增] 默认隐藏ATCF显示区域
         state.selectedHistoryTrackData = ''; // [新增] 清空选中数据
@@ -1730,16 +3108,46 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
         historyModal.classList.add('hidden');
     });
 
+    [historySearchInput, historyBasinFilter, historyYearFilter, historyPeakFilter].forEach(input => {
+        input.addEventListener('input', renderHistoryList);
+    });
+    exportArchiveButton.addEventListener('click', downloadArchive);
+    importArchiveButton.addEventListener('click', () => {
+        playClick();
+        importArchiveInput.click();
+    });
+    importArchiveInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) uploadArchive(file);
+        e.target.value = '';
+    });
+    importTrackButton.addEventListener('click', () => {
+        playClick();
+        importTrackInput.click();
+    });
+    importTrackInput.addEventListener('change', (e) => {
+        const files = [...e.target.files];
+        if (files.length > 0) importTrackFiles(files);
+        e.target.value = '';
+    });
+
     // 历史列表项点击事件
     historyList.addEventListener('click', (e) => {
-        if (e.target && e.target.tagName === 'LI' && e.target.dataset.historyIndex) {
-            const index = parseInt(e.target.dataset.historyIndex, 10);
+        const deleteBtn = e.target && e.target.closest('[data-delete-index]');
+        if (deleteBtn) {
+            deleteHistoryEntry(parseInt(deleteBtn.dataset.deleteIndex, 10));
+            return;
+        }
+        const itemLi = e.target && e.target.closest('li[data-history-index]');
+        if (itemLi) {
+            const index = parseInt(itemLi.dataset.historyIndex, 10);
             const historyItem = state.history[index];
             if (!historyItem) return;
             selectedHistoryPointIndex = -1;
             const selectedCyclone = historyItem.cycloneData;
             selectedCyclone.pressureHistory = historyItem.pressureHistory || [];
             selectedCyclone.siteHistory = historyItem.siteHistory || [];
+            selectedCyclone.rainfall = historyItem.rainfall || [];
             state.selectedHistoryCyclone = selectedCyclone;
 
             if (state.simulationInterval) {
@@ -1754,11 +3162,11 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
             document.getElementById('simulation-output').classList.remove('hidden');
             bestTrackContainer.classList.add('hidden');
             
-            drawFinalPath(mapSvg, mapProjection, selectedCyclone, state.world, tooltip, null, null, null, state.showPathPoints, null, basinSelector.value);
+            drawFinalPath(mapSvg, mapProjection, selectedCyclone, state.world, tooltip, null, null, null, state.showPathPoints, null, selectedCyclone.basin || basinSelector.value);
             if (state.showIntensityChart) {
                 forecastContainer.classList.remove('hidden');
             }
-            drawHistoricalIntensityChart(chartContainer, selectedCyclone.track, tooltip);
+            drawHistoricalIntensityChart(chartContainer, selectedCyclone.track, tooltip, 'kt', selectedCyclone.basin || basinSelector.value, getChartForecast(selectedCyclone));
 
             let peak = { intensity: 0 };
             selectedCyclone.track.forEach(p => {
@@ -1781,6 +3189,7 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
             document.getElementById('pressure').textContent = `${displayP} hPa`;
             document.getElementById('category').textContent = peakCat.name;
             document.getElementById('ace').textContent = selectedCyclone.ace.toFixed(2);
+            updateSurgeSummary(updateSurgeRecord(createSurgeRecord(), [selectedCyclone.track])); // [新增] 历史气旋的峰值增水由路径重算
             document.getElementById('direction').textContent = "N/A";
             document.getElementById('speed').textContent = "N/A";
 
@@ -1878,14 +3287,20 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
         requestRedraw();
     };
 
-    // 绑定事件时：
-    document.getElementById('togglePressureButton').onclick = () => toggleState('showPressureField', 'togglePressureButton');
-    document.getElementById('toggleHumidityButton').onclick = () => toggleState('showHumidityField', 'toggleHumidityButton');
-    document.getElementById('toggleWindFieldButton').onclick = () => toggleState('showWindField', 'toggleWindFieldButton');
-    document.getElementById('togglePathButton').onclick = () => toggleState('showPathForecast', 'togglePathButton');
+    // [新增] 图层开关 -> 按钮 (分享链接恢复图层时同样使用)
+    const LAYER_TOGGLE_BUTTONS = {
+        showPressureField: 'togglePressureButton',
+        showHumidityField: 'toggleHumidityButton',
+        showOceanWake: 'toggleOceanWakeButton',
+        showSurge: 'toggleSurgeButton',
+        showRainfall: 'toggleRainfallButton',
+        showWindSwath: 'toggleWindSwathButton',
+        showWindField: 'toggleWindFieldButton',
+        showPathForecast: 'togglePathButton',
+        showWindRadii: 'toggleWindRadiiButton'
+    };
 
-    // 对于带图例的特殊处理 (Wind Radii)
-    document.getElementById('toggleWindRadiiButton').onclick = () => toggleState('showWindRadii', 'toggleWindRadiiButton', (isShow) => {
+    function setWindRadiiLegend(isShow) {
         const legend = document.getElementById('wind-radii-legend');
         if (isShow) {
             legend.classList.remove('hidden');
@@ -1894,8 +3309,163 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
             legend.setAttribute('data-show', 'false');
             setTimeout(() => legend.classList.add('hidden'), 300);
         }
+    }
+
+    // 绑定事件时：
+    Object.entries(LAYER_TOGGLE_BUTTONS).forEach(([key, btnId]) => {
+        // 对于带图例的特殊处理 (Wind Radii)
+        const callback = key === 'showWindRadii' ? setWindRadiiLegend : undefined;
+        document.getElementById(btnId).onclick = () => toggleState(key, btnId, callback);
     });
 
+    // [新增] 分享链接：把当前设置 (运行中则为本次运行的参数与种子) 编码进 URL 片段
+    function getShareSettings() {
+        const engine = state.engine;
+        const config = engine ? engine.config : null;
+        const scenario = config ? config.scenario : state.scenario;
+        const layers = Object.fromEntries(Object.keys(LAYER_TOGGLE_BUTTONS).map(key => [key, !!state[key]]));
+        layers.showPathPoints = state.showPathPoints;
+        layers.irBw = irBwCheckbox ? irBwCheckbox.checked : false;
+        const seedText = seedInput.value.trim();
+        const genesisLon = config ? config.customLon : state.customLon;
+        const genesisLat = config ? config.customLat : state.customLat;
+        return {
+            basin: engine ? engine.basin : basinSelector.value,
+            month: config ? (config.season ? config.season.startMonth : config.month) : parseInt(monthSelector.value, 10),
+            globalTemp: config ? config.globalTemp : state.GlobalTemp,
+            globalShear: config ? config.globalShear : state.GlobalShear,
+            climate: config ? config.climate : state.climate,
+            stormCount: config ? config.stormCount : state.stormCount,
+            seasonEndMonth: config ? (config.season ? config.season.endMonth : null) : (state.seasonMode ? state.seasonEndMonth : null),
+            seed: engine ? engine.seed : (seedText !== '' ? normalizeSeed(/^\d+$/.test(seedText) ? Number(seedText) : seedText) : null),
+            genesis: genesisLon !== null && genesisLon !== undefined && genesisLat !== null && genesisLat !== undefined ? { lon: genesisLon, lat: genesisLat } : null,
+            site: state.siteName && state.siteLon !== null && state.siteLat !== null ? { name: state.siteName, lon: state.siteLon, lat: state.siteLat } : null,
+            layers,
+            ensembleSize: config ? config.ensembleSize || 0 : state.ensembleSize,
+            forecastHours: config ? config.forecastHours || DEFAULT_FORECAST_HOURS : state.forecastHours,
+            scenario: scenario && getGalleryScenario(scenario.id) ? scenario.id : null,
+            hasFileScenario: !!scenario && !getGalleryScenario(scenario.id)
+        };
+    }
+
+    function copyShareLink() {
+        const settings = getShareSettings();
+        const fragment = encodeShareLink(settings);
+        const url = `${location.origin}${location.pathname}${location.search}#${fragment}`;
+        history.replaceState(null, '', `#${fragment}`);
+        const done = () => {
+            playClick();
+            const icon = copyLinkButton.querySelector('i');
+            icon.className = 'fa-solid fa-check';
+            setTimeout(() => { icon.className = 'fa-solid fa-link'; }, 1500);
+            if (settings.hasFileScenario) alert("Scenario files are not included in links; the link reproduces the run only together with the same scenario file.");
+        };
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url).then(done).catch(() => prompt("Copy this link:", url));
+        } else {
+            prompt("Copy this link:", url);
+        }
+    }
+
+    // 打开分享链接：恢复设置；链接带种子时在地形数据就绪后自动开始
+    let pendingSharedRun = false;
+
+    function applyShareLink(settings) {
+        if (settings.scenario) {
+            const scenario = getGalleryScenario(settings.scenario);
+            if (!scenario) throw new Error(`Share link: unknown scenario "${settings.scenario}"`);
+            applyScenario(scenario);
+        } else if (state.scenario) {
+            applyScenario(null);
+        }
+        if (settings.basin) {
+            if (![...basinSelector.options].some(o => o.value === settings.basin)) throw new Error(`Share link: unknown basin "${settings.basin}"`);
+            basinSelector.value = settings.basin;
+        }
+        if (settings.month !== undefined) monthSelector.value = String(settings.month);
+        if (settings.globalTemp !== undefined) {
+            state.GlobalTemp = settings.globalTemp;
+            globalTempSlider.value = settings.globalTemp;
+            globalTempValue.textContent = `${state.GlobalTemp}K`;
+        }
+        if (settings.globalShear !== undefined) {
+            state.GlobalShear = settings.globalShear;
+            globalShearSlider.value = settings.globalShear;
+            globalShearValue.textContent = `${state.GlobalShear}`;
+        }
+        if (settings.climate) {
+            state.climate = { ...settings.climate };
+            updateClimateControls();
+        }
+        state.stormCount = settings.stormCount;
+        stormCountSlider.value = settings.stormCount;
+        stormCountValue.textContent = `${state.stormCount}`;
+        state.seasonMode = settings.seasonEndMonth !== null;
+        seasonModeCheckbox.checked = state.seasonMode;
+        if (state.seasonMode) {
+            state.seasonEndMonth = settings.seasonEndMonth;
+            seasonEndMonthSelector.value = String(settings.seasonEndMonth);
+        }
+        seedInput.value = settings.seed !== null ? `${settings.seed}` : '';
+        state.customLon = settings.genesis ? settings.genesis.lon : null;
+        state.customLat = settings.genesis ? settings.genesis.lat : null;
+        customLonInput.value = state.customLon ?? '';
+        customLatInput.value = state.customLat ?? '';
+        if (settings.site) setObservationSite(settings.site);
+        if (settings.layers) {
+            Object.entries(LAYER_TOGGLE_BUTTONS).forEach(([key, btnId]) => {
+                if (state[key] === settings.layers[key]) return;
+                state[key] = settings.layers[key];
+                updateToggleButtonVisual(document.getElementById(btnId), state[key]);
+                if (key === 'showWindRadii') setWindRadiiLegend(state[key]);
+            });
+            state.showPathPoints = settings.layers.showPathPoints;
+            if (showPathPointsCheckbox) showPathPointsCheckbox.checked = state.showPathPoints;
+            localStorage.setItem('tcs_show_points', state.showPathPoints);
+            if (irBwCheckbox) irBwCheckbox.checked = settings.layers.irBw;
+            setSatelliteGrayscale(settings.layers.irBw);
+            localStorage.setItem('tcs_ir_bw', settings.layers.irBw);
+        }
+        if (settings.ensembleSize !== undefined) {
+            if (!ENSEMBLE_SIZES.includes(settings.ensembleSize)) throw new Error(`Share link: unsupported ensemble size ${settings.ensembleSize}`);
+            state.ensembleSize = settings.ensembleSize;
+            ensembleSizeSelector.value = String(state.ensembleSize);
+        }
+        if (settings.forecastHours !== undefined) {
+            if (!FORECAST_HORIZONS.includes(settings.forecastHours)) throw new Error(`Share link: unsupported forecast horizon ${settings.forecastHours} h`);
+            state.forecastHours = settings.forecastHours;
+            forecastHorizonSelector.value = String(state.forecastHours);
+        }
+        updateScenarioControls();
+        pendingSharedRun = settings.seed !== null;
+        // 名称序号随本页之前的运行累积，打开带种子的链接时一律由种子重新推算
+        if (pendingSharedRun) state.lastBasin = null;
+    }
+
+    function startPendingSharedRun() {
+        if (!pendingSharedRun || generateButton.disabled) return;
+        pendingSharedRun = false;
+        startSimulation();
+    }
+
+    function loadShareLinkFromLocation() {
+        let settings;
+        try {
+            settings = decodeShareLink(location.hash);
+            if (!settings) return;
+            applyShareLink(settings);
+        } catch (e) {
+            console.error("分享链接无效:", e);
+            alert(e.message);
+            return;
+        }
+        startPendingSharedRun();
+    }
+
+    copyLinkButton.addEventListener('click', copyShareLink);
+    window.addEventListener('hashchange', loadShareLinkFromLocation);
+    loadShareLinkFromLocation();
+
     musicButton.onclick = (e) => {
         e.stopPropagation();
         playClick(); // 播放音效
@@ -1998,6 +3568,10 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
                      month: state.currentMonth,
                      siteHistory: state.siteHistory,
                      siteData: state.currentSiteData,
+                     otherCyclones: state.cyclone.status === 'active' ? getOtherCyclones() : [],
+                     onCycloneSelect: focusCyclone,
+                     ghostTracks: state.ghostTracks,
+                     ...getMapOverlays(), // [修改] 冷尾流、风暴潮、累积雨量图层
                      onSiteClick: () => {
                          state.isSiteSelected = !state.isSiteSelected;
                          requestRedraw();
@@ -2005,7 +3579,7 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
                  });
              }
              if (state.cyclone.status && state.cyclone.status !== 'active') {
-                 drawHistoricalIntensityChart(chartContainer, state.cyclone.track, tooltip);
+                 drawHistoricalIntensityChart(chartContainer, state.cyclone.track, tooltip, 'kt', basinSelector.value, getChartForecast(state.cyclone));
              }
         }
     });
@@ -2083,6 +3657,10 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
                         WIND PROB 64KT
                     </button>
 
+                    <button id="jtwc-tab-rain" class="text-left px-3 py-2 text-sm font-bold text-gray-600 hover:bg-gray-200 rounded transition-colors">
+                        STORM TOTAL RAIN
+                    </button>
+
                     <button id="jtwc-tab-satellite" class="text-left px-3 py-2 text-sm font-bold text-gray-600 hover:bg-gray-200 rounded transition-colors">
                     SAT IMAGERY
                     </button>
@@ -2091,6 +3669,10 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
                         PHASE SPACE
                     </button>
 
+                    <button id="jtwc-tab-verify" class="text-left px-3 py-2 text-sm font-bold text-gray-600 hover:bg-gray-200 rounded transition-colors">
+                        VERIFICATION
+                    </button>
+
                     <div class="h-px bg-gray-300 my-1"></div>
                     <button id="jtwc-tab-station" class="text-left px-3 py-2 text-sm font-bold text-gray-600 hover:bg-gray-200 rounded transition-colors flex items-center gap-2">
                         STATION OBS
@@ -2113,9 +3695,11 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
         const tabGraphic = document.getElementById('jtwc-tab-graphic');
         const tabProb34 = document.getElementById('jtwc-tab-prob34');
         const tabProb64 = document.getElementById('jtwc-tab-prob64');
+        const tabRain = document.getElementById('jtwc-tab-rain');
         const tabSatellite = document.getElementById('jtwc-tab-satellite');
         const tabStation = document.getElementById('jtwc-tab-station');
         const tabSynoptic = document.getElementById('jtwc-tab-synoptic');
+        const tabVerify = document.getElementById('jtwc-tab-verify');
         const loadingNode = document.getElementById('jtwc-loading');
         
         let currentCanvas = null;
@@ -2128,7 +3712,7 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
         };
 
         const updateTabStyles = (activeTab) => {
-            [tabGraphic, tabProb34, tabProb64, tabSatellite, tabPhase, tabStation, tabSynoptic].forEach(tab => {
+            [tabGraphic, tabProb34, tabProb64, tabRain, tabSatellite, tabPhase, tabVerify, tabStation, tabSynoptic].forEach(tab => {
                 if (tab === activeTab) {
                     tab.className = "text-left px-3 py-2 text-sm font-bold bg-white border border-gray-300 rounded shadow-sm text-cyan-700 transition-all";
                 } else {
@@ -2175,6 +3759,28 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
             }, 50); 
         };
 
+        // [新增] 累积雨量产品 (历史模式使用存档中的雨量格点)
+        const showStormRain = () => {
+            updateTabStyles(tabRain);
+            currentMode = 'RAIN';
+            showLoading();
+
+            setTimeout(() => {
+                let cells;
+                if (state.selectedHistoryCyclone) {
+                    cells = (targetCyclone.rainfall || []).map(([lon, lat, value]) => ({ lon, lat, value, cellDeg: RAIN_CELL_DEG }));
+                } else {
+                    const swath = state.rainSwaths.get(targetCyclone.stormId);
+                    cells = swath ? getRainCells(swath) : [];
+                }
+                const canvas = renderStormTotalRain(targetCyclone, state.world, cells);
+                canvas.className = "max-w-full max-h-full shadow-lg border border-gray-200";
+                contentArea.innerHTML = '';
+                contentArea.appendChild(canvas);
+                currentCanvas = canvas;
+            }, 50);
+        };
+
         // B. Phase Space 页面
         const showPhaseSpace = () => {
             updateTabStyles(tabPhase);
@@ -2198,6 +3804,30 @@ const cycloneNum = String(state.simulationCount).padStart(2, '0');
         const tabPhase = document.getElementById('jtwc-tab-phase');
         tabPhase.onclick = showPhaseSpace;
 
+        // [新增] 预报检验：本气旋的预报存档对照实际路径，以及全部历史记录的汇总
+        const showVerification = () => {
+            updateTabStyles(tabVerify);
+            currentMode = 'VERIFY';
+            currentCanvas = null;
+
+            const archived = state.history.map(entry => entry.cycloneData).filter(Boolean);
+            const archivedSamples = archived.map(verifyStorm);
+            contentArea.innerHTML = `
+                <div class="bg-white p-6 shadow-sm border border-gray-200 w-full max-w-3xl font-mono self-start">
+                    ${formatVerificationTable(`THIS STORM · ${(targetCyclone.name || 'UNNAMED').toUpperCase()}`, summarizeVerification(verifyStorm(targetCyclone)))}
+                    <div class="h-6"></div>
+                    ${formatVerificationTable(`ALL ARCHIVED STORMS · ${archivedSamples.filter(list => list.length > 0).length} VERIFIED`, summarizeVerification(archivedSamples.flat()))}
+                    ${formatConeCalibration(targetCyclone.basin || basinSelector.value)}
+                    <div class="text-[10px] text-gray-400 mt-4 leading-relaxed">
+                        TRACK = great-circle error · ALONG &gt; 0 forecast ahead of the storm · CROSS &gt; 0 forecast right of track ·
+                        BIAS / MAE = forecast − observed intensity · SKILL relative to CLP5 (track) and DSF5 (intensity).
+                        Ensemble members and extratropical times are not verified.
+                    </div>
+                </div>
+            `;
+        };
+        tabVerify.onclick = showVerification;
+
         const showSatelliteImagery = () => {
             updateTabStyles(tabSatellite);
             currentMode = 'SATELLITE';
@@ -2307,7 +3937,7 @@ if (isHistoryMode) {
                 // 精确查找
                 const found = pressureHistory.find(h => h.age === targetHour);
                 if (found) {
-                    historySystem = { lower: found.lower, upper: found.upper };
+                    historySystem = { lower: found.lower, upper: found.upper, waves: found.waves };
                 } else if (pressureHistory.length > 0) {
                     // 模糊查找 (fallback)
                     const closest = pressureHistory.reduce((prev, curr) => {
@@ -2315,7 +3945,7 @@ if (isHistoryMode) {
                     });
                     // 只接受误差在6小时内的
                     if (Math.abs(closest.age - targetHour) <= 6) {
-                        historySystem = { lower: closest.lower, upper: closest.upper };
+                        historySystem = { lower: closest.lower, upper: closest.upper, waves: closest.waves };
                     }
                 }
             } else {
@@ -2323,7 +3953,7 @@ if (isHistoryMode) {
                 if (state.pressureHistory && state.pressureHistory.length > 0) {
                     const found = state.pressureHistory.find(h => h.age === targetHour);
                     if (found) {
-                        historySystem = { lower: found.lower, upper: found.upper };
+                        historySystem = { lower: found.lower, upper: found.upper, waves: found.waves };
                     }
                 }
                 
@@ -2398,6 +4028,8 @@ if (isHistoryMode) {
             // 4. 解析记录的数据 (不再进行物理计算)
             const localWindKt = Math.round(record.wind);
             const localPressure = Math.round(record.pressure);
+            const hasSurge = record.surge != null; // [新增] 只有岸边站点记录增水
+            const stormRain = record.rain || 0; // [新增] 累积雨量 (mm)
             
             // 恢复风向
             const flowAngleMath = Math.atan2(-record.v, record.u) * (180 / Math.PI);
@@ -2447,8 +4079,8 @@ if (isHistoryMode) {
             const hhStr = String(simDate.getUTCHours()).padStart(2, '0');
             const obsTimeCode = `${yyyyStr}${mmStr}${ddStr}${hhStr}`;
 
-            // 2. 计算降水 (3小时累积估算)
-            const precipVal = Math.max(0, (dbz - 12) * 2);
+            // 2. 计算降水 (3小时累积，Z-R 关系换算)
+            const precipVal = dbzToStepRain(dbz);
             const precipStr = precipVal.toFixed(1); // 保留1位小数 (8.6MM)
 
             // 3. 拼接最终字符串
@@ -2474,7 +4106,7 @@ contentArea.innerHTML = `
                         </div>
                     </div>
 
-                    <div class="grid grid-cols-2 gap-4 mb-4">
+                    <div class="grid grid-cols-3 gap-4 mb-4">
                         <div id="panel-wind" class="bg-slate-50 p-3 border-2 border-transparent hover:border-cyan-400 cursor-pointer transition-all group relative">
                             <div class="text-[10px] text-slate-400 font-bold mb-1 group-hover:text-cyan-600">WIND (CLICK FOR CHART)</div>
                             <div class="flex items-baseline gap-2">
@@ -2497,15 +4129,26 @@ contentArea.innerHTML = `
                             <div class="text-xs text-slate-400 mt-1">RECORDED</div>
                             <i class="fa-solid fa-chart-line absolute top-2 right-2 text-slate-200 group-hover:text-yellow-400"></i>
                         </div>
+
+                        <div id="panel-surge" class="bg-slate-50 p-3 border-2 border-transparent hover:border-blue-400 cursor-pointer transition-all group relative">
+                            <div class="text-[10px] text-slate-400 font-bold mb-1 group-hover:text-blue-600">SURGE (CLICK FOR CHART)</div>
+                            <div class="flex items-baseline gap-2">
+                                <div class="text-4xl font-black text-slate-800">${hasSurge ? record.surge.toFixed(1) : '--'}</div>
+                                <div class="text-sm font-bold text-slate-500">M</div>
+                            </div>
+                            <div class="text-xs text-slate-400 mt-1">${hasSurge ? 'ABOVE TIDE' : 'NOT A COASTAL SITE'}</div>
+                            <i class="fa-solid fa-chart-line absolute top-2 right-2 text-slate-200 group-hover:text-blue-400"></i>
+                        </div>
                     </div>
 
-                    <div class="grid grid-cols-3 gap-2 text-center mb-4">
+                    <div class="grid grid-cols-4 gap-2 text-center mb-4">
                         <div class="border p-2 rounded"><div class="text-[10px] text-gray-400">DIST</div><div class="font-bold">${Math.round(distKm)} KM</div></div>
                         <div class="border p-2 rounded"><div class="text-[10px] text-gray-400">COND</div><div class="font-bold ${conditionClass}"><i class="fa-solid ${iconClass}"></i> ${conditionText}</div></div>
                         <div class="border p-2 rounded">
                             <div class="text-[10px] text-gray-400">STORM BEARING</div>
                             <div class="font-bold text-[10px]">${bearingStr} (${Math.round(bearingDeg)}°)</div>
                         </div>
+                        <div class="border p-2 rounded"><div class="text-[10px] text-gray-400">STORM RAIN</div><div class="font-bold text-blue-700">${Math.round(stormRain)} MM</div></div>
                     </div>
 
                     <div class="flex-1 border border-slate-100 bg-slate-50 rounded relative overflow-hidden">
@@ -2520,6 +4163,7 @@ contentArea.innerHTML = `
             const titleLabel = document.getElementById('station-chart-title');
             const panelWind = document.getElementById('panel-wind');
             const panelPressure = document.getElementById('panel-pressure');
+            const panelSurge = document.getElementById('panel-surge');
             const historySlice = sourceList.filter(h => h.hour <= targetHour);
 
             // 默认显示 Wind
@@ -2533,6 +4177,7 @@ contentArea.innerHTML = `
                 // 更新高亮状态
                 panelWind.classList.add('border-cyan-400', 'bg-cyan-50');
                 panelPressure.classList.remove('border-yellow-400', 'bg-yellow-50');
+                panelSurge.classList.remove('border-blue-400', 'bg-blue-50');
             };
 
             panelPressure.onclick = () => {
@@ -2541,6 +4186,16 @@ contentArea.innerHTML = `
                 // 更新高亮状态
                 panelPressure.classList.add('border-yellow-400', 'bg-yellow-50');
                 panelWind.classList.remove('border-cyan-400', 'bg-cyan-50');
+                panelSurge.classList.remove('border-blue-400', 'bg-blue-50');
+            };
+
+            // [新增] 风暴潮增水曲线
+            panelSurge.onclick = () => {
+                drawStationGraph(chartContainer, historySlice, 'surge');
+                titleLabel.textContent = hasSurge ? "STORM SURGE HISTORY" : "NO SURGE DATA (STATION IS NOT ON THE COAST)";
+                panelSurge.classList.add('border-blue-400', 'bg-blue-50');
+                panelWind.classList.remove('border-cyan-400', 'bg-cyan-50');
+                panelPressure.classList.remove('border-yellow-400', 'bg-yellow-50');
             };
             document.getElementById('btn-show-obs-text').onclick = () => {
                 const container = document.querySelector(chartContainer);
@@ -2574,12 +4229,13 @@ contentArea.innerHTML = `
                     const dirStr = directionToCompass(dirDeg);
 
                     // 恢复降水
-                    const dVal = h.dbz || 0;
-                    const prec = Math.max(0, (dVal - 15) * (Math.random() + 1.8)).toFixed(1);
+                    const prec = dbzToStepRain(h.dbz || 0).toFixed(1);
 
                     // C. 格式化单行 (使用 padEnd/padStart 对齐，让排版更整齐)
-                    // 例如: 2026070106  12KT  NE   1008hPa  0.0MM
-                    return `${timeStr}  ${String(w).padStart(3)}KT  ${dirStr.padEnd(3)}  ${p}hPa  ${prec.padStart(5)}MM`;
+                    // 例如: 2026070106  12KT  NE   1008hPa  0.0MM (累积 12MM)
+                    const totalStr = h.rain != null ? `  ${String(Math.round(h.rain)).padStart(4)}MM` : ''; // [新增] 累积雨量
+                    const surgeStr = h.surge != null ? `  ${h.surge.toFixed(1).padStart(4)}M` : ''; // [新增] 增水 (岸边站点)
+                    return `${timeStr}  ${String(w).padStart(3)}KT  ${dirStr.padEnd(3)}  ${p}hPa  ${prec.padStart(5)}MM${totalStr}${surgeStr}`;
                 }).join('\n'); // 用换行符连接
 
                 // 3. 渲染到 Textarea (方便复制和滚动)
@@ -2601,6 +4257,7 @@ contentArea.innerHTML = `
         tabGraphic.onclick = showGraphic;
         tabProb34.onclick = () => showProb(34);
         tabProb64.onclick = () => showProb(64);
+        tabRain.onclick = showStormRain;
         tabSatellite.onclick = showSatelliteImagery;
         tabStation.onclick = showStationData;
 
@@ -2736,20 +4393,20 @@ contentArea.innerHTML = `
                             const found = pressureHistory.find(h => h.age === targetHour);
                             // 模糊查找范围放大一点防止丢帧
                             if (found) {
-                                historySystem = { lower: found.lower, upper: found.upper };
+                                historySystem = { lower: found.lower, upper: found.upper, waves: found.waves };
                             } else if (pressureHistory.length > 0) {
                                 const closest = pressureHistory.reduce((prev, curr) => 
                                     (Math.abs(curr.age - targetHour) < Math.abs(prev.age - targetHour) ? curr : prev)
                                 );
                                 if (Math.abs(closest.age - targetHour) <= 6) {
-                                    historySystem = { lower: closest.lower, upper: closest.upper };
+                                    historySystem = { lower: closest.lower, upper: closest.upper, waves: closest.waves };
                                 }
                             }
                         } else {
                             // 实时模式查表
                             if (state.pressureHistory) {
                                 const found = state.pressureHistory.find(h => h.age === targetHour);
-                                if (found) historySystem = { lower: found.lower, upper: found.upper };
+                                if (found) historySystem = { lower: found.lower, upper: found.upper, waves: found.waves };
                             }
                             if (!historySystem) historySystem = state.pressureSystems;
                         }
@@ -2828,7 +4485,12 @@ contentArea.innerHTML = `
     
     if (catButton && newsModal) {
         catButton.addEventListener('click', () => {
-            if (!state.cyclone || !state.cyclone.track || state.cyclone.track.length < 2) {
+            // [修改] 查看历史记录 (含导入的真实气旋) 时播报所选气旋
+            const isHistory = !!state.selectedHistoryCyclone;
+            const newsCyclone = state.selectedHistoryCyclone || state.cyclone;
+            const newsBasin = (isHistory && newsCyclone.basin) || basinSelector.value;
+            const newsForecasts = isHistory ? [] : state.pathForecasts;
+            if (!newsCyclone || !newsCyclone.track || newsCyclone.track.length < 2) {
                 alert("no simulation found.");
                 return;
             }
@@ -2840,25 +4502,25 @@ contentArea.innerHTML = `
 
             // 2. 设置滚动新闻内容
             const ticker = document.getElementById('newsTicker');
-            const name = (state.cyclone.name || "UNNAMED").toUpperCase();
+            const name = (newsCyclone.name || "UNNAMED").toUpperCase();
             const catName = getEnglishCategoryName(
-                state.cyclone.intensity, 
-                state.cyclone.isExtratropical, 
-                state.cyclone.isSubtropical,
-                basinSelector.value
+                newsCyclone.intensity, 
+                newsCyclone.isExtratropical, 
+                newsCyclone.isSubtropical,
+                newsBasin
             );
-            const wind = Math.round(state.cyclone.intensity);
-            const pressure = Math.round(windToPressure(state.cyclone.intensity, state.cyclone.circulationSize, basinSelector.value));
+            const wind = Math.round(newsCyclone.intensity);
+            const pressure = Math.round(windToPressure(newsCyclone.intensity, newsCyclone.circulationSize, newsBasin));
 
             let landfallAlert = "";
             
             // 检查是否有预测路径
-            if (state.pathForecasts && state.pathForecasts.length > 0) {
+            if (newsForecasts && newsForecasts.length > 0) {
                 // 取第一条模型 (通常是共识或GFS)
-                const forecastTrack = state.pathForecasts[0].track;
+                const forecastTrack = newsForecasts[0].track;
                 let willLandfall = false;
 
-                // 遍历预测点 (每点通常间隔6-12小时，覆盖未来72小时+)
+                // 遍历预测点 (每点间隔3小时，覆盖整个预报时效)
                 for (let i = 0; i < forecastTrack.length; i++) {
                     const p = forecastTrack[i];
                     // p[0] = lon, p[1] = lat
@@ -2870,12 +4532,12 @@ contentArea.innerHTML = `
                 }
 
                 if (willLandfall) {
-                    landfallAlert = "AND FORECAST INDICATES LANDFALL IMMINENT IN THE NEXT 72 HOURS.";
+                    landfallAlert = `AND FORECAST INDICATES LANDFALL IMMINENT IN THE NEXT ${(forecastTrack.length - 1) * 3} HOURS.`;
                 }
             }
         
             // 构建新闻字符串 (重复几次以填满屏幕)
-            const newsItem = `UPDATED: ${catName} "${name}" LOCATED AT ${state.cyclone.lat.toFixed(1)}N ${state.cyclone.lon.toFixed(1)}E, MAX WINDS: ${Math.round(wind/5)*5} KT, MIN PRESSURE: ${pressure} HPA. ${landfallAlert}`;
+            const newsItem = `UPDATED: ${catName} "${name}" LOCATED AT ${newsCyclone.lat.toFixed(1)}N ${newsCyclone.lon.toFixed(1)}E, MAX WINDS: ${Math.round(wind/5)*5} KT, MIN PRESSURE: ${pressure} HPA. ${landfallAlert}`;
             ticker.textContent = newsItem;
 
             // 3. 启动 Canvas 动画
@@ -2883,12 +4545,12 @@ contentArea.innerHTML = `
             stopNewsAnimation = startNewsAnimation(
                 newsCanvas, 
                 state.world, 
-                state.cyclone, 
-                state.pathForecasts, 
-                basinSelector.value,
-                state.simulationCount,
-                state.pressureSystems,
-                state.currentMonth,
+                newsCyclone, 
+                newsForecasts, 
+                newsBasin,
+                getCycloneNumber(newsCyclone),
+                isHistory ? { upper: [], lower: [] } : state.pressureSystems,
+                isHistory ? (newsCyclone.currentMonth || state.currentMonth) : state.currentMonth,
                 state.GlobalTemp,
                 state.GlobalShear
             );
@@ -2942,7 +4604,8 @@ contentArea.innerHTML = `
                                 state.cyclone.track, 
                                 tooltip, 
                                 chartMode, 
-                                basinSelector.value
+                                basinSelector.value,
+                                getChartForecast(state.cyclone)
                             );
                         }, 10);
                     }
@@ -3019,7 +4682,7 @@ contentArea.innerHTML = `
         chartMode = 'kt';
         updateTabUI();
         if (state.cyclone && state.cyclone.track) {
-            drawHistoricalIntensityChart(chartContainer, state.cyclone.track, tooltip, 'kt', basinSelector.value);
+            drawHistoricalIntensityChart(chartContainer, state.cyclone.track, tooltip, 'kt', basinSelector.value, getChartForecast(state.cyclone));
         }
     });
 
@@ -3027,7 +4690,7 @@ contentArea.innerHTML = `
         chartMode = 'hpa';
         updateTabUI();
         if (state.cyclone && state.cyclone.track) {
-            drawHistoricalIntensityChart(chartContainer, state.cyclone.track, tooltip, 'hpa', basinSelector.value);
+            drawHistoricalIntensityChart(chartContainer, state.cyclone.track, tooltip, 'hpa', basinSelector.value, getChartForecast(state.cyclone));
         }
     });
 
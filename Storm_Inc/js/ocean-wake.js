@@ -0,0 +1,161 @@
+/**
+ * ocean-wake.js
+ * 海洋冷尾流与混合层：气旋沿路径搅拌上层海洋，按强度、移速与混合层深度在格点上留下海温负距平，
+ * 之后以数天到数周的时间尺度缓慢恢复。getSST 读取当前激活的尾流场，因此打转的气旋或沿同一路径
+ * 跟进的第二个气旋都会受到冷尾流影响，路径预报同样如此。
+ * 尾流场由冷却事件按时间顺序累积而成：引擎只记录事件日志，回退 / 读档时重放即可得到逐位一致的格点场。
+ */
+
+const CELL_DEG = 0.5;
+const COLS = Math.round(360 / CELL_DEG);
+const ROWS = Math.round(180 / CELL_DEG);
+const STEP_HOURS = 3;
+const MAX_COOLING = 6;          // 最大降温幅度 (°C)，接近时搅拌效率下降
+const RECOVERY_EFOLD_HOURS = 240; // 恢复的 e 折时间 (约 10 天)
+const PRUNE_THRESHOLD = 0.05;   // 距平小于该值的格点移除
+
+let activeWake = null;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const toLon360 = (lon) => ((lon % 360) + 360) % 360;
+
+export function createOceanWake() {
+    return { cells: new Map() }; // 格点索引 -> 海温距平 (°C，负值)
+}
+
+/**
+ * 设定 getSST 读取的尾流场 (null 表示无尾流)
+ */
+export function setActiveOceanWake(wake) {
+    activeWake = wake || null;
+}
+
+export function getActiveOceanWake() {
+    return activeWake;
+}
+
+/**
+ * 气候态混合层深度 (m)：西太暖池与湾流 / 墨西哥湾环流区暖水层深厚，东太平洋与高纬夏季较浅
+ */
+export function getMixedLayerDepth(lat, lon, month = 8) {
+    const lon360 = toLon360(lon);
+    const gauss = (d, sigma) => Math.exp(-(d * d) / (2 * sigma * sigma));
+    let depth = 40;
+    depth += 35 * gauss(lat - 15, 8) * gauss(lon360 - 135, 20);  // 西太暖池
+    depth += 25 * gauss(lat - 25, 4) * gauss(lon360 - 272, 5);   // 墨西哥湾环流
+    depth -= 20 * gauss(lat - 15, 8) * gauss(lon360 - 250, 15);  // 东太平洋浅混合层
+    // 夏半球中高纬混合层变浅
+    const summer = lat >= 0 ? Math.cos((month - 8) * (Math.PI / 6)) : Math.cos((month - 2) * (Math.PI / 6));
+    depth -= 10 * Math.max(0, summer) * clamp((Math.abs(lat) - 20) / 15, 0, 1);
+    return clamp(depth, 15, 90);
+}
+
+function cellIndex(col, row) {
+    return row * COLS + ((col % COLS) + COLS) % COLS;
+}
+
+/**
+ * (lat, lon) 处的尾流海温距平 (°C)，格点中心间双线性插值
+ */
+export function getWakeAnomaly(lat, lon, wake = activeWake) {
+    if (!wake || wake.cells.size === 0) return 0;
+    const x = toLon360(lon) / CELL_DEG - 0.5;
+    const y = (lat + 90) / CELL_DEG - 0.5;
+    const col = Math.floor(x), row = Math.floor(y);
+    if (row < 0 || row >= ROWS - 1) return 0;
+    const fx = x - col, fy = y - row;
+    const v = (c, r) => wake.cells.get(cellIndex(c, r)) || 0;
+    return (v(col, row) * (1 - fx) + v(col + 1, row) * fx) * (1 - fy)
+        + (v(col, row + 1) * (1 - fx) + v(col + 1, row + 1) * fx) * fy;
+}
+
+/**
+ * 一次冷却事件 (一个气旋推进一步)
+ * 降温 ∝ 强度² / 混合层深度，移速越慢 (埃克曼抽吸越持久) 越强；冷却中心偏向移动方向右侧 (南半球为左侧)
+ * @param {{lon:number, lat:number, intensity:number, speed:number, direction:number, rmw:number, month:number}} event
+ */
+export function coolOceanWake(wake, event) {
+    const mld = getMixedLayerDepth(event.lat, event.lon, event.month);
+    const speedFactor = clamp(6 / Math.max(event.speed, 2), 0.6, 1.6);
+    const amplitude = 0.5 * (event.intensity / 100) ** 2 * (40 / mld) * speedFactor;
+    if (amplitude < 0.01) return wake;
+
+    const sigmaKm = Math.max(60, (event.rmw || 40) * 2.5);
+    const cosLat = Math.max(0.2, Math.cos(event.lat * Math.PI / 180));
+    // 冷却中心：移动方向右侧 0.5σ (方位角 = 移向 + 90°)
+    const side = event.lat >= 0 ? 90 : -90;
+    const bearing = ((event.direction || 0) + side) * Math.PI / 180;
+    const centerLat = event.lat + (0.5 * sigmaKm * Math.cos(bearing)) / 111;
+    const centerLon = event.lon + (0.5 * sigmaKm * Math.sin(bearing)) / (111 * cosLat);
+
+    const reachDegLat = (2.5 * sigmaKm) / 111;
+    const reachDegLon = reachDegLat / cosLat;
+    const col0 = Math.floor((toLon360(centerLon) - reachDegLon) / CELL_DEG);
+    const col1 = Math.floor((toLon360(centerLon) + reachDegLon) / CELL_DEG);
+    const row0 = Math.max(0, Math.floor((centerLat - reachDegLat + 90) / CELL_DEG));
+    const row1 = Math.min(ROWS - 1, Math.floor((centerLat + reachDegLat + 90) / CELL_DEG));
+
+    for (let row = row0; row <= row1; row++) {
+        const cellLat = (row + 0.5) * CELL_DEG - 90;
+        const dyKm = (cellLat - centerLat) * 111;
+        for (let col = col0; col <= col1; col++) {
+            const dLon = (col + 0.5) * CELL_DEG - toLon360(centerLon);
+            const dxKm = dLon * 111 * cosLat;
+            const weight = Math.exp(-(dxKm * dxKm + dyKm * dyKm) / (2 * sigmaKm * sigmaKm));
+            if (weight < 0.02) continue;
+            const index = cellIndex(col, row);
+            const current = wake.cells.get(index) || 0;
+            const next = current - amplitude * weight * (1 + current / MAX_COOLING);
+            wake.cells.set(index, Math.max(-MAX_COOLING, next));
+        }
+    }
+    return wake;
+}
+
+/**
+ * 尾流随时间恢复 (海气热交换与侧向混合)
+ */
+export function recoverOceanWake(wake, hours = STEP_HOURS) {
+    const factor = Math.exp(-hours / RECOVERY_EFOLD_HOURS);
+    wake.cells.forEach((value, index) => {
+        const next = value * factor;
+        if (next > -PRUNE_THRESHOLD) wake.cells.delete(index);
+        else wake.cells.set(index, next);
+    });
+    return wake;
+}
+
+/**
+ * 按事件日志重放尾流场：每步先恢复、再施加该步的冷却事件 (与引擎推进顺序一致)
+ * @param {Object[]} events - 带 hour 字段的冷却事件，按时间排序
+ * @param {number} untilHour - 重放到的时刻 (含)
+ */
+export function replayOceanWake(events, untilHour) {
+    const wake = createOceanWake();
+    let cursor = 0;
+    for (let hour = STEP_HOURS; hour <= untilHour; hour += STEP_HOURS) {
+        recoverOceanWake(wake, STEP_HOURS);
+        while (cursor < events.length && events[cursor].hour <= hour) {
+            if (events[cursor].hour === hour) coolOceanWake(wake, events[cursor]);
+            cursor++;
+        }
+    }
+    return wake;
+}
+
+/**
+ * 用于绘图的格点列表
+ * @param {number} [minCooling=0.3] - 只返回降温超过该值的格点
+ * @returns {{lon:number, lat:number, value:number, cellDeg:number}[]}
+ */
+export function getWakeCells(wake, minCooling = 0.3) {
+    if (!wake) return [];
+    const cells = [];
+    wake.cells.forEach((value, index) => {
+        if (value > -minCooling) return;
+        const row = Math.floor(index / COLS);
+        const col = index % COLS;
+        cells.push({ lon: col * CELL_DEG, lat: row * CELL_DEG - 90, value, cellDeg: CELL_DEG });
+    });
+    return cells;
+}
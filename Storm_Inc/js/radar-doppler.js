@@ -5,6 +5,8 @@
  */
 import { getWindVectorAt } from './cyclone-model.js';
 import { getElevationAt } from './terrain-data.js';
+import { getRadarCyclones, uploadCycloneUniforms } from './radar-system.js';
+import { VORTEX_GLSL } from './vortex-model.js';
 
 // ============================================================
 // GLSL Fragment Shader (多普勒物理核心)
@@ -18,12 +20,17 @@ const fsSource = `
     uniform vec2 u_radar_center;     // 雷达中心 (经纬度)
     uniform float u_radar_radius_km; // 雷达半径 (km)
     
-    // 气旋参数
-    uniform int u_has_cyclone;       
-    uniform vec2 u_cyc_pos;          
-    uniform float u_cyc_size;        
-    uniform float u_cyc_intensity;   
-    uniform float u_cyc_age;         
+    // 气旋参数 (数组，最多 MAX_CYC 个同时存在的气旋)
+    #define MAX_CYC 4
+    uniform int u_cyc_count;
+    uniform vec2 u_cyc_pos[MAX_CYC];
+    uniform float u_cyc_size[MAX_CYC];
+    uniform float u_cyc_intensity[MAX_CYC];
+    uniform float u_cyc_age[MAX_CYC];
+    // [新增] 涡旋结构 (vortex-model.js)：最大风速半径 (km)、Holland B、风场外缘半径 (km)
+    uniform float u_cyc_rmw[MAX_CYC];
+    uniform float u_cyc_holland_b[MAX_CYC];
+    uniform float u_cyc_outer[MAX_CYC];
 
     uniform vec4 u_sys_params[20]; 
     uniform float u_sys_strength[20];
@@ -33,7 +40,7 @@ const fsSource = `
 
     const float PI = 3.14159265359;
     const float DEG_TO_RAD = 0.01745329251;
-    const float NYQUIST_VELOCITY = 50.0; // [设置] 最大不模糊速度 m/s (约 97 kts)
+${VORTEX_GLSL}    const float NYQUIST_VELOCITY = 50.0; // [设置] 最大不模糊速度 m/s (约 97 kts)
 
     // --- 速度折叠逻辑 ---
     float foldVelocity(float v) {
@@ -136,24 +143,21 @@ const fsSource = `
         vec2 wind_bg = vec2(-gradY, gradX) * bgScale * f_sign;
 
         vec2 wind_cyc = vec2(0.0);
-        if (u_has_cyclone > 0) {
-            vec2 offset_deg = pos - u_cyc_pos;
-            float dx_km = offset_deg.x * 111.0 * cos(radians(u_cyc_pos.y));
+        for (int i = 0; i < MAX_CYC; i++) {
+            if (i >= u_cyc_count) break;
+            vec2 cyc_pos = u_cyc_pos[i];
+            vec2 offset_deg = pos - cyc_pos;
+            float dx_km = offset_deg.x * 111.0 * cos(radians(cyc_pos.y));
             float dy_km = offset_deg.y * 111.0;
             float dist = sqrt(dx_km*dx_km + dy_km*dy_km);
-            float rmw = 20.0 + u_cyc_size * 0.15;
-            float v_tan = 0.0;
-            float intensity = u_cyc_intensity * 0.514; 
-            if (dist < u_cyc_size * 4.0) {
-                if (dist < rmw) {
-                    v_tan = intensity * (dist / rmw);
-                } else {
-                    v_tan = intensity * pow(rmw / dist, 0.6); 
-                }
+            float intensity = u_cyc_intensity[i] * 0.514; 
+            // [修改] 与地面风场相同的 Holland 剖面
+            float v_tan = hollandWind(dist, intensity, u_cyc_rmw[i], u_cyc_holland_b[i], u_cyc_outer[i]);
+            if (v_tan > 0.0) {
                 float angle = atan(dy_km, dx_km);
-                float rot = u_cyc_pos.y >= 0.0 ? 1.5708 : -1.5708; 
+                float rot = cyc_pos.y >= 0.0 ? 1.5708 : -1.5708; 
                 float wind_angle = angle + rot;
-                wind_cyc = vec2(cos(wind_angle), sin(wind_angle)) * v_tan;
+                wind_cyc += vec2(cos(wind_angle), sin(wind_angle)) * v_tan;
             }
         }
         return wind_bg + wind_cyc;
@@ -235,11 +239,14 @@ export class DopplerRenderer {
         this.u_terrain_map = this.gl.getUniformLocation(this.program, "u_terrain_map");
         this.terrainTexture = this.gl.createTexture();
         
-        this.u_has_cyclone = gl.getUniformLocation(this.program, "u_has_cyclone");
+        this.u_cyc_count = gl.getUniformLocation(this.program, "u_cyc_count");
         this.u_cyc_pos = gl.getUniformLocation(this.program, "u_cyc_pos");
         this.u_cyc_size = gl.getUniformLocation(this.program, "u_cyc_size");
         this.u_cyc_intensity = gl.getUniformLocation(this.program, "u_cyc_intensity");
         this.u_cyc_age = gl.getUniformLocation(this.program, "u_cyc_age");
+        this.u_cyc_rmw = gl.getUniformLocation(this.program, "u_cyc_rmw");
+        this.u_cyc_holland_b = gl.getUniformLocation(this.program, "u_cyc_holland_b");
+        this.u_cyc_outer = gl.getUniformLocation(this.program, "u_cyc_outer");
     }
 
     loadTerrainTexture(imageElement) {
@@ -299,15 +306,7 @@ export class DopplerRenderer {
         gl.uniform2f(this.u_radar_center, state.siteLon, state.siteLat);
         gl.uniform1f(this.u_radar_radius_km, 460.0);
 
-        if (state.cyclone && state.cyclone.status === 'active') {
-            gl.uniform1i(this.u_has_cyclone, 1);
-            gl.uniform2f(this.u_cyc_pos, state.cyclone.lon, state.cyclone.lat);
-            gl.uniform1f(this.u_cyc_size, state.cyclone.circulationSize);
-            gl.uniform1f(this.u_cyc_intensity, state.cyclone.intensity);
-            gl.uniform1f(this.u_cyc_age, state.cyclone.age);
-        } else {
-            gl.uniform1i(this.u_has_cyclone, 0);
-        }
+        uploadCycloneUniforms(gl, this, getRadarCyclones(state));
 
         gl.drawArrays(gl.TRIANGLES, 0, 6);
     }
@@ -4,7 +4,8 @@
  * 并提供高精度的 CPU 端物理计算接口 (已校准一致性)
  */
 import { getElevationAt } from './terrain-data.js';
-import { calculateBackgroundHumidity } from './visualization.js';
+import { calculateBackgroundHumidity } from './atmosphere.js';
+import { getVortexParameters, getVortexWindSpeed, VORTEX_GLSL } from './vortex-model.js';
 
 // ============================================================
 // GLSL Fragment Shader (物理核心 - 用于画面渲染)
@@ -20,12 +21,17 @@ const fsSource = `
     uniform float u_radar_radius_km; 
     uniform float u_noise_seed;      
     
-    // 气旋参数
-    uniform int u_has_cyclone;       
-    uniform vec2 u_cyc_pos;          
-    uniform float u_cyc_size;        
-    uniform float u_cyc_intensity;   
-    uniform float u_cyc_age;         
+    // 气旋参数 (数组，最多 MAX_CYC 个同时存在的气旋)
+    #define MAX_CYC 4
+    uniform int u_cyc_count;
+    uniform vec2 u_cyc_pos[MAX_CYC];
+    uniform float u_cyc_size[MAX_CYC];
+    uniform float u_cyc_intensity[MAX_CYC];
+    uniform float u_cyc_age[MAX_CYC];
+    // [新增] 涡旋结构 (vortex-model.js)：最大风速半径 (km)、Holland B、风场外缘半径 (km)
+    uniform float u_cyc_rmw[MAX_CYC];
+    uniform float u_cyc_holland_b[MAX_CYC];
+    uniform float u_cyc_outer[MAX_CYC];
 
     uniform vec4 u_sys_params[20]; 
     uniform float u_sys_strength[20];
@@ -36,7 +42,7 @@ const fsSource = `
 
     const float PI = 3.14159265359;
     const float DEG_TO_RAD = 0.01745329251;
-
+${VORTEX_GLSL}
     // [关键修改] 使用无正弦哈希 (Hash without Sine) 替代 fract(sin(...))
     // 这能确保 GPU 和 CPU (Math.fround) 计算出的随机数完全一致
     // Dave_Hoskins Hash12
@@ -131,29 +137,141 @@ const fsSource = `
         vec2 wind_bg = vec2(-gradY, gradX) * bgScale * f_sign;
 
         vec2 wind_cyc = vec2(0.0);
-        if (u_has_cyclone > 0) {
-            vec2 offset_deg = pos - u_cyc_pos;
-            float dx_km = offset_deg.x * 111.0 * cos(radians(u_cyc_pos.y));
+        for (int i = 0; i < MAX_CYC; i++) {
+            if (i >= u_cyc_count) break;
+            vec2 cyc_pos = u_cyc_pos[i];
+            vec2 offset_deg = pos - cyc_pos;
+            float dx_km = offset_deg.x * 111.0 * cos(radians(cyc_pos.y));
             float dy_km = offset_deg.y * 111.0;
             float dist = sqrt(dx_km*dx_km + dy_km*dy_km);
-            float rmw = 20.0 + u_cyc_size * 0.15;
-            float v_tan = 0.0;
-            float intensity = u_cyc_intensity * 0.514; 
-            if (dist < u_cyc_size * 4.0) {
-                if (dist < rmw) {
-                    v_tan = intensity * (dist / rmw);
-                } else {
-                    v_tan = intensity * pow(rmw / dist, 0.6); 
-                }
+            float intensity = u_cyc_intensity[i] * 0.514; 
+            // [修改] 与地面风场相同的 Holland 剖面
+            float v_tan = hollandWind(dist, intensity, u_cyc_rmw[i], u_cyc_holland_b[i], u_cyc_outer[i]);
+            if (v_tan > 0.0) {
                 float angle = atan(dy_km, dx_km);
-                float rot = u_cyc_pos.y >= 0.0 ? 1.5708 : -1.5708; 
+                float rot = cyc_pos.y >= 0.0 ? 1.5708 : -1.5708; 
                 float wind_angle = angle + rot;
-                wind_cyc = vec2(cos(wind_angle), sin(wind_angle)) * v_tan;
+                wind_cyc += vec2(cos(wind_angle), sin(wind_angle)) * v_tan;
             }
         }
         return wind_bg + wind_cyc;
     }
 
+    // [新增] 单个气旋的回波结构，main() 中对所有气旋取最大值
+    // [修改] 眼墙位于共享的最大风速半径 cyc_rmw；螺旋雨带的外延尺度随风场外缘半径 cyc_outer 变化
+    float cycloneDbz(vec2 world_pos, vec2 cyc_pos, float cyc_size, float cyc_intensity, float cyc_age, float cyc_rmw, float cyc_outer, float baseHum) {
+        float dbz = 0.0;
+        float hemi = (cyc_pos.y >= 0.0) ? 1.0 : -1.0;
+        vec2 cyc_offset_deg = world_pos - cyc_pos;
+        vec2 cyc_offset_km;
+        cyc_offset_km.y = cyc_offset_deg.y * 111.0;
+        cyc_offset_km.x = cyc_offset_deg.x * 111.0 * cos(radians(cyc_pos.y));
+        float c_dist = length(cyc_offset_km);
+        
+        if (c_dist < cyc_size * 3.5) {
+            float intensity = cyc_intensity;
+            float org = clamp((intensity - 25.0) / 85.0, 0.01, 0.99);
+            float angle = atan(cyc_offset_km.y, cyc_offset_km.x); 
+            float rotOffset = cyc_age * 0.2 * hemi;
+            float rmw = cyc_rmw;
+            float d = c_dist / rmw;
+            float dBand = c_dist / (cyc_outer / 16.0);
+
+            float biasAngle = rotOffset * 0.7 + PI;
+            float angleDiff = cos(angle - biasAngle);
+            float asymStrength = 0.7 * (1.0 - org);
+            float asymmetry = max(0.2, 1.0 + asymStrength * angleDiff);
+            float highFreqNoise = fbm(world_pos * 20.0 + u_time * 0.1, 2);
+            vec2 distortUV = world_pos * 4.0;
+            float shapeDistort = fbm(vec2(distortUV.x + cyc_age*0.05, distortUV.y), 2);
+
+            float spiralTightness = org * 3.0;
+            float spiralPhase = angle + hemi * (1.0+spiralTightness) * log(d + 0.1);
+            float warp = fbm(world_pos * 3.0, 3) * (1.5 - org) * min(2.0, d);
+            float signal = sin(spiralPhase * 2.0 + rotOffset + warp + shapeDistort * 0.1);
+            signal = smoothstep(-0.3, 0.7, signal);
+
+            float eyewallWidth = 0.20 - 0.10 * (1.0 - org);
+            eyewallWidth *= (0.8 + 0.4 * highFreqNoise);
+            float eyewallShape = exp(-pow(d - 1.0, 4.0) / eyewallWidth) * (1.0 + 0.3 * (intensity - 85.0) / 85.0);
+
+            float moatStrength = smoothstep(0.4, 0.8, org);
+            float moatBase = smoothstep(1.4, 1.7, d) * (1.0 - smoothstep(2.2, 2.7, d));
+            float moatBreaker = fbm(vec2(angle * 1.5, cyc_age * 0.01), 2) * (2.0 - asymmetry);
+            float connFactor = 1.0 - (moatBase * smoothstep(0.3, 0.9, moatBreaker) * moatStrength);
+
+            float strongCore = 45.0 * eyewallShape;
+            float breakupMask = smoothstep(0.25, 0.6, highFreqNoise); 
+            strongCore *= (0.95 + 0.1 * breakupMask);
+            strongCore += fbm(world_pos * 8.0 + rotOffset, 2) * 15.0 * eyewallShape;
+            if (d < 0.5 && org > 0.5) {
+                float holeMask = smoothstep(0.5, 0.0, d);
+                float digFactor = smoothstep(0.5, 0.9, org);
+                strongCore *= (1.0 - holeMask * digFactor * 0.9);
+                if (strongCore < 10.0) strongCore += fbm(world_pos * 40.0, 2) * 8.0;
+            }
+
+            float twist = 3.0 * (1.0 - d); 
+            float cosT = cos(twist + rotOffset);
+            float sinT = sin(twist + rotOffset);
+            vec2 twistedPos = vec2(world_pos.x * cosT - world_pos.y * sinT, world_pos.x * sinT + world_pos.y * cosT);
+            float noiseBase = fbm(twistedPos * 3.0, 3);
+            float commaShape = smoothstep(-0.5, 0.8, angleDiff + 0.3 * noiseBase);
+            float rangeLimit = mix(1.2, 3.5, smoothstep(0.0, 0.6, org));
+            float rangeMask = 1.0 - smoothstep(0.5, rangeLimit, dBand);
+            float weakCore = 35.0 * noiseBase * commaShape * rangeMask;
+            if (org < 0.15) {
+                float cells = smoothstep(0.6, 0.8, noiseBase);
+                weakCore = 30.0 * cells * rangeMask;
+            }
+
+            float blend = smoothstep(0.3, 0.7, org);
+            float coreDbz = mix(weakCore, strongCore, blend);
+
+            float eyeFillFactor = 1.0 - smoothstep(0.4, 0.65, org);
+            if (eyeFillFactor > 0.0 && d < 2.5) { 
+                vec2 warpOffset = vec2(fbm(world_pos * 1.5 + cyc_age * 0.05, 2), fbm(world_pos * 1.5 + cyc_age * 0.05 + 50.0, 2));
+                float distortedDist = length(cyc_offset_km / rmw + (warpOffset - 0.5) * 0.8);
+                float erosion = fbm(world_pos * 4.0, 3);
+                float blobShape = smoothstep(2.5, 0.2, distortedDist + erosion * 0.5);
+                if (blobShape > 0.0) {
+                    float chaoticTexture = fbm(world_pos * 8.0 + cyc_age * 0.1, 2);
+                    float fillDbz = 60.0 * chaoticTexture;
+                    coreDbz = max(coreDbz, fillDbz * blobShape * eyeFillFactor);
+                }
+            }
+
+            float distFade = exp(-max(0.0, dBand - 1.0) / mix(1.8, 5.0, smoothstep(0.1, 0.7, org)));
+            float bandInnerCutoff = smoothstep(0.4, 0.8, d);
+            float bandAsym = asymmetry;
+            if (asymmetry < 0.6) bandAsym *= (0.5 + 0.5 * fbm(world_pos * 10.0, 2));
+            float stratiform = 15.0 + 20.0 * smoothstep(-0.5, 0.5, signal);
+            float cellNoise = fbm(world_pos * 8.0, 3);
+            float convMask = smoothstep(0.6, 0.9, signal) * smoothstep(0.4, 0.7, cellNoise);
+            float convective = 0.0;
+            if (convMask > 0.1) convective = 30.0 + 25.0 * convMask;
+            if (asymmetry < 0.6) {
+                asymmetry *= (0.6 + 0.4 * fbm(world_pos * 8.0, 2));
+                stratiform *= 0.6;
+                convective *= 0.3;
+            }
+            float bandDbz = max(stratiform, convective);
+            bandDbz = bandDbz * distFade * connFactor * bandAsym * bandInnerCutoff;
+            dbz = max(coreDbz, bandDbz);
+            
+            if (d > 1.5 && dbz > 0.0) dbz += (fbm(world_pos * 12.0, 2) - 0.4) * 20.0;
+
+            float globalHum = clamp(baseHum, 0.0, 1.0);
+            float humFactor = smoothstep(0.2, 0.7, globalHum);
+            float dryPenalty = (1.0 - humFactor) * 4.0 * (240.0 - intensity) / 160.0;
+            dbz -= dryPenalty;
+            dbz = max(0.0, dbz);
+            float maxSupportableDbz = globalHum * 70.0 + 5.0; 
+            if (dbz > maxSupportableDbz) dbz = mix(dbz, maxSupportableDbz, 0.2);
+        }
+        return dbz;
+    }
+
     void main() {
         vec2 st = gl_FragCoord.xy / u_resolution; 
         vec2 center = vec2(0.5);
@@ -201,114 +319,9 @@ const fsSource = `
         float dbz = 0.0;
 
         // 气旋渲染
-        if (u_has_cyclone > 0) {
-            float hemi = (u_cyc_pos.y >= 0.0) ? 1.0 : -1.0;
-            vec2 cyc_offset_deg = world_pos - u_cyc_pos;
-            vec2 cyc_offset_km;
-            cyc_offset_km.y = cyc_offset_deg.y * 111.0;
-            cyc_offset_km.x = cyc_offset_deg.x * 111.0 * cos(radians(u_cyc_pos.y));
-            float c_dist = length(cyc_offset_km);
-            
-            if (c_dist < u_cyc_size * 3.5) {
-                float intensity = u_cyc_intensity;
-                float org = clamp((intensity - 25.0) / 85.0, 0.01, 0.99);
-                float angle = atan(cyc_offset_km.y, cyc_offset_km.x); 
-                float rotOffset = u_cyc_age * 0.2 * hemi;
-                float rmw = (20.0 + u_cyc_size * 0.12) * (1.8 - 0.7 * org);
-                float d = c_dist / rmw;
-
-                float biasAngle = rotOffset * 0.7 + PI;
-                float angleDiff = cos(angle - biasAngle);
-                float asymStrength = 0.7 * (1.0 - org);
-                float asymmetry = max(0.2, 1.0 + asymStrength * angleDiff);
-                float highFreqNoise = fbm(world_pos * 20.0 + u_time * 0.1, 2);
-                vec2 distortUV = world_pos * 4.0;
-                float shapeDistort = fbm(vec2(distortUV.x + u_cyc_age*0.05, distortUV.y), 2);
-
-                float spiralTightness = org * 3.0;
-                float spiralPhase = angle + hemi * (1.0+spiralTightness) * log(d + 0.1);
-                float warp = fbm(world_pos * 3.0, 3) * (1.5 - org) * min(2.0, d);
-                float signal = sin(spiralPhase * 2.0 + rotOffset + warp + shapeDistort * 0.1);
-                signal = smoothstep(-0.3, 0.7, signal);
-
-                float eyewallWidth = 0.20 - 0.10 * (1.0 - org);
-                eyewallWidth *= (0.8 + 0.4 * highFreqNoise);
-                float eyewallShape = exp(-pow(d - 1.0, 4.0) / eyewallWidth) * (1.0 + 0.3 * (intensity - 85.0) / 85.0);
-
-                float moatStrength = smoothstep(0.4, 0.8, org);
-                float moatBase = smoothstep(1.4, 1.7, d) * (1.0 - smoothstep(2.2, 2.7, d));
-                float moatBreaker = fbm(vec2(angle * 1.5, u_cyc_age * 0.01), 2) * (2.0 - asymmetry);
-                float connFactor = 1.0 - (moatBase * smoothstep(0.3, 0.9, moatBreaker) * moatStrength);
-
-                float strongCore = 45.0 * eyewallShape;
-                float breakupMask = smoothstep(0.25, 0.6, highFreqNoise); 
-                strongCore *= (0.95 + 0.1 * breakupMask);
-                strongCore += fbm(world_pos * 8.0 + rotOffset, 2) * 15.0 * eyewallShape;
-                if (d < 0.5 && org > 0.5) {
-                    float holeMask = smoothstep(0.5, 0.0, d);
-                    float digFactor = smoothstep(0.5, 0.9, org);
-                    strongCore *= (1.0 - holeMask * digFactor * 0.9);
-                    if (strongCore < 10.0) strongCore += fbm(world_pos * 40.0, 2) * 8.0;
-                }
-
-                float twist = 3.0 * (1.0 - d); 
-                float cosT = cos(twist + rotOffset);
-                float sinT = sin(twist + rotOffset);
-                vec2 twistedPos = vec2(world_pos.x * cosT - world_pos.y * sinT, world_pos.x * sinT + world_pos.y * cosT);
-                float noiseBase = fbm(twistedPos * 3.0, 3);
-                float commaShape = smoothstep(-0.5, 0.8, angleDiff + 0.3 * noiseBase);
-                float rangeLimit = mix(1.2, 3.5, smoothstep(0.0, 0.6, org));
-                float rangeMask = 1.0 - smoothstep(0.5, rangeLimit, d);
-                float weakCore = 35.0 * noiseBase * commaShape * rangeMask;
-                if (org < 0.15) {
-                    float cells = smoothstep(0.6, 0.8, noiseBase);
-                    weakCore = 30.0 * cells * rangeMask;
-                }
-
-                float blend = smoothstep(0.3, 0.7, org);
-                float coreDbz = mix(weakCore, strongCore, blend);
-
-                float eyeFillFactor = 1.0 - smoothstep(0.4, 0.65, org);
-                if (eyeFillFactor > 0.0 && d < 2.5) { 
-                    vec2 warpOffset = vec2(fbm(world_pos * 1.5 + u_cyc_age * 0.05, 2), fbm(world_pos * 1.5 + u_cyc_age * 0.05 + 50.0, 2));
-                    float distortedDist = length(cyc_offset_km / rmw + (warpOffset - 0.5) * 0.8);
-                    float erosion = fbm(world_pos * 4.0, 3);
-                    float blobShape = smoothstep(2.5, 0.2, distortedDist + erosion * 0.5);
-                    if (blobShape > 0.0) {
-                        float chaoticTexture = fbm(world_pos * 8.0 + u_cyc_age * 0.1, 2);
-                        float fillDbz = 60.0 * chaoticTexture;
-                        coreDbz = max(coreDbz, fillDbz * blobShape * eyeFillFactor);
-                    }
-                }
-
-                float distFade = exp(-max(0.0, d - 1.0) / mix(1.8, 5.0, smoothstep(0.1, 0.7, org)));
-                float bandInnerCutoff = smoothstep(0.4, 0.8, d);
-                float bandAsym = asymmetry;
-                if (asymmetry < 0.6) bandAsym *= (0.5 + 0.5 * fbm(world_pos * 10.0, 2));
-                float stratiform = 15.0 + 20.0 * smoothstep(-0.5, 0.5, signal);
-                float cellNoise = fbm(world_pos * 8.0, 3);
-                float convMask = smoothstep(0.6, 0.9, signal) * smoothstep(0.4, 0.7, cellNoise);
-                float convective = 0.0;
-                if (convMask > 0.1) convective = 30.0 + 25.0 * convMask;
-                if (asymmetry < 0.6) {
-                    asymmetry *= (0.6 + 0.4 * fbm(world_pos * 8.0, 2));
-                    stratiform *= 0.6;
-                    convective *= 0.3;
-                }
-                float bandDbz = max(stratiform, convective);
-                bandDbz = bandDbz * distFade * connFactor * bandAsym * bandInnerCutoff;
-                dbz = max(coreDbz, bandDbz);
-                
-                if (d > 1.5 && dbz > 0.0) dbz += (fbm(world_pos * 12.0, 2) - 0.4) * 20.0;
-
-                float globalHum = clamp(baseHum, 0.0, 1.0);
-                float humFactor = smoothstep(0.2, 0.7, globalHum);
-                float dryPenalty = (1.0 - humFactor) * 4.0 * (240.0 - intensity) / 160.0;
-                dbz -= dryPenalty;
-                dbz = max(0.0, dbz);
-                float maxSupportableDbz = globalHum * 70.0 + 5.0; 
-                if (dbz > maxSupportableDbz) dbz = mix(dbz, maxSupportableDbz, 0.2);
-            }
+        for (int i = 0; i < MAX_CYC; i++) {
+            if (i >= u_cyc_count) break;
+            dbz = max(dbz, cycloneDbz(world_pos, u_cyc_pos[i], u_cyc_size[i], u_cyc_intensity[i], u_cyc_age[i], u_cyc_rmw[i], u_cyc_outer[i], baseHum));
         }
 
         // [环境单体雷暴] - 你的目标代码段
@@ -414,6 +427,48 @@ const GLSL = {
 };
 
 // ... getShaderPressure, getShaderWindVector (保持不变) ...
+export const MAX_RADAR_CYCLONES = 4; // 与 Shader 中 MAX_CYC 一致
+
+// [新增] 取出参与雷达渲染的活跃气旋 (兼容只有 state.cyclone 的旧状态)
+export function getRadarCyclones(state) {
+    const list = (state.cyclones && state.cyclones.length) ? state.cyclones : [state.cyclone];
+    return list.filter(c => c && c.status === 'active').slice(0, MAX_RADAR_CYCLONES);
+}
+
+/**
+ * [新增] 将活跃气旋写入 Shader 的气旋数组 uniform (雷达与多普勒共用)
+ * @param {Object} locs - 含 u_cyc_count / u_cyc_pos / u_cyc_size / u_cyc_intensity / u_cyc_age
+ *                        / u_cyc_rmw / u_cyc_holland_b / u_cyc_outer 的 uniform 位置
+ */
+export function uploadCycloneUniforms(gl, locs, cyclones) {
+    const pos = new Float32Array(MAX_RADAR_CYCLONES * 2);
+    const size = new Float32Array(MAX_RADAR_CYCLONES);
+    const intensity = new Float32Array(MAX_RADAR_CYCLONES);
+    const age = new Float32Array(MAX_RADAR_CYCLONES);
+    const rmw = new Float32Array(MAX_RADAR_CYCLONES);
+    const hollandB = new Float32Array(MAX_RADAR_CYCLONES);
+    const outer = new Float32Array(MAX_RADAR_CYCLONES);
+    cyclones.forEach((c, i) => {
+        const vortex = getVortexParameters(c);
+        rmw[i] = vortex.rmw;
+        hollandB[i] = vortex.hollandB;
+        outer[i] = vortex.outerRadius;
+        pos[i * 2] = c.lon;
+        pos[i * 2 + 1] = c.lat;
+        size[i] = c.circulationSize;
+        intensity[i] = c.intensity;
+        age[i] = c.age;
+    });
+    gl.uniform1i(locs.u_cyc_count, cyclones.length);
+    gl.uniform2fv(locs.u_cyc_pos, pos);
+    gl.uniform1fv(locs.u_cyc_size, size);
+    gl.uniform1fv(locs.u_cyc_intensity, intensity);
+    gl.uniform1fv(locs.u_cyc_age, age);
+    gl.uniform1fv(locs.u_cyc_rmw, rmw);
+    gl.uniform1fv(locs.u_cyc_holland_b, hollandB);
+    gl.uniform1fv(locs.u_cyc_outer, outer);
+}
+
 export function getShaderPressure(lon, lat, pressureSystems) {
     let p = 0.0;
     const limit = Math.min(pressureSystems.length, 20);
@@ -442,28 +497,189 @@ export function getShaderWindVector(lon, lat, cyclone, pressureSystems) {
     const v_bg = gradX * bgScale * f_sign;
     let u_cyc = 0.0;
     let v_cyc = 0.0;
-    if (cyclone && cyclone.status === 'active') {
+    // [新增] 支持传入单个气旋或气旋数组，各气旋涡旋风场线性叠加
+    const cyclones = Array.isArray(cyclone) ? cyclone : [cyclone];
+    cyclones.forEach(cyclone => {
+        if (!cyclone || cyclone.status !== 'active') return;
         const dx = lon - cyclone.lon;
         const cycLatRad = cyclone.lat * Math.PI / 180.0;
         const dx_km = dx * 111.0 * Math.cos(cycLatRad);
         const dy_km = (lat - cyclone.lat) * 111.0;
         const dist = Math.sqrt(dx_km*dx_km + dy_km*dy_km);
-        const rmw = 20.0 + cyclone.circulationSize * 0.15;
-        let v_tan = 0.0;
         const intensity = cyclone.intensity * 0.514; 
-        if (dist < cyclone.circulationSize * 4.0) {
-            if (dist < rmw) { v_tan = intensity * (dist / rmw); } 
-            else { v_tan = intensity * Math.pow(rmw / dist, 0.6); }
+        const v_tan = getVortexWindSpeed(dist, intensity, getVortexParameters(cyclone));
+        if (v_tan > 0.0) {
             const angle = Math.atan2(dy_km, dx_km);
             const rot = cyclone.lat >= 0.0 ? 1.5708 : -1.5708;
             const wind_angle = angle + rot;
-            u_cyc = Math.cos(wind_angle) * v_tan;
-            v_cyc = Math.sin(wind_angle) * v_tan;
+            u_cyc += Math.cos(wind_angle) * v_tan;
+            v_cyc += Math.sin(wind_angle) * v_tan;
         }
-    }
+    });
     return { u: u_bg + u_cyc, v: v_bg + v_cyc, magnitude: Math.sqrt((u_bg+u_cyc)**2 + (v_bg+v_cyc)**2) };
 }
 
+/**
+ * [新增] 单个气旋贡献的雷达回波 (与 Shader 中 cycloneDbz 对应)
+ * 多气旋时由 calculateRadarDbz 对每个气旋取最大值
+ */
+function calculateCycloneDbz(cyc, lon, lat, effectiveHum, u_time, seed) {
+    const PI = Math.PI;
+    let dbz = 0.0;
+    const u_cyc_pos = { x: cyc.lon, y: cyc.lat };
+    const u_cyc_size = cyc.circulationSize;
+    const u_cyc_intensity = cyc.intensity;
+    const u_cyc_age = cyc.age;
+    const vortex = getVortexParameters(cyc);
+    const world_pos = { x: lon, y: lat };
+    const hemi = (u_cyc_pos.y >= 0.0) ? 1.0 : -1.0;
+    
+    const dx = (lon - u_cyc_pos.x) * 111.0 * Math.cos(u_cyc_pos.y * PI / 180.0);
+    const dy = (lat - u_cyc_pos.y) * 111.0;
+    const cyc_offset_km = { x: dx, y: dy };
+    const c_dist = GLSL.length(cyc_offset_km);
+
+    if (c_dist < u_cyc_size * 3.5) {
+        const intensity = u_cyc_intensity;
+        const org = GLSL.clamp((intensity - 25.0) / 85.0, 0.01, 0.99);
+        const angle = Math.atan2(cyc_offset_km.y, cyc_offset_km.x);
+        const rotOffset = u_cyc_age * 0.2 * hemi;
+        const rmw = vortex.rmw;
+        const d = c_dist / rmw;
+        const dBand = c_dist / (vortex.outerRadius / 16.0);
+
+        const biasAngle = rotOffset * 0.7 + PI;
+        const angleDiff = Math.cos(angle - biasAngle);
+        const asymStrength = 0.7 * (1.0 - org);
+        let asymmetry = Math.max(0.2, 1.0 + asymStrength * angleDiff);
+        
+        const st_highFreq = { x: world_pos.x * 20.0 + u_time * 0.1, y: world_pos.y * 20.0 + u_time * 0.1 };
+        const highFreqNoise = GLSL.fbm(st_highFreq, 2, seed);
+        
+        const distortUV = { x: world_pos.x * 4.0, y: world_pos.y * 4.0 };
+        const shapeDistort = GLSL.fbm({ x: distortUV.x + u_cyc_age*0.05, y: distortUV.y }, 2, seed);
+
+        const spiralTightness = org * 3.0;
+        const spiralPhase = angle + hemi * (1.0 + spiralTightness) * Math.log(d + 0.1);
+        const warpSt = { x: world_pos.x * 3.0, y: world_pos.y * 3.0 };
+        const warp = GLSL.fbm(warpSt, 3, seed) * (1.5 - org) * Math.min(2.0, d);
+        
+        let signal = Math.sin(spiralPhase * 2.0 + rotOffset + warp + shapeDistort * 0.1);
+        signal = GLSL.smoothstep(-0.3, 0.7, signal);
+
+        let eyewallWidth = 0.20 - 0.10 * (1.0 - org);
+        eyewallWidth *= (0.8 + 0.4 * highFreqNoise);
+        const eyewallShape = Math.exp(-Math.pow(d - 1.0, 4.0) / eyewallWidth) * (1.0 + 0.3 * (intensity - 85.0) / 85.0);
+
+        const moatStrength = GLSL.smoothstep(0.4, 0.8, org);
+        const moatBase = GLSL.smoothstep(1.4, 1.7, d) * (1.0 - GLSL.smoothstep(2.2, 2.7, d));
+        const moatBreakerSt = { x: angle * 1.5, y: u_cyc_age * 0.01 };
+        const moatBreaker = GLSL.fbm(moatBreakerSt, 2, seed) * (2.0 - asymmetry);
+        const connFactor = 1.0 - (moatBase * GLSL.smoothstep(0.3, 0.9, moatBreaker) * moatStrength);
+
+        let strongCore = 45.0 * eyewallShape;
+        const breakupMask = GLSL.smoothstep(0.25, 0.6, highFreqNoise);
+        strongCore *= (0.95 + 0.1 * breakupMask);
+        const coreNoiseSt = { x: world_pos.x * 8.0 + rotOffset, y: world_pos.y * 8.0 + rotOffset };
+        strongCore += GLSL.fbm(coreNoiseSt, 2, seed) * 15.0 * eyewallShape;
+
+        if (d < 0.5 && org > 0.5) {
+            const holeMask = GLSL.smoothstep(0.5, 0.0, d);
+            const digFactor = GLSL.smoothstep(0.5, 0.9, org);
+            strongCore *= (1.0 - holeMask * digFactor * 0.9);
+            if (strongCore < 10.0) {
+                const eyeFillSt = { x: world_pos.x * 40.0, y: world_pos.y * 40.0 };
+                strongCore += GLSL.fbm(eyeFillSt, 2, seed) * 8.0;
+            }
+        }
+
+        const twist = 3.0 * (1.0 - d);
+        const cosT = Math.cos(twist + rotOffset);
+        const sinT = Math.sin(twist + rotOffset);
+        const twistedPos = { x: world_pos.x * cosT - world_pos.y * sinT, y: world_pos.x * sinT + world_pos.y * cosT };
+        const weakNoiseSt = { x: twistedPos.x * 3.0, y: twistedPos.y * 3.0 };
+        const noiseBase = GLSL.fbm(weakNoiseSt, 3, seed);
+        const commaShape = GLSL.smoothstep(-0.5, 0.8, angleDiff + 0.3 * noiseBase);
+        const rangeLimit = GLSL.mix(1.2, 3.5, GLSL.smoothstep(0.0, 0.6, org));
+        const rangeMask = 1.0 - GLSL.smoothstep(0.5, rangeLimit, dBand);
+        
+        let weakCore = 35.0 * noiseBase * commaShape * rangeMask;
+        if (org < 0.15) {
+            const cells = GLSL.smoothstep(0.6, 0.8, noiseBase);
+            weakCore = 30.0 * cells * rangeMask;
+        }
+
+        const blend = GLSL.smoothstep(0.3, 0.7, org);
+        let coreDbz = GLSL.mix(weakCore, strongCore, blend);
+
+        const eyeFillFactor = 1.0 - GLSL.smoothstep(0.4, 0.65, org);
+        if (eyeFillFactor > 0.0 && d < 2.5) {
+            const warpOffset = {
+                x: GLSL.fbm({ x: world_pos.x * 1.5 + u_cyc_age * 0.05, y: world_pos.y * 1.5 + u_cyc_age * 0.05 }, 2, seed),
+                y: GLSL.fbm({ x: world_pos.x * 1.5 + u_cyc_age * 0.05 + 50.0, y: world_pos.y * 1.5 + u_cyc_age * 0.05 + 50.0 }, 2, seed)
+            };
+            const distDistortedV = {
+                x: cyc_offset_km.x / rmw + (warpOffset.x - 0.5) * 0.8,
+                y: cyc_offset_km.y / rmw + (warpOffset.y - 0.5) * 0.8
+            };
+            const distortedDist = GLSL.length(distDistortedV);
+            const erosionSt = { x: world_pos.x * 4.0, y: world_pos.y * 4.0 };
+            const erosion = GLSL.fbm(erosionSt, 3, seed);
+            const blobShape = GLSL.smoothstep(2.5, 0.2, distortedDist + erosion * 0.5);
+            if (blobShape > 0.0) {
+                const chaoticSt = { x: world_pos.x * 8.0 + u_cyc_age * 0.1, y: world_pos.y * 8.0 + u_cyc_age * 0.1 };
+                const chaoticTexture = GLSL.fbm(chaoticSt, 2, seed);
+                const fillDbz = 60.0 * chaoticTexture;
+                coreDbz = Math.max(coreDbz, fillDbz * blobShape * eyeFillFactor);
+            }
+        }
+
+        const distFade = Math.exp(-Math.max(0.0, dBand - 1.0) / GLSL.mix(1.8, 5.0, GLSL.smoothstep(0.1, 0.7, org)));
+        const bandInnerCutoff = GLSL.smoothstep(0.4, 0.8, d);
+        
+        let bandAsym = asymmetry;
+        if (asymmetry < 0.6) bandAsym *= (0.5 + 0.5 * GLSL.fbm({ x: world_pos.x * 10.0, y: world_pos.y * 10.0 }, 2, seed));
+
+        let stratiform = 15.0 + 20.0 * GLSL.smoothstep(-0.5, 0.5, signal);
+        const cellNoiseSt = { x: world_pos.x * 8.0, y: world_pos.y * 8.0 };
+        const cellNoise = GLSL.fbm(cellNoiseSt, 3, seed);
+        const convMask = GLSL.smoothstep(0.6, 0.9, signal) * GLSL.smoothstep(0.4, 0.7, cellNoise);
+        let convective = 0.0;
+        if (convMask > 0.1) convective = 30.0 + 25.0 * convMask;
+        if (asymmetry < 0.6) {
+            asymmetry *= (0.6 + 0.4 * GLSL.fbm(weakNoiseSt, 2, seed));
+            stratiform *= 0.6;
+            convective *= 0.3;
+        }
+
+        let bandDbz = Math.max(stratiform, convective);
+        bandDbz = bandDbz * distFade * connFactor * bandAsym * bandInnerCutoff;
+
+        dbz = Math.max(coreDbz, bandDbz);
+
+        // Texture enhance
+        if (d > 1.5 && dbz > 0.0) {
+            const texEnhanceSt = { x: world_pos.x * 12.0, y: world_pos.y * 12.0 };
+            dbz += (GLSL.fbm(texEnhanceSt, 2, seed) - 0.4) * 20.0;
+        }
+
+        // Global Humidity check
+        let globalHum = effectiveHum;
+        globalHum = GLSL.clamp(globalHum, 0.0, 1.0);
+        
+        const humFactor = GLSL.smoothstep(0.2, 0.7, globalHum);
+        const dryPenalty = (1.0 - humFactor) * 4.0 * (240.0 - intensity) / 160.0;
+        dbz -= dryPenalty;
+        dbz = Math.max(0.0, dbz);
+
+        const maxSupportableDbz = globalHum * 70.0 + 5.0;
+        if (dbz > maxSupportableDbz) {
+            dbz = GLSL.mix(dbz, maxSupportableDbz, 0.2);
+        }
+    }
+    return dbz;
+}
+
 export function calculateRadarDbz(lon, lat, state, seed = 0.0) {
     // 即使没有气旋，我们也可能因为环境对流而有 dBZ
     const u_time = (state.cyclone && state.cyclone.status === 'active') ? state.cyclone.age : 0;
@@ -471,7 +687,7 @@ export function calculateRadarDbz(lon, lat, state, seed = 0.0) {
     
     // 1. 获取基础数据
     const elev = getElevationAt(lon, lat);
-    const vec = getShaderWindVector(lon, lat, state.cyclone, state.pressureSystems);
+    const vec = getShaderWindVector(lon, lat, getRadarCyclones(state), state.pressureSystems);
     const windSpeed = vec.magnitude;
     const wind = { x: vec.u, y: vec.v };
 
@@ -506,158 +722,9 @@ export function calculateRadarDbz(lon, lat, state, seed = 0.0) {
 
     let dbz = 0.0;
     
-    if (state.cyclone && state.cyclone.status === 'active') {
-        const cyc = state.cyclone;
-        const u_cyc_pos = { x: cyc.lon, y: cyc.lat };
-        const u_cyc_size = cyc.circulationSize;
-        const u_cyc_intensity = cyc.intensity;
-        const u_cyc_age = cyc.age;
-        const world_pos = { x: lon, y: lat };
-        const hemi = (u_cyc_pos.y >= 0.0) ? 1.0 : -1.0;
-        
-        const dx = (lon - u_cyc_pos.x) * 111.0 * Math.cos(u_cyc_pos.y * PI / 180.0);
-        const dy = (lat - u_cyc_pos.y) * 111.0;
-        const cyc_offset_km = { x: dx, y: dy };
-        const c_dist = GLSL.length(cyc_offset_km);
-
-        if (c_dist < u_cyc_size * 3.5) {
-            const intensity = u_cyc_intensity;
-            const org = GLSL.clamp((intensity - 25.0) / 85.0, 0.01, 0.99);
-            const angle = Math.atan2(cyc_offset_km.y, cyc_offset_km.x);
-            const rotOffset = u_cyc_age * 0.2 * hemi;
-            const rmw = (20.0 + u_cyc_size * 0.12) * (1.8 - 0.7 * org);
-            const d = c_dist / rmw;
-
-            const biasAngle = rotOffset * 0.7 + PI;
-            const angleDiff = Math.cos(angle - biasAngle);
-            const asymStrength = 0.7 * (1.0 - org);
-            let asymmetry = Math.max(0.2, 1.0 + asymStrength * angleDiff);
-            
-            const st_highFreq = { x: world_pos.x * 20.0 + u_time * 0.1, y: world_pos.y * 20.0 + u_time * 0.1 };
-            const highFreqNoise = GLSL.fbm(st_highFreq, 2, seed);
-            
-            const distortUV = { x: world_pos.x * 4.0, y: world_pos.y * 4.0 };
-            const shapeDistort = GLSL.fbm({ x: distortUV.x + u_cyc_age*0.05, y: distortUV.y }, 2, seed);
-
-            const spiralTightness = org * 3.0;
-            const spiralPhase = angle + hemi * (1.0 + spiralTightness) * Math.log(d + 0.1);
-            const warpSt = { x: world_pos.x * 3.0, y: world_pos.y * 3.0 };
-            const warp = GLSL.fbm(warpSt, 3, seed) * (1.5 - org) * Math.min(2.0, d);
-            
-            let signal = Math.sin(spiralPhase * 2.0 + rotOffset + warp + shapeDistort * 0.1);
-            signal = GLSL.smoothstep(-0.3, 0.7, signal);
-
-            let eyewallWidth = 0.20 - 0.10 * (1.0 - org);
-            eyewallWidth *= (0.8 + 0.4 * highFreqNoise);
-            const eyewallShape = Math.exp(-Math.pow(d - 1.0, 4.0) / eyewallWidth) * (1.0 + 0.3 * (intensity - 85.0) / 85.0);
-
-            const moatStrength = GLSL.smoothstep(0.4, 0.8, org);
-            const moatBase = GLSL.smoothstep(1.4, 1.7, d) * (1.0 - GLSL.smoothstep(2.2, 2.7, d));
-            const moatBreakerSt = { x: angle * 1.5, y: u_cyc_age * 0.01 };
-            const moatBreaker = GLSL.fbm(moatBreakerSt, 2, seed) * (2.0 - asymmetry);
-            const connFactor = 1.0 - (moatBase * GLSL.smoothstep(0.3, 0.9, moatBreaker) * moatStrength);
-
-            let strongCore = 45.0 * eyewallShape;
-            const breakupMask = GLSL.smoothstep(0.25, 0.6, highFreqNoise);
-            strongCore *= (0.95 + 0.1 * breakupMask);
-            const coreNoiseSt = { x: world_pos.x * 8.0 + rotOffset, y: world_pos.y * 8.0 + rotOffset };
-            strongCore += GLSL.fbm(coreNoiseSt, 2, seed) * 15.0 * eyewallShape;
-
-            if (d < 0.5 && org > 0.5) {
-                const holeMask = GLSL.smoothstep(0.5, 0.0, d);
-                const digFactor = GLSL.smoothstep(0.5, 0.9, org);
-                strongCore *= (1.0 - holeMask * digFactor * 0.9);
-                if (strongCore < 10.0) {
-                    const eyeFillSt = { x: world_pos.x * 40.0, y: world_pos.y * 40.0 };
-                    strongCore += GLSL.fbm(eyeFillSt, 2, seed) * 8.0;
-                }
-            }
-
-            const twist = 3.0 * (1.0 - d);
-            const cosT = Math.cos(twist + rotOffset);
-            const sinT = Math.sin(twist + rotOffset);
-            const twistedPos = { x: world_pos.x * cosT - world_pos.y * sinT, y: world_pos.x * sinT + world_pos.y * cosT };
-            const weakNoiseSt = { x: twistedPos.x * 3.0, y: twistedPos.y * 3.0 };
-            const noiseBase = GLSL.fbm(weakNoiseSt, 3, seed);
-            const commaShape = GLSL.smoothstep(-0.5, 0.8, angleDiff + 0.3 * noiseBase);
-            const rangeLimit = GLSL.mix(1.2, 3.5, GLSL.smoothstep(0.0, 0.6, org));
-            const rangeMask = 1.0 - GLSL.smoothstep(0.5, rangeLimit, d);
-            
-            let weakCore = 35.0 * noiseBase * commaShape * rangeMask;
-            if (org < 0.15) {
-                const cells = GLSL.smoothstep(0.6, 0.8, noiseBase);
-                weakCore = 30.0 * cells * rangeMask;
-            }
-
-            const blend = GLSL.smoothstep(0.3, 0.7, org);
-            let coreDbz = GLSL.mix(weakCore, strongCore, blend);
-
-            const eyeFillFactor = 1.0 - GLSL.smoothstep(0.4, 0.65, org);
-            if (eyeFillFactor > 0.0 && d < 2.5) {
-                const warpOffset = {
-                    x: GLSL.fbm({ x: world_pos.x * 1.5 + u_cyc_age * 0.05, y: world_pos.y * 1.5 + u_cyc_age * 0.05 }, 2, seed),
-                    y: GLSL.fbm({ x: world_pos.x * 1.5 + u_cyc_age * 0.05 + 50.0, y: world_pos.y * 1.5 + u_cyc_age * 0.05 + 50.0 }, 2, seed)
-                };
-                const distDistortedV = {
-                    x: cyc_offset_km.x / rmw + (warpOffset.x - 0.5) * 0.8,
-                    y: cyc_offset_km.y / rmw + (warpOffset.y - 0.5) * 0.8
-                };
-                const distortedDist = GLSL.length(distDistortedV);
-                const erosionSt = { x: world_pos.x * 4.0, y: world_pos.y * 4.0 };
-                const erosion = GLSL.fbm(erosionSt, 3, seed);
-                const blobShape = GLSL.smoothstep(2.5, 0.2, distortedDist + erosion * 0.5);
-                if (blobShape > 0.0) {
-                    const chaoticSt = { x: world_pos.x * 8.0 + u_cyc_age * 0.1, y: world_pos.y * 8.0 + u_cyc_age * 0.1 };
-                    const chaoticTexture = GLSL.fbm(chaoticSt, 2, seed);
-                    const fillDbz = 60.0 * chaoticTexture;
-                    coreDbz = Math.max(coreDbz, fillDbz * blobShape * eyeFillFactor);
-                }
-            }
-
-            const distFade = Math.exp(-Math.max(0.0, d - 1.0) / GLSL.mix(1.8, 5.0, GLSL.smoothstep(0.1, 0.7, org)));
-            const bandInnerCutoff = GLSL.smoothstep(0.4, 0.8, d);
-            
-            let bandAsym = asymmetry;
-            if (asymmetry < 0.6) bandAsym *= (0.5 + 0.5 * GLSL.fbm({ x: world_pos.x * 10.0, y: world_pos.y * 10.0 }, 2, seed));
-
-            let stratiform = 15.0 + 20.0 * GLSL.smoothstep(-0.5, 0.5, signal);
-            const cellNoiseSt = { x: world_pos.x * 8.0, y: world_pos.y * 8.0 };
-            const cellNoise = GLSL.fbm(cellNoiseSt, 3, seed);
-            const convMask = GLSL.smoothstep(0.6, 0.9, signal) * GLSL.smoothstep(0.4, 0.7, cellNoise);
-            let convective = 0.0;
-            if (convMask > 0.1) convective = 30.0 + 25.0 * convMask;
-            if (asymmetry < 0.6) {
-                asymmetry *= (0.6 + 0.4 * GLSL.fbm(weakNoiseSt, 2, seed));
-                stratiform *= 0.6;
-                convective *= 0.3;
-            }
-
-            let bandDbz = Math.max(stratiform, convective);
-            bandDbz = bandDbz * distFade * connFactor * bandAsym * bandInnerCutoff;
-
-            dbz = Math.max(coreDbz, bandDbz);
-
-            // Texture enhance
-            if (d > 1.5 && dbz > 0.0) {
-                const texEnhanceSt = { x: world_pos.x * 12.0, y: world_pos.y * 12.0 };
-                dbz += (GLSL.fbm(texEnhanceSt, 2, seed) - 0.4) * 20.0;
-            }
-
-            // Global Humidity check
-            let globalHum = effectiveHum;
-            globalHum = GLSL.clamp(globalHum, 0.0, 1.0);
-            
-            const humFactor = GLSL.smoothstep(0.2, 0.7, globalHum);
-            const dryPenalty = (1.0 - humFactor) * 4.0 * (240.0 - intensity) / 160.0;
-            dbz -= dryPenalty;
-            dbz = Math.max(0.0, dbz);
-
-            const maxSupportableDbz = globalHum * 70.0 + 5.0;
-            if (dbz > maxSupportableDbz) {
-                dbz = GLSL.mix(dbz, maxSupportableDbz, 0.2);
-            }
-        }
-    }
+    getRadarCyclones(state).forEach(cyc => {
+        dbz = Math.max(dbz, calculateCycloneDbz(cyc, lon, lat, effectiveHum, u_time, seed));
+    });
 
     // --- C. 单体雷暴 / 环境对流 (CPU 实现) ---
     // ----------------------------------------------------
@@ -747,11 +814,14 @@ export class RadarRenderer {
         this.terrainTexture = this.gl.createTexture();
         
         this.u_env_humidity = this.gl.getUniformLocation(this.program, 'u_env_humidity'),
-        this.u_has_cyclone = gl.getUniformLocation(this.program, "u_has_cyclone");
+        this.u_cyc_count = gl.getUniformLocation(this.program, "u_cyc_count");
         this.u_cyc_pos = gl.getUniformLocation(this.program, "u_cyc_pos");
         this.u_cyc_size = gl.getUniformLocation(this.program, "u_cyc_size");
         this.u_cyc_intensity = gl.getUniformLocation(this.program, "u_cyc_intensity");
         this.u_cyc_age = gl.getUniformLocation(this.program, "u_cyc_age");
+        this.u_cyc_rmw = gl.getUniformLocation(this.program, "u_cyc_rmw");
+        this.u_cyc_holland_b = gl.getUniformLocation(this.program, "u_cyc_holland_b");
+        this.u_cyc_outer = gl.getUniformLocation(this.program, "u_cyc_outer");
     }
 
     loadTerrainTexture(imageElement) {
@@ -846,15 +916,7 @@ export class RadarRenderer {
         gl.uniform1f(this.u_radar_radius_km, 460.0);
 
         // 气旋参数
-        if (state.cyclone && state.cyclone.status === 'active') {
-            gl.uniform1i(this.u_has_cyclone, 1);
-            gl.uniform2f(this.u_cyc_pos, state.cyclone.lon, state.cyclone.lat);
-            gl.uniform1f(this.u_cyc_size, state.cyclone.circulationSize);
-            gl.uniform1f(this.u_cyc_intensity, state.cyclone.intensity);
-            gl.uniform1f(this.u_cyc_age, state.cyclone.age);
-        } else {
-            gl.uniform1i(this.u_has_cyclone, 0);
-        }
+        uploadCycloneUniforms(gl, this, getRadarCyclones(state));
         let humValue = (envHumidity !== undefined) ? envHumidity : 0.8;
         gl.uniform1f(this.u_env_humidity, humValue);
         // Draw
@@ -0,0 +1,142 @@
+/**
+ * rainfall.js
+ * 累积雨量：每个时间步在气旋周围的格点上采样模拟雷达回波 (dBZ)，按 Z-R 关系换算为降水率并乘以步长累加。
+ * 每个气旋一份雨量场；和海洋冷尾流一样只记录逐步增量日志，回退 / 读档时按日志重建即可。
+ */
+import { unwrapLongitude } from './utils.js';
+
+export const RAIN_CELL_DEG = 0.5;
+const COLS = Math.round(360 / RAIN_CELL_DEG);
+const ROWS = Math.round(180 / RAIN_CELL_DEG);
+const STEP_HOURS = 3;
+// Marshall-Palmer Z-R 关系：Z = 200 R^1.6
+const ZR_A = 200;
+const ZR_B = 1.6;
+const MIN_RAIN_DBZ = 15;  // 低于该回波视为无有效降水
+const MAX_RAIN_DBZ = 50;  // 高于该回波多为冰雹污染，截断
+const SAMPLE_RADIUS_KM = 600;
+
+const toLon360 = (lon) => ((lon % 360) + 360) % 360;
+
+/**
+ * 回波强度 (dBZ) -> 降水率 (mm/h)
+ */
+export function dbzToRainRate(dbz) {
+    if (!(dbz >= MIN_RAIN_DBZ)) return 0;
+    const z = Math.pow(10, Math.min(dbz, MAX_RAIN_DBZ) / 10);
+    return Math.pow(z / ZR_A, 1 / ZR_B);
+}
+
+/**
+ * 一个时间步 (3 小时) 的降水量 (mm)
+ */
+export function dbzToStepRain(dbz) {
+    return dbzToRainRate(dbz) * STEP_HOURS;
+}
+
+export function createRainSwath() {
+    return { cells: new Map(), log: [] }; // cells: 格点索引 -> 累积雨量 (mm)；log: [{hour, idx:[], mm:[]}]
+}
+
+function cellIndex(col, row) {
+    return row * COLS + ((col % COLS) + COLS) % COLS;
+}
+
+function addEntry(swath, entry) {
+    entry.idx.forEach((index, i) => {
+        swath.cells.set(index, (swath.cells.get(index) || 0) + entry.mm[i]);
+    });
+}
+
+/**
+ * 在 (lon, lat) 周围 radiusKm 内的格点中心采样回波，累加本步降水
+ * @param {Object} swath - createRainSwath() 的返回值
+ * @param {number} hour - 模拟时刻 (同一时刻只累加一次)
+ * @param {{lon:number, lat:number, radiusKm?:number}} center - 气旋中心
+ * @param {function} sampleDbz - (lon, lat) => dBZ
+ */
+export function accumulateRainSwath(swath, hour, center, sampleDbz) {
+    const last = swath.log[swath.log.length - 1];
+    if (last && last.hour >= hour) return swath;
+
+    const radiusKm = Math.min(center.radiusKm || SAMPLE_RADIUS_KM, SAMPLE_RADIUS_KM);
+    const reachLat = radiusKm / 111;
+    const cosLat = Math.max(0.2, Math.cos(center.lat * Math.PI / 180));
+    const reachLon = reachLat / cosLat;
+    const row0 = Math.max(0, Math.floor((center.lat - reachLat + 90) / RAIN_CELL_DEG));
+    const row1 = Math.min(ROWS - 1, Math.floor((center.lat + reachLat + 90) / RAIN_CELL_DEG));
+    const lon360 = toLon360(center.lon);
+    const col0 = Math.floor((lon360 - reachLon) / RAIN_CELL_DEG);
+    const col1 = Math.floor((lon360 + reachLon) / RAIN_CELL_DEG);
+
+    const entry = { hour, idx: [], mm: [] };
+    for (let row = row0; row <= row1; row++) {
+        const lat = (row + 0.5) * RAIN_CELL_DEG - 90;
+        const dyKm = (lat - center.lat) * 111;
+        for (let col = col0; col <= col1; col++) {
+            const lon = (col + 0.5) * RAIN_CELL_DEG;
+            const dxKm = (lon - lon360) * 111 * cosLat;
+            if (dxKm * dxKm + dyKm * dyKm > radiusKm * radiusKm) continue;
+            // 采样经度换到气旋所在的经度区间 (回波计算直接用经度差)
+            const mm = dbzToStepRain(sampleDbz(unwrapLongitude(lon, center.lon), lat));
+            if (mm < 0.1) continue;
+            entry.idx.push(cellIndex(col, row));
+            entry.mm.push(Math.round(mm * 10) / 10);
+        }
+    }
+    swath.log.push(entry);
+    addEntry(swath, entry);
+    return swath;
+}
+
+/**
+ * 丢弃 untilHour 之后的增量并重建雨量场 (回退时使用)
+ */
+export function rebuildRainSwath(swath, untilHour) {
+    swath.log = swath.log.filter(entry => entry.hour <= untilHour);
+    swath.cells = new Map();
+    swath.log.forEach(entry => addEntry(swath, entry));
+    return swath;
+}
+
+/**
+ * 由保存的日志恢复雨量场
+ */
+export function restoreRainSwath(log) {
+    const swath = createRainSwath();
+    swath.log = Array.isArray(log) ? log : [];
+    swath.log.forEach(entry => addEntry(swath, entry));
+    return swath;
+}
+
+/**
+ * (lon, lat) 所在格点的累积雨量 (mm)
+ */
+export function getRainfallAt(swath, lon, lat) {
+    if (!swath) return 0;
+    const col = Math.floor(toLon360(lon) / RAIN_CELL_DEG);
+    const row = Math.floor((lat + 90) / RAIN_CELL_DEG);
+    return swath.cells.get(cellIndex(col, row)) || 0;
+}
+
+/**
+ * 用于绘图的格点列表，传入多个雨量场时逐格相加
+ * @param {Object|Object[]} swaths
+ * @param {number} [minMm=10] - 只返回累积雨量超过该值的格点
+ * @returns {{lon:number, lat:number, value:number, cellDeg:number}[]}
+ */
+export function getRainCells(swaths, minMm = 10) {
+    const list = (Array.isArray(swaths) ? swaths : [swaths]).filter(Boolean);
+    const totals = list.length === 1 ? list[0].cells : new Map();
+    if (list.length > 1) {
+        list.forEach(swath => swath.cells.forEach((mm, index) => totals.set(index, (totals.get(index) || 0) + mm)));
+    }
+    const cells = [];
+    totals.forEach((value, index) => {
+        if (value < minMm) return;
+        const row = Math.floor(index / COLS);
+        const col = index % COLS;
+        cells.push({ lon: col * RAIN_CELL_DEG, lat: row * RAIN_CELL_DEG - 90, value, cellDeg: RAIN_CELL_DEG });
+    });
+    return cells;
+}
@@ -0,0 +1,94 @@
+/**
+ * rng.js
+ * 可设定种子的伪随机数发生器 (Mulberry32)。
+ * 所有影响模拟结果的随机性都应从这里取值，以保证同一种子可以复现同一场风暴。
+ */
+
+let currentSeed = 0;
+let rngState = 0;
+
+/**
+ * 将任意输入 (数字或字符串) 转换为 32 位无符号整数种子
+ */
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(Math.abs(seed)) >>> 0;
+    }
+    // 字符串: FNV-1a 哈希
+    const str = String(seed);
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
+
+/**
+ * 生成一个新的随机种子 (用于用户未填写种子时)
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * 创建一个独立的随机流，不影响全局流
+ * @returns {function(): number} 返回 [0, 1) 的随机数
+ */
+export function createRandom(seed) {
+    let s = normalizeSeed(seed);
+    return function () {
+        s = (s + 0x6D2B79F5) >>> 0;
+        let t = s;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 由主种子和若干附加键派生出子种子 (例如预报模型按时次派生)
+ */
+export function deriveSeed(seed, ...keys) {
+    let h = normalizeSeed(seed) ^ 0x9E3779B9;
+    keys.forEach(k => {
+        h = Math.imul(h ^ normalizeSeed(k), 0x85EBCA6B);
+        h ^= h >>> 13;
+    });
+    return h >>> 0;
+}
+
+export function setSeed(seed) {
+    currentSeed = normalizeSeed(seed);
+    rngState = currentSeed;
+}
+
+export function getSeed() {
+    return currentSeed;
+}
+
+/**
+ * 全局模拟随机流，替代 Math.random()
+ */
+export function random() {
+    rngState = (rngState + 0x6D2B79F5) >>> 0;
+    let t = rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * 读取/恢复随机流内部状态 (用于存档与回放)
+ */
+export function getRandomState() {
+    return { seed: currentSeed, state: rngState };
+}
+
+export function setRandomState(saved) {
+    if (!saved) return;
+    currentSeed = saved.seed >>> 0;
+    rngState = saved.state >>> 0;
+}
+
+setSeed(generateSeed());
@@ -0,0 +1,161 @@
+/**
+ * rossby-waves.js
+ * 中纬度罗斯贝波：高层西风带中显式的槽 (trough) 与脊 (ridge)，振幅随季节变化并自西向东传播。
+ * 波动叠加到高层气压场，参与引导气流与垂直风切变计算，转向、槽前变性与"漏槽"停滞由流场自然产生。
+ */
+import { random } from './rng.js';
+import { normalizeLongitude, shortestLongitudeDistance } from './utils.js';
+
+const WAVE_LAT_WIDTH = 9;          // 波动的经向尺度 (度)
+const TROUGH_REF_AMPLITUDE = 12;   // 槽强迫归一化所用的参考振幅 (高层气压单位)
+
+// 急流 (波导) 纬度：北半球夏季偏北、冬季偏南，南半球相反
+function getJetLatitude(hemisphere, month) {
+    const m = Number.isFinite(month) ? month : 8;
+    const phase = hemisphere > 0 ? (m - 8) : (m - 2);
+    return hemisphere * (40 + 5 * Math.cos(phase * (Math.PI / 6)));
+}
+
+// 波动振幅：冬半球最强
+function getSeasonalAmplitude(hemisphere, month) {
+    const m = Number.isFinite(month) ? month : 8;
+    const winterPeak = hemisphere > 0 ? 1 : 7;
+    const winterFactor = (Math.cos((m - winterPeak) * (Math.PI / 6)) + 1) / 2;
+    return 8 + 7 * winterFactor;
+}
+
+function createWaveFeature(type, hemisphere, x, wavelength, month, rand) {
+    const amplitude = getSeasonalAmplitude(hemisphere, month) * (0.6 + rand() * 0.8);
+    return {
+        type,
+        hemisphere,
+        x: ((x % 360) + 360) % 360,
+        y: getJetLatitude(hemisphere, month),
+        wavelength,
+        peakAmplitude: type === 'trough' ? -amplitude : amplitude,
+        amplitude: 0,
+        sigmaX: wavelength / 5,
+        sigmaY: WAVE_LAT_WIDTH,
+        dig: type === 'trough' ? 6 + rand() * 10 : 0, // 槽充分发展时向低纬伸展的距离
+        tilt: -0.3 + rand() * 0.9,                    // 正值为正倾斜槽 (北半球西南-东北走向)
+        speed: 0.7 + rand() * 0.8,                    // 东移速度 (经度/步，约 6-12 m/s)
+        age: 0,
+        lifetime: 32 + Math.floor(rand() * 40)        // 生命期 (步)，约 4-13 天
+    };
+}
+
+// 波动发展程度 (0~1)：生命期中段最强
+function growthOf(wave) {
+    return wave.peakAmplitude !== 0 ? Math.abs(wave.amplitude / wave.peakAmplitude) : 0;
+}
+
+// 波动影响中心的纬度：加深的槽向赤道方向伸展，脊向极地方向隆起
+function centerLatOf(wave) {
+    const growth = growthOf(wave);
+    return wave.type === 'trough'
+        ? wave.y - wave.hemisphere * wave.dig * growth
+        : wave.y + wave.hemisphere * 3 * growth;
+}
+
+// 某纬度处的槽/脊轴经度 (考虑倾斜)
+function axisLonAt(wave, lat) {
+    return normalizeLongitude(wave.x + wave.tilt * (lat - wave.y) * wave.hemisphere);
+}
+
+/**
+ * 初始化南北半球各一列波列 (槽脊交替，生命期错开)
+ * @returns {Object[]} 波动列表，存放在 pressureSystems.waves
+ */
+export function initializeRossbyWaves(month, rand = random) {
+    const waves = [];
+    [1, -1].forEach(hemisphere => {
+        const wavenumber = 5 + Math.floor(rand() * 3);
+        const wavelength = 360 / wavenumber;
+        const phase = rand() * wavelength;
+        for (let i = 0; i < wavenumber * 2; i++) {
+            const type = i % 2 === 0 ? 'trough' : 'ridge';
+            const wave = createWaveFeature(type, hemisphere, phase + i * wavelength / 2, wavelength, month, rand);
+            wave.age = Math.floor(rand() * wave.lifetime);
+            wave.amplitude = wave.peakAmplitude * Math.sin(Math.PI * wave.age / wave.lifetime);
+            waves.push(wave);
+        }
+    });
+    return waves;
+}
+
+/**
+ * 推进一步 (3 小时)：东移、随季节调整急流纬度、按生命期增幅/衰减，衰亡后在原位置再生同类波动
+ * @param {function} rand - 随机源 (预报模型传入独立子流)
+ */
+export function updateRossbyWaves(waves, month, rand = random) {
+    if (!Array.isArray(waves)) return waves;
+    for (let i = 0; i < waves.length; i++) {
+        const wave = waves[i];
+        wave.age++;
+        if (wave.age >= wave.lifetime) {
+            waves[i] = createWaveFeature(wave.type, wave.hemisphere, wave.x, wave.wavelength, month, rand);
+            continue;
+        }
+        wave.x = (wave.x + wave.speed) % 360;
+        if (Number.isFinite(month)) wave.y += (getJetLatitude(wave.hemisphere, month) - wave.y) * 0.05;
+        wave.amplitude = wave.peakAmplitude * Math.sin(Math.PI * wave.age / wave.lifetime);
+    }
+    return waves;
+}
+
+/**
+ * 波动在 (lon, lat) 处造成的高层气压扰动 (槽为负、脊为正)
+ */
+export function getWavePressureAt(lon, lat, waves) {
+    if (!waves || waves.length === 0) return 0;
+    let pressure = 0;
+    for (const wave of waves) {
+        if (wave.amplitude === 0) continue;
+        const dy = lat - centerLatOf(wave);
+        if (Math.abs(dy) > wave.sigmaY * 3) continue;
+        const dx = shortestLongitudeDistance(normalizeLongitude(lon), axisLonAt(wave, lat));
+        if (Math.abs(dx) > wave.sigmaX * 3) continue;
+        pressure += wave.amplitude * Math.exp(-(dx * dx) / (2 * wave.sigmaX ** 2) - (dy * dy) / (2 * wave.sigmaY ** 2));
+    }
+    return pressure;
+}
+
+/**
+ * 上游槽对 (lon, lat) 处气旋的强迫强度 (0~1)
+ * 槽轴位于气旋西侧约 10 度、且槽已加深伸展到气旋纬度附近时最大；槽在北侧掠过 (漏槽) 时接近 0
+ */
+export function getTroughForcing(lon, lat, waves) {
+    if (!waves || waves.length === 0) return 0;
+    let forcing = 0;
+    for (const wave of waves) {
+        if (wave.type !== 'trough' || Math.sign(lat) !== wave.hemisphere) continue;
+        const dx = shortestLongitudeDistance(normalizeLongitude(lon), axisLonAt(wave, lat));
+        if (dx < -5 || dx > 30) continue;
+        const dy = lat - centerLatOf(wave);
+        const lonFactor = Math.exp(-((dx - 10) ** 2) / (2 * 7 ** 2));
+        const latFactor = Math.exp(-(dy * dy) / (2 * wave.sigmaY ** 2));
+        const amplitudeFactor = Math.min(1, Math.abs(wave.amplitude) / TROUGH_REF_AMPLITUDE);
+        forcing = Math.max(forcing, lonFactor * latFactor * amplitudeFactor);
+    }
+    return forcing;
+}
+
+/**
+ * 槽/脊轴线 (用于地图与天气图绘制)
+ * @param {number} [minAmplitude=3] - 振幅低于该值的波动不绘制
+ * @returns {{type:string, hemisphere:number, amplitude:number, points:number[][]}[]}
+ */
+export function getWaveAxes(waves, minAmplitude = 3) {
+    if (!Array.isArray(waves)) return [];
+    return waves
+        .filter(wave => Math.abs(wave.amplitude) >= minAmplitude)
+        .map(wave => {
+            const center = centerLatOf(wave);
+            const half = wave.sigmaY * 1.5;
+            const points = [];
+            for (let lat = center - half; lat <= center + half + 1e-6; lat += 1) {
+                points.push([axisLonAt(wave, lat), lat]);
+            }
+            return { type: wave.type, hemisphere: wave.hemisphere, amplitude: wave.amplitude, points };
+        });
+}
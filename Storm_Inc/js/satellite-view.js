@@ -3,6 +3,8 @@
  * 负责处理 WebGL 卫星云图渲染
  */
 
+import { createRandom, deriveSeed, getSeed } from './rng.js';
+
 let gl, program;
 let startTime;
 let canvas;
@@ -201,22 +203,34 @@ let currentParams = {
 };
 
 export function resetSatelliteParams() {
+    // 使用由模拟种子派生的独立随机流，不占用主模拟流
+    const random = createRandom(deriveSeed(getSeed(), 'satellite'));
     currentParams = {
         spiral: 1.0, 
         eye: -0.1, 
-        distortion: Math.random() * 0.4, 
-        stormRadius: Math.random() * 0.2 + 0.1,
-        centralMass: Math.random() * 0.2, 
-        shear: Math.random() * 0.1, 
+        distortion: random() * 0.4, 
+        stormRadius: random() * 0.2 + 0.1,
+        centralMass: random() * 0.2, 
+        shear: random() * 0.1, 
         cloudLow: 0.0, 
-        cloudHigh: Math.random() * 0.5 + 0.5,
+        cloudHigh: random() * 0.5 + 0.5,
         hemisphere: 1.0, // 默认为北半球
-        seed: Math.random() * 100,
-        asymStrength: Math.random() * 0.3, 
-        asymDir: Math.random() * 6.28
+        seed: random() * 100,
+        asymStrength: random() * 0.3, 
+        asymDir: random() * 6.28
     };
 }
 
+// [新增] 读取/恢复云图参数 (存档续跑时保持云系形态连续)
+export function getSatelliteParams() {
+    return { ...currentParams };
+}
+
+export function setSatelliteParams(params) {
+    if (!params) return;
+    currentParams = { ...currentParams, ...params };
+}
+
 // 插值函数
 function lerp(start, end, t) {
     return start * (1 - t) + end * t;
@@ -0,0 +1,267 @@
+/**
+ * scenarios.js
+ * 情景文件：用 JSON 脚本化一次模拟的初始条件 (生成点、初始强度/尺度/移动、双层气压系统、GlobalTemp/GlobalShear、
+ * 气候模态、观测站点) 以及按时刻触发的事件 (切变爆发、冷涌南下、强制眼墙置换、环境参数改变)。
+ * 事件不消耗随机数，同一情景 + 同一种子在浏览器与无界面引擎中结果一致；回退后重新推进时按时刻再次触发。
+ */
+
+export const SCENARIO_FORMAT = 'storm-inc-scenario';
+export const SCENARIO_VERSION = 1;
+const STEP_HOURS = 3;
+const BASINS = ['WPAC', 'EPAC', 'NATL', 'NIO', 'SHEM', 'SIO', 'SATL'];
+
+// 事件类型及默认参数
+export const SCENARIO_EVENT_DEFAULTS = {
+    shearBurst: { magnitude: 15, duration: 24 },      // 叠加到总切变上的幅度与持续时间 (小时)
+    coldSurge: { lon: 108, lat: 44, strength: 38, velocityX: 0.2, velocityY: -0.3 }, // 低层冷高压 (与气候态冷涌同一形态)
+    erc: { duration: 30 },                            // 眼墙置换的减弱阶段时长 (小时)，之后按原逻辑恢复
+    environment: {}                                   // globalTemp / globalShear
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+function readNumber(source, key, { min = -Infinity, max = Infinity, required = false } = {}, path = key) {
+    const value = source ? source[key] : undefined;
+    if (value === undefined || value === null) {
+        if (required) throw new Error(`Scenario: "${path}" is required`);
+        return null;
+    }
+    if (!isNumber(value) || value < min || value > max) {
+        throw new Error(`Scenario: "${path}" must be a number between ${min} and ${max}`);
+    }
+    return value;
+}
+
+function normalizePressureLayer(list, path) {
+    if (!Array.isArray(list)) throw new Error(`Scenario: "${path}" must be an array of pressure systems`);
+    return list.map((sys, i) => {
+        if (!sys || !isNumber(sys.x) || !isNumber(sys.y) || !isNumber(sys.strength)) {
+            throw new Error(`Scenario: "${path}[${i}]" needs numeric x, y and strength`);
+        }
+        return {
+            type: sys.type === 'low' ? 'low' : 'high',
+            sigmaX: 10, sigmaY: 10, velocityX: 0, velocityY: 0,
+            ...JSON.parse(JSON.stringify(sys)),
+            noiseLayers: Array.isArray(sys.noiseLayers) ? JSON.parse(JSON.stringify(sys.noiseLayers)) : []
+        };
+    });
+}
+
+function normalizeEvent(raw, i) {
+    const path = `events[${i}]`;
+    if (!raw || !Object.prototype.hasOwnProperty.call(SCENARIO_EVENT_DEFAULTS, raw.type)) {
+        throw new Error(`Scenario: "${path}.type" must be one of ${Object.keys(SCENARIO_EVENT_DEFAULTS).join(', ')}`);
+    }
+    const hour = readNumber(raw, 'hour', { min: STEP_HOURS, required: true }, `${path}.hour`);
+    const event = { ...SCENARIO_EVENT_DEFAULTS[raw.type], type: raw.type, hour: Math.round(hour / STEP_HOURS) * STEP_HOURS };
+    Object.keys(SCENARIO_EVENT_DEFAULTS[raw.type]).forEach(key => {
+        const value = readNumber(raw, key, {}, `${path}.${key}`);
+        if (value !== null) event[key] = value;
+    });
+    if (raw.type === 'environment') {
+        const globalTemp = readNumber(raw, 'globalTemp', { min: 279, max: 305 }, `${path}.globalTemp`);
+        const globalShear = readNumber(raw, 'globalShear', { min: 0, max: 200 }, `${path}.globalShear`);
+        if (globalTemp === null && globalShear === null) {
+            throw new Error(`Scenario: "${path}" needs globalTemp and/or globalShear`);
+        }
+        if (globalTemp !== null) event.globalTemp = globalTemp;
+        if (globalShear !== null) event.globalShear = globalShear;
+    }
+    // 只作用于指定气旋 (stormId)，省略时作用于全部活跃气旋
+    const stormId = readNumber(raw, 'stormId', { min: 0 }, `${path}.stormId`);
+    if (stormId !== null) event.stormId = stormId;
+    return event;
+}
+
+/**
+ * 校验并补全情景 (来自文件或内置图库)
+ * @param {Object} raw
+ * @returns {Object} 规范化后的情景 (纯 JSON，可直接写入引擎配置与存档)
+ * @throws {Error} 字段缺失或取值非法时
+ */
+export function normalizeScenario(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('Scenario: not a JSON object');
+    if (raw.format !== undefined && raw.format !== SCENARIO_FORMAT) throw new Error('Scenario: not a scenario file');
+    if (raw.version !== undefined && raw.version !== SCENARIO_VERSION) {
+        throw new Error(`Scenario: unsupported version ${raw.version} (expected ${SCENARIO_VERSION})`);
+    }
+    const basin = raw.basin || 'WPAC';
+    if (!BASINS.includes(basin)) throw new Error(`Scenario: unknown basin "${basin}"`);
+
+    const genesisRaw = raw.genesis;
+    if (!genesisRaw) throw new Error('Scenario: "genesis" is required');
+    const genesis = {
+        lon: readNumber(genesisRaw, 'lon', { min: -180, max: 360, required: true }, 'genesis.lon'),
+        lat: readNumber(genesisRaw, 'lat', { min: -60, max: 60, required: true }, 'genesis.lat')
+    };
+    [['intensity', 10, 200], ['circulationSize', 50, 1500], ['direction', 0, 360], ['speed', 0, 60]].forEach(([key, min, max]) => {
+        const value = readNumber(genesisRaw, key, { min, max }, `genesis.${key}`);
+        if (value !== null) genesis[key] = value;
+    });
+
+    let pressureSystems = null;
+    if (raw.pressureSystems) {
+        pressureSystems = {
+            upper: normalizePressureLayer(raw.pressureSystems.upper, 'pressureSystems.upper'),
+            lower: normalizePressureLayer(raw.pressureSystems.lower, 'pressureSystems.lower')
+        };
+        if (Array.isArray(raw.pressureSystems.waves)) pressureSystems.waves = JSON.parse(JSON.stringify(raw.pressureSystems.waves));
+    }
+
+    const sites = (Array.isArray(raw.sites) ? raw.sites : []).map((site, i) => ({
+        name: typeof site.name === 'string' ? site.name : `SITE ${i + 1}`,
+        lon: readNumber(site, 'lon', { min: -180, max: 360, required: true }, `sites[${i}].lon`),
+        lat: readNumber(site, 'lat', { min: -90, max: 90, required: true }, `sites[${i}].lat`)
+    }));
+
+    const events = (Array.isArray(raw.events) ? raw.events : [])
+        .map(normalizeEvent)
+        .sort((a, b) => a.hour - b.hour);
+
+    return {
+        format: SCENARIO_FORMAT,
+        version: SCENARIO_VERSION,
+        id: typeof raw.id === 'string' ? raw.id : null,
+        name: typeof raw.name === 'string' ? raw.name : 'Untitled scenario',
+        description: typeof raw.description === 'string' ? raw.description : '',
+        basin,
+        month: readNumber(raw, 'month', { min: 1, max: 12 }) ?? 8,
+        globalTemp: readNumber(raw, 'globalTemp', { min: 279, max: 305 }) ?? 289,
+        globalShear: readNumber(raw, 'globalShear', { min: 0, max: 200 }) ?? 100,
+        seed: raw.seed ?? null,
+        climate: raw.climate ? { ...raw.climate } : null,
+        genesis,
+        pressureSystems,
+        events,
+        sites
+    };
+}
+
+/**
+ * 触发 hour 时刻的事件
+ * @param {Object} scenario - normalizeScenario() 的结果
+ * @param {number} hour
+ * @param {Object} sim - 模拟实例 (读写 cyclones / pressureSystems，调用 setEnvironment)
+ * @returns {Object[]} 本步触发的事件
+ */
+export function applyScenarioEvents(scenario, hour, sim) {
+    if (!scenario || !scenario.events) return [];
+    const fired = scenario.events.filter(event => event.hour === hour);
+    fired.forEach(event => {
+        const targets = sim.cyclones.filter(c => c.status === 'active' && (event.stormId === undefined || c.stormId === event.stormId));
+        switch (event.type) {
+            case 'shearBurst':
+                // 与随机切变事件共用字段：updateCycloneState 在结束时刻前把幅度叠加到总切变上
+                targets.forEach(c => {
+                    c.shearEventActive = true;
+                    c.shearEventEndTime = c.age + event.duration;
+                    c.shearEventMagnitude = event.magnitude;
+                });
+                break;
+            case 'coldSurge':
+                sim.pressureSystems.lower.push({
+                    type: 'high',
+                    isColdSurge: true,
+                    x: event.lon, y: event.lat,
+                    baseSigmaX: 6, sigmaX: 6, sigmaY: 10,
+                    strength: event.strength,
+                    velocityX: event.velocityX, velocityY: event.velocityY,
+                    oscillationSpeed: 0,
+                    noiseLayers: []
+                });
+                break;
+            case 'erc':
+                targets.forEach(c => {
+                    c.ercState = 'weakening';
+                    c.ercEndTime = c.age + event.duration;
+                });
+                break;
+            case 'environment':
+                sim.setEnvironment({ globalTemp: event.globalTemp ?? undefined, globalShear: event.globalShear ?? undefined });
+                break;
+        }
+    });
+    return fired;
+}
+
+/**
+ * 把一次模拟的初始时刻导出为情景 (使用第一个回退点的气压系统与气旋状态)
+ * @param {Object} sim
+ * @param {{name?:string, sites?:Object[]}} [extra]
+ */
+export function createScenarioFromSimulation(sim, extra = {}) {
+    const initial = sim.checkpoints && sim.checkpoints[0];
+    if (!initial || initial.cyclones.length === 0) throw new Error('Scenario: the run has no initial storm to export');
+    const c = initial.cyclones[0].state;
+    return {
+        format: SCENARIO_FORMAT,
+        version: SCENARIO_VERSION,
+        name: extra.name || `${sim.basin} T+0 (seed ${sim.seed})`,
+        description: extra.description || '',
+        basin: sim.basin,
+        month: initial.month,
+        globalTemp: sim.config.globalTemp,
+        globalShear: sim.config.globalShear,
+        seed: sim.seed,
+        climate: { ...sim.config.climate },
+        genesis: {
+            lon: c.lon, lat: c.lat,
+            intensity: c.intensity, circulationSize: c.circulationSize,
+            direction: c.direction, speed: c.speed
+        },
+        pressureSystems: JSON.parse(JSON.stringify(initial.pressureSystems)),
+        events: sim.config.scenario ? sim.config.scenario.events : [],
+        sites: extra.sites || []
+    };
+}
+
+// 内置情景图库
+export const SCENARIO_GALLERY = [
+    {
+        id: 'straight-runner',
+        name: 'Straight Runner (Leyte Gulf)',
+        description: 'Late-season storm forms near 7N and runs due west under a strong subtropical ridge into the central Philippines.',
+        basin: 'WPAC', month: 11, globalTemp: 292, globalShear: 60,
+        genesis: { lon: 150, lat: 7, intensity: 30, circulationSize: 250, direction: 280, speed: 15 },
+        sites: [{ name: 'TACLOBAN', lon: 125.0, lat: 11.24 }, { name: 'GUIUAN', lon: 125.72, lat: 11.03 }],
+        events: []
+    },
+    {
+        id: 'cold-surge',
+        name: 'Cold Surge over the South China Sea',
+        description: 'A November storm in the South China Sea meets a northeast monsoon cold surge injected at T+72.',
+        basin: 'WPAC', month: 11, globalTemp: 289, globalShear: 100,
+        genesis: { lon: 117, lat: 12, intensity: 35, circulationSize: 300, direction: 300, speed: 8 },
+        sites: [{ name: 'HONG KONG', lon: 114.17, lat: 22.3 }],
+        events: [{ hour: 72, type: 'coldSurge', lon: 112, lat: 40, strength: 42 }]
+    },
+    {
+        id: 'erc-then-shear',
+        name: 'Eyewall Replacement, then Shear',
+        description: 'A strong August typhoon is forced into an eyewall replacement cycle at T+96 and hit by a shear burst at T+144.',
+        basin: 'WPAC', month: 8, globalTemp: 291, globalShear: 80,
+        genesis: { lon: 140, lat: 14, intensity: 45, circulationSize: 350, direction: 300, speed: 10 },
+        sites: [{ name: 'NAHA', lon: 127.68, lat: 26.21 }, { name: 'TAIPEI', lon: 121.56, lat: 25.03 }],
+        events: [
+            { hour: 96, type: 'erc', duration: 30 },
+            { hour: 144, type: 'shearBurst', magnitude: 20, duration: 36 }
+        ]
+    },
+    {
+        id: 'gulf-landfall',
+        name: 'Gulf of Mexico Landfall',
+        description: 'A storm forms in the southern Gulf in a warm September and heads north; shear relaxes at T+24.',
+        basin: 'NATL', month: 9, globalTemp: 293, globalShear: 130,
+        genesis: { lon: 268, lat: 22, intensity: 30, circulationSize: 300, direction: 350, speed: 8 },
+        sites: [{ name: 'NEW ORLEANS', lon: 269.93, lat: 29.95 }, { name: 'HOUSTON', lon: 264.63, lat: 29.76 }],
+        events: [{ hour: 24, type: 'environment', globalShear: 70 }]
+    }
+];
+
+/**
+ * 按 id 取内置情景 (已规范化)
+ */
+export function getGalleryScenario(id) {
+    const raw = SCENARIO_GALLERY.find(s => s.id === id);
+    return raw ? normalizeScenario(raw) : null;
+}
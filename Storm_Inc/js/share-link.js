@@ -0,0 +1,135 @@
+/**
+ * share-link.js
+ * 分享链接：把一次运行的设置 (海域、月份、GlobalTemp/GlobalShear、气候模态、生成点、观测站点、图层开关、
+ * 集合成员数与预报时效、内置情景与随机种子) 编码为简短的 URL 片段 (#v=1&b=WPAC&...)，打开链接即可恢复设置并复现同一气旋。
+ * 只做编码 / 解码，不接触 DOM。
+ */
+
+export const SHARE_LINK_VERSION = 1;
+
+// 图层开关按位编码 (顺序固定，只能在末尾追加)
+export const SHARE_LAYER_KEYS = [
+    'showPressureField', 'showHumidityField', 'showOceanWake', 'showSurge', 'showRainfall',
+    'showWindSwath', 'showWindField', 'showPathForecast', 'showWindRadii', 'showPathPoints', 'irBw'
+];
+
+/**
+ * 设置 -> URL 片段 (不含 '#')
+ * @param {Object} settings
+ * @param {string} settings.basin
+ * @param {number} settings.month
+ * @param {number} settings.globalTemp
+ * @param {number} settings.globalShear
+ * @param {{enso:number, mjoPhase:number, mjoAmplitude:number, iod:number}} settings.climate
+ * @param {number} [settings.stormCount=1]
+ * @param {number|null} [settings.seasonEndMonth] - 赛季模式的结束月份，省略表示单个气旋
+ * @param {number|null} [settings.seed] - 省略表示随机 (只恢复设置，不自动开始)
+ * @param {{lon:number, lat:number}|null} [settings.genesis]
+ * @param {{name:string, lon:number, lat:number}|null} [settings.site]
+ * @param {Object<string, boolean>} [settings.layers]
+ * @param {number} [settings.ensembleSize] - 路径预报的集合成员数 (0 = 只做确定性预报)
+ * @param {number} [settings.forecastHours] - 路径预报时效 (h)
+ * @param {string|null} [settings.scenario] - 内置情景 id
+ * @returns {string}
+ */
+export function encodeShareLink(settings) {
+    const params = new URLSearchParams();
+    params.set('v', `${SHARE_LINK_VERSION}`);
+    params.set('b', settings.basin);
+    params.set('m', `${settings.month}`);
+    params.set('t', `${settings.globalTemp}`);
+    params.set('s', `${settings.globalShear}`);
+    const c = settings.climate;
+    params.set('c', [c.enso, c.mjoPhase, c.mjoAmplitude, c.iod].join(','));
+    if (settings.stormCount > 1) params.set('n', `${settings.stormCount}`);
+    if (settings.seasonEndMonth) params.set('se', `${settings.seasonEndMonth}`);
+    if (settings.seed !== null && settings.seed !== undefined) params.set('sd', (settings.seed >>> 0).toString(36));
+    // 生成点不取整，否则复现出的气旋不同
+    if (settings.genesis) params.set('g', `${settings.genesis.lon},${settings.genesis.lat}`);
+    // 站点名称放在最后，名称中的逗号不影响解析
+    if (settings.site) params.set('st', `${settings.site.lon},${settings.site.lat},${settings.site.name}`);
+    const layers = settings.layers || {};
+    const mask = SHARE_LAYER_KEYS.reduce((bits, key, i) => (layers[key] ? bits | (1 << i) : bits), 0);
+    params.set('l', mask.toString(16));
+    // 集合成员与预报时效决定每个时次的预报随机流，缺少时无法复现同一组预报
+    if (settings.ensembleSize !== undefined) params.set('e', `${settings.ensembleSize}`);
+    if (settings.forecastHours !== undefined) params.set('fh', `${settings.forecastHours}`);
+    if (settings.scenario) params.set('sc', settings.scenario);
+    return params.toString().replace(/%2C/g, ','); // 片段中逗号无需转义
+}
+
+function readNumber(params, key, min, max, integer = false) {
+    const text = params.get(key);
+    if (text === null) return undefined;
+    const value = Number(text);
+    if (text.trim() === '' || !Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+        throw new Error(`Share link: "${key}" must be a ${integer ? 'whole ' : ''}number between ${min} and ${max}`);
+    }
+    return value;
+}
+
+function readPair(text, key) {
+    const parts = text.split(',').map(Number);
+    if (parts.length < 2 || !parts.slice(0, 2).every(Number.isFinite) || Math.abs(parts[1]) > 90) {
+        throw new Error(`Share link: "${key}" must be "lon,lat"`);
+    }
+    return { lon: parts[0], lat: parts[1] };
+}
+
+/**
+ * URL 片段 -> 设置 (只包含链接中出现的字段)
+ * @param {string} fragment - location.hash (可带 '#')
+ * @returns {Object|null} 不是分享链接时返回 null
+ * @throws {Error} 版本不支持或字段非法时
+ */
+export function decodeShareLink(fragment) {
+    const params = new URLSearchParams((fragment || '').replace(/^#/, ''));
+    if (!params.has('v')) return null;
+    if (params.get('v') !== `${SHARE_LINK_VERSION}`) throw new Error(`Share link: unsupported version ${params.get('v')}`);
+
+    const settings = {};
+    const basin = params.get('b');
+    if (basin !== null) {
+        if (!/^[A-Z]{3,4}$/.test(basin)) throw new Error(`Share link: unknown basin "${basin}"`);
+        settings.basin = basin;
+    }
+    settings.month = readNumber(params, 'm', 1, 12, true);
+    settings.globalTemp = readNumber(params, 't', 279, 305, true);
+    settings.globalShear = readNumber(params, 's', 0, 200, true);
+    if (params.has('c')) {
+        const [enso, mjoPhase, mjoAmplitude, iod] = params.get('c').split(',').map(Number);
+        if (![enso, mjoPhase, mjoAmplitude, iod].every(Number.isFinite) || mjoPhase < 1 || mjoPhase > 8) {
+            throw new Error('Share link: "c" must be "enso,mjoPhase,mjoAmplitude,iod"');
+        }
+        settings.climate = { enso, mjoPhase, mjoAmplitude, iod };
+    }
+    settings.stormCount = readNumber(params, 'n', 1, 4, true) ?? 1;
+    settings.seasonEndMonth = readNumber(params, 'se', 1, 12, true) ?? null;
+    if (params.has('sd')) {
+        const seed = parseInt(params.get('sd'), 36);
+        if (!/^[0-9a-z]+$/.test(params.get('sd')) || !Number.isFinite(seed) || seed > 0xFFFFFFFF) {
+            throw new Error('Share link: "sd" must be a base-36 seed');
+        }
+        settings.seed = seed;
+    } else {
+        settings.seed = null;
+    }
+    settings.genesis = params.has('g') ? readPair(params.get('g'), 'g') : null;
+    if (params.has('st')) {
+        const text = params.get('st');
+        const { lon, lat } = readPair(text, 'st');
+        settings.site = { lon, lat, name: text.split(',').slice(2).join(',') };
+    } else {
+        settings.site = null;
+    }
+    if (params.has('l')) {
+        const mask = parseInt(params.get('l'), 16);
+        if (!Number.isFinite(mask)) throw new Error('Share link: "l" must be a hexadecimal layer mask');
+        settings.layers = Object.fromEntries(SHARE_LAYER_KEYS.map((key, i) => [key, (mask & (1 << i)) !== 0]));
+    }
+    settings.ensembleSize = readNumber(params, 'e', 0, 100, true);
+    settings.forecastHours = readNumber(params, 'fh', 1, 240, true);
+    settings.scenario = params.get('sc') || null;
+    Object.keys(settings).forEach(key => { if (settings[key] === undefined) delete settings[key]; });
+    return settings;
+}
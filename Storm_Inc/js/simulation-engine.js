@@ -0,0 +1,518 @@
+/**
+ * simulation-engine.js
+ * 无界面模拟引擎：不依赖 DOM / d3 / WebGL，可在浏览器主线程、Worker 或 Node 中运行。
+ * 浏览器端 main.js 的 updateSimulation 也只是本引擎的一个消费者，
+ * 因此同一配置 (种子、海域、月份、GlobalTemp、GlobalShear) 在两处得到完全一致的 cyclone.track。
+ */
+import { initializeCyclone, initializePressureSystems, updatePressureSystems, updateFrontalZone, updateCycloneState, resolveCycloneMergers, getGenesisRate, getBasinCenter, HOURS_PER_MONTH } from './cyclone-model.js';
+import { generatePathForecasts, compactForecastLog, DEFAULT_FORECAST_HOURS } from './forecast-models.js';
+import { loadTerrainData, getLandStatus } from './terrain-data.js';
+import { setSeed, getSeed, generateSeed, random, getRandomState, setRandomState } from './rng.js';
+import { normalizeClimate, setClimateState, setClimateClock } from './climate-modes.js';
+import { createOceanWake, setActiveOceanWake, coolOceanWake, recoverOceanWake, replayOceanWake } from './ocean-wake.js';
+import { normalizeScenario, applyScenarioEvents } from './scenarios.js';
+
+const STEP_HOURS = 3;
+const DEFAULT_MAX_STEPS = 2000; // 安全上限 (约 250 天)，防止异常配置导致死循环
+export const MAX_CYCLONES = 4;   // 与雷达 Shader 中的 MAX_CYC 保持一致
+export const SNAPSHOT_VERSION = 1; // 快照格式版本，字段不兼容地变更时递增
+
+const defaultCheckLand = (lon, lat) => getLandStatus(lon, lat).isLand;
+
+/**
+ * 创建一次模拟
+ * @param {Object} config
+ * @param {string} [config.basin='WPAC']
+ * @param {number} [config.month=8]
+ * @param {number} [config.globalTemp=289]
+ * @param {number} [config.globalShear=100]
+ * @param {number|string} [config.seed] - 留空则随机生成
+ * @param {number} [config.customLon] / [config.customLat] - 指定生成点
+ * @param {number} [config.nameIndex=0] - 命名表起始下标
+ * @param {number} [config.stormCount=1] - 同时生成的气旋数量 (多气旋 / 双台风效应)
+ * @param {{enso:number, mjoPhase:number, mjoAmplitude:number, iod:number}} [config.climate] - 气候模态，默认中性 (见 climate-modes.js)
+ * @param {{startMonth:number, endMonth:number}} [config.season] - 赛季模式：从起始月运行到结束月，
+ *        气旋按气候态生成率自行生成 (此时忽略 month / stormCount / 自定义生成点)
+ * @param {{width:number, height:number, elevation:Uint8Array, landMask:Uint8Array}} [config.terrain]
+ *        预加载的地形/陆地遮罩数组；浏览器端已由 initTerrainSystem 载入时可省略
+ * @param {boolean} [config.forecasts=true] - 是否生成路径预报 (批量运行时可关闭以提速)
+ * @param {number} [config.ensembleSize=0] - 路径预报的集合成员数 (0 为只做 ENAI 确定性预报，见 forecast-models.js)
+ * @param {number} [config.forecastHours=72] - 路径预报时效 (FORECAST_HORIZONS 之一)
+ * @param {boolean} [config.recordPressureHistory=true] - 是否保存每步气压场快照
+ * @param {boolean} [config.checkpoints=true] - 是否保存每步的回退点 (rewindTo 依赖)
+ * @param {Object} [config.restore] - sim.snapshot() 的结果；提供时不生成新气旋，而是从快照继续 (见 restoreSimulation)
+ * @param {Object} [config.scenario] - 情景 (见 scenarios.js)：指定生成点、初始状态、气压系统与定时事件，
+ *        其中的 basin / month / globalTemp / globalShear / climate / seed 覆盖同名参数 (赛季模式下忽略)
+ */
+export function createSimulation(config = {}) {
+    const scenario = config.scenario && !config.season ? normalizeScenario(config.scenario) : null;
+    // 读档时以快照中的参数为准 (其中已包含情景事件与分支运行对环境参数的修改)
+    if (scenario && !config.restore) {
+        config = {
+            ...config,
+            basin: scenario.basin,
+            month: scenario.month,
+            globalTemp: scenario.globalTemp,
+            globalShear: scenario.globalShear,
+            climate: scenario.climate || config.climate,
+            seed: scenario.seed ?? config.seed,
+            customLon: scenario.genesis.lon,
+            customLat: scenario.genesis.lat,
+            stormCount: 1
+        };
+    }
+    const basin = config.basin || 'WPAC';
+    const season = config.season ? {
+        startMonth: config.season.startMonth,
+        endMonth: config.season.endMonth,
+        months: ((config.season.endMonth - config.season.startMonth + 12) % 12) + 1,
+        ended: false
+    } : null;
+    const month = season ? season.startMonth : (config.month || 8);
+    const globalTemp = config.globalTemp ?? 289;
+    const globalShear = config.globalShear ?? 100;
+    const enableForecasts = config.forecasts !== false;
+    const ensembleSize = config.ensembleSize || 0;
+    const forecastHours = config.forecastHours || DEFAULT_FORECAST_HOURS;
+    const recordPressureHistory = config.recordPressureHistory !== false;
+    const recordCheckpoints = config.checkpoints !== false;
+    const checkLand = config.checkLand || defaultCheckLand;
+
+    if (config.terrain) loadTerrainData(config.terrain);
+
+    // 气候态是模块级状态 (与随机流相同)，创建时及每步推进前重新设定，避免被其它模拟实例改写
+    const climate = normalizeClimate(config.climate);
+    setClimateState(climate);
+    setClimateClock(config.restore ? config.restore.hour : 0);
+
+    setSeed(config.seed ?? generateSeed());
+
+    const sim = {
+        // 创建参数 (不含函数与地形)，快照时原样保存以便恢复
+        config: {
+            basin, month, globalTemp, globalShear,
+            season: season ? { startMonth: season.startMonth, endMonth: season.endMonth } : null,
+            stormCount: config.stormCount || 1,
+            climate: { ...climate },
+            customLon: config.customLon ?? null,
+            customLat: config.customLat ?? null,
+            scenario,
+            forecasts: enableForecasts,
+            ensembleSize,
+            forecastHours,
+            recordPressureHistory
+        },
+        basin,
+        month,
+        globalTemp,
+        globalShear,
+        seed: getSeed(),
+        nameIndex: config.nameIndex || 0,
+        hour: 0,           // 模拟时钟 (小时)，各气旋的 age 从各自生成时刻起算
+        season,
+        cyclones: [],      // 所有气旋 (含已消散/已合并)
+        focusIndex: 0,     // UI 当前关注的气旋
+        cyclone: null,     // = cyclones[focusIndex]，兼容单气旋调用方
+        pressureSystems: null,
+        frontalZone: null,
+        pathForecasts: [],
+        pressureHistory: [],
+        oceanWake: createOceanWake(), // 海洋冷尾流格点场 (由 wakeEvents 按时间累积)
+        wakeEvents: [],    // 冷却事件日志，回退 / 读档时重放得到 oceanWake
+        checkpoints: []    // 每步一个回退点 (不含路径等随时间增长的数组，仅记录其长度)
+    };
+    // 新模拟从无尾流的海洋开始 (生成点判定也要读取海温)
+    setActiveOceanWake(sim.oceanWake);
+
+    const spawnCyclone = (customLon = null, customLat = null, genesis = null) => {
+        const c = initializeCyclone(null, sim.month, basin, sim.globalTemp, sim.globalShear, customLon, customLat, genesis);
+        c.stormId = sim.cyclones.length;
+        c.currentMonth = sim.month;
+        c.genesisHour = sim.hour;
+        c.pathForecasts = [];
+        c.track.push([c.lon, c.lat, c.intensity, false, false, c.circulationSize, c.isSubtropical]);
+        sim.cyclones.push(c);
+        return c;
+    };
+
+    // 气候态与冷尾流都是模块级状态，推进 / 回退前重新指向本模拟实例
+    const applyGlobalState = () => {
+        setClimateState(sim.config.climate);
+        setClimateClock(sim.hour);
+        setActiveOceanWake(sim.oceanWake);
+    };
+
+    const othersOf = (list, index) => list.filter((o, j) => j !== index && o.status === 'active');
+
+    const forecastFor = (c) => {
+        const i = sim.cyclones.indexOf(c);
+        return generatePathForecasts(c, sim.pressureSystems, checkLand, sim.globalTemp, sim.globalShear, othersOf(sim.cyclones, i), ensembleSize, forecastHours);
+    };
+
+    // 只为本步推进过的气旋更新预报 (与原逻辑一致：消散当步仍生成最后一次预报)
+    const updateForecasts = (stepped) => {
+        if (!enableForecasts) return;
+        sim.cyclones.forEach(c => {
+            if (!stepped.has(c.stormId)) return;
+            if (c.age % STEP_HOURS !== 0 || c.age <= 0) return;
+            const forecasts = forecastFor(c);
+            c.pathForecasts = forecasts;
+            if (c.age % 6 === 0) {
+                if (!c.forecastLogs) c.forecastLogs = {};
+                // [修改] 集合成员只以集合平均与离散度存档
+                c.forecastLogs[c.age] = JSON.parse(JSON.stringify(compactForecastLog(forecasts)));
+            }
+        });
+    };
+
+    const refreshFocus = () => {
+        // 关注的气旋消散后自动切换到仍活跃的气旋 (赛季模式下可能暂时没有气旋)
+        const focused = sim.cyclones[sim.focusIndex];
+        if (!focused || focused.status !== 'active') {
+            const next = sim.cyclones.findIndex(c => c.status === 'active');
+            if (next >= 0) sim.focusIndex = next;
+        }
+        sim.cyclone = sim.cyclones[sim.focusIndex] || null;
+        sim.pathForecasts = sim.cyclone ? (sim.cyclone.pathForecasts || []) : [];
+    };
+
+    if (config.restore) {
+        const snap = config.restore;
+        sim.month = snap.month;
+        sim.seed = snap.seed;
+        sim.nameIndex = snap.nameIndex;
+        sim.hour = snap.hour;
+        if (season) season.ended = snap.seasonEnded;
+        sim.cyclones = snap.cyclones;
+        sim.focusIndex = snap.focusIndex;
+        sim.pressureSystems = snap.pressureSystems;
+        sim.frontalZone = snap.frontalZone;
+        sim.pressureHistory = snap.pressureHistory || [];
+        sim.wakeEvents = snap.wakeEvents || [];
+        sim.oceanWake = replayOceanWake(sim.wakeEvents, sim.hour);
+        setActiveOceanWake(sim.oceanWake);
+        setRandomState(snap.random);
+    } else if (season) {
+        // 赛季开始时海域内尚无气旋，以海域中心初始化气压系统
+        sim.pressureSystems = initializePressureSystems(getBasinCenter(basin), month);
+        sim.frontalZone = updateFrontalZone(sim.pressureSystems, month);
+    } else {
+        const primary = spawnCyclone(config.customLon ?? null, config.customLat ?? null, scenario ? scenario.genesis : null);
+        sim.pressureSystems = initializePressureSystems(primary, month, scenario ? scenario.pressureSystems : null);
+        sim.frontalZone = updateFrontalZone(sim.pressureSystems, month);
+        const stormCount = Math.max(1, Math.min(MAX_CYCLONES, config.stormCount || 1));
+        for (let i = 1; i < stormCount; i++) spawnCyclone();
+
+        if (enableForecasts) {
+            sim.cyclones.forEach(c => { c.pathForecasts = forecastFor(c); });
+        }
+    }
+    refreshFocus();
+
+    // 回退点：气旋的标量状态 + 环境 + 随机流状态；track / forecastLogs 只记录长度，回退时截断
+    const HEAVY_FIELDS = ['track', 'forecastLogs', 'pathForecasts', 'satelliteCache'];
+    const captureCheckpoint = () => {
+        if (!recordCheckpoints) return;
+        sim.checkpoints.push({
+            hour: sim.hour,
+            month: sim.month,
+            nameIndex: sim.nameIndex,
+            focusIndex: sim.focusIndex,
+            seasonEnded: season ? season.ended : false,
+            random: getRandomState(),
+            pressureSystems: JSON.parse(JSON.stringify(sim.pressureSystems)),
+            frontalZone: JSON.parse(JSON.stringify(sim.frontalZone)),
+            pressureHistoryLength: sim.pressureHistory.length,
+            wakeEventsLength: sim.wakeEvents.length,
+            cyclones: sim.cyclones.map(c => {
+                const light = {};
+                Object.keys(c).forEach(key => { if (!HEAVY_FIELDS.includes(key)) light[key] = c[key]; });
+                return { state: JSON.parse(JSON.stringify(light)), trackLength: c.track.length };
+            })
+        });
+    };
+    captureCheckpoint();
+
+    /**
+     * 推进一个时间步 (3 小时)，所有活跃气旋同步推进
+     * @returns {{cyclone:Object, active:boolean, justNamed:boolean, named:Object[], mergers:Array, spawned:Object[], finished:Object[], scenarioEvents:Object[]}}
+     */
+    sim.step = function () {
+        sim.hour += STEP_HOURS;
+        applyGlobalState();
+        recoverOceanWake(sim.oceanWake, STEP_HOURS);
+        if (season) {
+            sim.month = ((season.startMonth - 1 + Math.floor(sim.hour / HOURS_PER_MONTH)) % 12) + 1;
+            if (sim.hour >= season.months * HOURS_PER_MONTH) season.ended = true;
+        }
+
+        // [新增] 情景的定时事件 (冷涌先加入低层系统，随后与其它系统一起推进)
+        const scenarioEvents = applyScenarioEvents(scenario, sim.hour, sim);
+
+        sim.pressureSystems = updatePressureSystems(sim.pressureSystems, sim.month);
+        sim.frontalZone = updateFrontalZone(sim.pressureSystems, sim.month);
+
+        // 以步前位置计算相互作用，保证结果与气旋遍历顺序无关
+        const before = sim.cyclones.map(c => ({ ...c }));
+        const named = [];
+        const stepped = new Set();
+        const wakeEvents = [];
+        sim.cyclones = sim.cyclones.map((c, i) => {
+            if (c.status !== 'active') return c;
+            stepped.add(c.stormId);
+            const updated = updateCycloneState(c, sim.pressureSystems, sim.frontalZone, null, sim.month, sim.globalTemp, sim.globalShear, sim.nameIndex, othersOf(before, i));
+            updated.currentMonth = sim.month;
+            // 本步经过的海面 (步前位置) 留下冷尾流；全部气旋推进完才施加，结果与遍历顺序无关
+            if (!checkLand(c.lon, c.lat)) {
+                wakeEvents.push({
+                    hour: sim.hour, lon: c.lon, lat: c.lat, month: sim.month,
+                    intensity: updated.intensity, speed: updated.speed, direction: updated.direction, rmw: updated.rmw
+                });
+            }
+            if (!c.named && updated.named) {
+                sim.nameIndex++;
+                named.push(updated);
+            }
+            return updated;
+        });
+        wakeEvents.forEach(event => {
+            sim.wakeEvents.push(event);
+            coolOceanWake(sim.oceanWake, event);
+        });
+        const mergers = resolveCycloneMergers(sim.cyclones);
+        const finished = sim.cyclones.filter(c => stepped.has(c.stormId) && c.status !== 'active');
+
+        // 赛季模式：按气候态生成率决定本步是否有新气旋生成
+        const spawned = [];
+        if (season && !season.ended && sim.getActiveCyclones().length < MAX_CYCLONES) {
+            if (random() < getGenesisRate(basin, sim.month, sim.globalTemp)) {
+                const c = spawnCyclone();
+                if (enableForecasts) c.pathForecasts = forecastFor(c);
+                spawned.push(c);
+            }
+        }
+
+        const active = sim.isActive();
+        if (active && recordPressureHistory) {
+            // 深拷贝当前的气压系统状态 (必须切断引用)
+            sim.pressureHistory.push({
+                age: sim.hour,
+                month: sim.month,
+                lower: JSON.parse(JSON.stringify(sim.pressureSystems.lower || [])),
+                upper: JSON.parse(JSON.stringify(sim.pressureSystems.upper || [])),
+                waves: JSON.parse(JSON.stringify(sim.pressureSystems.waves || []))
+            });
+        }
+
+        updateForecasts(stepped);
+        refreshFocus();
+        captureCheckpoint();
+
+        return { cyclone: sim.cyclone, active, justNamed: named.length > 0, named, mergers, spawned, finished, scenarioEvents };
+    };
+
+    // 只要还有一个气旋活跃 (或赛季尚未结束)，模拟就继续
+    sim.isActive = function () {
+        return sim.cyclones.some(c => c.status === 'active') || (season !== null && !season.ended);
+    };
+
+    /**
+     * 取出某个气旋生命期内的气压场快照，age 换算为该气旋自身的 age
+     * (赛季模式下气旋在不同时刻生成，而 pressureHistory 按全局时钟记录)
+     */
+    sim.getPressureHistoryFor = function (cyclone) {
+        if (!cyclone) return [];
+        const start = cyclone.genesisHour || 0;
+        const end = start + cyclone.age;
+        return sim.pressureHistory
+            .filter(h => h.age >= start && h.age <= end)
+            .map(h => ({ ...h, age: h.age - start }));
+    };
+
+    sim.getActiveCyclones = function () {
+        return sim.cyclones.filter(c => c.status === 'active');
+    };
+
+    /**
+     * [新增] 回退到之前的某个时刻 (之后的回退点、气旋与气压场快照全部丢弃)
+     * 回退后继续 step() 与原运行逐位一致；修改 globalShear / globalTemp / 气压系统或 reseed() 后即为分支运行
+     * @param {number} hour - 目标时刻 (全局时钟，取不超过该值的最近回退点)
+     * @returns {boolean} 是否成功回退
+     */
+    sim.rewindTo = function (hour) {
+        let index = -1;
+        for (let i = sim.checkpoints.length - 1; i >= 0; i--) {
+            if (sim.checkpoints[i].hour <= hour) { index = i; break; }
+        }
+        if (index < 0) return false;
+        const cp = sim.checkpoints[index];
+        const previous = sim.cyclones;
+
+        sim.hour = cp.hour;
+        sim.month = cp.month;
+        sim.nameIndex = cp.nameIndex;
+        if (season) season.ended = cp.seasonEnded;
+        setRandomState(cp.random);
+        sim.wakeEvents.length = Math.min(sim.wakeEvents.length, cp.wakeEventsLength);
+        sim.oceanWake = replayOceanWake(sim.wakeEvents, cp.hour);
+        applyGlobalState();
+        sim.pressureSystems = JSON.parse(JSON.stringify(cp.pressureSystems));
+        sim.frontalZone = JSON.parse(JSON.stringify(cp.frontalZone));
+        // [新增] 情景中改变环境参数的事件：回到该时刻之前的取值 (之后重新推进时再次触发)
+        if (scenario && scenario.events.some(e => e.type === 'environment')) {
+            let temp = scenario.globalTemp, shear = scenario.globalShear;
+            scenario.events.forEach(e => {
+                if (e.type !== 'environment' || e.hour > cp.hour) return;
+                if (e.globalTemp !== undefined) temp = e.globalTemp;
+                if (e.globalShear !== undefined) shear = e.globalShear;
+            });
+            sim.setEnvironment({ globalTemp: temp, globalShear: shear });
+        }
+        sim.pressureHistory.length = Math.min(sim.pressureHistory.length, cp.pressureHistoryLength);
+        sim.cyclones = cp.cyclones.map((saved, i) => {
+            const c = JSON.parse(JSON.stringify(saved.state));
+            c.track = previous[i].track.slice(0, saved.trackLength);
+            c.forecastLogs = {};
+            Object.keys(previous[i].forecastLogs || {}).forEach(age => {
+                if (Number(age) <= c.age) c.forecastLogs[age] = previous[i].forecastLogs[age];
+            });
+            c.pathForecasts = [];
+            return c;
+        });
+        // 预报需在全部气旋就位后重新计算 (其它气旋参与引导)
+        if (enableForecasts) sim.cyclones.forEach(c => { if (c.status === 'active') c.pathForecasts = forecastFor(c); });
+        sim.checkpoints.length = index + 1;
+        sim.focusIndex = Math.min(cp.focusIndex, sim.cyclones.length - 1);
+        refreshFocus();
+        return true;
+    };
+
+    /**
+     * [新增] 分支运行时更换随机种子 (从当前时刻起使用新的随机流)
+     */
+    sim.reseed = function (seed) {
+        setSeed(seed);
+        sim.seed = getSeed();
+        if (sim.checkpoints.length > 0) sim.checkpoints[sim.checkpoints.length - 1].random = getRandomState();
+        applyGlobalState();
+        if (enableForecasts) sim.cyclones.forEach(c => { if (c.status === 'active') c.pathForecasts = forecastFor(c); });
+        refreshFocus();
+    };
+
+    /**
+     * [新增] 分支运行时修改全局温度 / 切变 (同步写入 config，保存的存档按新参数恢复)
+     */
+    sim.setEnvironment = function ({ globalTemp: temp, globalShear: shear } = {}) {
+        if (temp !== undefined) sim.globalTemp = sim.config.globalTemp = temp;
+        if (shear !== undefined) sim.globalShear = sim.config.globalShear = shear;
+    };
+
+    /**
+     * [新增] 按当前的全局温度 / 切变、其它气旋、集合成员数与预报时效重新计算某个气旋的预报 (不写入预报存档)
+     * 拖动气压系统时的预览与下一步发布的预报走同一条计算路径
+     */
+    sim.previewForecasts = function (cyclone) {
+        if (!enableForecasts || !cyclone || cyclone.status !== 'active' || !sim.cyclones.includes(cyclone)) return [];
+        return forecastFor(cyclone);
+    };
+
+    sim.setFocus = function (index) {
+        if (index < 0 || index >= sim.cyclones.length) return;
+        sim.focusIndex = index;
+        sim.cyclone = sim.cyclones[index];
+        sim.pathForecasts = sim.cyclone.pathForecasts || [];
+    };
+
+    /**
+     * 完整状态快照 (纯 JSON)：包含随机流内部状态，恢复后继续 step() 与未中断的运行逐位一致
+     */
+    sim.snapshot = function () {
+        return JSON.parse(JSON.stringify({
+            version: SNAPSHOT_VERSION,
+            config: sim.config,
+            month: sim.month,
+            seed: sim.seed,
+            nameIndex: sim.nameIndex,
+            hour: sim.hour,
+            seasonEnded: season ? season.ended : false,
+            cyclones: sim.cyclones,
+            focusIndex: sim.focusIndex,
+            pressureSystems: sim.pressureSystems,
+            frontalZone: sim.frontalZone,
+            pressureHistory: sim.pressureHistory,
+            wakeEvents: sim.wakeEvents,
+            random: getRandomState()
+        }));
+    };
+
+    sim.getSeasonSummary = function () {
+        return summarizeSeason(sim.cyclones);
+    };
+
+    /**
+     * 一直运行到所有气旋消散 (或达到步数上限)
+     * @param {Object} [options]
+     * @param {number} [options.maxSteps]
+     * @param {function} [options.onStep] - 每步回调 (result, sim)
+     * @returns {Object} 关注气旋的最终 cyclone 对象
+     */
+    sim.run = function (options = {}) {
+        const maxSteps = options.maxSteps || DEFAULT_MAX_STEPS;
+        for (let i = 0; i < maxSteps && sim.isActive(); i++) {
+            const result = sim.step();
+            if (options.onStep) options.onStep(result, sim);
+        }
+        return sim.cyclone;
+    };
+
+    return sim;
+}
+
+/**
+ * [新增] 从 sim.snapshot() 恢复模拟
+ * @param {Object} snapshot
+ * @param {Object} [overrides] - 不可序列化的运行环境 (checkLand / terrain)
+ */
+export function restoreSimulation(snapshot, overrides = {}) {
+    if (!snapshot || !Array.isArray(snapshot.cyclones)) {
+        throw new Error('Invalid simulation snapshot');
+    }
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version ${snapshot.version} (expected ${SNAPSHOT_VERSION})`);
+    }
+    return createSimulation({
+        ...snapshot.config,
+        season: snapshot.config.season || undefined,
+        seed: snapshot.seed,
+        ...overrides,
+        restore: JSON.parse(JSON.stringify(snapshot))
+    });
+}
+
+/**
+ * [新增] 赛季统计：气旋总数、命名风暴 / 台风(飓风) / 强台风(大型飓风) 个数、总 ACE 与时间轴
+ * @param {Object[]} cyclones
+ * @returns {{storms:number, named:number, hurricanes:number, majors:number, ace:number, timeline:Object[]}}
+ */
+export function summarizeSeason(cyclones) {
+    const timeline = cyclones.map(c => {
+        const peak = c.track.reduce((max, p) => Math.max(max, p[2]), 0);
+        return {
+            stormId: c.stormId,
+            name: c.name || null,
+            genesisHour: c.genesisHour || 0,
+            endHour: (c.genesisHour || 0) + c.age,
+            peak,
+            ace: c.ace || 0,
+            active: c.status === 'active'
+        };
+    });
+    return {
+        storms: timeline.length,
+        named: cyclones.filter(c => c.named).length,
+        hurricanes: timeline.filter(t => t.peak >= 64).length,
+        majors: timeline.filter(t => t.peak >= 96).length,
+        ace: timeline.reduce((sum, t) => sum + t.ace, 0),
+        timeline
+    };
+}
@@ -0,0 +1,129 @@
+/**
+ * storm-archive.js
+ * 历史气旋持久化：把 state.history 的条目 (含 satelliteCache 截图) 存入 IndexedDB，
+ * 刷新页面后仍可在历史记录中查看，并支持整库导出 / 导入为单个 JSON 文件。
+ */
+
+const DB_NAME = 'storm-inc-archive';
+const DB_VERSION = 1;
+const STORE = 'storms';
+
+export const ARCHIVE_FILE_FORMAT = 'storm-inc-archive';
+export const ARCHIVE_FILE_VERSION = 1;
+
+let dbPromise = null;
+
+// 把 IDBRequest 包装为 Promise
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openArchive() {
+    if (dbPromise) return dbPromise;
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not available'));
+    }
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE)) {
+                const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('savedAt', 'savedAt');
+                store.createIndex('basin', 'basin');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    // 打开失败时允许下次重试
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+async function withStore(mode, fn) {
+    const db = await openArchive();
+    const tx = db.transaction(STORE, mode);
+    // 先挂完成回调，避免事务在 fn 的 await 之间提交后错过 oncomplete
+    const done = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    const result = await fn(tx.objectStore(STORE));
+    await done;
+    return result;
+}
+
+/**
+ * 从历史条目推导检索字段 (海域、年份、峰值风速)，旧条目或导入条目缺字段时也能筛选
+ */
+export function getArchiveMeta(entry) {
+    const track = (entry.cycloneData && entry.cycloneData.track) || [];
+    return {
+        basin: entry.basin || (entry.cycloneData && entry.cycloneData.basin) || 'WPAC',
+        year: entry.year || (entry.savedAt ? new Date(entry.savedAt).getFullYear() : new Date().getFullYear()),
+        peak: entry.peak ?? track.reduce((max, p) => Math.max(max, p[2]), 0)
+    };
+}
+
+// 写入前补全检索字段并去掉运行期字段 (id 由数据库分配)
+function toRecord(entry) {
+    const { id, ...rest } = entry;
+    return { ...rest, ...getArchiveMeta(entry), savedAt: entry.savedAt || Date.now() };
+}
+
+/**
+ * 保存一条历史记录
+ * @returns {Promise<number>} 数据库分配的 id
+ */
+export function addArchiveEntry(entry) {
+    return withStore('readwrite', store => requestToPromise(store.add(toRecord(entry))));
+}
+
+/**
+ * 读取全部历史记录 (按保存时间升序，与 state.history 的追加顺序一致)
+ */
+export function getAllArchiveEntries() {
+    return withStore('readonly', store => requestToPromise(store.index('savedAt').getAll()));
+}
+
+export function deleteArchiveEntry(id) {
+    return withStore('readwrite', store => requestToPromise(store.delete(id)));
+}
+
+/**
+ * 导出整个存档为单个对象 (调用方负责序列化为文件)
+ */
+export async function exportArchive() {
+    const entries = await getAllArchiveEntries();
+    return {
+        format: ARCHIVE_FILE_FORMAT,
+        version: ARCHIVE_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        entries
+    };
+}
+
+/**
+ * 导入 exportArchive() 生成的文件内容，条目以新 id 追加 (不覆盖现有记录)
+ * @returns {Promise<Object[]>} 已写入的条目 (含新 id)
+ */
+export async function importArchive(data) {
+    if (!data || data.format !== ARCHIVE_FILE_FORMAT || !Array.isArray(data.entries)) {
+        throw new Error('Not a storm archive file');
+    }
+    if (data.version !== ARCHIVE_FILE_VERSION) {
+        throw new Error(`Unsupported archive version ${data.version}`);
+    }
+    const records = data.entries
+        .filter(e => e && e.cycloneData && Array.isArray(e.cycloneData.track))
+        .map(toRecord);
+    return withStore('readwrite', async store => {
+        const ids = await Promise.all(records.map(r => requestToPromise(store.add(r))));
+        return records.map((r, i) => ({ ...r, id: ids[i] }));
+    });
+}
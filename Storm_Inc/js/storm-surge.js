@@ -0,0 +1,241 @@
+/**
+ * storm-surge.js
+ * 简化风暴潮模型：增水 = 风应力增水 (向岸风速² × sqrt(陆架宽度 / 水深)，气旋向岸移动时放大) + 逆气压效应 (1 cm/hPa)。
+ * 岸线点由陆地遮罩提取 (与海洋相邻的陆地像素，海洋一侧即岸线外法向)，陆架参数来自 bathymetry-data.js。
+ * 增水只依赖路径点 (位置、强度、中心气压、RMW、B、尺度)，因此实时推进、回退与读档后重算的结果一致。
+ */
+import { getTerrainData } from './terrain-data.js';
+import { getShelfProperties } from './bathymetry-data.js';
+import { COASTLINES, findCoastline } from './climatology.js';
+import { getVortexParameters, getVortexWindSpeed, getVortexPressure } from './vortex-model.js';
+import { calculateDistance, shortestLongitudeDistance, windToPressure } from './utils.js';
+
+const COAST_SAMPLE_DEG = 0.5;     // 岸线点抽样间隔
+const NORMAL_RADIUS_PX = 2;       // 估算岸线法向的邻域半径 (像素)
+const BUCKET_DEG = 5;             // 岸线点空间索引的分桶大小
+const SEARCH_RADIUS_KM = 600;     // 超出该距离的岸线点不计算增水
+const SITE_COAST_RADIUS_KM = 60;  // 站点距岸线超过该距离时不输出增水
+const ENV_PRESSURE = 1010;
+const KT_TO_MS = 0.514;
+const INFLOW_ANGLE = 20 * Math.PI / 180;
+const WIND_SETUP_COEF = 6.2e-4;   // 风应力增水系数：60 m/s 向岸风、宽浅陆架 (W/h≈5) 时约 5 m
+const SETDOWN_RATIO = 0.3;        // 离岸风减水相对增水的比例
+const INVERSE_BAROMETER = 0.01;   // 逆气压效应 (m/hPa)
+const MAX_SURGE = 10;
+
+let coastCache = null; // { source, points, buckets }
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const toLon360 = (lon) => ((lon % 360) + 360) % 360;
+const bucketKey = (lon, lat) => Math.floor((lat + 90) / BUCKET_DEG) * 1000 + Math.floor(toLon360(lon) / BUCKET_DEG);
+
+// 由陆地遮罩提取岸线点：每个抽样格取第一个岸线像素的位置，法向取格内所有岸线像素指向海洋方向之和
+function buildCoastalPoints({ width, height, landMask }) {
+    const isLand = (x, y) => landMask[y * width + (((x % width) + width) % width)] > 128;
+    const bins = new Map();
+    for (let y = 1; y < height - 1; y++) {
+        const lat = 90 - (y / (height - 1)) * 180;
+        const cosLat = Math.max(0.2, Math.cos(lat * Math.PI / 180));
+        for (let x = 0; x < width; x++) {
+            if (!isLand(x, y)) continue;
+            if (isLand(x - 1, y) && isLand(x + 1, y) && isLand(x, y - 1) && isLand(x, y + 1)) continue;
+            let nx = 0, ny = 0;
+            for (let dy = -NORMAL_RADIUS_PX; dy <= NORMAL_RADIUS_PX; dy++) {
+                const yy = y + dy;
+                if (yy < 0 || yy >= height) continue;
+                for (let dx = -NORMAL_RADIUS_PX; dx <= NORMAL_RADIUS_PX; dx++) {
+                    if (!isLand(x + dx, yy)) { nx += dx * cosLat; ny -= dy; }
+                }
+            }
+            const lon = (x / (width - 1)) * 360 - 180;
+            const key = Math.floor((lat + 90) / COAST_SAMPLE_DEG) * 1000 + Math.floor((lon + 180) / COAST_SAMPLE_DEG);
+            const bin = bins.get(key);
+            if (bin) { bin.nx += nx; bin.ny += ny; }
+            else bins.set(key, { lon, lat, nx, ny });
+        }
+    }
+
+    const points = [];
+    const buckets = new Map();
+    bins.forEach(bin => {
+        const norm = Math.hypot(bin.nx, bin.ny);
+        if (norm === 0) return;
+        const shelf = getShelfProperties(bin.lon, bin.lat);
+        const index = points.length;
+        points.push({
+            lon: bin.lon, lat: bin.lat,
+            nx: bin.nx / norm, ny: bin.ny / norm, // 外法向 (东、北分量)，指向海洋
+            widthKm: shelf.widthKm, depthM: shelf.depthM,
+            coast: findCoastline(bin.lon, bin.lat)
+        });
+        const key = bucketKey(bin.lon, bin.lat);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(index);
+    });
+    return { points, buckets };
+}
+
+/**
+ * 岸线点列表 (按当前载入的陆地遮罩懒加载并缓存；未载入地形时为空)
+ * @returns {{lon:number, lat:number, nx:number, ny:number, widthKm:number, depthM:number, coast:string}[]}
+ */
+export function getCoastalPoints() {
+    return getCoastIndex().points;
+}
+
+function getCoastIndex() {
+    const terrain = getTerrainData();
+    if (!terrain || !terrain.landMask) return { points: [], buckets: new Map() };
+    if (!coastCache || coastCache.source !== terrain.landMask) {
+        coastCache = { source: terrain.landMask, ...buildCoastalPoints(terrain) };
+    }
+    return coastCache;
+}
+
+// 遍历 (lon, lat) 周围 radiusKm 内的岸线点
+function forEachPointNear(lon, lat, radiusKm, callback) {
+    const { points, buckets } = getCoastIndex();
+    const reachLat = radiusKm / 111;
+    const reachLon = reachLat / Math.max(0.2, Math.cos(lat * Math.PI / 180));
+    const rows = Math.ceil(reachLat / BUCKET_DEG);
+    const cols = Math.min(35, Math.ceil(reachLon / BUCKET_DEG));
+    for (let r = -rows; r <= rows; r++) {
+        for (let c = -cols; c <= cols; c++) {
+            const list = buckets.get(bucketKey(lon + c * BUCKET_DEG, lat + r * BUCKET_DEG));
+            if (list) list.forEach(index => callback(points[index], index));
+        }
+    }
+}
+
+/**
+ * 由路径点还原计算增水所需的气旋状态，移动速度由前后两个路径点 (3 小时) 求得
+ * @param {Array[]} track - 路径 (元组格式见 cyclone-model.js)
+ * @param {number} index
+ */
+export function getSurgeStorm(track, index) {
+    const p = track[index];
+    const prev = track[Math.max(0, index - 1)];
+    const cosLat = Math.cos(p[1] * Math.PI / 180);
+    const eastKm = shortestLongitudeDistance(p[0], prev[0]) * 111 * cosLat;
+    const northKm = (p[1] - prev[1]) * 111;
+    const circulationSize = p[5] || 300;
+    return {
+        lon: p[0], lat: p[1], intensity: p[2],
+        isTransitioning: !!p[3], isExtratropical: !!p[4], circulationSize,
+        pressure: p[10] ?? windToPressure(p[2], circulationSize, undefined, ENV_PRESSURE),
+        rmw: p[11], hollandB: p[12],
+        motionU: eastKm / 3 / 1.852, // kt
+        motionV: northKm / 3 / 1.852
+    };
+}
+
+/**
+ * 单个气旋在一个岸线点造成的增水 (m)，离岸风时为负 (减水)
+ */
+export function getSurgeAt(point, storm) {
+    const dist = calculateDistance(storm.lat, storm.lon, point.lat, point.lon);
+    const vortex = getVortexParameters(storm, ENV_PRESSURE);
+    const reach = Math.min(vortex.outerRadius, SEARCH_RADIUS_KM);
+    if (dist >= reach) return 0;
+
+    // 风向：与 cyclone-model.js 相同的气旋式旋转 + 入流角，再叠加移动造成的不对称
+    const dxKm = shortestLongitudeDistance(point.lon, storm.lon) * 111 * Math.cos(storm.lat * Math.PI / 180);
+    const dyKm = (point.lat - storm.lat) * 111;
+    const windAngle = Math.atan2(dyKm, dxKm) + (storm.lat >= 0 ? Math.PI / 2 + INFLOW_ANGLE : -Math.PI / 2 - INFLOW_ANGLE);
+    const windKt = getVortexWindSpeed(dist, storm.intensity, vortex);
+    const transDecay = dist > vortex.rmw ? Math.max(0, 1 - (dist - vortex.rmw) / (vortex.outerRadius - vortex.rmw)) : 1;
+    const u = Math.cos(windAngle) * windKt + storm.motionU * 0.6 * transDecay;
+    const v = Math.sin(windAngle) * windKt + storm.motionV * 0.6 * transDecay;
+
+    const onshoreMs = -(u * point.nx + v * point.ny) * KT_TO_MS;
+    let windSetup = WIND_SETUP_COEF * onshoreMs * Math.abs(onshoreMs) * Math.sqrt(point.widthKm / point.depthM);
+    if (windSetup > 0) {
+        // 气旋向岸移动时增水更高，沿岸或离岸移动时较低
+        const motionOnshoreKt = -(storm.motionU * point.nx + storm.motionV * point.ny);
+        windSetup *= clamp(1 + 0.03 * motionOnshoreKt, 0.7, 1.3);
+    } else {
+        windSetup *= SETDOWN_RATIO;
+    }
+
+    const centralPressure = Math.min(storm.pressure, ENV_PRESSURE);
+    const pressureSetup = INVERSE_BAROMETER * (ENV_PRESSURE - getVortexPressure(Math.max(1, dist), centralPressure, ENV_PRESSURE, vortex));
+    return clamp(windSetup + pressureSetup, -MAX_SURGE, MAX_SURGE);
+}
+
+export function createSurgeRecord() {
+    return { peaks: new Map(), processed: [] }; // peaks: 岸线点索引 -> 峰值增水 (m)
+}
+
+/**
+ * 把路径中尚未处理的路径点计入各岸线点的峰值增水 (增量更新)
+ * @param {Object} record - createSurgeRecord() 的返回值
+ * @param {Array[][]} tracks - 各气旋的路径，顺序需保持不变
+ */
+export function updateSurgeRecord(record, tracks) {
+    // 路径变短说明发生了回退，整体重算
+    if (tracks.some((track, i) => track.length < (record.processed[i] || 0))) {
+        record.peaks.clear();
+        record.processed = [];
+    }
+    tracks.forEach((track, i) => {
+        for (let k = record.processed[i] || 0; k < track.length; k++) {
+            const storm = getSurgeStorm(track, k);
+            forEachPointNear(storm.lon, storm.lat, SEARCH_RADIUS_KM, (point, index) => {
+                const surge = getSurgeAt(point, storm);
+                if (surge > (record.peaks.get(index) || 0)) record.peaks.set(index, surge);
+            });
+        }
+        record.processed[i] = track.length;
+    });
+    return record;
+}
+
+/**
+ * 用于绘制岸线增水色带的点
+ * @returns {{lon:number, lat:number, value:number, coast:string}[]}
+ */
+export function getSurgeBand(record, minSurge = 0.3) {
+    const points = getCoastalPoints();
+    const band = [];
+    record.peaks.forEach((value, index) => {
+        if (value < minSurge || !points[index]) return;
+        const p = points[index];
+        band.push({ lon: p.lon, lat: p.lat, value, coast: p.coast });
+    });
+    return band;
+}
+
+/**
+ * 各海岸段 (climatology.js 的 COASTLINES) 的峰值增水，按增水从高到低排序
+ * @returns {{id:string, name:string, value:number, lon:number, lat:number}[]}
+ */
+export function getSegmentPeaks(record, minSurge = 0.1) {
+    const points = getCoastalPoints();
+    const segments = new Map();
+    record.peaks.forEach((value, index) => {
+        const p = points[index];
+        if (!p || value < minSurge) return;
+        const current = segments.get(p.coast);
+        if (!current || value > current.value) segments.set(p.coast, { value, lon: p.lon, lat: p.lat });
+    });
+    return [...segments.entries()]
+        .map(([id, s]) => {
+            const coast = COASTLINES.find(c => c.id === id);
+            return { id, name: coast ? coast.name : 'Other', ...s };
+        })
+        .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * 站点当前增水 (m)：取最近的岸线点，叠加各气旋最新路径点的贡献；站点不在岸边时返回 null
+ * @param {Array[][]} tracks - 活跃气旋的路径
+ */
+export function getSiteSurge(lon, lat, tracks) {
+    let nearest = null, nearestDist = SITE_COAST_RADIUS_KM;
+    forEachPointNear(lon, lat, SITE_COAST_RADIUS_KM, point => {
+        const d = calculateDistance(lat, lon, point.lat, point.lon);
+        if (d < nearestDist) { nearest = point; nearestDist = d; }
+    });
+    if (!nearest) return null;
+    return tracks.reduce((sum, track) => (track.length > 0 ? sum + getSurgeAt(nearest, getSurgeStorm(track, track.length - 1)) : sum), 0);
+}
@@ -19,32 +19,33 @@ export function initTerrainSystem(imageUrl, worldData) {
         img.src = imageUrl;
         
         img.onload = () => {
-            mapWidth = img.width;
-            mapHeight = img.height;
+            const width = img.width;
+            const height = img.height;
             
             // --- A. 处理高程数据 ---
             const elevCanvas = document.createElement('canvas');
-            elevCanvas.width = mapWidth;
-            elevCanvas.height = mapHeight;
+            elevCanvas.width = width;
+            elevCanvas.height = height;
             const elevCtx = elevCanvas.getContext('2d');
             elevCtx.drawImage(img, 0, 0);
-            const rawData = elevCtx.getImageData(0, 0, mapWidth, mapHeight).data;
-            elevationData = new Uint8Array(mapWidth * mapHeight);
+            const rawData = elevCtx.getImageData(0, 0, width, height).data;
+            const elevation = new Uint8Array(width * height);
             for (let i = 0, j = 0; i < rawData.length; i += 4, j++) {
-                elevationData[j] = rawData[i]; // 只取 Red 通道
+                elevation[j] = rawData[i]; // 只取 Red 通道
             }
+            let landMask = null;
             // --- B. 生成陆地遮罩 (Land Mask) ---
             // 使用 D3 将矢量地图绘制到内存 Canvas 上
             if (worldData) {
                 const maskCanvas = document.createElement('canvas');
-                maskCanvas.width = mapWidth;
-                maskCanvas.height = mapHeight;
+                maskCanvas.width = width;
+                maskCanvas.height = height;
                 const maskCtx = maskCanvas.getContext('2d');
 
                 // 设置投影以匹配图片 (Equirectangular)
                 const projection = d3.geoEquirectangular()
-                    .scale(mapWidth / (2 * Math.PI))
-                    .translate([mapWidth / 2, mapHeight / 2]);
+                    .scale(width / (2 * Math.PI))
+                    .translate([width / 2, height / 2]);
 
                 const pathGenerator = d3.geoPath()
                     .projection(projection)
@@ -52,7 +53,7 @@ export function initTerrainSystem(imageUrl, worldData) {
 
                 // 绘制背景（海洋 = 黑色）
                 maskCtx.fillStyle = '#000000';
-                maskCtx.fillRect(0, 0, mapWidth, mapHeight);
+                maskCtx.fillRect(0, 0, width, height);
 
                 // 绘制陆地（陆地 = 白色）
                 maskCtx.fillStyle = '#FFFFFF';
@@ -61,14 +62,16 @@ export function initTerrainSystem(imageUrl, worldData) {
                 maskCtx.fill();
 
                 // 获取遮罩数据
-                const raw = maskCtx.getImageData(0, 0, mapWidth, mapHeight).data;
-                landMaskData = new Uint8Array(mapWidth * mapHeight);
+                const raw = maskCtx.getImageData(0, 0, width, height).data;
+                landMask = new Uint8Array(width * height);
 
                 for (let i = 0, j = 0; i < raw.length; i += 4, j++) {
-                    landMaskData[j] = raw[i];
+                    landMask[j] = raw[i];
                 }
             }
 
+            loadTerrainData({ width, height, elevation, landMask });
+
             console.log(`Terrain System Initialized. Size: ${mapWidth}x${mapHeight}`);
             resolve();
         };
@@ -77,6 +80,25 @@ export function initTerrainSystem(imageUrl, worldData) {
     });
 }
 
+/**
+ * [新增] 直接载入预处理好的地形数组 (无需 DOM / Canvas / D3)
+ * 供无界面模拟引擎 (Node / Worker) 使用，也是浏览器端 initTerrainSystem 的最终落点
+ * @param {{width:number, height:number, elevation:Uint8Array, landMask:Uint8Array}} data
+ *        elevation / landMask 均为 width*height 的单通道数组 (0-255)
+ */
+export function loadTerrainData({ width, height, elevation, landMask = null }) {
+    mapWidth = width;
+    mapHeight = height;
+    elevationData = elevation;
+    landMaskData = landMask;
+}
+
+// [新增] 导出当前已载入的地形数组，便于传给无界面引擎或缓存
+export function getTerrainData() {
+    if (!elevationData) return null;
+    return { width: mapWidth, height: mapHeight, elevation: elevationData, landMask: landMaskData };
+}
+
 // 内部辅助：经纬度转像素坐标
 function getPixelCoords(lon, lat) {
     // 经度归一化 [-180, 180] -> [0, 360]
@@ -0,0 +1,222 @@
+/**
+ * track-export.js
+ * 导出模拟路径：ATCF b-deck (含逐象限 34/50/64 kt 风圈、RMW 与 ROCI)、HURDAT2，
+ * 以及把 forecastLogs 中每个预报时次的 ENAI 与 CLP5 / DSF5 统计基准写成 ATCF a-deck，可直接交给标准的检验工具。
+ * 只负责格式化文本，不接触 DOM。
+ */
+import { normalizeLongitude, unwrapLongitude, windToPressure } from './utils.js';
+
+const STEP_HOURS = 3;
+const HOUR_MS = 3600 * 1000;
+const NM_TO_KM = 1.852;
+const KM_PER_DEG = 111.32; // 与风圈扫描 (cyclone-model.js) 的换算一致
+const RADII_THRESHOLDS = [34, 50, 64];
+const ADECK_TECH = 'ENAI';
+const ADECK_TECHNUM = '03'; // 客观预报
+const ADECK_TAU_STEP = 6;
+
+export const ATCF_BASIN_CODES = { WPAC: 'WP', EPAC: 'EP', NATL: 'AL', NIO: 'IO', SHEM: 'SH', SIO: 'SH', SATL: 'SL' };
+// ATCF subregion：W 西北太、E 东北太、L 大西洋、A 阿拉伯海、B 孟加拉湾、S 南印度洋、P 南太平洋、Q 南大西洋
+const SUBREGIONS = { WPAC: 'W', EPAC: 'E', NATL: 'L', SHEM: 'P', SIO: 'S', SATL: 'Q' };
+
+/**
+ * ATCF 气旋类型 (大西洋与东北太平洋 64 kt 以上为 HU，其余海域沿用 JTWC 的 TY/ST)
+ */
+export function getAtcfTypeCode(windKts, isExtratropical, isSubtropical, basin = 'WPAC') {
+    if (isSubtropical) {
+        if (windKts < 34) return 'SD';
+        return 'SS';
+    }
+    if (isExtratropical) return 'EX';
+    if (windKts >= 64 && (basin === 'NATL' || basin === 'EPAC')) return 'HU';
+    if (windKts >= 130) return 'ST';
+    if (windKts >= 64) return 'TY';
+    if (windKts >= 34) return 'TS';
+    if (windKts >= 24) return 'TD';
+    if (windKts > 0) return 'DB';
+    return 'LO';
+}
+
+// HURDAT2 的状态与大西洋 ATCF 类型一致 (64 kt 以上统一为 HU，不使用 TY/ST)
+function getHurdatStatus(windKts, isExtratropical, isSubtropical) {
+    return getAtcfTypeCode(windKts, isExtratropical, isSubtropical, 'NATL');
+}
+
+/**
+ * 路径第一个点的 UTC 时刻 (ms)
+ * @param {{startTime?:number, year?:number, month?:number, startHour?:number}} info
+ */
+export function getExportStartTime(info) {
+    if (Number.isFinite(info.startTime)) return info.startTime;
+    return Date.UTC(info.year, (info.month || 1) - 1, 1) + (info.startHour || 0) * HOUR_MS;
+}
+
+const pad = (value, width) => String(value).padStart(width, ' ');
+const two = (n) => String(n).padStart(2, '0');
+
+function formatDateHour(time) {
+    const d = new Date(time);
+    return `${d.getUTCFullYear()}${two(d.getUTCMonth() + 1)}${two(d.getUTCDate())}${two(d.getUTCHours())}`;
+}
+
+// ATCF 经纬度：十分之一度 + 半球 ("123N" / "1655W")
+function formatAtcfLat(lat) {
+    return `${Math.round(Math.abs(lat) * 10)}${lat < 0 ? 'S' : 'N'}`;
+}
+
+function formatAtcfLon(lon) {
+    const value = normalizeLongitude(lon);
+    return `${Math.round(Math.abs(value) * 10)}${value < 0 ? 'W' : 'E'}`;
+}
+
+const kmToNm = (km) => Math.round(km / NM_TO_KM);
+
+// 路径中的风圈为度，导出为海里；缺测的风圈视为 0
+export function getRadiiNm(point, threshold) {
+    const quadrants = point[7 + RADII_THRESHOLDS.indexOf(threshold)];
+    if (!Array.isArray(quadrants)) return [0, 0, 0, 0];
+    return quadrants.map(deg => kmToNm((deg || 0) * KM_PER_DEG));
+}
+
+// 路径点的中心气压 (hPa)
+export function getPointPressure(point, info) {
+    if (point[10] !== undefined && point[10] !== null) return Math.round(point[10]);
+    if (info.estimatePressure) return Math.round(info.estimatePressure(point));
+    return Math.round(windToPressure(point[2], point[5] || 300, info.basin));
+}
+
+// 相邻两点间的移向 (0 = 北) 与移速 (kt)
+function getMotion(from, to) {
+    const dLat = to[1] - from[1];
+    const dLon = (unwrapLongitude(to[0], from[0]) - from[0]) * Math.cos((from[1] + to[1]) / 2 * Math.PI / 180);
+    const distKm = Math.hypot(dLat, dLon) * KM_PER_DEG;
+    return {
+        direction: Math.round(((Math.atan2(dLon, dLat) * 180 / Math.PI) + 360) % 360),
+        speed: Math.round(distKm / NM_TO_KM / STEP_HOURS)
+    };
+}
+
+function getSubregion(basin, lon) {
+    if (basin === 'NIO') return normalizeLongitude(lon) < 78 ? 'A' : 'B';
+    return SUBREGIONS[basin] || '';
+}
+
+function getBasinCode(info) {
+    return ATCF_BASIN_CODES[info.basin] || 'WP';
+}
+
+/**
+ * ATCF b-deck：00/06/12/18 UTC 的每个路径点一行 34 kt 风圈，达到 50 / 64 kt 时各追加一行 (与 HURDAT2 相同，只写天气图时次)；
+ * 模拟不记录最外闭合等压线，POUTER 按 ATCF 惯例留空
+ * @param {Array[]} track - 气旋路径 (3 小时一个点)
+ * @param {Object} info
+ * @param {string} info.basin - 海域 id (WPAC 等)
+ * @param {number} info.number - 气旋编号
+ * @param {string} [info.name]
+ * @param {number} [info.startTime] - 第一个点的 UTC 时刻 (ms)，省略时由 year / month / startHour 推算
+ * @param {function} [info.estimatePressure] - 旧路径缺少中心气压时的估算 (point) => hPa
+ * @returns {string}
+ */
+export function formatAtcfBdeck(track, info) {
+    const basinCode = getBasinCode(info);
+    const number = two(info.number);
+    const name = (info.name || '').toUpperCase().slice(0, 10);
+    const start = getExportStartTime(info);
+    const lines = [];
+
+    track.forEach((point, index) => {
+        const time = start + index * STEP_HOURS * HOUR_MS;
+        if (new Date(time).getUTCHours() % 6 !== 0) return;
+        const vmax = Math.round(point[2]);
+        const type = getAtcfTypeCode(vmax, point[4], point[6], info.basin);
+        const motion = track.length < 2 ? { direction: 0, speed: 0 }
+            : index > 0 ? getMotion(track[index - 1], point) : getMotion(point, track[1]);
+        const roci = point[5] ? kmToNm(point[5] * 2) : 0; // ROCI = 2 × circulationSize
+        const rmw = point[11] ? kmToNm(point[11]) : 0;
+        const head = [
+            basinCode, number, formatDateHour(time), '  ', 'BEST', pad(0, 3),
+            pad(formatAtcfLat(point[1]), 4), pad(formatAtcfLon(point[0]), 5), pad(vmax, 3), pad(getPointPressure(point, info), 4), type
+        ];
+        // 未达到 34 kt 时仍写一行全零的 34 kt 风圈
+        RADII_THRESHOLDS.filter((threshold, i) => i === 0 || vmax >= threshold).forEach(threshold => {
+            lines.push([
+                ...head, pad(threshold, 3), 'NEQ', ...getRadiiNm(point, threshold).map(r => pad(r, 4)),
+                pad('', 4), pad(roci, 4), pad(rmw, 3), pad(0, 3), pad(0, 3), pad(getSubregion(info.basin, point[0]), 3), pad(0, 3), '   ',
+                pad(motion.direction, 3), pad(motion.speed, 3), pad(name, 10)
+            ].join(', ') + ',');
+        });
+    });
+    return lines.join('\n');
+}
+
+/**
+ * ATCF a-deck：forecastLogs 中每个预报时次的 ENAI 与统计基准各写一组 (tau 0 至预报时效，每 6 小时一行)；
+ * 集合成员不导出，只提供路径的基准 (CLP5) 按惯例强度写 0、类型写 XX
+ * @param {Object<string, {name:string, track:Array[]}[]>} forecastLogs - 以气旋年龄 (小时) 为键
+ * @param {Object} info - 同 formatAtcfBdeck
+ * @returns {string}
+ */
+export function formatAtcfAdeck(forecastLogs, info) {
+    const basinCode = getBasinCode(info);
+    const number = two(info.number);
+    const start = getExportStartTime(info);
+    const lines = [];
+
+    Object.keys(forecastLogs || {}).map(Number).sort((a, b) => a - b).forEach(age => {
+        const models = forecastLogs[age] || [];
+        const control = models.find(m => m.name === ADECK_TECH) || models.find(m => !m.member);
+        const initTime = formatDateHour(start + age * HOUR_MS);
+        [control, ...models.filter(m => m.baseline && m !== control)].forEach(model => {
+            if (!model || !model.track) return;
+            const tech = model === control ? ADECK_TECH : model.name;
+            model.track.forEach((point, index) => {
+                const tau = index * STEP_HOURS;
+                if (tau % ADECK_TAU_STEP !== 0) return;
+                const vmax = model.aid === 'track' ? 0 : Math.round(point[2]);
+                lines.push([
+                    basinCode, number, initTime, ADECK_TECHNUM, tech, pad(tau, 3),
+                    pad(formatAtcfLat(point[1]), 4), pad(formatAtcfLon(point[0]), 5), pad(vmax, 3), pad(0, 4),
+                    model.aid === 'track' ? 'XX' : getAtcfTypeCode(vmax, point[4], false, info.basin)
+                ].join(', ') + ',');
+            });
+        });
+    });
+    return lines.join('\n');
+}
+
+function formatHurdatLat(lat) {
+    return `${Math.abs(lat).toFixed(1)}${lat < 0 ? 'S' : 'N'}`;
+}
+
+function formatHurdatLon(lon) {
+    const value = normalizeLongitude(lon);
+    return `${Math.abs(value).toFixed(1)}${value < 0 ? 'W' : 'E'}`;
+}
+
+/**
+ * HURDAT2：每个气旋一行表头 + 00/06/12/18 UTC 的数据行 (12 个风圈半径与 RMW，单位海里)
+ * @param {{track:Array[], info:Object}[]} storms - info 同 formatAtcfBdeck
+ * @returns {string}
+ */
+export function formatHurdat2(storms) {
+    const blocks = storms.map(({ track, info }) => {
+        const start = getExportStartTime(info);
+        const rows = [];
+        track.forEach((point, index) => {
+            const time = start + index * STEP_HOURS * HOUR_MS;
+            const date = new Date(time);
+            if (date.getUTCHours() % 6 !== 0) return;
+            const vmax = Math.round(point[2]);
+            const radii = RADII_THRESHOLDS.flatMap(threshold => getRadiiNm(point, threshold));
+            rows.push([
+                formatDateHour(time).slice(0, 8), `${two(date.getUTCHours())}00`, ' ', pad(getHurdatStatus(vmax, point[4], point[6]), 2),
+                pad(formatHurdatLat(point[1]), 5), pad(formatHurdatLon(point[0]), 6), pad(vmax, 3), pad(getPointPressure(point, info), 4),
+                ...radii.map(r => pad(r, 4)), pad(point[11] ? kmToNm(point[11]) : -999, 4)
+            ].join(', ') + ',');
+        });
+        const id = `${getBasinCode(info)}${two(info.number)}${new Date(start).getUTCFullYear()}`;
+        const header = `${id}, ${pad((info.name || 'UNNAMED').toUpperCase(), 18)}, ${pad(rows.length, 6)},`;
+        return [header, ...rows].join('\n');
+    });
+    return blocks.join('\n');
+}
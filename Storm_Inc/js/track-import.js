@@ -0,0 +1,385 @@
+/**
+ * track-import.js
+ * 读取真实气旋路径：ATCF b-deck、HURDAT2 与 IBTrACS CSV，转换为内部 track 记录 (3 小时一个点)，
+ * 以便历史记录、最终路径图、强度图、JTWC 产品与新闻动画直接回放真实气旋。
+ * 只负责解析与转换，不接触 DOM。
+ */
+import { normalizeLongitude, unwrapLongitude, windToPressure } from './utils.js';
+import { computeHollandB, getTargetRmw } from './vortex-model.js';
+
+const STEP_HOURS = 3;
+const HOUR_MS = 3600 * 1000;
+const NM_TO_KM = 1.852;
+const KM_PER_DEG = 111.32; // 与风圈扫描 (cyclone-model.js) 的换算一致
+const DEFAULT_SIZE_KM = 300;
+// IBTrACS 中 WMO_WIND 为各机构原始平均时距，10 分钟平均风按 0.88 换算到 1 分钟平均风
+const TEN_MINUTE_AGENCIES = ['tokyo', 'reunion', 'bom', 'nadi', 'wellington'];
+const TEN_TO_ONE_MINUTE = 0.88;
+
+const ATCF_BASINS = { WP: 'WPAC', EP: 'EPAC', CP: 'EPAC', AL: 'NATL', IO: 'NIO', BB: 'NIO', AS: 'NIO', SL: 'SATL', SA: 'SATL' };
+const IBTRACS_BASINS = { WP: 'WPAC', EP: 'EPAC', NA: 'NATL', NI: 'NIO', SI: 'SIO', SP: 'SHEM', SA: 'SATL' };
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// 南半球 SH 按经度拆分为南印度洋 / 南太平洋 (与 basinConfig 的分界一致)
+function southernBasin(lon) {
+    return ((lon % 360) + 360) % 360 >= 140 ? 'SHEM' : 'SIO';
+}
+
+/**
+ * 判断文件格式
+ * @returns {'atcf'|'hurdat2'|'ibtracs'|null}
+ */
+export function detectTrackFormat(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return null;
+    if (/^\s*SID\s*,/.test(lines[0])) return 'ibtracs';
+    if (/^[A-Z]{2}\d{6}\s*,/.test(lines[0])) return 'hurdat2';
+    if (/^[A-Z]{2}\s*,\s*\d{1,2}\s*,\s*\d{10}\s*,/.test(lines[0])) return 'atcf';
+    return null;
+}
+
+// ATCF / HURDAT2 的经纬度 ("123N" 为十分之一度，"12.3N" 为度)
+function parseCoordinate(text, positive, negative) {
+    const match = /^(-?[\d.]+)\s*([A-Z])$/.exec(text.trim());
+    if (!match || (match[2] !== positive && match[2] !== negative)) return null;
+    let value = match[1].includes('.') ? parseFloat(match[1]) : parseInt(match[1], 10) / 10;
+    if (match[2] === negative) value = -value;
+    return Number.isFinite(value) ? value : null;
+}
+
+function readNumber(text) {
+    if (text === undefined || text === null) return null;
+    const trimmed = text.trim();
+    if (trimmed === '') return null;
+    const value = Number(trimmed);
+    return Number.isFinite(value) ? value : null;
+}
+
+// 风速、气压、半径等非负量 (HURDAT2 以 -999 / -99 表示缺测)
+function readMeasure(text) {
+    const value = readNumber(text);
+    return value !== null && value >= 0 ? value : null;
+}
+
+// 四象限风圈 (nm)，缺测时返回 null
+function readQuadrants(fields, start) {
+    const values = fields.slice(start, start + 4).map(readMeasure);
+    if (values.length < 4 || values.some(v => v === null)) return null;
+    return values;
+}
+
+/**
+ * ATCF b-deck：每个时次按风圈阈值 (RAD 34/50/64) 可能有多行，合并为一个定位点；
+ * 文件中可以串接多个气旋 (按 海域 + 编号 区分)
+ */
+function parseAtcf(text) {
+    const storms = new Map();
+    text.split(/\r?\n/).forEach(line => {
+        if (line.trim() === '') return;
+        const f = line.split(',').map(s => s.trim());
+        if (f.length < 9 || !/^\d{10}$/.test(f[2])) return;
+        const key = `${f[0]}${f[1].padStart(2, '0')}`;
+        const date = f[2];
+        const minutes = /^\d{1,2}$/.test(f[3]) && f[4] === 'BEST' ? parseInt(f[3], 10) : 0;
+        const time = Date.UTC(+date.slice(0, 4), +date.slice(4, 6) - 1, +date.slice(6, 8), +date.slice(8, 10), minutes);
+        const lat = parseCoordinate(f[6], 'N', 'S');
+        const lon = parseCoordinate(f[7], 'E', 'W');
+        const vmax = readMeasure(f[8]);
+        if (lat === null || lon === null || vmax === null) return;
+
+        if (!storms.has(key)) {
+            storms.set(key, { format: 'atcf', id: key, name: '', atcfBasin: f[0], fixes: new Map(), lines: [] });
+        }
+        const storm = storms.get(key);
+        storm.lines.push(line);
+        const name = (f[27] || '').toUpperCase();
+        if (name && !['INVEST', 'NONAME', 'UNNAMED'].includes(name)) storm.name = name;
+
+        let fix = storm.fixes.get(time);
+        if (!fix) {
+            fix = { time, lon, lat, vmax, mslp: readMeasure(f[9]) || null, type: (f[10] || '').toUpperCase(), radii: {}, roci: null, rmw: null };
+            storm.fixes.set(time, fix);
+        }
+        const threshold = readMeasure(f[11]);
+        const quadrants = readQuadrants(f, 13);
+        if ([34, 50, 64].includes(threshold) && quadrants && (f[12] === 'NEQ' || f[12] === '')) {
+            fix.radii[threshold] = quadrants;
+        } else if ([34, 50, 64].includes(threshold) && quadrants && f[12] === 'AAA') {
+            fix.radii[threshold] = [quadrants[0], quadrants[0], quadrants[0], quadrants[0]];
+        }
+        const roci = readMeasure(f[18]);
+        const rmw = readMeasure(f[19]);
+        if (roci) fix.roci = roci;
+        if (rmw) fix.rmw = rmw;
+    });
+
+    return [...storms.values()].map(storm => {
+        const fixes = [...storm.fixes.values()];
+        const basin = ATCF_BASINS[storm.atcfBasin] || (storm.atcfBasin === 'SH' ? southernBasin(fixes[0].lon) : 'WPAC');
+        return { format: 'atcf', id: storm.id, name: storm.name, basin, fixes, source: storm.lines.join('\n') };
+    });
+}
+
+/**
+ * HURDAT2：标题行 "AL092011, IRENE, 39," 后接对应数量的定位行
+ * 定位行：日期, 时间, 记录标识, 状态, 纬度, 经度, 最大风速, 最低气压, 34/50/64 kt 风圈 (NE,SE,SW,NW), [RMW]
+ */
+function parseHurdat2(text) {
+    const storms = [];
+    let current = null;
+    text.split(/\r?\n/).forEach(line => {
+        if (line.trim() === '') return;
+        const f = line.split(',').map(s => s.trim());
+        if (/^[A-Z]{2}\d{6}$/.test(f[0])) {
+            current = { format: 'hurdat2', id: f[0], name: (f[1] || '').toUpperCase(), basin: ATCF_BASINS[f[0].slice(0, 2)] || 'NATL', fixes: [], lines: [line] };
+            if (current.name === 'UNNAMED') current.name = '';
+            storms.push(current);
+            return;
+        }
+        if (!current || !/^\d{8}$/.test(f[0])) return;
+        current.lines.push(line);
+        const time = Date.UTC(+f[0].slice(0, 4), +f[0].slice(4, 6) - 1, +f[0].slice(6, 8), +f[1].slice(0, 2), +f[1].slice(2, 4) || 0);
+        const lat = parseCoordinate(f[4], 'N', 'S');
+        const lon = parseCoordinate(f[5], 'E', 'W');
+        const vmax = readMeasure(f[6]);
+        if (lat === null || lon === null || vmax === null) return;
+        const radii = {};
+        [34, 50, 64].forEach((threshold, i) => {
+            const quadrants = readQuadrants(f, 8 + i * 4);
+            if (quadrants) radii[threshold] = quadrants;
+        });
+        current.fixes.push({
+            time, lon, lat, vmax, mslp: readMeasure(f[7]), type: f[3].toUpperCase(),
+            radii, roci: null, rmw: readMeasure(f[20]), landfall: f[2] === 'L'
+        });
+    });
+    return storms.map(({ lines, ...storm }) => ({ ...storm, source: lines.join('\n') }));
+}
+
+// 简单 CSV 拆分 (支持双引号包裹的字段)
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') quoted = true;
+        else if (ch === ',') { fields.push(field); field = ''; }
+        else field += ch;
+    }
+    fields.push(field);
+    return fields.map(s => s.trim());
+}
+
+// IBTrACS 的 NATURE 字段 -> ATCF 风格的类型代码
+const IBTRACS_NATURE = { ET: 'EX', SS: 'SS', MX: 'MX', DS: 'DB' };
+
+/**
+ * IBTrACS v04 CSV：第一行为列名，第二行为单位；按 SID 分组
+ * 优先使用 USA_* 字段 (1 分钟平均风及风圈)，缺测时退回 WMO_WIND / WMO_PRES
+ */
+function parseIbtracs(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const header = splitCsvLine(lines[0]).map(h => h.toUpperCase());
+    const col = (name) => header.indexOf(name);
+    const c = {
+        sid: col('SID'), season: col('SEASON'), basin: col('BASIN'), name: col('NAME'), time: col('ISO_TIME'), nature: col('NATURE'),
+        lat: col('LAT'), lon: col('LON'), usaLat: col('USA_LAT'), usaLon: col('USA_LON'), atcfId: col('USA_ATCF_ID'),
+        wmoWind: col('WMO_WIND'), wmoPres: col('WMO_PRES'), wmoAgency: col('WMO_AGENCY'),
+        usaWind: col('USA_WIND'), usaPres: col('USA_PRES'), usaRoci: col('USA_ROCI'), usaRmw: col('USA_RMW'),
+        landfall: col('LANDFALL'), usaRecord: col('USA_RECORD')
+    };
+    if (c.sid < 0 || c.time < 0 || c.lat < 0 || c.lon < 0) throw new Error('IBTrACS: missing SID / ISO_TIME / LAT / LON columns');
+    const radiiCols = {};
+    [34, 50, 64].forEach(threshold => {
+        radiiCols[threshold] = ['NE', 'SE', 'SW', 'NW'].map(q => col(`USA_R${threshold}_${q}`));
+    });
+
+    const storms = new Map();
+    lines.slice(1).forEach(line => {
+        const f = splitCsvLine(line);
+        const match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})/.exec(f[c.time] || '');
+        if (!f[c.sid] || !match) return; // 单位行或残缺行
+        const lat = readNumber(f[c.usaLat]) ?? readNumber(f[c.lat]);
+        const lon = readNumber(f[c.usaLon]) ?? readNumber(f[c.lon]);
+        let vmax = c.usaWind >= 0 ? readMeasure(f[c.usaWind]) : null;
+        if (vmax === null && c.wmoWind >= 0) {
+            vmax = readMeasure(f[c.wmoWind]);
+            const agency = (f[c.wmoAgency] || '').toLowerCase();
+            if (vmax !== null && TEN_MINUTE_AGENCIES.includes(agency)) vmax = Math.round(vmax / TEN_TO_ONE_MINUTE);
+        }
+        if (lat === null || lon === null || vmax === null) return;
+
+        const sid = f[c.sid];
+        if (!storms.has(sid)) {
+            const name = (f[c.name] || '').toUpperCase();
+            const atcfId = c.atcfId >= 0 ? f[c.atcfId] : '';
+            storms.set(sid, {
+                format: 'ibtracs', id: atcfId || sid, name: name === 'NOT_NAMED' ? '' : name,
+                ibtracsBasin: (f[c.basin] || '').toUpperCase(), fixes: [], lines: [lines[0]]
+            });
+        }
+        const storm = storms.get(sid);
+        storm.lines.push(line);
+        const radii = {};
+        [34, 50, 64].forEach(threshold => {
+            const quadrants = radiiCols[threshold].map(i => (i >= 0 ? readMeasure(f[i]) : null));
+            if (quadrants.every(v => v !== null)) radii[threshold] = quadrants;
+        });
+        storm.fixes.push({
+            time: Date.UTC(+match[1], +match[2] - 1, +match[3], +match[4], +match[5]),
+            lon, lat, vmax,
+            mslp: (c.usaPres >= 0 ? readMeasure(f[c.usaPres]) : null) ?? (c.wmoPres >= 0 ? readMeasure(f[c.wmoPres]) : null),
+            type: IBTRACS_NATURE[(f[c.nature] || '').toUpperCase()] || '',
+            radii,
+            roci: c.usaRoci >= 0 ? readMeasure(f[c.usaRoci]) : null,
+            rmw: c.usaRmw >= 0 ? readMeasure(f[c.usaRmw]) : null,
+            landfall: c.usaRecord >= 0 && f[c.usaRecord] === 'L'
+        });
+    });
+
+    return [...storms.values()].map(storm => {
+        const basin = IBTRACS_BASINS[storm.ibtracsBasin] || (storm.fixes[0] && storm.fixes[0].lat < 0 ? southernBasin(storm.fixes[0].lon) : 'WPAC');
+        return { format: 'ibtracs', id: storm.id, name: storm.name, basin, fixes: storm.fixes, source: storm.lines.join('\n') };
+    });
+}
+
+/**
+ * 解析路径文件 (自动识别格式)
+ * @param {string} text
+ * @returns {{format:string, id:string, name:string, basin:string, fixes:Object[], source:string}[]}
+ *          fixes: [{time(ms), lon, lat, vmax(kt), mslp(hPa|null), type, radii:{34?,50?,64?: [NE,SE,SW,NW] nm}, roci(nm|null), rmw(nm|null)}]
+ * @throws {Error} 无法识别格式时
+ */
+export function parseTrackFile(text) {
+    const format = detectTrackFormat(text);
+    let storms;
+    if (format === 'atcf') storms = parseAtcf(text);
+    else if (format === 'hurdat2') storms = parseHurdat2(text);
+    else if (format === 'ibtracs') storms = parseIbtracs(text);
+    else throw new Error('Unrecognized track file (expected ATCF b-deck, HURDAT2 or IBTrACS CSV)');
+    return storms
+        .map(storm => ({ ...storm, fixes: storm.fixes.sort((a, b) => a.time - b.time) }))
+        .filter(storm => storm.fixes.length >= 2);
+}
+
+// 环流尺度 (km)：ROCI = 2 × circulationSize (见 vortex-model.js)，没有 ROCI 时以 34 kt 风圈平均半径估计
+function estimateCirculationSize(fix) {
+    if (fix.roci) return clamp(fix.roci * NM_TO_KM / 2, 100, 800);
+    const r34 = (fix.radii[34] || []).filter(r => r > 0);
+    if (r34.length > 0) return clamp(r34.reduce((a, b) => a + b, 0) / r34.length * NM_TO_KM, 100, 800);
+    return null;
+}
+
+const lerp = (a, b, f) => a + (b - a) * f;
+
+function lerpQuadrants(a, b, f) {
+    const qa = a || [0, 0, 0, 0];
+    const qb = b || [0, 0, 0, 0];
+    return qa.map((r, i) => Math.round(lerp(r, qb[i], f) * NM_TO_KM / KM_PER_DEG * 1000) / 1000);
+}
+
+// 以 0-360 计算两点间的方位 (0 = 北) 与移速 (kt)
+function getMotion(from, to) {
+    const hours = (to.time - from.time) / HOUR_MS;
+    const dLat = to.lat - from.lat;
+    const dLon = (unwrapLongitude(to.lon, from.lon) - from.lon) * Math.cos((from.lat + to.lat) / 2 * Math.PI / 180);
+    const distKm = Math.hypot(dLat, dLon) * KM_PER_DEG;
+    return {
+        direction: Math.round(((Math.atan2(dLon, dLat) * 180 / Math.PI) + 360) % 360),
+        speed: hours > 0 ? Math.round(distKm / NM_TO_KM / hours) : 0
+    };
+}
+
+/**
+ * 把解析出的真实气旋转换为历史记录中的气旋对象 (cycloneData)
+ * 定位点按 3 小时间隔线性内插 (含非天气时次的登陆点)，track 点格式与模拟器一致：
+ * [lon, lat, 强度, 转化中, 温带, 环流尺度, 副热带, 34/50/64 kt 风圈 (度，NE/SE/SW/NW), 中心气压, RMW (km), Holland B]
+ * @param {Object} storm - parseTrackFile() 返回的单个气旋
+ */
+export function buildImportedCyclone(storm) {
+    const fixes = storm.fixes;
+    const basin = storm.basin;
+    // 逐点展开经度，跨越日界线时内插不跳变
+    const lons = [];
+    fixes.forEach((fix, i) => lons.push(i === 0 ? fix.lon : unwrapLongitude(fix.lon, lons[i - 1])));
+    let lastSize = DEFAULT_SIZE_KM;
+    const sizes = fixes.map(fix => {
+        lastSize = estimateCirculationSize(fix) ?? lastSize;
+        return lastSize;
+    });
+
+    const start = fixes[0].time;
+    const end = fixes[fixes.length - 1].time;
+    const track = [];
+    let j = 0;
+    for (let t = start; t <= end; t += STEP_HOURS * HOUR_MS) {
+        while (j < fixes.length - 2 && fixes[j + 1].time <= t) j++;
+        const a = fixes[j];
+        const b = fixes[j + 1];
+        const f = b.time > a.time ? clamp((t - a.time) / (b.time - a.time), 0, 1) : 0;
+        const lat = Math.round(lerp(a.lat, b.lat, f) * 100) / 100;
+        const vmax = Math.round(lerp(a.vmax, b.vmax, f));
+        const size = Math.round(lerp(sizes[j], sizes[j + 1], f));
+        const type = f < 1 ? a.type : b.type;
+        const isExtratropical = type === 'EX';
+        const isSubtropical = type === 'SD' || type === 'SS';
+        const isTransitioning = type === 'MX';
+        const envPressure = windToPressure(0, size, basin);
+        const mslpA = a.mslp ?? windToPressure(a.vmax, sizes[j], basin);
+        const mslpB = b.mslp ?? windToPressure(b.vmax, sizes[j + 1], basin);
+        const pressure = Math.round(lerp(mslpA, mslpB, f));
+        const rmw = a.rmw && b.rmw
+            ? lerp(a.rmw, b.rmw, f) * NM_TO_KM
+            : getTargetRmw(vmax, lat, size, isExtratropical, isTransitioning);
+        track.push([
+            Math.round(normalizeLongitude(lerp(lons[j], lons[j + 1], f)) * 100) / 100, lat, vmax,
+            isTransitioning, isExtratropical, size, isSubtropical,
+            lerpQuadrants(a.radii[34], b.radii[34], f),
+            lerpQuadrants(a.radii[50], b.radii[50], f),
+            lerpQuadrants(a.radii[64], b.radii[64], f),
+            pressure,
+            Math.round(rmw * 10) / 10,
+            Math.round(computeHollandB(vmax, pressure, envPressure, lat) * 100) / 100
+        ]);
+    }
+
+    // ACE 按天气时次 (00/06/12/18Z) 的热带 / 副热带定位计算
+    const ace = fixes
+        .filter(fix => new Date(fix.time).getUTCHours() % 6 === 0 && new Date(fix.time).getUTCMinutes() === 0)
+        .filter(fix => fix.vmax >= 35 && !['EX', 'LO', 'WV', 'DB'].includes(fix.type))
+        .reduce((sum, fix) => sum + fix.vmax * fix.vmax / 10000, 0);
+
+    const last = track[track.length - 1];
+    const motion = getMotion(fixes[fixes.length - 2], fixes[fixes.length - 1]);
+    const startDate = new Date(start);
+    return {
+        name: storm.name,
+        basin,
+        track,
+        age: (track.length - 1) * STEP_HOURS,
+        ace,
+        status: 'dissipated',
+        stormId: 0,
+        currentMonth: startDate.getUTCMonth() + 1,
+        startTime: start,
+        lon: last[0],
+        lat: last[1],
+        intensity: last[2],
+        isTransitioning: last[3],
+        isExtratropical: last[4],
+        circulationSize: last[5],
+        isSubtropical: last[6],
+        rmw: last[11],
+        hollandB: last[12],
+        direction: motion.direction,
+        speed: motion.speed,
+        forecastLogs: {},
+        imported: { format: storm.format, id: storm.id, year: startDate.getUTCFullYear() }
+    };
+}
@@ -2,6 +2,9 @@
  * utils.js
  * 包含所有通用的、无状态的辅助函数。
  */
+import { getClimateState, getClimateSstAnomaly } from './climate-modes.js';
+import { getWakeAnomaly } from './ocean-wake.js';
+
 export const NAME_LISTS = {
     'WPAC': [
         'Damrey', 'Haikui', 'Kirogi', 'Yun-yeung', 'Koinu', 'Bolaven', 'Sanba', 'Jelawat', 'Ewiniar', 'Maliksi', 'Gaemi', 'Prapiroon', 'Maria', 'Son-Tinh',
@@ -149,10 +152,10 @@ export const unwrapLongitude = (lon, referenceLon) => {
     return lon;
 };
 
-export function calculateHollandPressure(r, Rm, Pc, Pn) {
+// [修改] B 参数由 vortex-model.js 按中心气压、纬度与强度计算，缺省 1.0
+export function calculateHollandPressure(r, Rm, Pc, Pn, B = 1.0) {
     if (r <= 5) return Pc; // 极靠近中心时直接返回中心气压
-    // 简化 Holland B 参数取 1.0
-    return Pc + (Pn - Pc) * Math.exp(-Rm / r);
+    return Pc + (Pn - Pc) * Math.exp(-Math.pow(Rm / r, B));
 }
 
 export function createGeoCircle(centerLon, centerLat, radiusKm, numPoints = 64) {
@@ -260,7 +263,11 @@ const OCEAN_CURRENTS = [
     { name: "Seq", lat: -10, lon: 100, max: 2.0, sLat: 5, sLon: 40 } // 南赤道暖流
 ];
 
-export function getSST(lat, lon, month, globalTempK = 289) { 
+/**
+ * @param {Object} [climate] - ENSO / IOD 气候态，默认取当前模拟设定 (见 climate-modes.js)
+ * 结果包含当前激活的气旋冷尾流距平 (见 ocean-wake.js)
+ */
+export function getSST(lat, lon, month, globalTempK = 289, climate = getClimateState()) { 
     const BASELINE_TEMP_K = 289.0;
     const tempAnomaly = globalTempK - BASELINE_TEMP_K;
     
@@ -289,6 +296,6 @@ export function getSST(lat, lon, month, globalTempK = 289) {
         currentAdjustment += maxEffect * influence;
     });
 
-    baseSST += currentAdjustment;
+    baseSST += currentAdjustment + getClimateSstAnomaly(lat, lon, climate) + getWakeAnomaly(lat, lon);
     return Math.max(0, Math.min(60, baseSST));
 }
\ No newline at end of file
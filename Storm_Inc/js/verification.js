@@ -0,0 +1,216 @@
+/**
+ * verification.js
+ * 预报检验：把 cyclone.forecastLogs 中每个预报时次与实际路径 (cyclone.track) 对照，
+ * 按预报时效统计大圆路径误差、沿路径 / 横向误差与强度偏差、平均绝对误差，并可汇总多个气旋。
+ * 历史气旋的 ENAI 路径误差按海域取 67% 分位数，作为预报扇面半径与风速概率的误差分布 (与 NHC 的做法一致)。
+ * 只做统计，不接触 DOM。
+ */
+import { calculateDistance, unwrapLongitude } from './utils.js';
+
+export const VERIFY_LEAD_HOURS = [12, 24, 36, 48, 60, 72, 96, 120, 144, 168];
+const BASE_LEAD_HOURS = 72; // 汇总表总是列出 72 h 以内的时效，更长的时效有样本时才列出
+const STEP_HOURS = 3;
+const KM_PER_DEG = 111.32;
+const NM_TO_KM = 1.852;
+
+// [新增] 扇面半径：尚无历史气旋时的默认值 (海里，对应 VERIFY_LEAD_HOURS，取近年 NHC / JTWC 的 67% 路径误差量级；
+// 120 h 以后按误差随时效的增长外推)。北印度洋与南半球取 JTWC 同海域的误差量级，
+// 南大西洋缺少业务检验样本，取略大于北大西洋的值；未列出的海域按 WPAC 处理
+const DEFAULT_CONE_RADII_NM = {
+    NATL: [26, 39, 53, 67, 84, 97, 127, 175, 225, 275],
+    EPAC: [25, 38, 49, 59, 68, 79, 105, 131, 160, 190],
+    WPAC: [30, 45, 60, 75, 90, 105, 140, 180, 225, 270],
+    NIO: [32, 50, 68, 86, 104, 122, 160, 205, 250, 300],
+    SHEM: [32, 48, 65, 82, 100, 118, 155, 200, 245, 295],
+    SIO: [32, 50, 67, 85, 103, 121, 160, 205, 250, 300],
+    SATL: [35, 55, 75, 95, 115, 135, 180, 230, 285, 340]
+};
+const INITIAL_CONE_RADIUS_KM = 0.25 * KM_PER_DEG; // 0 h 的初始位置误差
+const CONE_PERCENTILE = 0.67;
+const MIN_CALIBRATION_SAMPLES = 10; // 某时效样本少于此数时沿用默认值
+const CONE_MODEL = 'ENAI';
+// 二维圆正态分布下，67% 的样本落在 1.489σ 以内：r67 = σ·sqrt(-2·ln(1 - 0.67))
+export const CONE_SIGMA_RATIO = Math.sqrt(-2 * Math.log(1 - CONE_PERCENTILE));
+
+let coneCalibration = {}; // 海域 -> { radiiKm, counts }，由 calibrateConeRadii 重算
+
+// 在 from 处的局地平面上，to 相对 from 的位移 (km，x 向东、y 向北)
+function localOffsetKm(from, to) {
+    const cosLat = Math.cos(((from[1] + to[1]) / 2) * Math.PI / 180);
+    return {
+        x: (unwrapLongitude(to[0], from[0]) - from[0]) * cosLat * KM_PER_DEG,
+        y: (to[1] - from[1]) * KM_PER_DEG
+    };
+}
+
+// 实际路径在 index 处的移动方向 (单位向量)，取前后各一个点的中央差分；静止时返回 null
+function getObservedHeading(track, index) {
+    const before = track[Math.max(0, index - 1)];
+    const after = track[Math.min(track.length - 1, index + 1)];
+    const d = localOffsetKm(before, after);
+    const len = Math.hypot(d.x, d.y);
+    return len > 1e-6 ? { x: d.x / len, y: d.y / len } : null;
+}
+
+// 检验只在预报起报与验证时刻都不是温带气旋时进行 (与业务检验惯例一致)
+const isVerifiable = (point) => point && !point[4];
+
+/**
+ * 单个气旋的检验样本：每个预报时次 × 每个模式 × 每个预报时效一条
+ * 集合成员与集合平均 (EMN) 不单独检验 (只检验 ENAI 与统计基准)；只提供路径的基准不计强度，只提供强度的基准不计路径
+ * @param {{track:Array[], forecastLogs?:Object}} cyclone
+ * @returns {{model:string, init:number, lead:number, trackKm:number|null, alongKm:number|null, crossKm:number|null, intensityError:number|null}[]}
+ *          alongKm > 0 为预报偏快 (超前)，crossKm > 0 为预报偏在实际路径右侧
+ */
+export function verifyStorm(cyclone) {
+    const track = (cyclone && cyclone.track) || [];
+    const samples = [];
+    Object.keys((cyclone && cyclone.forecastLogs) || {}).map(Number).sort((a, b) => a - b).forEach(init => {
+        if (!isVerifiable(track[init / STEP_HOURS])) return;
+        (cyclone.forecastLogs[init] || []).forEach(model => {
+            if (model.member || model.ensembleMean || !model.track) return;
+            VERIFY_LEAD_HOURS.forEach(lead => {
+                const forecast = model.track[lead / STEP_HOURS];
+                const obsIndex = (init + lead) / STEP_HOURS;
+                const observed = track[obsIndex];
+                if (!forecast || !isVerifiable(observed)) return;
+
+                const sample = { model: model.name, init, lead, trackKm: null, alongKm: null, crossKm: null, intensityError: null };
+                if (model.aid !== 'intensity') {
+                    sample.trackKm = calculateDistance(forecast[1], forecast[0], observed[1], observed[0]);
+                    const heading = getObservedHeading(track, obsIndex);
+                    if (heading) {
+                        const e = localOffsetKm(observed, forecast);
+                        sample.alongKm = e.x * heading.x + e.y * heading.y;
+                        sample.crossKm = e.x * heading.y - e.y * heading.x;
+                    }
+                }
+                if (model.aid !== 'track') sample.intensityError = forecast[2] - observed[2];
+                samples.push(sample);
+            });
+        });
+    });
+    return samples;
+}
+
+const mean = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+/**
+ * 按模式与时效汇总检验样本 (可来自多个气旋)
+ * @returns {{models:string[], leads:number[], stats:Object<string, Object<number, {
+ *     count:number, trackKm:number|null, alongKm:number|null, crossKm:number|null,
+ *     intensityBias:number|null, intensityMae:number|null}>>}}
+ */
+export function summarizeVerification(samples) {
+    const models = [];
+    const stats = {};
+    samples.forEach(s => {
+        if (!stats[s.model]) {
+            models.push(s.model);
+            stats[s.model] = {};
+        }
+        const cell = stats[s.model][s.lead] || (stats[s.model][s.lead] = { track: [], along: [], cross: [], intensity: [] });
+        if (s.trackKm !== null) cell.track.push(s.trackKm);
+        if (s.alongKm !== null) cell.along.push(s.alongKm);
+        if (s.crossKm !== null) cell.cross.push(s.crossKm);
+        if (s.intensityError !== null) cell.intensity.push(s.intensityError);
+    });
+    Object.values(stats).forEach(byLead => {
+        Object.keys(byLead).forEach(lead => {
+            const cell = byLead[lead];
+            byLead[lead] = {
+                count: Math.max(cell.track.length, cell.intensity.length),
+                trackKm: mean(cell.track),
+                alongKm: mean(cell.along),
+                crossKm: mean(cell.cross),
+                intensityBias: mean(cell.intensity),
+                intensityMae: mean(cell.intensity.map(Math.abs))
+            };
+        });
+    });
+    const maxLead = samples.reduce((max, s) => Math.max(max, s.lead), BASE_LEAD_HOURS);
+    return { models, leads: VERIFY_LEAD_HOURS.filter(lead => lead <= maxLead), stats };
+}
+
+/**
+ * 相对统计基准的技巧 (%)：(1 - 模式误差 / 基准误差) × 100，样本不足时为 null
+ * @param {Object} summary - summarizeVerification() 的返回值
+ * @param {string} model
+ * @param {string} baseline - 如 CLP5 (路径) / DSF5 (强度)
+ * @param {'trackKm'|'intensityMae'} field
+ * @returns {Object<number, number|null>} 按时效
+ */
+export function getSkill(summary, model, baseline, field) {
+    const result = {};
+    summary.leads.forEach(lead => {
+        const a = summary.stats[model] && summary.stats[model][lead];
+        const b = summary.stats[baseline] && summary.stats[baseline][lead];
+        result[lead] = a && b && a[field] !== null && b[field] ? (1 - a[field] / b[field]) * 100 : null;
+    });
+    return result;
+}
+
+// 已排序数组的分位数 (线性插值)
+function quantileSorted(sorted, p) {
+    const pos = (sorted.length - 1) * p;
+    const lo = Math.floor(pos);
+    const hi = Math.min(sorted.length - 1, lo + 1);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function getDefaultConeRadiiKm(basin) {
+    return (DEFAULT_CONE_RADII_NM[basin] || DEFAULT_CONE_RADII_NM.WPAC).map(nm => nm * NM_TO_KM);
+}
+
+/**
+ * [新增] 按海域重算扇面半径：各时效 ENAI 路径误差的 67% 分位数，样本不足的时效沿用默认值
+ * 历史记录增加 / 删除 / 导入后调用
+ * @param {{basin?:string, track:Array[], forecastLogs?:Object}[]} storms
+ * @returns {Object<string, {radiiKm:number[], counts:number[]}>}
+ */
+export function calibrateConeRadii(storms) {
+    const errors = {};
+    (storms || []).forEach(storm => {
+        const basin = storm.basin || 'WPAC';
+        verifyStorm(storm).forEach(s => {
+            if (s.model !== CONE_MODEL || s.trackKm === null) return;
+            const byLead = errors[basin] || (errors[basin] = {});
+            (byLead[s.lead] || (byLead[s.lead] = [])).push(s.trackKm);
+        });
+    });
+    coneCalibration = {};
+    Object.keys(errors).forEach(basin => {
+        const defaults = getDefaultConeRadiiKm(basin);
+        const counts = VERIFY_LEAD_HOURS.map(lead => (errors[basin][lead] || []).length);
+        const radiiKm = VERIFY_LEAD_HOURS.map((lead, i) => counts[i] >= MIN_CALIBRATION_SAMPLES
+            ? quantileSorted(errors[basin][lead].sort((a, b) => a - b), CONE_PERCENTILE)
+            : defaults[i]);
+        // 误差应随时效增大；样本噪声造成的回落取前一时效的值
+        for (let i = 1; i < radiiKm.length; i++) radiiKm[i] = Math.max(radiiKm[i], radiiKm[i - 1]);
+        coneCalibration[basin] = { radiiKm, counts };
+    });
+    return coneCalibration;
+}
+
+/**
+ * 某海域当前使用的扇面半径 (km，按 VERIFY_LEAD_HOURS) 及其来源
+ * @returns {{radiiKm:number[], counts:number[], calibrated:boolean}}
+ */
+export function getConeCalibration(basin) {
+    const entry = coneCalibration[basin];
+    if (entry) return { ...entry, calibrated: entry.counts.some(n => n >= MIN_CALIBRATION_SAMPLES) };
+    return { radiiKm: getDefaultConeRadiiKm(basin), counts: VERIFY_LEAD_HOURS.map(() => 0), calibrated: false };
+}
+
+/**
+ * 任意预报时效的 67% 路径误差半径 (km)：0 h 为初始位置误差，时效之间线性内插，168 h 以后按最后一段外推
+ */
+export function getConeRadiusKm(basin, hour) {
+    const { radiiKm } = getConeCalibration(basin);
+    const leads = [0, ...VERIFY_LEAD_HOURS];
+    const radii = [INITIAL_CONE_RADIUS_KM, ...radiiKm];
+    let i = 1;
+    while (i < leads.length - 1 && hour > leads[i]) i++;
+    const f = (hour - leads[i - 1]) / (leads[i] - leads[i - 1]);
+    return Math.max(INITIAL_CONE_RADIUS_KM, radii[i - 1] + (radii[i] - radii[i - 1]) * f);
+}
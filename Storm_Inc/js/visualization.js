@@ -2,206 +2,24 @@
  * visualization.js
  * 包含所有 D3.js 绘图函数。
  */
-import { getCategory, getPressureAt, windToPressure, directionToCompass, createGeoCircle, unwrapLongitude, calculateHollandPressure, getSST, calculateDistance } from './utils.js';
+import { getCategory, getPressureAt, windToPressure, directionToCompass, createGeoCircle, unwrapLongitude, getSST, calculateDistance } from './utils.js';
 import { getWindVectorAt } from './cyclone-model.js';
-import { generatePathForecasts } from './forecast-models.js';
-import { getElevationAt, getLandStatus } from './terrain-data.js';
-
-// [新增] 简单的伪随机噪声函数 (用于模拟大尺度湿度波动)
-function pseudoNoise(x, y) {
-    const n = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453;
-    return n - Math.floor(n);
-}
-
-// [新增] 更加平滑的噪声 (双线性插值)
-export function smoothNoise(x, y) {
-    const i = Math.floor(x);
-    const j = Math.floor(y);
-    const u = x - i;
-    const v = y - j;
-    
-    // 平滑插值公式
-    const smooth = t => t * t * (3 - 2 * t);
-    const uSm = smooth(u);
-    const vSm = smooth(v);
-
-    const n00 = pseudoNoise(i, j);
-    const n10 = pseudoNoise(i + 1, j);
-    const n01 = pseudoNoise(i, j + 1);
-    const n11 = pseudoNoise(i + 1, j + 1);
-
-    const x1 = n00 + (n10 - n00) * uSm;
-    const x2 = n01 + (n11 - n01) * uSm;
-    
-    return x1 + (x2 - x1) * vSm;
-}
-
-// [新增/核心] 计算某一点的背景湿度 (不含气旋核心水汽)
-// 这就是你以后用于物理计算“干空气入侵”的接口
-export function calculateBackgroundHumidity(lon, lat, pressureSystems, currentMonth, cyclone = null, globalTemp = 289) {
-    const bgTemp = globalTemp;
-    // 1. 基础反比逻辑：气压越低，湿度越高
-    const p = getPressureAt(lon, lat, pressureSystems);
-    let hum = 83 + (1010 - p) * 1.3 + 3 * (bgTemp - 289);
-
-    // 2. 柏林噪声叠加 (大尺度水汽输送)
-    const timeFactor = (cyclone && cyclone.age) ? cyclone.age * 0.02 : 0;
-    const scale = 0.06; 
-    const noise = smoothNoise(lon * scale + timeFactor, lat * scale);
-    hum += (noise - 0.5) * 35;
-
-    // 3. 纬度修正 (赤道湿，两极干)
-    const latRad = lat * Math.PI / 180;
-    hum *= (0.6 + 0.4 * Math.cos(latRad));
-
-    const isNorth = lat > 0;
-    let baseDryLat = isNorth ? 46 : -46;
-    const systemsList = Array.isArray(pressureSystems) ? pressureSystems : (pressureSystems?.lower || []);
-    if (systemsList.length > 0) {
-        const subpolarLow = systemsList.find(s => 
-            s.baseSigmaX > 200 && 
-            s.strength < -15 &&   
-            (isNorth ? s.y > 30 : s.y < -30)
-        );
-
-        if (subpolarLow) {
-            const offset = isNorth ? 5 : -8;
-            baseDryLat = subpolarLow.y + offset;
-        }
-    }
-
-    // B. [新增] 计算罗斯贝波 (Rossby Wave) 偏移
-    // 引入经度(lon)作为变量，使急流产生弯曲
-    
-    // 波数：环绕地球一圈有几个波 (通常 3-6 个)
-    const waveNumber = 5.0;
-    const phaseSpeed = (cyclone ? cyclone.age : 0) * 0.02;
-    
-    // 振幅：波动的南北幅度 (度)
-    const waveAmplitude = 6.0; 
-
-    // 计算正弦波偏移
-    const rossbyOffset = Math.sin((lon * Math.PI / 180) * waveNumber + phaseSpeed) * waveAmplitude;
-
-    // C. [新增] 叠加急流噪声 (Jet Stream Turbulence)
-    // 让线条不那么平滑，增加随机扰动
-    // timeFactor 已经在函数前面定义了
-    const jetNoise = (smoothNoise(lon * 0.08, timeFactor) - 0.5) * 8.0;
-
-    // D. 合成最终的目标干燥纬度
-    // Target = 基础位置 + 长波摆动 + 短波噪声
-    const targetDryLat = baseDryLat + rossbyOffset + jetNoise;
-
-    // E. 应用高斯分布扣减
-    // 在 targetDryLat 附近形成干燥区
-    const dryBandWidth = 200; // 影响宽度 (sigma^2)
-    const westerliesDryFactor = Math.exp(-Math.pow(lat - targetDryLat, 2) / dryBandWidth);
-    hum -= westerliesDryFactor * 100;
-
-    // 4. 地形与焚风效应 (Foehn Effect)
-    const elevation = getElevationAt(lon, lat);
-    
-    if (elevation > 0) {
-        hum -= (elevation / 200) * 15;
-    }
-
-    // B. 焚风效应 (升级版：逆风回溯拖尾)
-    if (cyclone) {
-        const vec = getWindVectorAt(lon, lat, currentMonth, cyclone, pressureSystems);
-        const len = Math.sqrt(vec.u * vec.u + vec.v * vec.v);
-        // 只有风速足够大才产生显著拖尾 (>10kt)
-        let windWeight = (len - 15.0) / (30.0 - 15.0);
-        windWeight = Math.max(0, Math.min(1, windWeight)); // Clamp 到 0~1
-
-        // 只有当有权重时才计算，节省性能
-        if (windWeight > 0.01) {
-            const dirU = vec.u / len;
-            const dirV = vec.v / len;
-
-            // --- 配置参数 ---
-            const traceSteps = 30;      // 回溯步数 (步数越多拖尾越精细，但性能开销大)
-            const stepSize = 0.1;      // 每步步长 (度)，0.1度 ≈ 10km
-            const decayFactor = 0.2;   // 距离衰减系数 (越小拖尾越长)
-            
-            let maxDryImpact = 0;      // 记录路径上最大的干燥影响
-
-            // 开始回溯循环
-            for (let i = 1; i <= traceSteps; i++) {
-                // 当前回溯距离
-                const dist = i * stepSize;
-                
-                // 计算上风点坐标
-                const upLon = lon - (dirU * dist);
-                const upLat = lat - (dirV * dist);
-                
-                // 获取上风点海拔
-                const upElevation = getElevationAt(upLon, upLat);
-                const elevationDiff = upElevation - elevation;
-
-                // 只有当上风处比当前处高出一定阈值 (500m) 才视为阻挡
-                if (elevationDiff > 30) {
-                    // 1. 基础强度：落差越大，越干
-                    let impact = elevationDiff / 30;
-                    
-                    // 2. 风速加成：风越大，焚风穿透力越强
-                    // 限制最大加成倍数，防止数值爆炸
-                    const windFactor = (vec.magnitude - 22);
-                    impact *= windFactor;
-
-                    // 3. [关键] 距离衰减：距离越远，影响越小
-                    // 使用指数衰减公式：Impact * e^(-dist * decay)
-                    // 当 dist=0.4时 衰减很少，当 dist=2.0时 衰减很多
-                    impact *= Math.exp(-dist * decayFactor);
-
-                    // 保留路径上发现的最强阻挡效果
-                    if (impact > maxDryImpact) {
-                        maxDryImpact = impact;
-                    }
-                }
-            }
-
-            // [安全钳制] 焚风最强让湿度下降 80%
-            maxDryImpact = Math.min(maxDryImpact, 80);
-            hum -= maxDryImpact;
-        }
-    }
-
-    // 钳制背景湿度 (0% - 100%)
-    return Math.max(5, Math.min(100, hum));
-}
-
-export function calculateTotalHumidity(lon, lat, pressureSystems, cyclone, globalTemp) {
-    const currentMonth = (cyclone && cyclone.currentMonth) ? cyclone.currentMonth : 8;
-    
-    // 1. 获取基础背景湿度
-    let hum = calculateBackgroundHumidity(lon, lat, pressureSystems, currentMonth, cyclone, globalTemp);
-
-    // 2. 叠加气旋水汽 (核心 CDO + 螺旋雨带)
-    // 逻辑复用自之前的 drawHumidityField
-    if (cyclone && cyclone.status === 'active') {
-        const dx = lon - cyclone.lon;
-        const dy = lat - cyclone.lat;
-        const dist = Math.sqrt(dx*dx + dy*dy);
-        
-        // A. 气旋核心强制加湿 (CDO)
-        // 核心范围约为 环流大小 * 0.01 (度)
-        if (dist < cyclone.circulationSize * 0.01) { 
-            const stormHumBoost = 50 * (1 - dist/(cyclone.circulationSize * 0.01)); 
-            hum += Math.max(0, stormHumBoost);
-        }
-
-        // B. 螺旋雨带 (简单的正弦波模拟)
-        if (dist < cyclone.circulationSize * 0.02) {
-            const angle = Math.atan2(dy, dx);
-            const age = cyclone.age || 0;
-            // 简单的螺旋纹理
-            const spiral = Math.sin(angle * 3 + dist * 2 - age * 0.1);
-            if (spiral > 0.5) hum += 10;
-        }
-    }
-
-    // 钳制在 0-99 之间
-    return Math.max(10, Math.min(99, hum));
+import { getVortexParameters, getVortexPressure } from './vortex-model.js';
+import { getWakeCells } from './ocean-wake.js';
+import { getWindSwathGrid, SWATH_THRESHOLDS } from './wind-swath.js';
+import { getForecastTransitionStep, getEnsembleMean } from './forecast-models.js';
+import { getConeRadiusKm, CONE_SIGMA_RATIO } from './verification.js';
+import { getLandStatus } from './terrain-data.js';
+import { smoothNoise, calculateBackgroundHumidity, calculateTotalHumidity } from './atmosphere.js';
+import { getWaveAxes } from './rossby-waves.js';
+
+// 湿度场计算已迁移至 atmosphere.js，此处继续导出以兼容原有引用
+export { smoothNoise, calculateBackgroundHumidity, calculateTotalHumidity };
+
+// [新增] 路径第一个点的时刻 (ms)：导入的真实气旋带 startTime，模拟气旋假定从当月 1 日 00Z 开始
+function getTrackStartTime(cyclone, fallbackMonth = 8) {
+    if (cyclone && cyclone.startTime !== undefined) return cyclone.startTime;
+    return Date.UTC(new Date().getFullYear(), ((cyclone && cyclone.currentMonth) || fallbackMonth) - 1, 1);
 }
 
 // [修改] 绘制 850hPa 湿度场 (现在调用分离的逻辑)
@@ -261,7 +79,7 @@ function drawWindRadii(container, pathGenerator, cyclone, pressureSystems, isPau
     const STEP_KM = 15;         // 射线步长
     const MAX_SEARCH_KM = 900;
     const SMOOTH_FACTOR = 0.5;
-    const RMW_KM = 5 + cyclone.circulationSize * 0.125;
+    const RMW_KM = getVortexParameters(cyclone).rmw; // [修改] 与风场共用的最大风速半径
     if (!cyclone.radiiState) {
         cyclone.radiiState = {};
     }
@@ -373,76 +191,11 @@ let landCanvas = null;      // 陆地检测用的离屏 Canvas
 let landCtx = null;
 let windCanvasLayer = null; // 风场显示的 Canvas DOM 元素
 let windCtx = null;         // 风场显示的绘图上下文
-let landGrid = null;
-let landGridWidth = 0;
-let landGridHeight = 0;
-
-function initLandGrid(world) {
-    if (!world) return;
-    
-    // 网格精度：每度 8 个点 (0.125度精度)，足够风场使用了
-    const resolution = 8; 
-    landGridWidth = 360 * resolution;
-    landGridHeight = 180 * resolution;
-    
-    // 创建离屏 Canvas 来通过绘图快速生成网格
-    const canvas = document.createElement('canvas');
-    canvas.width = landGridWidth;
-    canvas.height = landGridHeight;
-    const ctx = canvas.getContext('2d', { willReadFrequently: true });
-    
-    // 使用等距圆柱投影将世界地图铺满 Canvas
-    // x: -180~180 => 0~width
-    // y: 90~-90   => 0~height
-    const projection = d3.geoEquirectangular()
-        .fitSize([landGridWidth, landGridHeight], world);
-    const path = d3.geoPath().projection(projection).context(ctx);
-    
-    // 绘制陆地 (红色)
-    ctx.fillStyle = '#FF0000';
-    ctx.beginPath();
-    path(world);
-    ctx.fill();
-    
-    // 获取像素数据并保存为轻量级数组
-    const imgData = ctx.getImageData(0, 0, landGridWidth, landGridHeight).data;
-    landGrid = new Uint8Array(landGridWidth * landGridHeight);
-    
-    for (let i = 0; i < landGrid.length; i++) {
-        // 如果像素有红色分量，标记为陆地 (1)
-        // imgData 是 r,g,b,a 排列，红色是 index*4
-        if (imgData[i * 4] > 100) {
-            landGrid[i] = 1;
-        }
-    }
-    
-    console.log("Land grid initialized for high-performance wind rendering.");
-}
-
-// 辅助：快速查询某经纬度是否在陆地上
-function checkLandFast(lon, lat) {
-    if (!landGrid) return false;
-    
-    // 经纬度映射到网格索引
-    // lon: -180 ~ 180 -> 0 ~ 360
-    // lat: 90 ~ -90   -> 0 ~ 180 (注意 Canvas y轴向下)
-    let x = Math.floor((lon + 180) * (landGridWidth / 360));
-    let y = Math.floor((90 - lat) * (landGridHeight / 180));
-    
-    // 边界保护
-    x = Math.max(0, Math.min(x, landGridWidth - 1));
-    y = Math.max(0, Math.min(y, landGridHeight - 1));
-    
-    return landGrid[y * landGridWidth + x] === 1;
-}
 
 export function drawWindField(mapSvg, mapProjection, cyclone, pressureSystems, world) {
     const currentMonth = cyclone.currentMonth || 6;
     const { width, height } = mapSvg.node().getBoundingClientRect();
     const dpr = window.devicePixelRatio || 1;
-    if (!landGrid && world) {
-        initLandGrid(world);
-    }
     // --- 1. Canvas 初始化 (保持不变) ---
     if (!windCanvasLayer) {
         const container = mapSvg.node().parentNode;
@@ -583,20 +336,25 @@ function getUnwrappedPath(track) {
     });
 }
 
+// [新增] 扇面截断与时效标签的关键帧 (步长 3 小时：8 = 24h ... 56 = 168h)
+const CONE_KEYFRAME_STEPS = [8, 16, 24, 32, 40, 48, 56];
+
 /**
- * 彻底重构的预报扇面渲染引擎 - 离散几何切片架构
- * 解决了日界线拉伸、路径交叉、末端畸变及渲染中断等所有核心问题
+ * [新增] 预报扇面几何 (绘图与 GIS 导出共用)
+ * [修改] 各时效的半径取该海域历史气旋 ENAI 路径误差的 67% 分位数 (verification.js)；
+ *        有集合成员时以集合平均为中心，半径与成员离散度 (2/3 分位数) 取大者
+ * @param {string} [basin='WPAC']
+ * @returns {{limit:number, steps:Object[], segments:Object[], centerLine:number[][]}|null}
+ *          steps: 每个时次的中心 / 左右边界 (center/left/right 已规范到 -180~180，raw* 为连续展开的经度) 与半径 (度)
  */
-export function drawForecastCone(container, mapProjection, pathForecasts) {
-    if (!pathForecasts || pathForecasts.length === 0 || !pathForecasts[0].track || pathForecasts[0].track.length < 2) return;
+export function buildForecastCone(pathForecasts, basin = 'WPAC') {
+    // [修改] 集合预报只用集合平均 (实时预报由成员计算，预报存档中直接存有)
+    const ensemble = getEnsembleMean(pathForecasts);
+    pathForecasts = ensemble ? [ensemble] : (pathForecasts || []).filter(f => !f.baseline); // [新增] 统计基准 (CLP5 / DSF5) 不参与扇面
+    if (!pathForecasts || pathForecasts.length === 0 || !pathForecasts[0].track || pathForecasts[0].track.length < 2) return null;
 
     const forecastSteps = pathForecasts[0].track.length;
-    const geoPath = d3.geoPath().projection(mapProjection);
-    
-    // 清理
-    container.selectAll(".forecast-cone-container").remove();
-    container.selectAll(".forecast-center-line").remove(); 
-
+    const coneSteps = [];
     const coneSegments = []; 
     const meanTrackCoordinates = []; // 用于构建 GeoJSON LineString
     let lastStepData = null;
@@ -611,7 +369,7 @@ export function drawForecastCone(container, mapProjection, pathForecasts) {
     // 1. 找到该死的"实际消散点" (即强度 <= 15KT 的第一刻)
     let rawDeathIndex = forecastSteps;
     for (let i = 0; i < forecastSteps; i++) {
-        const pointsAtStep = pathForecasts.map(f => f.track[i]);
+        const pointsAtStep = pathForecasts.map(f => f.track[i]).filter(Boolean); // [修改] 温带气旋消散后路径提前结束
         const avgInt = d3.mean(pointsAtStep, p => p[2]);
         if (avgInt <= 15) {
             rawDeathIndex = i;
@@ -620,9 +378,8 @@ export function drawForecastCone(container, mapProjection, pathForecasts) {
     }
 
     // 2. 将消散点"向下取整"到最近的标签关键帧
-    // 关键帧定义：8(24h), 16(48h), 24(72h), 32(96h), 40(120h)
-    // 步长为3小时，所以 8步=24小时
-    const keyframes = [8, 16, 24];
+    // 关键帧定义：8(24h), 16(48h), 24(72h) ... 56(168h)，步长为3小时，所以 8步=24小时
+    const keyframes = CONE_KEYFRAME_STEPS;
     let quantizedLimit = 8; // 兜底：最少显示 24h (即索引8)
 
     // 遍历关键帧，找到能覆盖的最大关键帧
@@ -668,10 +425,13 @@ export function drawForecastCone(container, mapProjection, pathForecasts) {
         // 收集中心线点 (使用规范化坐标)
         meanTrackCoordinates.push([avgLonNorm, avgLat]);
 
-        // 2. 动态半径 (使用解包后的坐标计算距离，避免日界线处距离突变)
-        const stdDev = d3.deviation(unwrappedPoints, p => Math.hypot(p[0] - avgLonUnwrapped, p[1] - avgLat)) || 0;
-        const radiusDeg = (0.25 + i * 0.14) + (stdDev * 0.6);
+        // 2. [修改] 半径：该时效的 67% 历史路径误差 (无历史时为海域默认值)
         const cosL = Math.cos(avgLat * Math.PI / 180);
+        let radiusDeg = getConeRadiusKm(basin, i * 3) / 111.32;
+        if (ensemble) {
+            // [新增] 集合预报：成员到集合平均距离的 2/3 分位数，离散度大于历史误差时扇面随之放大
+            radiusDeg = Math.max(radiusDeg, ensemble.spreadDeg[i] || 0);
+        }
 
         // 切线方向
         let angle = 0;
@@ -709,12 +469,16 @@ export function drawForecastCone(container, mapProjection, pathForecasts) {
         };
 
         const currentStep = {
+            index: i,
             rawCenter: [avgLonUnwrapped, avgLat], // 存一下未解包的用于下一次角度计算
+            rawLeft: [leftLon, leftLat],
+            rawRight: [rightLon, rightLat],
             center: [avgLonNorm, avgLat],
             left: [normalize(leftLon), leftLat],
             right: [normalize(rightLon), rightLat],
             radiusDeg: radiusDeg
         };
+        coneSteps.push(currentStep);
 
         if (lastStepData) {
             // 检测跨越：如果左右边界跨度过大，可能需要切割 (D3 GeoJSON 会自动处理大部分)
@@ -733,6 +497,25 @@ export function drawForecastCone(container, mapProjection, pathForecasts) {
 
         lastStepData = currentStep;
     }
+    return { limit: quantizedLimit, steps: coneSteps, segments: coneSegments, centerLine: meanTrackCoordinates };
+}
+
+/**
+ * 彻底重构的预报扇面渲染引擎 - 离散几何切片架构
+ * 解决了日界线拉伸、路径交叉、末端畸变及渲染中断等所有核心问题
+ */
+export function drawForecastCone(container, mapProjection, pathForecasts, aids = [], basin = 'WPAC') {
+    const cone = buildForecastCone(pathForecasts, basin);
+    if (!cone) return;
+    const { limit: quantizedLimit, segments: coneSegments, centerLine: meanTrackCoordinates } = cone;
+    const geoPath = d3.geoPath().projection(mapProjection);
+    
+    // 清理
+    container.selectAll(".forecast-cone-container").remove();
+    container.selectAll(".forecast-center-line").remove(); 
+    container.selectAll(".forecast-ensemble").remove();
+    container.selectAll(".forecast-baseline").remove();
+    container.selectAll(".forecast-et-marker").remove();
 
     // --- 第二阶段：绘制锥体 ---
     let svg = d3.select(container.node().nearestViewportElement);
@@ -753,6 +536,21 @@ export function drawForecastCone(container, mapProjection, pathForecasts) {
         .style("stroke", "none")
         .style("pointer-events", "none");
 
+    // [新增] 集合成员路径 (spaghetti)，截断到与扇面相同的时效；中心线即集合平均
+    const members = pathForecasts.filter(f => f.member);
+    if (members.length > 0) {
+        container.append("g")
+            .attr("class", "forecast-ensemble")
+            .style("pointer-events", "none")
+            .selectAll("path")
+            .data(members)
+            .enter().append("path")
+            .attr("d", m => geoPath({ type: "LineString", coordinates: m.track.slice(0, quantizedLimit + 1).map(p => [p[0], p[1]]) }))
+            .style("fill", "none")
+            .style("stroke", "rgba(200, 220, 255, 0.35)")
+            .style("stroke-width", 0.8);
+    }
+
     // --- 第三阶段：绘制中心线 ---
     // 由于循环严格控制在 quantizedLimit，这里的 centerLinePoints 也是完美的
     if (meanTrackCoordinates.length > 1) {
@@ -776,7 +574,7 @@ export function drawForecastCone(container, mapProjection, pathForecasts) {
 
     // --- 第四阶段：绘制标签 ---
     // 只绘制处于 quantizedLimit 之内的标签
-    const labelsToDraw = [8, 16, 24]; 
+    const labelsToDraw = CONE_KEYFRAME_STEPS; 
     labelsToDraw.forEach(idx => {
         // [核心修改] 如果这个标签索引超过了我们的完美截断点，直接不画
         // 这样线停在哪里，最后一个标签就在哪里
@@ -801,6 +599,70 @@ export function drawForecastCone(container, mapProjection, pathForecasts) {
             }
         }
     });
+
+    // --- [新增] 预报的温带变性点 (ENAI 路径上第一个温带气旋点)，在扇面时效之内才标注 ---
+    const etStep = getForecastTransitionStep(pathForecasts[0]);
+    const etPoint = etStep !== null && etStep <= quantizedLimit ? pathForecasts[0].track[etStep] : null;
+    const etProj = etPoint ? mapProjection([etPoint[0], etPoint[1]]) : null;
+    if (etProj) {
+        const [x, y] = etProj;
+        const group = container.append("g").attr("class", "forecast-et-marker").style("pointer-events", "none");
+        group.append("circle")
+            .attr("cx", x).attr("cy", y).attr("r", 5)
+            .attr("fill", "rgba(0, 0, 0, 0.4)").attr("stroke", "#ce93d8").attr("stroke-width", 1.5);
+        group.append("path")
+            .attr("d", `M${x - 3},${y - 3}L${x + 3},${y + 3}M${x + 3},${y - 3}L${x - 3},${y + 3}`)
+            .attr("stroke", "#ce93d8").attr("stroke-width", 1.5);
+        group.append("text")
+            .attr("x", x + 8).attr("y", y + 4)
+            .style("font-size", "10px")
+            .style("font-family", "Monospace")
+            .style("font-weight", "bold")
+            .style("fill", "#ce93d8")
+            .style("text-shadow", "0 1px 2px black")
+            .text(`ET +${etStep * 3}h`);
+    }
+
+    // --- 第五阶段：[新增] 选中的统计基准 (CLP5 为橙色虚线路径，DSF5 在每 12 小时的位置标注强度) ---
+    pathForecasts.filter(f => f.baseline && aids.includes(f.name)).forEach(aid => {
+        const group = container.append("g").attr("class", "forecast-baseline").style("pointer-events", "none");
+        const last = aid.track[aid.track.length - 1];
+        if (aid.aid === 'track') {
+            group.append("path")
+                .attr("d", geoPath({ type: "LineString", coordinates: aid.track.map(p => [p[0], p[1]]) }))
+                .style("fill", "none")
+                .style("stroke", "#ffb74d")
+                .style("stroke-width", 1.5)
+                .style("stroke-dasharray", "6, 4");
+        } else {
+            aid.track.forEach((p, i) => {
+                if (i === 0 || (i * 3) % 12 !== 0) return;
+                const proj = mapProjection([p[0], p[1]]);
+                if (!proj) return;
+                group.append("circle")
+                    .attr("cx", proj[0]).attr("cy", proj[1]).attr("r", 3.5)
+                    .attr("fill", getCategory(p[2]).color).attr("stroke", "black").attr("stroke-width", 0.5);
+                group.append("text")
+                    .attr("x", proj[0] + 6).attr("y", proj[1] + 10)
+                    .style("font-size", "9px")
+                    .style("font-family", "Monospace")
+                    .style("fill", "#ffe0b2")
+                    .style("text-shadow", "0 1px 2px black")
+                    .text(Math.round(p[2]));
+            });
+        }
+        const end = mapProjection([last[0], last[1]]);
+        if (end) {
+            group.append("text")
+                .attr("x", end[0] + 6).attr("y", end[1] - (aid.aid === 'track' ? 4 : -22))
+                .style("font-size", "10px")
+                .style("font-family", "Monospace")
+                .style("font-weight", "bold")
+                .style("fill", "#ffb74d")
+                .style("text-shadow", "0 1px 2px black")
+                .text(aid.name);
+        }
+    });
 }
 
 function drawPressureField(container, mapProjection, pressureSystemsObj) {
@@ -834,6 +696,137 @@ function drawPressureField(container, mapProjection, pressureSystemsObj) {
         .attr("d", pathGenerator);
 }
 
+// [新增] 海洋冷尾流：每个格点一个矩形，颜色随降温幅度加深
+function drawOceanWake(container, pathGenerator, oceanWake) {
+    const color = d3.scaleSequential(d3.interpolateBlues).domain([0, 4]);
+    const cells = getWakeCells(oceanWake);
+    container.selectAll("path")
+        .data(cells)
+        .enter().append("path")
+        .attr("d", c => pathGenerator({
+            type: "Polygon",
+            coordinates: [[
+                [c.lon, c.lat], [c.lon, c.lat + c.cellDeg], [c.lon + c.cellDeg, c.lat + c.cellDeg],
+                [c.lon + c.cellDeg, c.lat], [c.lon, c.lat]
+            ]]
+        }))
+        .attr("fill", c => color(-c.value))
+        .attr("fill-opacity", c => Math.min(0.75, 0.2 + -c.value * 0.15))
+        .attr("stroke", "none")
+        .append("title")
+        .text(c => `SST ${c.value.toFixed(1)}°C`);
+}
+
+// [新增] 累积雨量分级 (mm) 与配色，地图图层与 STORM TOTAL RAIN 产品共用
+const RAINFALL_THRESHOLDS = [10, 25, 50, 75, 100, 150, 200, 300, 400, 600];
+const RAINFALL_COLORS = ["#b3e5fc", "#4fc3f7", "#1e88e5", "#43a047", "#9ccc65", "#fdd835", "#fb8c00", "#e53935", "#ab47bc", "#6a1b9a"];
+const rainfallColor = d3.scaleThreshold()
+    .domain(RAINFALL_THRESHOLDS.slice(1))
+    .range(RAINFALL_COLORS);
+
+const rainCellPolygon = c => ({
+    type: "Polygon",
+    coordinates: [[
+        [c.lon, c.lat], [c.lon, c.lat + c.cellDeg], [c.lon + c.cellDeg, c.lat + c.cellDeg],
+        [c.lon + c.cellDeg, c.lat], [c.lon, c.lat]
+    ]]
+});
+
+// [新增] 累积雨量图层：每个格点一个矩形
+function drawRainfall(container, pathGenerator, cells) {
+    container.selectAll("path")
+        .data(cells)
+        .enter().append("path")
+        .attr("d", c => pathGenerator(rainCellPolygon(c)))
+        .attr("fill", c => rainfallColor(c.value))
+        .attr("fill-opacity", 0.6)
+        .attr("stroke", "none")
+        .append("title")
+        .text(c => `RAIN ${Math.round(c.value)} mm`);
+}
+
+// [新增] 最大风速包络：格点按 34/50/64 kt 分级填色，再叠加等值线
+// 配色与风圈图例一致 (34 黄 / 50 橙 / 64 红)
+const WIND_SWATH_COLORS = ["#f1c40f", "#e67e22", "#c0392b"];
+
+function drawWindSwath(container, pathGenerator, cells) {
+    const color = d3.scaleThreshold()
+        .domain(SWATH_THRESHOLDS.slice(1))
+        .range(WIND_SWATH_COLORS);
+    container.append("g").selectAll("path")
+        .data(cells)
+        .enter().append("path")
+        .attr("d", c => pathGenerator(rainCellPolygon(c)))
+        .attr("fill", c => color(c.kt))
+        .attr("fill-opacity", 0.35)
+        .attr("stroke", "none")
+        .append("title")
+        .text(c => `MAX WIND ${c.kt} kt / GUST ${c.gust} kt`);
+
+    // 等值线在规则网格上计算，再把网格坐标换回经纬度；只画线，不依赖环的方向
+    const grid = getWindSwathGrid(cells);
+    if (!grid || grid.nx < 2 || grid.ny < 2) return;
+    const toLonLat = ([x, y]) => [grid.lon0 + x * grid.cellDeg, grid.lat0 + y * grid.cellDeg];
+    const contours = d3.contours()
+        .size([grid.nx, grid.ny])
+        .thresholds(SWATH_THRESHOLDS)(grid.values);
+    container.append("g").style("pointer-events", "none").selectAll("path")
+        .data(contours)
+        .enter().append("path")
+        .attr("d", contour => pathGenerator({
+            type: "MultiLineString",
+            coordinates: contour.coordinates.flat().map(ring => ring.map(toLonLat))
+        }))
+        .attr("fill", "none")
+        .attr("stroke", (contour, i) => WIND_SWATH_COLORS[i])
+        .attr("stroke-width", 1.5);
+}
+
+// [新增] 风暴潮色带：每个岸线点画一个小圆，颜色按增水分级 (<1 / 1-2 / 2-3 / 3-5 / >5 m)
+function drawSurgeBand(container, pathGenerator, band) {
+    const color = d3.scaleThreshold()
+        .domain([1, 2, 3, 5])
+        .range(["#38bdf8", "#facc15", "#f97316", "#dc2626", "#c026d3"]);
+    container.selectAll("path")
+        .data([...band].sort((a, b) => a.value - b.value)) // 高值画在最上层
+        .enter().append("path")
+        .attr("d", p => pathGenerator({ type: "Polygon", coordinates: [createGeoCircle(p.lon, p.lat, 30, 12).coordinates] }))
+        .attr("fill", p => color(p.value))
+        .attr("fill-opacity", 0.85)
+        .attr("stroke", "rgba(0,0,0,0.4)")
+        .attr("stroke-width", 0.5)
+        .append("title")
+        .text(p => `SURGE ${p.value.toFixed(1)} m`);
+}
+
+// [新增] 高层槽脊轴线：槽为橙色虚线，脊为蓝色点线，在赤道侧一端标注
+function drawWaveAxes(container, projection, pathGenerator, waves) {
+    const axes = getWaveAxes(waves);
+    if (axes.length === 0) return;
+    const group = container.append("g").attr("class", "wave-axes").style("pointer-events", "none");
+    axes.forEach(axis => {
+        const isTrough = axis.type === 'trough';
+        group.append("path")
+            .datum({ type: "LineString", coordinates: axis.points })
+            .attr("d", pathGenerator)
+            .style("fill", "none")
+            .style("stroke", isTrough ? "#f59e0b" : "#38bdf8")
+            .style("stroke-width", isTrough ? 2 : 1.5)
+            .style("stroke-dasharray", isTrough ? "8,4" : "2,4")
+            .style("opacity", 0.8);
+
+        const end = axis.hemisphere > 0 ? axis.points[0] : axis.points[axis.points.length - 1];
+        const proj = projection(end);
+        if (!proj) return;
+        group.append("text")
+            .attr("x", proj[0]).attr("y", proj[1] + (axis.hemisphere > 0 ? 12 : -6))
+            .attr("text-anchor", "middle")
+            .style("fill", isTrough ? "#f59e0b" : "#38bdf8").style("font-size", "9px").style("font-weight", "bold")
+            .style("stroke", "black").style("stroke-width", "2px").style("paint-order", "stroke")
+            .text(isTrough ? 'TROUGH' : 'RIDGE');
+    });
+}
+
 export function drawMap(mapSvg, mapProjection, world, cyclone, options = {}) {
     if (!world || !mapSvg) return;
 
@@ -854,18 +847,36 @@ export function drawMap(mapSvg, mapProjection, world, cyclone, options = {}) {
         siteHistory = [],
         onSiteClick = null,
         isPaused = false,
-        month = 8
+        month = 8,
+        otherCyclones = [],      // [新增] 同时存在的其他气旋 (多气旋模式)
+        onCycloneSelect = null,  // [新增] 点击其他气旋图标时切换关注对象
+        ghostTracks = [],        // [新增] 回溯分支前的原始路径 (虚线显示)
+        oceanWake = null,        // [新增] 海洋冷尾流格点场 (ocean-wake.js)
+        showOceanWake = false,
+        surgeBand = null,        // [新增] 岸线峰值增水点 (storm-surge.js getSurgeBand)
+        showSurge = false,
+        rainCells = null,        // [新增] 累积雨量格点 (rainfall.js getRainCells)
+        showRainfall = false,
+        windSwathCells = null,   // [新增] 最大风速包络格点 (wind-swath.js getWindSwathCells)
+        showWindSwath = false,
+        forecastAids = []        // [新增] 与 ENAI 一同显示的统计基准 (forecast-models.js BASELINE_AIDS)
     } = options;
 
     // 2. 初始化图层结构 (逻辑保持不变，但结构更清晰)
     const layerNames = [
         "layer-static",       // 背景：经纬网、陆地
+        "layer-ocean-wake",   // [新增] 海洋冷尾流 (海温负距平)
+        "layer-rainfall",     // [新增] 累积雨量
+        "layer-wind-swath",   // [新增] 最大风速包络
+        "layer-surge",        // [新增] 岸线风暴潮色带
         "layer-humidity",     // 等湿度线
         "layer-pressure",     // 等压线
         "layer-forecast",     // 预测路径/锥
+        "layer-ghost",        // [新增] 分支前的原始路径 (幽灵路径)
         "layer-track-lines",  // 历史路径线
         "layer-track-points", // 历史路径点
         "layer-wind-radii",   // 风圈
+        "layer-companions",   // [新增] 其他气旋的路径与图标
         "layer-cyclone",      // 当前气旋图标
         "layer-pressure-handles",   // 压力系统控制手柄层
         "track-interaction-layer",
@@ -934,10 +945,39 @@ export function drawMap(mapSvg, mapProjection, world, cyclone, options = {}) {
         }
     }
 
+    // [新增] 海洋冷尾流：气旋结束后仍保留，直到海温恢复
+    const oceanWakeLayer = mapSvg.select(".layer-ocean-wake");
+    oceanWakeLayer.selectAll("*").remove();
+    if (showOceanWake && oceanWake) {
+        drawOceanWake(oceanWakeLayer, pathGenerator, oceanWake);
+    }
+
+    // [新增] 累积雨量 (运行结束后同样可以显示)
+    const rainfallLayer = mapSvg.select(".layer-rainfall");
+    rainfallLayer.selectAll("*").remove();
+    if (showRainfall && rainCells && rainCells.length > 0) {
+        drawRainfall(rainfallLayer, pathGenerator, rainCells);
+    }
+
+    // [新增] 最大风速包络与 34/50/64 kt 等值线
+    const windSwathLayer = mapSvg.select(".layer-wind-swath");
+    windSwathLayer.selectAll("*").remove();
+    if (showWindSwath && windSwathCells && windSwathCells.length > 0) {
+        drawWindSwath(windSwathLayer, pathGenerator, windSwathCells);
+    }
+
+    // [新增] 岸线风暴潮色带 (本次模拟各岸线点的峰值增水)
+    const surgeLayer = mapSvg.select(".layer-surge");
+    surgeLayer.selectAll("*").remove();
+    if (showSurge && surgeBand && surgeBand.length > 0) {
+        drawSurgeBand(surgeLayer, pathGenerator, surgeBand);
+    }
+
     // 5. 气压场 (Pressure)和湿度场 (Humidity)
     pressureLayer.selectAll("*").remove(); 
     if (showPressureField && cyclone && cyclone.status === 'active') {
         drawPressureField(pressureLayer, mapProjection, pressureSystems);
+        drawWaveAxes(pressureLayer, mapProjection, pathGenerator, pressureSystems.waves);
     }
 
     humidityLayer.selectAll("*").remove();
@@ -954,10 +994,17 @@ export function drawMap(mapSvg, mapProjection, world, cyclone, options = {}) {
     // 7. 预测路径 (Forecast)
     forecastLayer.selectAll("*").remove();
     if (showPathForecast && pathForecasts && pathForecasts.length > 0) {
-        drawForecastCone(forecastLayer, mapProjection, pathForecasts);
+        drawForecastCone(forecastLayer, mapProjection, pathForecasts, forecastAids, cyclone.basin);
         const colors = d3.scaleOrdinal(d3.schemeCategory10);
     }
 
+    // 7b. [新增] 幽灵路径：回溯前的原始走向，作为分支的对照
+    const ghostLayer = mapSvg.select(".layer-ghost");
+    ghostLayer.selectAll("*").remove();
+    if (ghostTracks && ghostTracks.length > 0) {
+        drawGhostTracks(ghostLayer, mapProjection, pathGenerator, ghostTracks);
+    }
+
     // 8. 历史路径 (Track) - 增量更新模式
     if (cyclone && cyclone.track && cyclone.track.length > 1) {
         // 数据解包
@@ -1060,6 +1107,13 @@ export function drawMap(mapSvg, mapProjection, world, cyclone, options = {}) {
         cycloneLayer.selectAll("*").remove();
     }
 
+    // 9b. [新增] 其他同时存在的气旋
+    const companionLayer = mapSvg.select(".layer-companions");
+    companionLayer.selectAll("*").remove();
+    if (otherCyclones && otherCyclones.length > 0) {
+        drawCompanionCyclones(companionLayer, mapProjection, pathGenerator, otherCyclones, onCycloneSelect);
+    }
+
     pressureHandlesLayer.selectAll("*").remove(); 
     
     const activeSystemsList = Array.isArray(pressureSystems) ? pressureSystems : (pressureSystems.upper || []);
@@ -1069,7 +1123,7 @@ export function drawMap(mapSvg, mapProjection, world, cyclone, options = {}) {
         const significantSystems = activeSystemsList.filter(s => Math.abs(s.strength) > 5);
         
         // 第3个参数传过滤后的列表，第4个参数传完整的 pressureSystems 对象(用于同步拖动)
-        drawInteractivePressureSystems(pressureHandlesLayer, mapProjection, significantSystems, pressureSystems, cyclone, options.onSystemRemove);
+        drawInteractivePressureSystems(pressureHandlesLayer, mapProjection, significantSystems, pressureSystems, cyclone, options.onSystemRemove, options.onForecastPreview);
     }
 
     // 10. UI 层
@@ -1079,6 +1133,67 @@ export function drawMap(mapSvg, mapProjection, world, cyclone, options = {}) {
     }
 }
 
+// [新增] 辅助函数：绘制其他气旋 (细线路径 + 图标 + 名称)，点击图标切换关注对象
+function drawCompanionCyclones(container, projection, pathGenerator, cyclones, onSelect) {
+    cyclones.forEach(c => {
+        const track = getUnwrappedPath(c.track);
+        for (let i = 0; i < track.length - 1; i++) {
+            const p = track[i + 1];
+            container.append("path")
+                .datum({ type: "LineString", coordinates: [track[i].slice(0, 2), p.slice(0, 2)] })
+                .attr("d", pathGenerator)
+                .style("fill", "none")
+                .style("stroke", getCategory(p[2], p[3], p[4], p[6]).color)
+                .style("stroke-width", 1.5)
+                .style("opacity", 0.7);
+        }
+
+        if (c.status !== 'active') return;
+        const proj = projection([c.lon, c.lat]);
+        if (!proj) return;
+        container.append("circle")
+            .attr("cx", proj[0]).attr("cy", proj[1]).attr("r", 5.5)
+            .attr("fill", getCategory(c.intensity, c.isTransitioning, c.isExtratropical, c.isSubtropical).color)
+            .attr("stroke", "white").attr("stroke-width", 1)
+            .style("cursor", onSelect ? "pointer" : "default")
+            .style("pointer-events", "all")
+            .on("click", (e) => { e.stopPropagation(); if (onSelect) onSelect(c.stormId); });
+
+        container.append("text")
+            .attr("x", proj[0] + 9).attr("y", proj[1] + 4)
+            .style("fill", "white").style("font-size", "10px").style("font-weight", "bold")
+            .style("stroke", "black").style("stroke-width", "2px").style("paint-order", "stroke")
+            .style("pointer-events", "none")
+            .text(c.name ? c.name.toUpperCase() : 'TD');
+    });
+}
+
+// [新增] 辅助函数：绘制幽灵路径 (灰色虚线 + 终点名称)
+function drawGhostTracks(container, projection, pathGenerator, ghostTracks) {
+    ghostTracks.forEach(ghost => {
+        if (!ghost.track || ghost.track.length < 2) return;
+        const track = getUnwrappedPath(ghost.track);
+        container.append("path")
+            .datum({ type: "LineString", coordinates: track.map(p => p.slice(0, 2)) })
+            .attr("d", pathGenerator)
+            .style("fill", "none")
+            .style("stroke", "#94a3b8")
+            .style("stroke-width", 1.5)
+            .style("stroke-dasharray", "4,3")
+            .style("opacity", 0.6)
+            .style("pointer-events", "none");
+
+        const end = projection(track[track.length - 1].slice(0, 2));
+        if (!end) return;
+        container.append("text")
+            .attr("x", end[0] + 6).attr("y", end[1] - 4)
+            .style("fill", "#94a3b8").style("font-size", "9px")
+            .style("stroke", "black").style("stroke-width", "2px").style("paint-order", "stroke")
+            .style("pointer-events", "none")
+            .text(ghost.label || 'ORIGINAL');
+    });
+}
+
 // 辅助函数：绘制站点标记 (精简版 - 移除旧图表逻辑)
 function drawSiteMarker(container, projection, name, lon, lat, data, history, onClick) {
     const proj = projection([lon, lat]);
@@ -1152,7 +1267,7 @@ function drawSiteMarker(container, projection, name, lon, lat, data, history, on
     // [已删除] 旧的折线图绘制逻辑 (drawSiteChart 调用)
 }
 
-export function drawFinalPath(mapSvg, mapProjection, cyclone, world, tooltip, siteName, siteLon, siteLat, showPathPoints = false, finalStats = null, basin = 'WPAC', pressureSystems = [], showWindField = false, month = 8, siteHistory = [], siteData = null, onSiteClick = null) {
+export function drawFinalPath(mapSvg, mapProjection, cyclone, world, tooltip, siteName, siteLon, siteLat, showPathPoints = false, finalStats = null, basin = 'WPAC', pressureSystems = [], showWindField = false, month = 8, siteHistory = [], siteData = null, onSiteClick = null, overlays = {}) {
     // 1. 基础安全检查
     if (!cyclone || !cyclone.track || cyclone.track.length < 2) return;
     
@@ -1217,7 +1332,8 @@ export function drawFinalPath(mapSvg, mapProjection, cyclone, world, tooltip, si
     month,
     siteHistory,
     siteData,
-    onSiteClick
+    onSiteClick,
+    ...overlays // [新增] 运行结束后仍可显示的图层 (冷尾流、雨量、风速包络、风暴潮)
     });
 
     // 6. 更新信息显示
@@ -1391,7 +1507,7 @@ export function drawFinalPath(mapSvg, mapProjection, cyclone, world, tooltip, si
 
                     // 绘制预测锥 (使用现有的 drawForecastCone 函数)
                     if (typeof drawForecastCone === 'function') {
-                        drawForecastCone(forecastLayer, mapProjection, historicalForecast);
+                        drawForecastCone(forecastLayer, mapProjection, historicalForecast, overlays.forecastAids, cyclone.basin || basin);
                     }
 
                     // 绘制预测中心线
@@ -1400,7 +1516,7 @@ export function drawFinalPath(mapSvg, mapProjection, cyclone, world, tooltip, si
                     
                     historicalForecast.forEach((forecast, i) => {
                         const forecastGeoJSON = { type: "LineString", coordinates: forecast.track };
-                        drawForecastCone(forecastLayer, mapProjection, cyclone.pathForecasts);
+                        // [修改] 不再在循环中按当前预报重绘扇面，否则会覆盖所选时刻的历史预报与统计基准
                         // 可选：添加模型名称标签
                         if (forecast.track.length > 0) {
                              const lastPoint = forecast.track[forecast.track.length - 1];
@@ -1434,7 +1550,10 @@ export function drawFinalPath(mapSvg, mapProjection, cyclone, world, tooltip, si
         });
 }
 
-export function drawHistoricalIntensityChart(chartContainer, cycloneTrack, tooltip, mode = 'kt', basin = 'WPAC') {
+/**
+ * @param {{forecastLogs?:Object, aids?:string[]}} [forecast] - [新增] 悬停时叠加该时刻发布的 ENAI 与选中统计基准 (DSF5) 的强度预报
+ */
+export function drawHistoricalIntensityChart(chartContainer, cycloneTrack, tooltip, mode = 'kt', basin = 'WPAC', forecast = {}) {
     chartContainer.selectAll("*").remove();
     if (!cycloneTrack || cycloneTrack.length < 2) return;
 
@@ -1516,6 +1635,30 @@ export function drawHistoricalIntensityChart(chartContainer, cycloneTrack, toolt
     const extLineGen = d3.line().x(d => x(d.hour)).y(d => y(d.val)).defined(d => d.isE);
     chartSvg.append("path").datum(intensityData).attr("fill", "none").attr("stroke", "#d500f9").attr("stroke-width", 2).attr("d", extLineGen);
 
+    // [新增] 悬停时刻 (向下取整到 6 小时) 发布的强度预报，与实际强度对照；只提供路径的基准 (CLP5) 不画
+    const { forecastLogs = null, aids = [] } = forecast;
+    const forecastColors = { ENAI: "cyan", DSF5: "#ffb74d" };
+    const forecastGroup = chartSvg.append("g").attr("class", "chart-forecasts").style("pointer-events", "none");
+    const drawIssuedForecasts = (hour) => {
+        forecastGroup.selectAll("*").remove();
+        const initHour = Math.floor(hour / 6) * 6;
+        const issued = forecastLogs && forecastLogs[initHour];
+        if (!issued) return;
+        const size = (cycloneTrack[initHour / 3] || [])[5] || 300;
+        issued.filter(f => !f.member && !f.ensembleMean && f.aid !== 'track' && (!f.baseline || aids.includes(f.name))).forEach(f => {
+            const data = f.track
+                .map((p, k) => ({ hour: initHour + k * 3, val: mode === 'kt' ? p[2] : windToPressure(p[2], size, basin) }))
+                .filter(d => d.hour <= maxHour);
+            if (data.length < 2) return;
+            const color = forecastColors[f.name] || "white";
+            forecastGroup.append("path").datum(data).attr("fill", "none").attr("stroke", color)
+                .attr("stroke-width", 1.5).attr("stroke-dasharray", "4,3").attr("d", lineGen);
+            const end = data[data.length - 1];
+            forecastGroup.append("text").attr("x", x(end.hour) + 3).attr("y", y(end.val))
+                .attr("fill", color).style("font-size", "9px").style("font-family", "Monospace").text(f.name);
+        });
+    };
+
     // 6. 交互 (Tooltip)
     const focus = chartSvg.append("g").style("display", "none");
     focus.append("line").attr("y1", 0).attr("y2", innerHeight).attr("stroke", "white").attr("stroke-dasharray", "3,3").attr("opacity", 0.5);
@@ -1523,7 +1666,7 @@ export function drawHistoricalIntensityChart(chartContainer, cycloneTrack, toolt
 
     chartSvg.append("rect").attr("width", innerWidth).attr("height", innerHeight).style("fill", "none").style("pointer-events", "all")
         .on("mouseover", () => { focus.style("display", null); tooltip.style("opacity", .9); })
-        .on("mouseout", () => { focus.style("display", "none"); tooltip.style("opacity", 0); })
+        .on("mouseout", () => { focus.style("display", "none"); tooltip.style("opacity", 0); forecastGroup.selectAll("*").remove(); })
         .on("mousemove", function(event) {
             const x0 = x.invert(d3.pointer(event)[0]);
             const i = d3.bisector(d => d.hour).left(intensityData, x0, 1);
@@ -1531,6 +1674,7 @@ export function drawHistoricalIntensityChart(chartContainer, cycloneTrack, toolt
             if (!d) return;
 
             focus.attr("transform", `translate(${x(d.hour)},${y(d.val)})`);
+            drawIssuedForecasts(d.hour);
             
             const category = getCategory(mode === 'kt' ? d.val : cycloneTrack[i-1][2], d.isT, d.isE, d.isS);
             const unit = mode === 'kt' ? 'KT' : 'hPa';
@@ -1546,14 +1690,202 @@ export function drawHistoricalIntensityChart(chartContainer, cycloneTrack, toolt
         });
 }
 
+/**
+ * [新增] 赛季时间轴：每个气旋一行，横条覆盖其生命期，颜色为峰值强度等级
+ * @param {Object} summary - summarizeSeason() 的返回值
+ * @param {number} startMonth - 赛季起始月份 (用于月份刻度)
+ * @param {number} hoursPerMonth - 月份刻度间隔 (小时)
+ */
+export function drawSeasonTimeline(chartContainer, summary, startMonth, hoursPerMonth, tooltip) {
+    chartContainer.selectAll("*").remove();
+    if (!summary || summary.timeline.length === 0) return;
+
+    const { width } = chartContainer.node().getBoundingClientRect();
+    if (width === 0) return;
+    const rowHeight = 14;
+    const margin = {top: 10, right: 15, bottom: 25, left: 80};
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = summary.timeline.length * rowHeight;
+    const height = innerHeight + margin.top + margin.bottom;
+
+    const chartSvg = chartContainer.append("svg").attr("width", width).attr("height", height)
+        .append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+    const maxHour = d3.max(summary.timeline, d => d.endHour);
+    const monthCount = Math.ceil(maxHour / hoursPerMonth) || 1;
+    const x = d3.scaleLinear().domain([0, monthCount * hoursPerMonth]).range([0, innerWidth]);
+    const y = d3.scaleBand().domain(summary.timeline.map(d => d.stormId)).range([0, innerHeight]).padding(0.2);
+
+    // 月份分隔线与刻度
+    const monthNames = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+    const monthTicks = d3.range(monthCount + 1).map(i => i * hoursPerMonth);
+    chartSvg.selectAll(".season-month-line").data(monthTicks).enter().append("line")
+        .attr("x1", d => x(d)).attr("x2", d => x(d)).attr("y1", 0).attr("y2", innerHeight)
+        .attr("stroke", "white").attr("opacity", 0.1);
+    chartSvg.append("g").attr("class", "axis").attr("transform", `translate(0,${innerHeight})`)
+        .call(d3.axisBottom(x).tickValues(monthTicks.slice(0, -1).map(h => h + hoursPerMonth / 2)).tickSize(0)
+            .tickFormat(h => monthNames[(startMonth - 1 + Math.floor(h / hoursPerMonth)) % 12]));
+
+    // 气旋横条
+    chartSvg.selectAll(".season-bar").data(summary.timeline).enter().append("rect")
+        .attr("class", "season-bar")
+        .attr("x", d => x(d.genesisHour))
+        .attr("y", d => y(d.stormId))
+        .attr("width", d => Math.max(2, x(d.endHour) - x(d.genesisHour)))
+        .attr("height", y.bandwidth())
+        .attr("fill", d => getCategory(d.peak).color)
+        .on("mouseover", (event, d) => {
+            const category = getCategory(d.peak);
+            tooltip.style("opacity", .9).html(`
+                <div style="text-align: center;">
+                    <strong class="text-slate-400">${d.name ? d.name.toUpperCase() : 'TD'}</strong><br/>
+                    <span style="color:white; font-size:1.1em">${Math.round(d.peak)}KT</span><br/>
+                    <span style="color:${category.color}; font-weight:bold; font-size:9px">${category.shortName} · ACE ${d.ace.toFixed(1)}</span>
+                </div>
+            `);
+        })
+        .on("mousemove", (event) => tooltip.style("left", (event.pageX + 15) + "px").style("top", (event.pageY - 28) + "px"))
+        .on("mouseout", () => tooltip.style("opacity", 0));
+
+    // 左侧名称
+    chartSvg.selectAll(".season-label").data(summary.timeline).enter().append("text")
+        .attr("x", -6).attr("y", d => y(d.stormId) + y.bandwidth() / 2)
+        .attr("dy", "0.35em").style("text-anchor", "end")
+        .style("fill", d => d.name ? "white" : "#94a3b8").style("font-size", "9px").style("font-family", "Monospace")
+        .text(d => d.name ? d.name.toUpperCase() : `TD ${String(d.stormId + 1).padStart(2, '0')}`);
+}
+
+/**
+ * [新增] 密度图：以全球规则格点 (经度 0-360) 的计数着色，视野自动缩放到非零格点范围
+ * @param {{cellDeg:number, cols:number, rows:number, values:number[]}} grid
+ * @param {string[]} colorRange - 低值 → 高值的颜色
+ */
+export function drawDensityMap(chartContainer, world, grid, colorRange, tooltip, unitLabel = 'storms') {
+    chartContainer.selectAll("*").remove();
+    const { width } = chartContainer.node().getBoundingClientRect();
+    if (width === 0 || !grid) return;
+    const height = Math.round(width * 0.55);
+
+    const cells = [];
+    grid.values.forEach((value, idx) => {
+        if (value <= 0) return;
+        const col = idx % grid.cols, row = Math.floor(idx / grid.cols);
+        cells.push({ lon: col * grid.cellDeg, lat: row * grid.cellDeg - 90, value });
+    });
+    const svg = chartContainer.append("svg").attr("width", width).attr("height", height);
+    if (cells.length === 0) return;
+
+    // 以第一个格点为参考展开经度，避免跨越日界线时范围错误
+    const refLon = cells[0].lon;
+    cells.forEach(c => { c.lon = unwrapLongitude(c.lon, refLon); });
+    const pad = grid.cellDeg * 2;
+    const minLon = d3.min(cells, c => c.lon) - pad, maxLon = d3.max(cells, c => c.lon) + grid.cellDeg + pad;
+    const minLat = Math.max(-80, d3.min(cells, c => c.lat) - pad), maxLat = Math.min(80, d3.max(cells, c => c.lat) + grid.cellDeg + pad);
+
+    const projection = d3.geoEquirectangular()
+        .rotate([-(minLon + maxLon) / 2, 0])
+        .fitExtent([[0, 0], [width, height]], {
+            type: "Polygon",
+            coordinates: [[[minLon, minLat], [minLon, maxLat], [maxLon, maxLat], [maxLon, minLat], [minLon, minLat]]]
+        });
+    const pathGenerator = d3.geoPath().projection(projection);
+
+    svg.append("path").datum(d3.geoGraticule().step([10, 10])).attr("class", "graticule").attr("d", pathGenerator);
+    svg.append("g").selectAll("path").data(world.features).enter().append("path")
+        .attr("class", "land").attr("d", pathGenerator).style("stroke", "none");
+
+    const maxValue = d3.max(cells, c => c.value);
+    const color = d3.scaleLinear().domain(d3.range(colorRange.length).map(i => 1 + (maxValue - 1) * i / Math.max(1, colorRange.length - 1))).range(colorRange);
+
+    svg.append("g").selectAll("rect").data(cells).enter().append("rect")
+        .attr("x", c => projection([c.lon, c.lat + grid.cellDeg])[0])
+        .attr("y", c => projection([c.lon, c.lat + grid.cellDeg])[1])
+        .attr("width", c => Math.abs(projection([c.lon + grid.cellDeg, c.lat])[0] - projection([c.lon, c.lat])[0]))
+        .attr("height", c => Math.abs(projection([c.lon, c.lat])[1] - projection([c.lon, c.lat + grid.cellDeg])[1]))
+        .attr("fill", c => color(c.value))
+        .attr("opacity", 0.75)
+        .on("mouseover", (event, c) => {
+            const lonText = ((c.lon % 360) + 360) % 360;
+            tooltip.style("opacity", .9).html(`
+                <div style="text-align: center;">
+                    <strong class="text-slate-400">${lonText.toFixed(1)}°E ${c.lat.toFixed(1)}°</strong><br/>
+                    <span style="color:white; font-size:1.1em">${c.value}</span> <span style="font-size:9px">${unitLabel}</span>
+                </div>
+            `);
+        })
+        .on("mousemove", (event) => tooltip.style("left", (event.pageX + 15) + "px").style("top", (event.pageY - 28) + "px"))
+        .on("mouseout", () => tooltip.style("opacity", 0));
+}
+
+/**
+ * [新增] 分布直方图 (峰值强度、生命期等)
+ * @param {{x0:number, x1:number, value:number}[]} bins
+ * @param {Object} [options]
+ * @param {string} [options.unit] - x 轴单位
+ * @param {function} [options.colorFor] - (bin) => 颜色
+ * @param {{x0:number, x1:number, value:number}[]} [options.compareBins] - 上一次运行的分布 (虚线叠加，用于对比实验)
+ */
+export function drawDistributionChart(chartContainer, bins, tooltip, options = {}) {
+    chartContainer.selectAll("*").remove();
+    const { width } = chartContainer.node().getBoundingClientRect();
+    if (width === 0 || !bins || bins.length === 0) return;
+    const { unit = '', colorFor = () => '#22d3ee', compareBins = null } = options;
+
+    const height = 150;
+    const margin = {top: 10, right: 10, bottom: 25, left: 30};
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = height - margin.top - margin.bottom;
+    const chartSvg = chartContainer.append("svg").attr("width", width).attr("height", height)
+        .append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+    const total = d3.sum(bins, b => b.value) || 1;
+    const compareTotal = compareBins ? (d3.sum(compareBins, b => b.value) || 1) : 1;
+    const x = d3.scaleLinear().domain([bins[0].x0, bins[bins.length - 1].x1]).range([0, innerWidth]);
+    const yMax = d3.max([
+        d3.max(bins, b => b.value / total),
+        compareBins ? d3.max(compareBins, b => b.value / compareTotal) : 0
+    ]) || 1;
+    const y = d3.scaleLinear().domain([0, yMax * 1.1]).range([innerHeight, 0]);
+
+    chartSvg.append("g").attr("class", "axis").attr("transform", `translate(0,${innerHeight})`)
+        .call(d3.axisBottom(x).ticks(6).tickFormat(d => `${d}${unit}`));
+    chartSvg.append("g").attr("class", "axis").call(d3.axisLeft(y).ticks(4).tickFormat(d3.format(".0%")));
+
+    chartSvg.selectAll(".dist-bar").data(bins).enter().append("rect")
+        .attr("class", "dist-bar")
+        .attr("x", b => x(b.x0) + 1)
+        .attr("y", b => y(b.value / total))
+        .attr("width", b => Math.max(0, x(b.x1) - x(b.x0) - 2))
+        .attr("height", b => innerHeight - y(b.value / total))
+        .attr("fill", b => colorFor(b))
+        .on("mouseover", (event, b) => {
+            tooltip.style("opacity", .9).html(`
+                <div style="text-align: center;">
+                    <strong class="text-slate-400">${b.x0}–${b.x1}${unit}</strong><br/>
+                    <span style="color:white; font-size:1.1em">${b.value}</span> <span style="font-size:9px">(${(b.value / total * 100).toFixed(1)}%)</span>
+                </div>
+            `);
+        })
+        .on("mousemove", (event) => tooltip.style("left", (event.pageX + 15) + "px").style("top", (event.pageY - 28) + "px"))
+        .on("mouseout", () => tooltip.style("opacity", 0));
+
+    if (compareBins) {
+        const line = d3.line().curve(d3.curveStepAfter).x(p => x(p[0])).y(p => y(p[1]));
+        const points = compareBins.map(b => [b.x0, b.value / compareTotal]);
+        points.push([compareBins[compareBins.length - 1].x1, compareBins[compareBins.length - 1].value / compareTotal]);
+        chartSvg.append("path").datum(points).attr("d", line)
+            .attr("fill", "none").attr("stroke", "white").attr("stroke-width", 1).attr("stroke-dasharray", "3,3").attr("opacity", 0.7);
+    }
+}
+
 export function drawAllHistoryTracks(mapSvg, mapProjection, historyList, world) {
     if (!historyList || historyList.length === 0) return;
 
     // 1. 清理动态层
     const layersToClear = [
-        ".layer-pressure", ".layer-humidity", ".layer-forecast", 
-        ".layer-wind-radii", ".layer-cyclone", ".track-interaction-layer", 
-        ".layer-ui", ".layer-pressure-handles"
+        ".layer-pressure", ".layer-humidity", ".layer-ocean-wake", ".layer-rainfall", ".layer-wind-swath", ".layer-surge", ".layer-forecast", 
+        ".layer-wind-radii", ".layer-cyclone", ".layer-companions", ".track-interaction-layer", 
+        ".layer-ui", ".layer-pressure-handles", ".layer-ghost"
     ];
     layersToClear.forEach(selector => mapSvg.selectAll(selector).selectAll("*").remove());
 
@@ -1710,7 +2042,8 @@ export function drawAllHistoryTracks(mapSvg, mapProjection, historyList, world)
         });
 }
 
-function drawInteractivePressureSystems(container, mapProjection, renderableSystems, allPressureSystems, cyclone, onRemove) {
+// onForecastPreview: (cyclone) => 预报列表，拖动结束后用它重绘预报 (与引擎发布预报的参数一致)
+function drawInteractivePressureSystems(container, mapProjection, renderableSystems, allPressureSystems, cyclone, onRemove, onForecastPreview) {
     
     const masterList = Array.isArray(allPressureSystems) ? allPressureSystems : (allPressureSystems.upper || []);
     const lowerList = Array.isArray(allPressureSystems) ? null : (allPressureSystems.lower || []);
@@ -1852,18 +2185,20 @@ const dragBehavior = d3.drag()
             }
 
             // 2. 重绘预测路径
-            if (cyclone && cyclone.status === 'active') {
+            if (cyclone && cyclone.status === 'active' && onForecastPreview) {
                 const forecastLayer = svg.select(".layer-forecast");
                 if (!forecastLayer.empty()) {
                     forecastLayer.selectAll("*").remove();
                     
-                    const newForecasts = generatePathForecasts(cyclone, allPressureSystems, checkLandFast);
-                    drawForecastCone(forecastLayer, mapProjection, newForecasts);
+                    // [修改] 由引擎按当前的全局温度 / 切变、其它气旋、集合成员数与预报时效计算
+                    const newForecasts = onForecastPreview(cyclone);
+                    drawForecastCone(forecastLayer, mapProjection, newForecasts, [], cyclone.basin);
                     
                     const colors = d3.scaleOrdinal(d3.schemeCategory10);
                     const pathGenerator = d3.geoPath().projection(mapProjection);
                     
-                    newForecasts.forEach((forecast, i) => {
+                    // 集合成员已由扇面的 spaghetti 表示，这里只画确定性预报
+                    newForecasts.filter(f => !f.baseline && !f.member).forEach((forecast, i) => {
                         const forecastGeoJSON = { type: "LineString", coordinates: forecast.track };
                         forecastLayer.append("path")
                             .datum(forecastGeoJSON)
@@ -1885,6 +2220,25 @@ const dragBehavior = d3.drag()
  * 1. 彻底修复末端封口内凹问题 (使用向量法强制外凸)
  * 2. 保持 dd/hhZ 格式和关键时间点筛选
  */
+// [新增] 预警图的温带 (post-tropical) 符号：白底圆圈内加叉
+function drawPostTropicalSymbol(ctx, x, y, r) {
+    const d = r * 0.7;
+    ctx.save();
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.fillStyle = "white";
+    ctx.strokeStyle = "black";
+    ctx.lineWidth = 1.5;
+    ctx.arc(x, y, r, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(x - d, y - d); ctx.lineTo(x + d, y + d);
+    ctx.moveTo(x + d, y - d); ctx.lineTo(x - d, y + d);
+    ctx.stroke();
+    ctx.restore();
+}
+
 export function renderJTWCStyle(cyclone, timeIndex, worldData) {
     // 1. 设置高分辨率画布
     const width = 1600;
@@ -1926,7 +2280,7 @@ export function renderJTWCStyle(cyclone, timeIndex, worldData) {
     }
 
     // 对预测模型数据进行解包处理 (Deep Copy & Unwrap)
-    const forecastModels = forecastModelsRaw.map(model => {
+    const unwrapModel = model => {
         return {
             ...model,
             track: model.track.map(p => {
@@ -1935,7 +2289,11 @@ export function renderJTWCStyle(cyclone, timeIndex, worldData) {
                 return newP;
             })
         };
-    });
+    };
+    const forecastModels = forecastModelsRaw.filter(model => !model.baseline && !model.ensembleMean).map(unwrapModel);
+    // [新增] 扇面、时效标签与变性点以集合平均为中心 (无集合成员时为各模式平均)
+    const ensembleMean = getEnsembleMean(forecastModelsRaw);
+    const coneModels = ensembleMean ? [unwrapModel(ensembleMean)] : forecastModels;
 
     // 3. 投影设置 [关键修复]
     // 使用 rotate 将中心经度旋转到 0 度位置，从而将日界线切割口移到地球背面
@@ -2034,14 +2392,14 @@ export function renderJTWCStyle(cyclone, timeIndex, worldData) {
 
     // D. 预测锥 (Forecast Cone)
     if (forecastModels.length > 0 && forecastModels[0].track.length > 1) {
-        const maxSteps = d3.max(forecastModels, m => m.track.length);
+        const maxSteps = d3.max(coneModels, m => m.track.length);
         
         // [步骤 0] 预计算完美截断点 (与实时图逻辑一致)
         let rawDeathIndex = maxSteps;
         // 计算平均强度的消散点
         for (let i = 0; i < maxSteps; i++) {
             const points = [];
-            forecastModels.forEach(m => { if(m.track[i]) points.push(m.track[i]); });
+            coneModels.forEach(m => { if(m.track[i]) points.push(m.track[i]); });
             if (points.length > 0) {
                 const avgInt = d3.mean(points, p => p[2]);
                 if (avgInt <= 15) {
@@ -2051,7 +2409,7 @@ export function renderJTWCStyle(cyclone, timeIndex, worldData) {
             }
         }
 
-        const keyframes = [4, 8, 12, 16, 24];
+        const keyframes = [4, 8, 12, 16, 24, 32, 40, 48, 56];
         let quantizedLimit = 8; // Min 24h
         for (let k of keyframes) {
             if (rawDeathIndex >= k) {
@@ -2071,7 +2429,7 @@ export function renderJTWCStyle(cyclone, timeIndex, worldData) {
 
         for (let i = 0; i <= quantizedLimit; i++) {
             const pointsAtStep = [];
-            forecastModels.forEach(m => {
+            coneModels.forEach(m => {
                 if (m.track[i]) pointsAtStep.push(m.track[i]);
             });
 
@@ -2083,15 +2441,12 @@ export function renderJTWCStyle(cyclone, timeIndex, worldData) {
             // 收集中心线
             meanTrack.push([avgLon, avgLat]);
 
-            const stdDev = d3.deviation(pointsAtStep, p => {
-                const dx = (p[0] - avgLon) * Math.cos(avgLat * Math.PI / 180);
-                const dy = p[1] - avgLat;
-                return Math.sqrt(dx*dx + dy*dy);
-            }) || 0;
+            // [修改] 集合离散度取集合平均中已有的 2/3 分位数距离 (预报存档不再保留成员路径)
+            const spread = ensembleMean ? (ensembleMean.spreadDeg[i] || 0) : 0;
 
             const jitter = Math.sin(i * 132.19 + snapAge) * 0.0; 
             const breathing = Math.cos(i * 0.5) * 0.03;
-            let radiusDeg = Math.max(0.02, (0.02 + i * 0.14) + (stdDev * 1.5) + (jitter + breathing) * (1 + i * 0.05));
+            let radiusDeg = Math.max(0.02, (0.02 + i * 0.14) + spread + (jitter + breathing) * (1 + i * 0.05));
             if (radiusDeg < maxRadiusSoFar) {
                 radiusDeg = maxRadiusSoFar;
             } else {
@@ -2248,7 +2603,7 @@ export function renderJTWCStyle(cyclone, timeIndex, worldData) {
         }
         
         // --- 5. 预测点标签 (修改版) ---
-        const targetHours = [12, 24, 36, 48, 72]; 
+        const targetHours = [12, 24, 36, 48, 72, 96, 120, 144, 168]; 
         let lastLabelPos = null; // 用于记录上一个标签的位置
 
         targetHours.forEach(h => {
@@ -2257,7 +2612,7 @@ export function renderJTWCStyle(cyclone, timeIndex, worldData) {
 
             // 1. 获取集合平均位置 (当前点)
             const points = [];
-            forecastModels.forEach(m => { if(m.track[idx]) points.push(m.track[idx]); });
+            coneModels.forEach(m => { if(m.track[idx]) points.push(m.track[idx]); });
             if (points.length === 0) return;
             
             const p = [d3.mean(points, v=>v[0]), d3.mean(points, v=>v[1])];
@@ -2274,7 +2629,7 @@ export function renderJTWCStyle(cyclone, timeIndex, worldData) {
             // 找 next
             const nextPoints = [];
             if (idx + 1 < maxSteps) {
-                forecastModels.forEach(m => { if(m.track[idx+1]) nextPoints.push(m.track[idx+1]); });
+                coneModels.forEach(m => { if(m.track[idx+1]) nextPoints.push(m.track[idx+1]); });
                 if (nextPoints.length > 0) {
                     const np = [d3.mean(nextPoints, v=>v[0]), d3.mean(nextPoints, v=>v[1])];
                     nextP = projection(np);
@@ -2283,7 +2638,7 @@ export function renderJTWCStyle(cyclone, timeIndex, worldData) {
             // 找 prev
             const prevPoints = [];
             if (idx - 1 >= 0) {
-                forecastModels.forEach(m => { if(m.track[idx-1]) prevPoints.push(m.track[idx-1]); });
+                coneModels.forEach(m => { if(m.track[idx-1]) prevPoints.push(m.track[idx-1]); });
                 if (prevPoints.length > 0) {
                     const pp = [d3.mean(prevPoints, v=>v[0]), d3.mean(prevPoints, v=>v[1])];
                     prevP = projection(pp);
@@ -2328,11 +2683,16 @@ export function renderJTWCStyle(cyclone, timeIndex, worldData) {
             lastLabelPos = { x: labelX, y: labelY };
             // ==========================================
 
-            // 5. 绘制实心点
-            ctx.beginPath();
-            ctx.fillStyle = "#282888";
-            ctx.arc(pos[0], pos[1], 5, 0, Math.PI * 2);
-            ctx.fill();
+            // 5. 绘制实心点 ([修改] 预报为温带气旋 (ENAI) 时改用温带符号)
+            const isPostTropical = !!(forecastModels[0].track[idx] && forecastModels[0].track[idx][4]);
+            if (isPostTropical) {
+                drawPostTropicalSymbol(ctx, pos[0], pos[1], 6);
+            } else {
+                ctx.beginPath();
+                ctx.fillStyle = "#282888";
+                ctx.arc(pos[0], pos[1], 5, 0, Math.PI * 2);
+                ctx.fill();
+            }
 
             // 6. 绘制引线
             ctx.beginPath();
@@ -2349,9 +2709,7 @@ export function renderJTWCStyle(cyclone, timeIndex, worldData) {
 
             // [新增] 现场计算并规整时间 (Round to nearest 6H)
             // 1. 重建时间基准 (假设模拟从当月1号 00:00Z 开始)
-            const year = new Date().getFullYear();
-            const month = (cyclone.currentMonth || 8) - 1; 
-            const calcDate = new Date(Date.UTC(year, month, 1));
+            const calcDate = new Date(getTrackStartTime(cyclone, 8));
             
             // 2. 加上 (当前模拟时间 + 预测偏移小时数)
             calcDate.setUTCHours(calcDate.getUTCHours() + currentAge + h);
@@ -2368,26 +2726,41 @@ export function renderJTWCStyle(cyclone, timeIndex, worldData) {
 
             // 4. 格式化字符串 (DD/HHZ)
             const dateStr = `${String(calcDate.getUTCDate()).padStart(2,'0')}/${String(calcDate.getUTCHours()).padStart(2,'0')}Z`;
+            const labelText = `${dateStr}, ${roundedIntensity}KT${isPostTropical ? ' EX' : ''}`;
 
             // 根据 labelX 相对于 pos[0] 的位置决定文字对齐方向
             if (labelX > pos[0]) {
                 ctx.textAlign = "left";
-                ctx.fillText(`  ${dateStr}, ${roundedIntensity}KT`, labelX, labelY);
+                ctx.fillText(`  ${labelText}`, labelX, labelY);
             } else {
                 ctx.textAlign = "right";
-                ctx.fillText(`${dateStr}, ${roundedIntensity}KT  `, labelX, labelY);
+                ctx.fillText(`${labelText}  `, labelX, labelY);
             }
         });
+
+        // --- 6. [新增] 预报的温带变性点 (ENAI 首个温带气旋点，取集合平均位置) ---
+        const etStep = getForecastTransitionStep(forecastModels[0]);
+        if (etStep !== null && etStep <= quantizedLimit) {
+            const points = [];
+            coneModels.forEach(m => { if (m.track[etStep]) points.push(m.track[etStep]); });
+            const pos = projection([d3.mean(points, v => v[0]), d3.mean(points, v => v[1])]);
+            if (pos) {
+                drawPostTropicalSymbol(ctx, pos[0], pos[1], 9);
+                ctx.save();
+                ctx.fillStyle = "black";
+                ctx.font = "bold 16px 'JetBrains Mono', monospace";
+                ctx.textAlign = "center";
+                ctx.textBaseline = "top";
+                ctx.fillText(`COMPLETE ET ${calculateDateStr(currentAge, etStep * 3, cyclone)}`, pos[0], pos[1] + 14);
+                ctx.restore();
+            }
+        }
     }
 
     // --- 辅助函数：日期格式化 ---
     function calculateDateStr(currentAge, forecastHour, cyclone) {
-        const year = new Date().getFullYear();
-        const month = (cyclone.currentMonth || 7) - 1; 
-        const startDay = 1;
-        
         const totalSimHours = currentAge + forecastHour;
-        const dateObj = new Date(Date.UTC(year, month, startDay));
+        const dateObj = new Date(getTrackStartTime(cyclone, 7));
         dateObj.setUTCHours(dateObj.getUTCHours() + totalSimHours);
         
         const dd = String(dateObj.getUTCDate()).padStart(2, '0');
@@ -2426,7 +2799,10 @@ export function renderJTWCStyle(cyclone, timeIndex, worldData) {
 
         const intensity = p[2]; // 获取强度
 
-        if (intensity >= 64) {
+        if (p[4]) {
+            // [新增] 温带气旋：温带符号
+            drawPostTropicalSymbol(ctx, pos[0], pos[1], 5);
+        } else if (intensity >= 64) {
             // [>= 64 KT] 实心台风图标 (TY)
             // 1. 先画一个白色背景圆，遮挡住底下的路径线，防止线条穿过图标
             ctx.beginPath();
@@ -2616,7 +2992,7 @@ export function renderJTWCStyle(cyclone, timeIndex, worldData) {
     // I. 绘制图例 (Legend)
     // ============================================================
     const legendW = 260;
-    const legendH = 210;
+    const legendH = 235;
     const legendX = width - legendW - 20; // 右对齐，留出20px边距
     const legendY = 60; // 标题栏下方
 
@@ -2681,6 +3057,12 @@ export function renderJTWCStyle(cyclone, timeIndex, worldData) {
     ctx.textAlign = "left";
     ctx.fillText("MORE THAN 63 KT", startX + 30, currentY);
 
+    // --- [新增] Item 3b: EXTRATROPICAL (圆圈加叉) ---
+    currentY += lineHeight;
+    drawPostTropicalSymbol(ctx, iconX, currentY, 5);
+    ctx.fillStyle = "black";
+    ctx.fillText("EXTRATROPICAL", startX + 30, currentY);
+
     // --- Item 4: PAST CYCLONE TRACK (实线) ---
     currentY += lineHeight;
     ctx.beginPath();
@@ -3064,12 +3446,12 @@ export function renderProbabilitiesStyle(cyclone, timeIndex, worldData, threshol
                 }
             }
 
-            const jitter = 1.0 + (Math.sin(hour * 2.5) * 0.1) + ((Math.random() - 0.5) * 0.15);
+            const jitter = 1.0 + (Math.sin(hour * 2.5) * 0.1);
             const jitteredRadius = currentRadiusPx * jitter;
 
-            // 误差模型
-            const errorKm = 40 + (hour * 5.5);
-            const sigmaPx = (errorKm / 111.32) * pxPerDeg * 0.7; 
+            // [修改] 误差模型：与预报扇面相同的 67% 历史路径误差，按圆正态分布换算为 σ
+            const errorKm = getConeRadiusKm(cyclone.basin, hour) / CONE_SIGMA_RATIO;
+            const sigmaPx = (errorKm / 111.32) * pxPerDeg;
             
             // [关键] 强度置信度 (针对不同阈值)
             // 只有当强度显著超过 threshold 时，概率才高
@@ -3199,9 +3581,7 @@ export function renderProbabilitiesStyle(cyclone, timeIndex, worldData, threshol
     ctx.textAlign = "center";
     ctx.textBaseline = "middle";
     
-    const year = new Date().getFullYear();
-    const month = (cyclone.currentMonth || 8) - 1; 
-    const startDate = new Date(Date.UTC(year, month, 1));
+    const startDate = new Date(getTrackStartTime(cyclone, 8));
     startDate.setUTCHours(startDate.getUTCHours() + currentAge);
     const dateStr = startDate.toISOString().replace("T", " ").substring(0, 16) + ":00"; 
 
@@ -3210,7 +3590,8 @@ export function renderProbabilitiesStyle(cyclone, timeIndex, worldData, threshol
     const name = (cyclone.name || "NONAME").toUpperCase();
     ctx.fillText(`${threshold} kt Wind Speed Probabilities (${name})`, width / 2, 25);
     ctx.font = "20px Arial";
-    ctx.fillText(`For the 72 hours (3.0 days) from ${dateStr}`, width / 2, 53);
+    const forecastHours = (track.length - 1) * 3; // [修改] 随预报时效 (温带气旋消散时提前结束)
+    ctx.fillText(`For the ${forecastHours} hours (${(forecastHours / 24).toFixed(1)} days) from ${dateStr}`, width / 2, 53);
     ctx.font = "900 32px 'Inter', sans-serif"; // 使用粗壮的现代字体
     ctx.fillStyle = "rgba(0, 0, 0, 0.15)"; // 低透明度黑色
     ctx.textAlign = "right";
@@ -3255,11 +3636,136 @@ function drawProbabilityLegend(ctx, width, height, colors, thresholds) {
     ctx.restore();
 }
 
+// [新增] STORM TOTAL RAIN 产品：整个生命期的累积雨量 (由模拟雷达回波按 Z-R 关系换算)
+export function renderStormTotalRain(cyclone, worldData, rainCells) {
+    const width = 1600;
+    const height = 1200;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = "#6fa3cf";
+    ctx.fillRect(0, 0, width, height);
+    if (!cyclone || !cyclone.track || cyclone.track.length === 0 || !rainCells || rainCells.length === 0) {
+        ctx.fillStyle = "white";
+        ctx.font = "bold 40px Arial";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText("NO RAINFALL DATA", width / 2, height / 2);
+        return canvas;
+    }
+
+    // 1. 投影：以路径中心旋转，再缩放到路径与雨区范围
+    const trackCoords = getUnwrappedPath(cyclone.track);
+    const centerLon = d3.mean(trackCoords, p => p[0]);
+    const extentPoints = trackCoords.concat(rainCells.map(c => [unwrapLongitude(c.lon, centerLon), c.lat]));
+    const projection = d3.geoEquirectangular()
+        .rotate([-centerLon, 0])
+        .fitExtent([[60, 110], [width - 160, height - 40]], { type: "MultiPoint", coordinates: extentPoints });
+    const pathGenerator = d3.geoPath().projection(projection).context(ctx);
+
+    // 2. 经纬网
+    ctx.beginPath();
+    ctx.strokeStyle = "rgba(255,255,255,0.3)";
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    pathGenerator(d3.geoGraticule().step([5, 5])());
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // 3. 陆地
+    ctx.beginPath();
+    ctx.fillStyle = "#ffffff";
+    pathGenerator(worldData);
+    ctx.fill();
+
+    // 4. 雨量格点
+    rainCells.forEach(c => {
+        ctx.beginPath();
+        pathGenerator(rainCellPolygon(c));
+        ctx.fillStyle = rainfallColor(c.value);
+        ctx.fill();
+    });
+
+    // 5. 海岸线与路径
+    ctx.beginPath();
+    ctx.strokeStyle = "black";
+    ctx.lineWidth = 1.0;
+    pathGenerator(worldData);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.strokeStyle = "black";
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    pathGenerator({ type: "LineString", coordinates: trackCoords });
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // 6. 最大值标注
+    const maxCell = rainCells.reduce((a, b) => (b.value > a.value ? b : a));
+    const maxPos = projection([maxCell.lon + maxCell.cellDeg / 2, maxCell.lat + maxCell.cellDeg / 2]);
+    if (maxPos) {
+        ctx.fillStyle = "black";
+        ctx.font = "bold 22px Arial";
+        ctx.textAlign = "left";
+        ctx.textBaseline = "middle";
+        ctx.fillText(`✕ ${Math.round(maxCell.value)} mm`, maxPos[0] - 8, maxPos[1]);
+    }
+
+    // 7. 标题
+    ctx.fillStyle = "white";
+    ctx.fillRect(0, 0, width, 70);
+    ctx.strokeStyle = "black";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(0, 0, width, 70);
+    ctx.fillStyle = "black";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    const name = (cyclone.name || "NONAME").toUpperCase();
+    ctx.font = "bold 28px Arial";
+    ctx.fillText(`Storm Total Rainfall (${name})`, width / 2, 25);
+    ctx.font = "20px Arial";
+    ctx.fillText(`Accumulated over ${cyclone.age || (cyclone.track.length - 1) * 3} hours from simulated reflectivity (Z = 200R^1.6), max ${Math.round(maxCell.value)} mm`, width / 2, 53);
+
+    ctx.font = "900 32px 'Inter', sans-serif";
+    ctx.fillStyle = "rgba(0, 0, 0, 0.15)";
+    ctx.textAlign = "right";
+    ctx.textBaseline = "bottom";
+    ctx.fillText("STORM_INC®", width - 20, height - 10);
+
+    // 8. 图例 (mm)
+    const legW = 30, legH = 500;
+    const legX = width - 80, legY = (height - legH) / 2;
+    const stepH = legH / RAINFALL_COLORS.length;
+    ctx.font = "bold 18px Arial";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    ctx.strokeStyle = "black";
+    ctx.lineWidth = 1;
+    RAINFALL_COLORS.forEach((color, i) => {
+        const y = legY + legH - (i + 1) * stepH;
+        ctx.fillStyle = color;
+        ctx.fillRect(legX, y, legW, stepH);
+        ctx.strokeRect(legX, y, legW, stepH);
+        ctx.fillStyle = "black";
+        ctx.fillText(RAINFALL_THRESHOLDS[i], legX + legW + 8, y + stepH);
+    });
+    ctx.fillText("mm", legX, legY - 20);
+
+    return canvas;
+}
+
 // --- [新增] 站点历史数据绘图函数 (折线 + 风羽 + 交互) ---
 export function drawStationGraph(containerId, historyData, type = 'wind') {
     const container = d3.select(containerId);
     container.selectAll("*").remove(); // 清空旧图表
 
+    // [新增] 增水只在岸边站点有记录
+    if (type === 'surge') historyData = (historyData || []).filter(d => d.surge != null);
+    const valueOf = d => (type === 'wind' ? d.wind : type === 'surge' ? d.surge : d.pressure);
+
     if (!historyData || historyData.length === 0) return;
 
     // 1. 设置尺寸与边距
@@ -3294,6 +3800,14 @@ export function drawStationGraph(containerId, historyData, type = 'wind') {
             .range([height, 0]);
         color = "#22d3ee"; // Cyan
         unit = "KT";
+    } else if (type === 'surge') {
+        const minS = d3.min(historyData, d => d.surge);
+        const maxS = d3.max(historyData, d => d.surge);
+        y = d3.scaleLinear()
+            .domain([Math.min(0, minS) - 0.2, Math.max(1, maxS * 1.1)])
+            .range([height, 0]);
+        color = "#3b82f6"; // Blue
+        unit = "m";
     } else {
         const minP = d3.min(historyData, d => d.pressure);
         const maxP = d3.max(historyData, d => d.pressure);
@@ -3312,7 +3826,7 @@ export function drawStationGraph(containerId, historyData, type = 'wind') {
     // 4. 绘制折线 (硬朗风格)
     const line = d3.line()
         .x(d => x(d.hour))
-        .y(d => y(type === 'wind' ? d.wind : d.pressure))
+        .y(d => y(valueOf(d)))
         .curve(d3.curveLinear); // [修改] 使用线性插值 (取消平滑)
 
     // 绘制线条背景阴影 (可选，增加一点层次感)
@@ -3449,7 +3963,7 @@ export function drawStationGraph(containerId, historyData, type = 'wind') {
 
         // 3. 移动 Focus 元素
         const posX = x(d.hour);
-        const val = type === 'wind' ? d.wind : d.pressure;
+        const val = valueOf(d);
         const posY = y(val);
 
         focus.attr("transform", `translate(${posX},${posY})`);
@@ -3460,7 +3974,7 @@ export function drawStationGraph(containerId, historyData, type = 'wind') {
             .attr("y2", height - posY); // 延伸到底部
 
         // 更新文本
-        focusText.text(`T+${d.hour}h: ${Math.round(val)}${unit}`);
+        focusText.text(`T+${d.hour}h: ${type === 'surge' ? val.toFixed(1) : Math.round(val)}${unit}`);
         
         // 动态调整 Tooltip 位置，防止超出右边界
         const textWidth = 80;
@@ -3838,7 +4352,7 @@ export function startNewsAnimation(canvas, worldData, cyclone, pathForecasts, ba
 
     let forecastModels = [];
     if (pathForecasts && pathForecasts.length > 0) {
-        forecastModels = pathForecasts.map(model => {
+        forecastModels = pathForecasts.filter(model => !model.baseline).map(model => {
             return {
                 ...model,
                 track: model.track.map(p => [unwrapLon(p[0], refLon), p[1], p[2]])
@@ -3956,9 +4470,7 @@ export function startNewsAnimation(canvas, worldData, cyclone, pathForecasts, ba
     const cycloneNumStr = String(simulationCount).padStart(2, '0');
     const displayName = cyclone.name ? cyclone.name.toUpperCase() : `${basinCode} ${cycloneNumStr}`;
     const rotationDir = cyclone.lat < 0 ? 1 : -1; 
-    const year = new Date().getFullYear();
-    const monthIdx = (cyclone.currentMonth || 8) - 1; 
-    const startDay = 1;
+    const trackStartTime = getTrackStartTime(cyclone, 8);
     let animationId = null;
 
     const initParticle = (p) => {
@@ -4033,7 +4545,7 @@ export function startNewsAnimation(canvas, worldData, cyclone, pathForecasts, ba
                         const currentHours = (fullTrackUnwrapped.length - 1) * 3;
                         const forecastHours = lastIdx * 3; 
                         const totalHours = currentHours + forecastHours;
-                        const finalDate = new Date(Date.UTC(year, monthIdx, startDay));
+                        const finalDate = new Date(trackStartTime);
                         finalDate.setUTCHours(finalDate.getUTCHours() + totalHours);
                         const fDD = String(finalDate.getUTCDate()).padStart(2, '0');
                         const fHH = String(finalDate.getUTCHours()).padStart(2, '0');
@@ -4086,7 +4598,7 @@ export function startNewsAnimation(canvas, worldData, cyclone, pathForecasts, ba
 
                     // 标签
                     const hoursElapsed = currentIndex * 3;
-                    const currentDate = new Date(Date.UTC(year, monthIdx, startDay));
+                    const currentDate = new Date(trackStartTime);
                     currentDate.setUTCHours(currentDate.getUTCHours() + hoursElapsed);
                     const dd = String(currentDate.getUTCDate()).padStart(2, '0');
                     const hh = String(currentDate.getUTCHours()).padStart(2, '0');
@@ -4329,7 +4841,11 @@ export function renderStationSynopticChart(cyclone, timeIndex, worldData, pressu
     const centerEnvP = getPressureAt(cycLon, cycLat, systemsLayer, false);
     // 气旋参数预计算
     const Pc = windToPressure(intensity, size, basin, centerEnvP); // 中心气压
-    const Rmw = 10 + size * 0.25; 
+    // [修改] 使用该时刻记录的 RMW / Holland B (旧记录缺省时按强度与尺度推算)
+    const vortex = getVortexParameters({
+        intensity, lat: cycLat, circulationSize: size, basin,
+        isExtratropical: currentPoint[4], rmw: currentPoint[11], hollandB: currentPoint[12]
+    }, centerEnvP);
 
     for (let j = 0; j < ny; ++j) {
         for (let i = 0; i < nx; ++i) {
@@ -4345,7 +4861,7 @@ export function renderStationSynopticChart(cyclone, timeIndex, worldData, pressu
             // B. 计算气旋气压 (Vortex Field)
             const distKm = calculateDistance(lat, lon, cycLat, cycLon);
             // Holland 公式：P(r)
-            const P_total = calculateHollandPressure(distKm, Rmw, Pc, P_env);
+            const P_total = getVortexPressure(distKm, Pc, P_env, vortex);
             gridValues[j * nx + i] = P_total;
         }
     }
@@ -4388,6 +4904,26 @@ export function renderStationSynopticChart(cyclone, timeIndex, worldData, pressu
         // 这是一个简化，真正好的等压线标注很难
     });
 
+    // [新增] 高层槽脊轴线 (传统天气图符号：槽为粗虚线，脊为锯齿线)
+    getWaveAxes(pressureSystems && pressureSystems.waves).forEach(axis => {
+        ctx.beginPath();
+        if (axis.type === 'trough') {
+            ctx.strokeStyle = "#a04000";
+            ctx.lineWidth = 4;
+            ctx.setLineDash([18, 10]);
+            pathGenerator({ type: "LineString", coordinates: axis.points });
+        } else {
+            ctx.strokeStyle = "#1f618d";
+            ctx.lineWidth = 2.5;
+            ctx.setLineDash([]);
+            // 锯齿：相邻采样点交替向两侧偏移
+            const zigzag = axis.points.map((p, i) => [p[0] + (i % 2 === 0 ? -0.3 : 0.3), p[1]]);
+            pathGenerator({ type: "LineString", coordinates: zigzag });
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+    });
+
     // --- 7. 绘制关键要素 ---
 
     // A. 站点标记
@@ -4408,7 +4944,7 @@ export function renderStationSynopticChart(cyclone, timeIndex, worldData, pressu
             // 重新计算一下该点的气压用于显示
             const P_env = getPressureAt(stationLon, stationLat, systemsLayer, false);
             const dist = calculateDistance(stationLat, stationLon, cycLat, cycLon);
-            const P_local = Math.round(calculateHollandPressure(dist, Rmw, Pc, P_env));
+            const P_local = Math.round(getVortexPressure(dist, Pc, P_env, vortex));
             
             ctx.fillStyle = "blue";
             ctx.font = "bold 20px Monospace";
@@ -4446,10 +4982,8 @@ export function renderStationSynopticChart(cyclone, timeIndex, worldData, pressu
     ctx.fillText("LOCAL SYNOPTIC ANALYSIS (MSLP)", 20, 30);
 
     // 时间戳
-    const year = new Date().getFullYear();
-    const monthIndex = (cyclone.currentMonth || 8) - 1; 
     const currentAge = timeIndex * 3;
-    const simDate = new Date(Date.UTC(year, monthIndex, 1));
+    const simDate = new Date(getTrackStartTime(cyclone, 8));
     simDate.setUTCHours(simDate.getUTCHours() + currentAge);
     const dateStr = simDate.toISOString().replace("T", " ").substring(0, 16) + "Z";
 
@@ -0,0 +1,121 @@
+/**
+ * vortex-model.js
+ * 参数化涡旋结构 (Holland 1980 剖面)：Holland B 由中心气压、纬度与强度计算，
+ * 最大风速半径 (RMW) 与最外闭合等压线半径 (ROCI) 随气旋强度、纬度、尺度与变性逐步演变。
+ * 地面风场、风圈扫描、站点气压以及雷达 / 多普勒 Shader 共用同一套剖面，保证各处数值一致。
+ */
+import { windToPressure, calculateHollandPressure } from './utils.js';
+
+const AIR_DENSITY = 1.15;     // 边界层空气密度 (kg/m³)
+const KT_TO_MS = 0.514;
+const SURFACE_TO_GRADIENT = 1 / 0.9; // 地面 (10 m) 风速换算到梯度风高度
+const MIN_HOLLAND_B = 1.0;
+const MAX_HOLLAND_B = 2.5;
+const STRUCTURE_RELAX = 0.25; // 每步 (3 小时) 向目标 RMW / ROCI 松弛的比例
+const OUTER_RADIUS_FACTOR = 2; // 涡旋风场在 ROCI 的 2 倍处衰减为 0
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Holland B：由梯度风平衡 B = ρ·e·Vg² / Δp 反算 (Vg 为梯度风高度的最大风速)，并随纬度升高略减 (Holland 2008)
+ * @param {number} intensityKt - 最大风速 (kt)
+ * @param {number} centralPressure - 中心气压 (hPa)
+ * @param {number} envPressure - 环境气压 (hPa)
+ * @param {number} lat
+ */
+export function computeHollandB(intensityKt, centralPressure, envPressure, lat) {
+    const deltaPa = Math.max(1, envPressure - centralPressure) * 100;
+    const vmax = intensityKt * KT_TO_MS * SURFACE_TO_GRADIENT;
+    const b = AIR_DENSITY * Math.E * vmax * vmax / deltaPa - 0.014 * (Math.abs(lat) - 20);
+    return clamp(b, MIN_HOLLAND_B, MAX_HOLLAND_B);
+}
+
+/**
+ * 目标最大风速半径 (km)：Willoughby et al. (2006) 经验式，强度越强越小、纬度越高越大，
+ * 再按环流尺度缩放；变性 / 转化中的气旋风场外扩
+ */
+export function getTargetRmw(intensityKt, lat, circulationSize = 300, isExtratropical = false, isTransitioning = false) {
+    const vmax = Math.max(15, intensityKt) * KT_TO_MS;
+    let rmw = 46.4 * Math.exp(-0.0155 * vmax + 0.0169 * Math.abs(lat));
+    rmw *= Math.sqrt(circulationSize / 300);
+    if (isExtratropical) rmw *= 2.5;
+    else if (isTransitioning) rmw *= 1.6;
+    return clamp(rmw, 8, 300);
+}
+
+/**
+ * 目标最外闭合等压线半径 (km)
+ */
+export function getTargetRoci(circulationSize = 300) {
+    return circulationSize * 2;
+}
+
+/**
+ * 每步更新气旋的涡旋结构 (写入 cyclone.rmw / cyclone.roci / cyclone.hollandB)
+ * RMW 与 ROCI 逐步松弛到目标值，因此快速增强时眼墙收缩、变性时风场逐渐外扩
+ */
+export function updateVortexStructure(cyclone, centralPressure, envPressure) {
+    const size = cyclone.circulationSize || 300;
+    const targetRmw = getTargetRmw(cyclone.intensity, cyclone.lat, size, cyclone.isExtratropical, cyclone.isTransitioning);
+    const targetRoci = getTargetRoci(size);
+    cyclone.rmw = cyclone.rmw ? cyclone.rmw + (targetRmw - cyclone.rmw) * STRUCTURE_RELAX : targetRmw;
+    cyclone.roci = cyclone.roci ? cyclone.roci + (targetRoci - cyclone.roci) * STRUCTURE_RELAX : targetRoci;
+    cyclone.hollandB = computeHollandB(cyclone.intensity, centralPressure, envPressure, cyclone.lat);
+    return cyclone;
+}
+
+/**
+ * 气旋 (或历史路径点还原出的对象) 的涡旋参数；尚未经过 updateVortexStructure 时按当前状态直接计算
+ * @param {Object} cyclone - 需含 intensity / lat / circulationSize，可选 rmw / roci / hollandB / basin
+ * @param {number} [envPressure] - 中心处环境气压，缺省按海域背景气压
+ * @returns {{rmw:number, roci:number, outerRadius:number, hollandB:number}}
+ */
+export function getVortexParameters(cyclone, envPressure) {
+    const size = cyclone.circulationSize || 300;
+    const rmw = cyclone.rmw || getTargetRmw(cyclone.intensity, cyclone.lat, size, cyclone.isExtratropical, cyclone.isTransitioning);
+    const roci = cyclone.roci || getTargetRoci(size);
+    let hollandB = cyclone.hollandB;
+    if (!hollandB) {
+        const pn = envPressure ?? windToPressure(0, size, cyclone.basin); // 风速 0 时即为背景气压
+        hollandB = computeHollandB(cyclone.intensity, windToPressure(cyclone.intensity, size, cyclone.basin, pn), pn, cyclone.lat);
+    }
+    return { rmw, roci, outerRadius: roci * OUTER_RADIUS_FACTOR, hollandB };
+}
+
+/**
+ * 距中心 dist (km) 处的切向风速 (单位与 vmax 相同)
+ * V(r) = Vmax · sqrt((Rm/r)^B · exp(1 - (Rm/r)^B))，外围在 outerRadius 内指数渐隐到 0
+ */
+export function getVortexWindSpeed(dist, vmax, params) {
+    if (dist >= params.outerRadius) return 0;
+    const x = Math.pow(params.rmw / Math.max(dist, 0.1), params.hollandB);
+    let speed = vmax * Math.sqrt(x * Math.exp(1 - x));
+    const fadeStart = params.outerRadius * 0.35;
+    if (dist > fadeStart) {
+        const t = (dist - fadeStart) / (params.outerRadius - fadeStart);
+        speed *= (Math.exp(-2 * t) - Math.exp(-2)) / (1 - Math.exp(-2));
+    }
+    return speed;
+}
+
+/**
+ * 距中心 dist (km) 处的海平面气压 (hPa)
+ */
+export function getVortexPressure(dist, centralPressure, envPressure, params) {
+    return calculateHollandPressure(dist, params.rmw, centralPressure, envPressure, params.hollandB);
+}
+
+// 与 getVortexWindSpeed 相同的剖面 (GLSL 版本)，雷达与多普勒 Shader 通过字符串拼接引入
+export const VORTEX_GLSL = `
+    float hollandWind(float dist, float vmax, float rmw, float b, float outerRadius) {
+        if (dist >= outerRadius) return 0.0;
+        float x = pow(rmw / max(dist, 0.1), b);
+        float speed = vmax * sqrt(x * exp(1.0 - x));
+        float fadeStart = outerRadius * 0.35;
+        if (dist > fadeStart) {
+            float t = (dist - fadeStart) / (outerRadius - fadeStart);
+            speed *= (exp(-2.0 * t) - exp(-2.0)) / (1.0 - exp(-2.0));
+        }
+        return speed;
+    }
+`;
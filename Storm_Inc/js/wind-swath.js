@@ -0,0 +1,197 @@
+/**
+ * wind-swath.js
+ * 最大风速 / 阵风包络 (wind swath)：气旋运行时在格点上记录每个位置经历过的最大持续风速，
+ * 风速由 getWindVectorAt 计算 (已包含陆面摩擦)，阵风按下垫面取阵风系数换算。
+ * 与累积雨量一样每个气旋一份，只记录逐步增量日志，回退 / 读档时按日志重建。
+ */
+import { getWindVectorAt } from './cyclone-model.js';
+import { getLandStatus } from './terrain-data.js';
+import { unwrapLongitude } from './utils.js';
+
+export const SWATH_CELL_DEG = 0.25;
+const COLS = Math.round(360 / SWATH_CELL_DEG);
+const ROWS = Math.round(180 / SWATH_CELL_DEG);
+const SUBSTEPS = 3;          // 每个 3 小时步长内插 3 个位置 (逐小时)，避免快速移动时包络断成串珠
+const MIN_SWATH_KT = 25;     // 低于该风速的格点不记录
+const SAMPLE_RADIUS_KM = 500;
+// 1 分钟平均风 -> 3 秒阵风 (WMO 热带气旋风速换算指南，Harper et al. 2010)
+export const GUST_FACTOR_SEA = 1.23;
+export const GUST_FACTOR_LAND = 1.49;
+export const SWATH_THRESHOLDS = [34, 50, 64];
+
+const toLon360 = (lon) => ((lon % 360) + 360) % 360;
+
+export function createWindSwath() {
+    return { cells: new Map(), log: [] }; // cells: 格点索引 -> {kt, gust}；log: [{hour, idx:[], kt:[], gust:[]}]
+}
+
+function cellIndex(col, row) {
+    return row * COLS + ((col % COLS) + COLS) % COLS;
+}
+
+function addEntry(swath, entry) {
+    entry.idx.forEach((index, i) => {
+        const cell = swath.cells.get(index);
+        if (!cell) {
+            swath.cells.set(index, { kt: entry.kt[i], gust: entry.gust[i] });
+        } else {
+            cell.kt = Math.max(cell.kt, entry.kt[i]);
+            cell.gust = Math.max(cell.gust, entry.gust[i]);
+        }
+    });
+}
+
+/**
+ * 记录一个时间步内气旋经过的最大风速
+ * 在上一路径点与当前位置之间内插 SUBSTEPS 个中心位置，逐格点取最大值
+ * @param {Object} swath - createWindSwath() 的返回值
+ * @param {number} hour - 模拟时刻 (同一时刻只记录一次)
+ * @param {Object} cyclone - 气旋对象 (使用 lon/lat/track/circulationSize 及 getWindVectorAt 需要的字段)
+ * @param {Object} pressureSystems
+ * @param {number} month
+ */
+export function accumulateWindSwath(swath, hour, cyclone, pressureSystems, month) {
+    const last = swath.log[swath.log.length - 1];
+    if (last && last.hour >= hour) return swath;
+
+    const track = cyclone.track || [];
+    const prev = track.length >= 2 ? track[track.length - 2] : null;
+    const radiusKm = Math.min(cyclone.circulationSize || SAMPLE_RADIUS_KM, SAMPLE_RADIUS_KM);
+    const stepMax = new Map(); // 格点索引 -> {kt, gust}
+
+    for (let s = 1; s <= SUBSTEPS; s++) {
+        const f = s / SUBSTEPS;
+        const lon = prev ? unwrapLongitude(prev[0], cyclone.lon) * (1 - f) + cyclone.lon * f : cyclone.lon;
+        const lat = prev ? prev[1] * (1 - f) + cyclone.lat * f : cyclone.lat;
+        if (!prev && s < SUBSTEPS) continue;
+        sampleAround({ ...cyclone, lon, lat }, radiusKm, pressureSystems, month, stepMax);
+    }
+
+    const entry = { hour, idx: [], kt: [], gust: [] };
+    stepMax.forEach((value, index) => {
+        entry.idx.push(index);
+        entry.kt.push(value.kt);
+        entry.gust.push(value.gust);
+    });
+    swath.log.push(entry);
+    addEntry(swath, entry);
+    return swath;
+}
+
+function sampleAround(storm, radiusKm, pressureSystems, month, stepMax) {
+    const reachLat = radiusKm / 111;
+    const cosLat = Math.max(0.2, Math.cos(storm.lat * Math.PI / 180));
+    const reachLon = reachLat / cosLat;
+    const row0 = Math.max(0, Math.floor((storm.lat - reachLat + 90) / SWATH_CELL_DEG));
+    const row1 = Math.min(ROWS - 1, Math.floor((storm.lat + reachLat + 90) / SWATH_CELL_DEG));
+    const lon360 = toLon360(storm.lon);
+    const col0 = Math.floor((lon360 - reachLon) / SWATH_CELL_DEG);
+    const col1 = Math.floor((lon360 + reachLon) / SWATH_CELL_DEG);
+
+    for (let row = row0; row <= row1; row++) {
+        const lat = (row + 0.5) * SWATH_CELL_DEG - 90;
+        const dyKm = (lat - storm.lat) * 111;
+        for (let col = col0; col <= col1; col++) {
+            const lon = (col + 0.5) * SWATH_CELL_DEG;
+            const dxKm = (lon - lon360) * 111 * cosLat;
+            if (dxKm * dxKm + dyKm * dyKm > radiusKm * radiusKm) continue;
+            const sampleLon = unwrapLongitude(lon, storm.lon); // 涡旋风场直接用经度差，需与气旋同一经度区间
+            const kt = getWindVectorAt(sampleLon, lat, month, storm, pressureSystems).magnitude;
+            if (kt < MIN_SWATH_KT) continue;
+            const gustFactor = getLandStatus(sampleLon, lat).isLand ? GUST_FACTOR_LAND : GUST_FACTOR_SEA;
+            const index = cellIndex(col, row);
+            const current = stepMax.get(index);
+            const value = { kt: Math.round(kt), gust: Math.round(kt * gustFactor) };
+            if (!current) stepMax.set(index, value);
+            else {
+                current.kt = Math.max(current.kt, value.kt);
+                current.gust = Math.max(current.gust, value.gust);
+            }
+        }
+    }
+}
+
+/**
+ * 丢弃 untilHour 之后的增量并重建包络 (回退时使用)
+ */
+export function rebuildWindSwath(swath, untilHour) {
+    swath.log = swath.log.filter(entry => entry.hour <= untilHour);
+    swath.cells = new Map();
+    swath.log.forEach(entry => addEntry(swath, entry));
+    return swath;
+}
+
+/**
+ * 由保存的日志恢复包络
+ */
+export function restoreWindSwath(log) {
+    const swath = createWindSwath();
+    swath.log = Array.isArray(log) ? log : [];
+    swath.log.forEach(entry => addEntry(swath, entry));
+    return swath;
+}
+
+/**
+ * 合并多个包络 (逐格点取最大值)，返回格点列表
+ * @param {Object|Object[]} swaths
+ * @param {number} [minKt=34] - 只返回最大风速达到该值的格点
+ * @returns {{lon:number, lat:number, kt:number, gust:number, cellDeg:number}[]} lon 为格点西南角 (0-360)
+ */
+export function getWindSwathCells(swaths, minKt = SWATH_THRESHOLDS[0]) {
+    const list = (Array.isArray(swaths) ? swaths : [swaths]).filter(Boolean);
+    const merged = new Map();
+    list.forEach(swath => swath.cells.forEach((cell, index) => {
+        const current = merged.get(index);
+        if (!current) merged.set(index, { kt: cell.kt, gust: cell.gust });
+        else {
+            current.kt = Math.max(current.kt, cell.kt);
+            current.gust = Math.max(current.gust, cell.gust);
+        }
+    }));
+    const cells = [];
+    merged.forEach((cell, index) => {
+        if (cell.kt < minKt) return;
+        const row = Math.floor(index / COLS);
+        const col = index % COLS;
+        cells.push({ lon: col * SWATH_CELL_DEG, lat: row * SWATH_CELL_DEG - 90, kt: cell.kt, gust: cell.gust, cellDeg: SWATH_CELL_DEG });
+    });
+    return cells;
+}
+
+/**
+ * 把格点列表铺成规则网格 (经度以第一个格点为参考展开)，供等值线计算
+ * @returns {{lon0:number, lat0:number, cellDeg:number, nx:number, ny:number, values:number[]}|null}
+ *          values[j * nx + i] 为第 i 列、第 j 行 (自南向北) 格点中心的最大风速
+ */
+export function getWindSwathGrid(cells) {
+    if (!cells || cells.length === 0) return null;
+    const cellDeg = cells[0].cellDeg;
+    const refLon = cells[0].lon;
+    const lons = cells.map(c => unwrapLongitude(c.lon, refLon));
+    // 四周各留一圈空格点，让等值线闭合
+    const lon0 = Math.min(...lons) - cellDeg;
+    const lat0 = Math.min(...cells.map(c => c.lat)) - cellDeg;
+    const nx = Math.round((Math.max(...lons) - lon0) / cellDeg) + 2;
+    const ny = Math.round((Math.max(...cells.map(c => c.lat)) - lat0) / cellDeg) + 2;
+    const values = new Array(nx * ny).fill(0);
+    cells.forEach((c, k) => {
+        const i = Math.round((lons[k] - lon0) / cellDeg);
+        const j = Math.round((c.lat - lat0) / cellDeg);
+        values[j * nx + i] = c.kt;
+    });
+    return { lon0, lat0, cellDeg, nx, ny, values };
+}
+
+/**
+ * 导出 CSV：每个达到 34 kt 的格点一行 (格点中心经纬度，经度 -180~180)
+ */
+export function formatWindSwathCsv(swaths) {
+    const rows = getWindSwathCells(swaths).map(c => {
+        let lon = c.lon + c.cellDeg / 2;
+        if (lon > 180) lon -= 360;
+        const lat = c.lat + c.cellDeg / 2;
+        const category = SWATH_THRESHOLDS.filter(t => c.kt >= t).pop();
+        return `${lon.toFixed(3)},${lat.toFixed(3)},${c.kt},${c.gust},${category}`;
+    });
+    return ['lon,lat,max_wind_kt,max_gust_kt,threshold_kt', ...rows].join('\n');
+}
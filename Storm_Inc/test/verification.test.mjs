@@ -0,0 +1,96 @@
+/**
+ * verification.test.mjs
+ * 扇面半径：历史误差的 67% 分位数校准 (calibrateConeRadii)、样本不足时的默认值与时效间内插 (getConeRadiusKm)
+ * 运行：node --test test/
+ */
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calibrateConeRadii, getConeRadiusKm, getConeCalibration, VERIFY_LEAD_HOURS } from '../js/verification.js';
+import { calculateDistance } from '../js/utils.js';
+
+const NM_TO_KM = 1.852;
+const INITIAL_RADIUS_KM = 0.25 * 111.32;
+const near = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} !== ${expected}`);
+
+/**
+ * 沿固定纬度西行的气旋 (3 小时一个点)，每 6 小时一个 ENAI 预报，
+ * 第 k 个预报时次的所有预报点都向极偏移 offsetsDeg[k] 度，因此各时效的误差样本已知
+ */
+function makeStorm(basin, lat, steps, offsetsDeg) {
+    const track = [];
+    for (let i = 0; i < steps; i++) track.push([170 - i * 0.3, lat, 60, false, false]);
+    const forecastLogs = {};
+    offsetsDeg.forEach((offset, k) => {
+        const start = k * 2;
+        const dLat = Math.sign(lat) * offset;
+        forecastLogs[start * 3] = [{ name: 'ENAI', track: track.slice(start, start + 25).map(p => [p[0], p[1] + dLat, p[2], false, false]) }];
+    });
+    return { basin, track, forecastLogs };
+}
+
+// 与 verification.js 相同的分位数定义 (线性插值)
+function quantile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const pos = (sorted.length - 1) * p;
+    const lo = Math.floor(pos);
+    const hi = Math.min(sorted.length - 1, lo + 1);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+const errorKm = (lat, offsetDeg) => calculateDistance(lat, 0, lat + offsetDeg, 0);
+
+test('南半球海域使用各自的默认扇面半径', () => {
+    calibrateConeRadii([]);
+    assert.equal(getConeCalibration('SHEM').calibrated, false);
+    near(getConeRadiusKm('SHEM', 24), 48 * NM_TO_KM);
+    near(getConeRadiusKm('SIO', 72), 121 * NM_TO_KM);
+    assert.notEqual(getConeRadiusKm('SHEM', 72), getConeRadiusKm('WPAC', 72));
+    // 0 h 为初始位置误差，时效之间线性内插
+    near(getConeRadiusKm('SHEM', 0), INITIAL_RADIUS_KM);
+    near(getConeRadiusKm('SHEM', 18), (32 + 48) / 2 * NM_TO_KM);
+});
+
+test('时效之间线性内插，0 h 与 12 h 之间从初始位置误差起算', () => {
+    calibrateConeRadii([]);
+    near(getConeRadiusKm('WPAC', 30), (45 + 60) / 2 * NM_TO_KM);
+    near(getConeRadiusKm('WPAC', 6), (INITIAL_RADIUS_KM + 30 * NM_TO_KM) / 2);
+    near(getConeRadiusKm('NATL', 66), (84 + 97) / 2 * NM_TO_KM);
+});
+
+test('校准取 ENAI 路径误差的 67% 分位数，样本不足的时效沿用默认值', () => {
+    // 40 个点 (117 h)、12 个预报时次 (0 - 66 h)：12 h 有 12 个样本，60 h 恰好 10 个，72 h 只有 8 个；
+    // 最小的两个偏差放在最后两个时次，60 h 的分位数不低于前面的时效，不触发单调修正
+    const offsets = [0.5, 0.9, 0.3, 1.2, 0.7, 1.0, 0.4, 0.8, 1.1, 0.6, 0.1, 0.2];
+    const lat = 20;
+    calibrateConeRadii([makeStorm('WPAC', lat, 40, offsets)]);
+    const { radiiKm, counts, calibrated } = getConeCalibration('WPAC');
+    const at = (lead) => VERIFY_LEAD_HOURS.indexOf(lead);
+
+    assert.equal(calibrated, true);
+    assert.equal(counts[at(12)], 12);
+    assert.equal(counts[at(60)], 10);
+    assert.equal(counts[at(72)], 8);
+
+    const expected12 = quantile(offsets.map(o => errorKm(lat, o)), 0.67);
+    near(radiiKm[at(12)], expected12, 1e-9);
+    near(radiiKm[at(60)], quantile(offsets.slice(0, 10).map(o => errorKm(lat, o)), 0.67), 1e-9);
+    // 72 h 样本少于 MIN_CALIBRATION_SAMPLES (10)，沿用默认值
+    near(radiiKm[at(72)], 105 * NM_TO_KM);
+
+    // 校准后的半径同样在时效之间内插
+    near(getConeRadiusKm('WPAC', 12), expected12, 1e-9);
+    near(getConeRadiusKm('WPAC', 6), (INITIAL_RADIUS_KM + expected12) / 2, 1e-9);
+    near(getConeRadiusKm('WPAC', 66), (radiiKm[at(60)] + radiiKm[at(72)]) / 2, 1e-9);
+    calibrateConeRadii([]);
+});
+
+test('校准按海域分开：南半球样本不影响其它海域', () => {
+    const offsets = Array.from({ length: 30 }, () => 1);
+    calibrateConeRadii([makeStorm('SHEM', -15, 120, offsets)]);
+    assert.equal(getConeCalibration('SHEM').calibrated, true);
+    near(getConeRadiusKm('SHEM', 24), errorKm(-15, -1), 1e-9);
+    near(getConeRadiusKm('SIO', 24), 50 * NM_TO_KM);
+    assert.equal(getConeCalibration('SIO').calibrated, false);
+    calibrateConeRadii([]);
+});